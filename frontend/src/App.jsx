@@ -3,70 +3,50 @@ import { Elements } from '@stripe/react-stripe-js';
 import { loadStripe } from '@stripe/stripe-js';
 import EntryForm from './components/EntryForm';
 import EntryList from './components/EntryList';
+import AuthForm from './components/AuthForm';
+import AdminConsole from './components/AdminConsole';
+import JudgingAdmin from './components/JudgingAdmin';
+import JudgePanel from './components/JudgePanel';
+import Gallery from './components/Gallery';
+import useAuth from './auth/useAuth';
+import useCompetition from './competition/useCompetition';
+import { getCurrentPrice } from './utils/pricing';
+import { formatMoney } from './utils/money';
 import './App.css';
 
 // Initialize Stripe with the publishable key
 const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
 
+// Views in the header nav; `role` limits an item to that account role
+const navItems = [
+  { view: 'submit', label: 'Submit Entry' },
+  { view: 'entries', label: 'My Entries' },
+  { view: 'gallery', label: 'Gallery' },
+  { view: 'judge', label: 'Judging', role: 'judge' },
+  { view: 'admin', label: 'Admin', role: 'admin' },
+  { view: 'judging', label: 'Judging', role: 'admin' }
+];
+
 function App() {
+  const { user, loading, logout } = useAuth();
+  const { competition } = useCompetition();
+  const categories = competition ? competition.categories : [];
+  const currentTier = competition ? competition.currentTier : null;
+  const currency = competition ? competition.currencies[0] : 'usd';
   const [currentView, setCurrentView] = useState('submit');
-  // Fixed: Use in-memory user ID instead of localStorage
-  const [userId] = useState(() => {
-    return 'user_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
-  });
+  // The draft EntryForm is working on, kept here so it survives switching views
+  const [draft, setDraft] = useState(null);
+
+  const resumeDraft = (selected) => {
+    setDraft(selected);
+    setCurrentView('submit');
+  };
 
   useEffect(() => {
     console.log('=== App Initialization ===');
-    console.log('User ID:', userId);
     console.log('API URL:', import.meta.env.VITE_API_URL || 'http://localhost:5000');
     console.log('Stripe Key:', import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY ? 'Loaded' : 'Missing');
-  }, [userId]);
-
-  const handleCreateTestEntry = async () => {
-    try {
-      const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-      console.log('Creating test entry with API URL:', API_URL);
-      
-      const response = await fetch(`${API_URL}/api/create-test-entry/${userId}`);
-      const data = await response.json();
-      if (response.ok) {
-        alert(`Test entry created successfully! Entry ID: ${data.id}`);
-        if (currentView === 'entries') {
-          window.location.reload();
-        } else {
-          setCurrentView('entries');
-        }
-      } else {
-        alert('Failed to create test entry: ' + data.error);
-      }
-    } catch (error) {
-      console.error('Error creating test entry:', error);
-      alert('Failed to create test entry: ' + error.message);
-    }
-  };
-
-  const handleCreateMultipleTestEntries = async () => {
-    try {
-      const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-      console.log('Creating multiple test entries with API URL:', API_URL);
-      
-      const response = await fetch(`${API_URL}/api/create-test-entries/${userId}`);
-      const data = await response.json();
-      if (response.ok) {
-        alert(`${data.entries.length} test entries created successfully!`);
-        if (currentView === 'entries') {
-          window.location.reload();
-        } else {
-          setCurrentView('entries');
-        }
-      } else {
-        alert('Failed to create test entries: ' + data.error);
-      }
-    } catch (error) {
-      console.error('Error creating test entries:', error);
-      alert('Failed to create test entries: ' + error.message);
-    }
-  };
+  }, []);
 
   return (
     <Elements stripe={stripePromise}>
@@ -79,49 +59,77 @@ function App() {
                   <h1 className="text-5xl md:text-6xl font-bold mb-4 tracking-tight text-yellow-300">Top216.com</h1>
                   <p className="text-white mt-2">Global competition platform for professionals and creators submit entries across categories</p>
                 </div>
-                <div className="text-right text-sm text-white">
-                  <p>User ID: {userId.substring(0, 12)}...</p>
-                  <p className="text-xs">Test Environment</p>
-                </div>
-              </div>
-              <nav className="mt-6">
-                <div className="flex flex-wrap items-center justify-between">
-                  <div className="flex space-x-4">
+                {!user && !loading && (
+                  <button
+                    onClick={() => setCurrentView(currentView === 'gallery' ? 'submit' : 'gallery')}
+                    className="text-sm underline text-white hover:text-yellow-300"
+                  >
+                    {currentView === 'gallery' ? 'Log in or sign up' : 'Browse finalists & winners'}
+                  </button>
+                )}
+                {user && (
+                  <div className="text-right text-sm text-white">
+                    <p>{user.name || user.email}</p>
                     <button
-                      onClick={() => setCurrentView('submit')}
-                      className={`px-4 py-2 rounded-md font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors ${
-                        currentView === 'submit' 
-                          ? 'bg-blue-600 text-white' 
-                          : 'text-white hover:text-gray-900 hover:bg-gray-100'
-                      }`}
+                      onClick={logout}
+                      className="text-xs underline hover:text-yellow-300"
                     >
-                      Submit Entry
-                    </button>
-                    <button
-                      onClick={() => setCurrentView('entries')}
-                      className={`px-4 py-2 rounded-md font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors ${
-                        currentView === 'entries' 
-                          ? 'bg-blue-600 text-white' 
-                          : 'text-white hover:text-gray-900 hover:bg-gray-100'
-                      }`}
-                    >
-                      My Entries
+                      Log out
                     </button>
                   </div>
+                )}
+              </div>
+              {user && (
+                <nav className="mt-6">
+                  <div className="flex flex-wrap items-center justify-between">
+                    <div className="flex space-x-4">
+                      {navItems.filter(item => !item.role || item.role === user.role).map(item => (
+                        <button
+                          key={item.view}
+                          onClick={() => setCurrentView(item.view)}
+                          className={`px-4 py-2 rounded-md font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors ${
+                            currentView === item.view 
+                              ? 'bg-blue-600 text-white' 
+                              : 'text-white hover:text-gray-900 hover:bg-gray-100'
+                          }`}
+                        >
+                          {item.label}
+                        </button>
+                      ))}
+                    </div>
                  
-                </div>
-              </nav>
+                  </div>
+                </nav>
+              )}
             </div>
           </header>
          
           <main className="max-w-4xl mx-auto px-4 py-8">
-            {currentView === 'submit' ? (
+            {loading ? (
+              <div className="text-center text-white">Loading...</div>
+            ) : currentView === 'gallery' ? (
+              <Gallery />
+            ) : !user ? (
+              <>
+                <div className="mb-6 text-white text-2xl font-semibold">Welcome to <span className='text-yellow-300'>Top216.com</span> - A global competition platform</div>
+                <AuthForm />
+              </>
+            ) : currentView === 'submit' ? (
               <>
                 <div className="mb-6 text-white text-2xl font-semibold">Welcome to <span className='text-yellow-300'>Top216.com</span> - A global competition platform</div>
-                <EntryForm userId={userId} />
+                <EntryForm draft={draft} onDraftChange={setDraft} />
               </>
+            ) : currentView === 'admin' && user.role === 'admin' ? (
+              <AdminConsole />
+            ) : currentView === 'judging' && user.role === 'admin' ? (
+              <JudgingAdmin />
+            ) : currentView === 'judge' && user.role === 'judge' ? (
+              <JudgePanel />
             ) : (
-              <EntryList userId={userId} />
+              <EntryList
+                onResumeDraft={resumeDraft}
+                onDraftDeleted={(draftId) => draft && draft._id === draftId && setDraft(null)}
+              />
             )}
           </main>
           
@@ -129,18 +137,28 @@ function App() {
             <div className="max-w-4xl mx-auto px-4 py-8">
               <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
                 <div>
-                  <h4 className="font-semibold text-white mb-2">Competition Categories</h4>
+                  <h4 className="font-semibold text-white mb-2">
+                    {competition ? competition.name : 'Competition Categories'}
+                  </h4>
                   <ul className="text-sm text-white space-y-1">
-                    <li>• Business - $49</li>
-                    <li>• Creative - $49</li>
-                    <li>• Technology - $99</li>
-                    <li>• Social Impact - $49</li>
+                    {categories.map(category => (
+                      <li key={category.key}>
+                        • {category.label} - {formatMoney(getCurrentPrice(competition, category, currency), currency)}
+                      </li>
+                    ))}
+                    {currentTier && (
+                      <li className="text-xs text-gray-300">{currentTier.label} pricing until {new Date(currentTier.endsAt).toLocaleDateString()}</li>
+                    )}
                   </ul>
                 </div>
                 <div>
                   <h4 className="font-semibold text-white mb-2">Entry Types</h4>
                   <ul className="text-sm text-white space-y-1">
-                    <li>• Text (100-2000 words)</li>
+                    <li>
+                      • Text ({categories.length > 0
+                        ? `${Math.min(...categories.map(c => c.wordLimits.min))}-${Math.max(...categories.map(c => c.wordLimits.max))}`
+                        : '100-2000'} words)
+                    </li>
                     <li>• Pitch Deck (PDF/PPT, max 25MB)</li>
                     <li>• Video (YouTube/Vimeo link)</li>
                   </ul>
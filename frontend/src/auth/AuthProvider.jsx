@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import AuthContext from './AuthContext';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const TOKEN_KEY = 'top216_auth_token';
+
+const AuthProvider = ({ children }) => {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const logout = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Drop-in replacement for fetch that sends the session token
+  const authFetch = useCallback(async (url, options = {}) => {
+    const headers = { ...(options.headers || {}) };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && token) {
+      logout();
+    }
+    return response;
+  }, [token, logout]);
+
+  const authenticate = useCallback(async (mode, credentials) => {
+    const response = await fetch(`${API_BASE_URL}/api/auth/${mode}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(credentials),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Authentication failed');
+    }
+    localStorage.setItem(TOKEN_KEY, data.token);
+    setToken(data.token);
+    setUser(data.user);
+    return data.user;
+  }, []);
+
+  const login = useCallback((credentials) => authenticate('login', credentials), [authenticate]);
+  const signup = useCallback((credentials) => authenticate('signup', credentials), [authenticate]);
+
+  // Restore the session saved by a previous visit
+  useEffect(() => {
+    const savedToken = localStorage.getItem(TOKEN_KEY);
+    if (!savedToken) {
+      setLoading(false);
+      return;
+    }
+
+    fetch(`${API_BASE_URL}/api/auth/me`, {
+      headers: { Authorization: `Bearer ${savedToken}` },
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error(`Session check failed: ${response.status}`);
+        }
+        const data = await response.json();
+        setUser(data.user);
+      })
+      .catch((error) => {
+        console.error('Error restoring session:', error);
+        logout();
+      })
+      .finally(() => setLoading(false));
+  }, [logout]);
+
+  const value = useMemo(() => ({
+    user,
+    token,
+    loading,
+    login,
+    signup,
+    logout,
+    authFetch,
+  }), [user, token, loading, login, signup, logout, authFetch]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
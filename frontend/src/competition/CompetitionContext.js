@@ -0,0 +1,5 @@
+import { createContext } from 'react';
+
+const CompetitionContext = createContext(null);
+
+export default CompetitionContext;
@@ -0,0 +1,56 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import CompetitionContext from './CompetitionContext';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Loads the competition seasons once so the entry form, footer and admin
+// screens all read categories and fees from the same place
+const CompetitionProvider = ({ children }) => {
+  const [competitions, setCompetitions] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [listResponse, currentResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/competitions`),
+        fetch(`${API_BASE_URL}/api/competitions/current`)
+      ]);
+      const list = await listResponse.json();
+      if (!listResponse.ok) {
+        throw new Error(list.error || 'Failed to load competitions');
+      }
+      setCompetitions(list);
+      // 404 just means no season has been set up yet
+      setCurrent(currentResponse.ok ? await currentResponse.json() : null);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching competitions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const value = useMemo(() => ({
+    competitions,
+    competition: current,
+    loading,
+    error,
+    reload
+  }), [competitions, current, loading, error, reload]);
+
+  return (
+    <CompetitionContext.Provider value={value}>
+      {children}
+    </CompetitionContext.Provider>
+  );
+};
+
+export default CompetitionProvider;
@@ -0,0 +1,12 @@
+import { useContext } from 'react';
+import CompetitionContext from './CompetitionContext';
+
+const useCompetition = () => {
+  const competition = useContext(CompetitionContext);
+  if (!competition) {
+    throw new Error('useCompetition must be used inside <CompetitionProvider>');
+  }
+  return competition;
+};
+
+export default useCompetition;
@@ -0,0 +1,425 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import useAuth from '../auth/useAuth';
+import useCompetition from '../competition/useCompetition';
+import { formatMoney, toMinorUnits } from '../utils/money';
+import DeckScans from './DeckScans';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const staticFilterOptions = {
+  entryType: ['text', 'pitch-deck', 'video'],
+  status: ['scan-pending', 'submitted', 'under-review', 'finalist', 'winner', 'rejected'],
+  paymentStatus: ['pending', 'succeeded', 'failed', 'canceled', 'refunded', 'partially_refunded', 'waived']
+};
+
+// Mirrors the server's state machine so only sensible actions are offered
+const nextStatuses = {
+  // Decks awaiting their scan are released from the Deck Scans list
+  'scan-pending': ['rejected'],
+  'submitted': ['under-review', 'rejected'],
+  'under-review': ['finalist', 'rejected'],
+  'finalist': ['winner', 'rejected'],
+  'winner': [],
+  'rejected': []
+};
+
+const emptyFilters = {
+  competitionId: '',
+  category: '',
+  entryType: '',
+  status: '',
+  paymentStatus: '',
+  from: '',
+  to: ''
+};
+
+const AdminConsole = () => {
+  const { authFetch } = useAuth();
+  const { competitions } = useCompetition();
+  const [filters, setFilters] = useState(emptyFilters);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [targetStatus, setTargetStatus] = useState('');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      const response = await authFetch(`${API_BASE_URL}/api/admin/entries?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load entries');
+      }
+      setEntries(data.entries);
+      setTotal(data.total);
+      setSelectedIds([]);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching admin entries:', err);
+      setError('Failed to load entries: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, filters]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleSelected = (id) => {
+    setTargetStatus('');
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const toggleAll = () => {
+    setTargetStatus('');
+    setSelectedIds(selectedIds.length === entries.length ? [] : entries.map(entry => entry._id));
+  };
+
+  // Only offer statuses every selected entry can move to
+  const availableStatuses = entries
+    .filter(entry => selectedIds.includes(entry._id))
+    .map(entry => nextStatuses[entry.status] || [])
+    .reduce((common, options) => common === null ? options : common.filter(s => options.includes(s)), null) || [];
+
+  const handleBulkUpdate = async (e) => {
+    e.preventDefault();
+    if (!targetStatus || selectedIds.length === 0) return;
+    if (targetStatus === 'rejected' && !reason.trim()) {
+      setError('Please give a reason for the rejection');
+      return;
+    }
+    try {
+      setLoading(true);
+      const response = await authFetch(`${API_BASE_URL}/api/admin/entries/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entryIds: selectedIds, status: targetStatus, reason }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update entries');
+      }
+      setResult(data);
+      setTargetStatus('');
+      setReason('');
+      await fetchEntries();
+    } catch (err) {
+      setError('Failed to update entries: ' + err.message);
+      setLoading(false);
+    }
+  };
+
+  // Refunds are entered in major units and sent to the API in minor units
+  const handleRefund = async (entry) => {
+    const remaining = entry.totalAmount - (entry.amountRefunded || 0);
+    const amount = window.prompt(
+      `Refund amount in ${entry.currency.toUpperCase()} (up to ${formatMoney(remaining, entry.currency)})`,
+      (remaining / toMinorUnits(1, entry.currency)).toString()
+    );
+    if (amount === null) return;
+    const refundReason = window.prompt('Reason for the refund (shown to the participant)');
+    if (refundReason === null) return;
+    if (!refundReason.trim()) {
+      setError('Please give a reason for the refund');
+      return;
+    }
+    try {
+      setLoading(true);
+      const response = await authFetch(`${API_BASE_URL}/api/admin/entries/${entry._id}/refunds`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount: toMinorUnits(amount, entry.currency), reason: refundReason }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to refund entry');
+      }
+      setNotice(`Refunded ${formatMoney(data.refund.amount, data.refund.currency)} for "${entry.title}"`);
+      await fetchEntries();
+    } catch (err) {
+      setError('Failed to refund entry: ' + err.message);
+      setLoading(false);
+    }
+  };
+
+  const downloadInvoice = async (entry) => {
+    const response = await authFetch(`${API_BASE_URL}/api/admin/entries/${entry._id}/invoice`);
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.message || data.error || 'Failed to download invoice');
+    }
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `invoice-${entry._id}.pdf`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDownloadInvoice = async (entry) => {
+    try {
+      await downloadInvoice(entry);
+    } catch (err) {
+      setError('Failed to download invoice: ' + err.message);
+    }
+  };
+
+  // Billing details can be corrected here; the invoice keeps its number
+  const handleRegenerateInvoice = async (entry) => {
+    const billing = entry.billing || {};
+    const billingName = window.prompt('Billing name on the invoice', billing.name || '');
+    if (billingName === null) return;
+    const vatId = window.prompt('VAT ID on the invoice', billing.vatId || '');
+    if (vatId === null) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/admin/entries/${entry._id}/invoice`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ billingName, vatId }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to regenerate invoice');
+      }
+      setNotice(`Invoice ${data.number} regenerated (revision ${data.revision})`);
+      setEntries(prev => prev.map(e => e._id === entry._id ? { ...e, billing: { name: billingName, vatId } } : e));
+      await downloadInvoice(entry);
+    } catch (err) {
+      setError('Failed to regenerate invoice: ' + err.message);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  // Categories come from the competition seasons, so they can differ per season
+  const seasons = filters.competitionId
+    ? competitions.filter(c => c._id === filters.competitionId)
+    : competitions;
+  const filterOptions = {
+    category: [...new Set(seasons.flatMap(c => c.categories.map(category => category.key)))],
+    ...staticFilterOptions
+  };
+
+  const selectClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-8">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Review Console ({total})</h2>
+        <button
+          onClick={fetchEntries}
+          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+        >
+          🔄 Refresh
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Competition</label>
+          <select name="competitionId" value={filters.competitionId} onChange={handleFilterChange} className={selectClassName}>
+            <option value="">All</option>
+            {competitions.map(c => (
+              <option key={c._id} value={c._id}>{c.name}</option>
+            ))}
+          </select>
+        </div>
+        {Object.entries(filterOptions).map(([name, options]) => (
+          <div key={name}>
+            <label className="block text-xs font-medium text-gray-700 mb-1 capitalize">{name.replace(/([A-Z])/g, ' $1')}</label>
+            <select name={name} value={filters[name]} onChange={handleFilterChange} className={selectClassName}>
+              <option value="">All</option>
+              {options.map(option => (
+                <option key={option} value={option}>{option.replace(/[-_]/g, ' ')}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">From</label>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className={selectClassName} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">To</label>
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className={selectClassName} />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-100 text-red-700 rounded-md">
+          {error}
+          <button onClick={() => setError('')} className="ml-4 text-sm text-red-900 underline">Close</button>
+        </div>
+      )}
+
+      {notice && (
+        <div className="mb-6 p-4 bg-green-100 text-green-700 rounded-md">
+          {notice}
+          <button onClick={() => setNotice('')} className="ml-4 text-sm text-green-900 underline">Close</button>
+        </div>
+      )}
+
+      {result && (
+        <div className="mb-6 p-4 bg-green-100 text-green-700 rounded-md">
+          {result.updated.length} moved to {result.status}.
+          {result.failed.length > 0 && (
+            <ul className="mt-2 text-sm text-red-700">
+              {result.failed.map(failure => (
+                <li key={failure.id}>• {failure.id}: {failure.error}</li>
+              ))}
+            </ul>
+          )}
+          <button onClick={() => setResult(null)} className="ml-4 text-sm text-green-900 underline">Close</button>
+        </div>
+      )}
+
+      <DeckScans onChange={fetchEntries} />
+
+      <form onSubmit={handleBulkUpdate} className="flex flex-wrap items-end gap-4 mb-6 bg-gray-50 rounded-md p-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Move {selectedIds.length} selected to</label>
+          <select
+            value={targetStatus}
+            onChange={(e) => setTargetStatus(e.target.value)}
+            disabled={availableStatuses.length === 0}
+            className={selectClassName}
+          >
+            <option value="">Select status</option>
+            {availableStatuses.map(status => (
+              <option key={status} value={status}>{status.replace('-', ' ')}</option>
+            ))}
+          </select>
+        </div>
+        {targetStatus === 'rejected' && (
+          <div className="flex-1">
+            <label className="block text-xs font-medium text-gray-700 mb-1">Rejection reason *</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={1000}
+              className={selectClassName}
+              required
+            />
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={loading || !targetStatus || selectedIds.length === 0}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading entries...</p>
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No entries match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+              <tr>
+                <th className="px-3 py-2">
+                  <input type="checkbox" checked={selectedIds.length === entries.length} onChange={toggleAll} />
+                </th>
+                <th className="px-3 py-2">Title</th>
+                <th className="px-3 py-2">Participant</th>
+                <th className="px-3 py-2">Category</th>
+                <th className="px-3 py-2">Type</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2">Payment</th>
+                <th className="px-3 py-2">Submitted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry._id} className="border-b hover:bg-gray-50">
+                  <td className="px-3 py-2">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(entry._id)}
+                      onChange={() => toggleSelected(entry._id)}
+                    />
+                  </td>
+                  <td className="px-3 py-2 font-medium text-gray-900">
+                    {entry.title}
+                    {entry.rejectionReason && (
+                      <p className="text-xs text-red-600">Rejected: {entry.rejectionReason}</p>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{entry.owner ? entry.owner.email : entry.userId}</td>
+                  <td className="px-3 py-2 capitalize">{entry.category.replace('-', ' ')}</td>
+                  <td className="px-3 py-2 capitalize">{entry.entryType.replace('-', ' ')}</td>
+                  <td className="px-3 py-2 capitalize">{entry.status.replace('-', ' ')}</td>
+                  <td className="px-3 py-2">
+                    {entry.paymentStatus.replace('_', ' ')}
+                    {entry.amountRefunded > 0 && (
+                      <p className="text-xs text-blue-600">Refunded {formatMoney(entry.amountRefunded, entry.currency)}</p>
+                    )}
+                    {['succeeded', 'partially_refunded'].includes(entry.paymentStatus) && entry.totalAmount > (entry.amountRefunded || 0) && (
+                      <button
+                        type="button"
+                        onClick={() => handleRefund(entry)}
+                        className="block text-xs text-blue-600 hover:text-blue-800 underline"
+                      >
+                        Refund
+                      </button>
+                    )}
+                    {entry.paymentIntentId && ['succeeded', 'partially_refunded', 'refunded'].includes(entry.paymentStatus) && (
+                      <span className="block text-xs">
+                        <button
+                          type="button"
+                          onClick={() => handleDownloadInvoice(entry)}
+                          className="text-blue-600 hover:text-blue-800 underline"
+                        >
+                          Invoice
+                        </button>
+                        {' · '}
+                        <button
+                          type="button"
+                          onClick={() => handleRegenerateInvoice(entry)}
+                          className="text-blue-600 hover:text-blue-800 underline"
+                        >
+                          Regenerate
+                        </button>
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{formatDate(entry.createdAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
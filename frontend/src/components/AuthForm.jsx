@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import useAuth from '../auth/useAuth';
+
+const AuthForm = () => {
+  const { login, signup } = useAuth();
+  const [mode, setMode] = useState('login');
+  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (mode === 'signup' && formData.password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      if (mode === 'signup') {
+        await signup(formData);
+      } else {
+        await login({ email: formData.email, password: formData.password });
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(mode === 'login' ? 'signup' : 'login');
+    setError('');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-8 max-w-md mx-auto">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">
+        {mode === 'login' ? 'Log in to your account' : 'Create an account'}
+      </h2>
+      {error && (
+        <div className="mb-6 p-4 bg-red-100 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {mode === 'signup' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              placeholder="Your full name"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Email *</label>
+          <input
+            type="email"
+            name="email"
+            value={formData.email}
+            onChange={handleInputChange}
+            placeholder="you@example.com"
+            autoComplete="email"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Password *</label>
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            required
+          />
+          {mode === 'signup' && (
+            <p className="mt-1 text-xs text-gray-500">At least 8 characters</p>
+          )}
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full inline-flex justify-center items-center px-6 py-3 border border-transparent rounded-md shadow-sm text-base font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Please wait...' : mode === 'login' ? 'Log In' : 'Sign Up'}
+        </button>
+      </form>
+      <p className="mt-6 text-sm text-center text-gray-600">
+        {mode === 'login' ? "Don't have an account?" : 'Already have an account?'}
+        <button
+          type="button"
+          onClick={switchMode}
+          className="ml-2 text-blue-600 hover:text-blue-800 font-medium"
+        >
+          {mode === 'login' ? 'Sign up' : 'Log in'}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default AuthForm;
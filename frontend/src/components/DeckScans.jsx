@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import useAuth from '../auth/useAuth';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const scanStatusColors = {
+  'pending': 'bg-gray-100 text-gray-800',
+  'flagged': 'bg-yellow-100 text-yellow-800',
+  'error': 'bg-orange-100 text-orange-800',
+  'infected': 'bg-red-100 text-red-800'
+};
+
+// Pitch decks the scanner didn't let through: flagged decks wait for an admin
+// to release them (or reject the entry in the console), decks the scanner
+// couldn't reach can be scanned again. onChange reloads the console's entries.
+const DeckScans = ({ onChange }) => {
+  const { authFetch } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchScans = useCallback(async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/admin/scans`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load deck scans');
+      }
+      setEntries(data.entries);
+      setTotal(data.total);
+    } catch (err) {
+      console.error('Error fetching deck scans:', err);
+      setError('Failed to load deck scans: ' + err.message);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    fetchScans();
+  }, [fetchScans]);
+
+  const runAction = async (entry, action, body) => {
+    try {
+      setBusyId(entry._id);
+      const response = await authFetch(`${API_BASE_URL}/api/admin/scans/${entry._id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `Failed to ${action} deck`);
+      }
+      return data;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRelease = async (entry) => {
+    const note = window.prompt(`Release the deck of "${entry.title}" to the judges? Add a note for the status history (optional)`, '');
+    if (note === null) return;
+    try {
+      await runAction(entry, 'release', { note });
+      setNotice(`Released the deck of "${entry.title}"`);
+      await fetchScans();
+      if (onChange) onChange();
+    } catch (err) {
+      setError('Failed to release deck: ' + err.message);
+    }
+  };
+
+  const handleRescan = async (entry) => {
+    try {
+      const scanned = await runAction(entry, 'rescan');
+      setNotice(`Scanned "${entry.title}" again: ${scanned.scan ? scanned.scan.status : 'no result'}`);
+      await fetchScans();
+      if (onChange) onChange();
+    } catch (err) {
+      setError('Failed to scan deck: ' + err.message);
+    }
+  };
+
+  // Downloaded, never opened in the browser
+  const handleDownload = async (entry) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/admin/scans/${entry._id}/file`);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || data.error || 'Failed to download deck');
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = entry.fileName || 'pitch-deck';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to download deck: ' + err.message);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  if (entries.length === 0 && !error) return null;
+
+  return (
+    <div className="mb-6 border border-yellow-200 rounded-md p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-gray-900">🛡️ Deck Scans ({total})</h3>
+        <button
+          onClick={fetchScans}
+          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+        >
+          🔄 Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-100 text-red-700 rounded-md text-sm">
+          {error}
+          <button onClick={() => setError('')} className="ml-4 text-sm text-red-900 underline">Close</button>
+        </div>
+      )}
+
+      {notice && (
+        <div className="mb-3 p-3 bg-green-100 text-green-700 rounded-md text-sm">
+          {notice}
+          <button onClick={() => setNotice('')} className="ml-4 text-sm text-green-900 underline">Close</button>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+            <tr>
+              <th className="px-3 py-2">Title</th>
+              <th className="px-3 py-2">Participant</th>
+              <th className="px-3 py-2">Scan</th>
+              <th className="px-3 py-2">Details</th>
+              <th className="px-3 py-2">Scanned</th>
+              <th className="px-3 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => {
+              const { scan } = entry;
+              const awaiting = entry.status === 'scan-pending';
+              return (
+                <tr key={entry._id} className="border-b hover:bg-gray-50">
+                  <td className="px-3 py-2 font-medium text-gray-900">
+                    {entry.title}
+                    <p className="text-xs text-gray-500 capitalize">{entry.status.replace('-', ' ')}</p>
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{entry.owner ? entry.owner.email : entry.userId}</td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-1 rounded-full text-xs capitalize ${scanStatusColors[scan.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {scan.status}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {scan.signature || (scan.findings && scan.findings.map(finding => finding.replace('-', ' ')).join(', ')) || scan.error || '—'}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{scan.scannedAt ? formatDate(scan.scannedAt) : 'Not yet'}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {scan.quarantineKey && (
+                      <button
+                        type="button"
+                        onClick={() => handleDownload(entry)}
+                        className="text-xs text-blue-600 hover:text-blue-800 underline"
+                      >
+                        Download
+                      </button>
+                    )}
+                    {awaiting && scan.status === 'flagged' && (
+                      <button
+                        type="button"
+                        onClick={() => handleRelease(entry)}
+                        disabled={busyId === entry._id}
+                        className="ml-3 text-xs text-green-700 hover:text-green-900 underline disabled:opacity-50"
+                      >
+                        Release
+                      </button>
+                    )}
+                    {awaiting && ['pending', 'error'].includes(scan.status) && (
+                      <button
+                        type="button"
+                        onClick={() => handleRescan(entry)}
+                        disabled={busyId === entry._id}
+                        className="ml-3 text-xs text-blue-600 hover:text-blue-800 underline disabled:opacity-50"
+                      >
+                        Scan again
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DeckScans;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Relative URLs point at the API's own uploads, absolute ones at object storage
+const toAbsoluteUrl = url => (/^https?:\/\//.test(url) ? url : API_BASE_URL + url);
+
+// Pitch decks page by page from the images the server rendered after upload
+// (preview.pages). Until they are ready, or when the deck couldn't be
+// rendered, PDFs open in the browser's own viewer and slides get a link.
+const DeckViewer = ({ fileUrl, fileName, fileMimeType, preview, title }) => {
+  const [page, setPage] = useState(0);
+  const fileLink = toAbsoluteUrl(fileUrl);
+  const pages = (preview && preview.pages) || [];
+  const isPdf = fileMimeType ? fileMimeType === 'application/pdf' : /\.pdf$/i.test(fileUrl);
+
+  const openLink = (
+    <a
+      href={fileLink}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+    >
+      📄 Open {fileName || 'Pitch Deck'}
+    </a>
+  );
+
+  if (pages.length === 0) {
+    return (
+      <div>
+        {preview && preview.status === 'pending' && (
+          <p className="text-sm text-gray-500 mb-2">⏳ The page preview is being prepared.</p>
+        )}
+        {isPdf && (
+          <iframe src={fileLink} title={title || 'Pitch deck'} className="w-full h-[32rem] border rounded-md mb-2" />
+        )}
+        {preview && preview.pageCount > 0 && (
+          <p className="text-sm text-gray-500 mb-2">{preview.pageCount} pages</p>
+        )}
+        {openLink}
+      </div>
+    );
+  }
+
+  const current = Math.min(page, pages.length - 1);
+  const pageCount = preview.pageCount || pages.length;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') setPage(Math.max(current - 1, 0));
+    if (e.key === 'ArrowRight') setPage(Math.min(current + 1, pages.length - 1));
+  };
+
+  return (
+    <div>
+      <div
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        aria-label="Pitch deck pages, use the arrow keys to turn them"
+        className="w-full max-w-3xl border rounded-md bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <img
+          src={toAbsoluteUrl(pages[current].url)}
+          alt={`Page ${current + 1} of ${title || 'the pitch deck'}`}
+          className="w-full h-auto rounded-t-md"
+        />
+        <div className="flex items-center justify-between px-3 py-2 text-sm">
+          <button
+            type="button"
+            onClick={() => setPage(current - 1)}
+            disabled={current === 0}
+            className="px-3 py-1 rounded-md text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            ← Previous
+          </button>
+          <span className="text-gray-600">Page {current + 1} of {pageCount}</span>
+          <button
+            type="button"
+            onClick={() => setPage(current + 1)}
+            disabled={current === pages.length - 1}
+            className="px-3 py-1 rounded-md text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            Next →
+          </button>
+        </div>
+      </div>
+      {pageCount > pages.length && (
+        <p className="mt-1 text-xs text-gray-500">
+          The preview shows the first {pages.length} pages; open the file to see all {pageCount}.
+        </p>
+      )}
+      <div className="mt-3">{openLink}</div>
+    </div>
+  );
+};
+
+export default DeckViewer;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import useAuth from '../auth/useAuth';
+import useCompetition from '../competition/useCompetition';
+import { validateEntry, toFieldErrors, getResponseFieldErrors, DEFAULT_WORD_LIMITS } from '../utils/entryValidation';
+import MarkdownEditor from './MarkdownEditor';
+import FieldError from './FieldError';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const EntryEditForm = ({ entry, onSaved, onCancel }) => {
+  const { authFetch } = useAuth();
+  const { competitions } = useCompetition();
+  const [formData, setFormData] = useState({
+    category: entry.category,
+    entryType: entry.entryType,
+    title: entry.title,
+    description: entry.description || '',
+    textContent: entry.textContent || '',
+    videoUrl: entry.videoUrl || '',
+    file: null
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const category = competitions
+    .find(c => c._id === entry.competitionId)?.categories
+    .find(c => c.key === entry.category);
+  const wordLimits = category ? category.wordLimits : DEFAULT_WORD_LIMITS;
+
+  const handleInputChange = (e) => {
+    const { name, value, files } = e.target;
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
+    if (name === 'file') {
+      setFormData(prev => ({ ...prev, file: files[0] }));
+    } else {
+      setFormData(prev => ({ ...prev, [name]: value }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // The existing deck is kept unless a new one is chosen
+    const errors = validateEntry(formData, { requireFile: false, wordLimits });
+    setFieldErrors(toFieldErrors(errors));
+    if (errors.length > 0) {
+      setError('Please fix the highlighted fields');
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      const submitData = new FormData();
+      submitData.append('title', formData.title);
+      submitData.append('description', formData.description);
+      if (entry.entryType === 'text') {
+        submitData.append('textContent', formData.textContent);
+      } else if (entry.entryType === 'pitch-deck' && formData.file) {
+        submitData.append('file', formData.file);
+      } else if (entry.entryType === 'video') {
+        submitData.append('videoUrl', formData.videoUrl);
+      }
+      const response = await authFetch(`${API_BASE_URL}/api/entries/${entry._id}`, {
+        method: 'PATCH',
+        body: submitData,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setFieldErrors(getResponseFieldErrors(data));
+        throw new Error(data.error || 'Failed to update entry');
+      }
+      onSaved(data.entry);
+    } catch (err) {
+      setError('Failed to update entry: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 mb-6">
+      {error && (
+        <div className="p-4 bg-red-100 text-red-700 rounded-md">{error}</div>
+      )}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Title *</label>
+        <input
+          type="text"
+          name="title"
+          value={formData.title}
+          onChange={handleInputChange}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          required
+        />
+        <p className="mt-1 text-xs text-gray-500">{formData.title.length}/100 characters</p>
+        <FieldError message={fieldErrors.title} />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+        <textarea
+          name="description"
+          value={formData.description}
+          onChange={handleInputChange}
+          rows={3}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <FieldError message={fieldErrors.description} />
+      </div>
+      {entry.entryType === 'text' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Text Content *</label>
+          <MarkdownEditor
+            name="textContent"
+            value={formData.textContent}
+            onChange={handleInputChange}
+            placeholder={`${wordLimits.min}-${wordLimits.max} words`}
+            required
+          />
+          <FieldError message={fieldErrors.textContent} />
+        </div>
+      )}
+      {entry.entryType === 'pitch-deck' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Replace Pitch Deck</label>
+          <input
+            type="file"
+            name="file"
+            onChange={handleInputChange}
+            accept=".pdf,.ppt,.pptx"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">Leave empty to keep the current file{entry.fileName ? ` (${entry.fileName})` : ''}</p>
+          <FieldError message={fieldErrors.file} />
+        </div>
+      )}
+      {entry.entryType === 'video' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Video URL *</label>
+          <input
+            type="url"
+            name="videoUrl"
+            value={formData.videoUrl}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            required
+          />
+          <FieldError message={fieldErrors.videoUrl} />
+        </div>
+      )}
+      <div className="flex justify-end space-x-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default EntryEditForm;
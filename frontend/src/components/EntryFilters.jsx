@@ -0,0 +1,105 @@
+import React from 'react';
+
+const ENTRY_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'pitch-deck', label: 'Pitch deck' },
+  { value: 'video', label: 'Video' }
+];
+
+const STATUSES = [
+  { value: 'scan-pending', label: 'Security check' },
+  { value: 'submitted', label: 'Submitted' },
+  { value: 'under-review', label: 'Under review' },
+  { value: 'finalist', label: 'Finalist' },
+  { value: 'winner', label: 'Winner' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+const PAYMENT_STATUSES = [
+  { value: 'succeeded', label: 'Paid' },
+  { value: 'waived', label: 'Waived' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'refunded', label: 'Refunded' },
+  { value: 'partially_refunded', label: 'Partly refunded' }
+];
+
+const ChipGroup = ({ label, options, selected, onToggle }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    <span className="text-xs font-medium text-gray-500 w-20">{label}</span>
+    {options.map(option => {
+      const active = selected.includes(option.value);
+      return (
+        <button
+          key={option.value}
+          type="button"
+          aria-pressed={active}
+          onClick={() => onToggle(option.value)}
+          className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+            active
+              ? 'bg-blue-600 text-white border-blue-600'
+              : 'bg-white text-gray-700 border-gray-300 hover:border-blue-400'
+          }`}
+        >
+          {option.label}
+        </button>
+      );
+    })}
+  </div>
+);
+
+// Search box, sort order and filter chips above My Entries. Chips in a group
+// match any of their values; groups narrow each other down.
+const EntryFilters = ({ filters, categories, search, sort, searching, onToggle, onSearchChange, onSortChange, onClear }) => {
+  const hasFilters = search !== '' || Object.values(filters).some(values => values.length > 0);
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-1">
+          <input
+            type="search"
+            value={search}
+            onChange={e => onSearchChange(e.target.value)}
+            placeholder="Search titles, descriptions and text"
+            aria-label="Search your entries"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {searching && (
+            <div className="absolute right-3 top-1/2 -translate-y-1/2 animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+          )}
+        </div>
+        <select
+          value={sort}
+          onChange={e => onSortChange(e.target.value)}
+          aria-label="Sort entries"
+          className="px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">{search ? 'Best match' : 'Newest first'}</option>
+          {search && <option value="newest">Newest first</option>}
+          <option value="oldest">Oldest first</option>
+          <option value="title">Title A–Z</option>
+        </select>
+      </div>
+
+      {categories.length > 0 && (
+        <ChipGroup label="Category" options={categories} selected={filters.category} onToggle={value => onToggle('category', value)} />
+      )}
+      <ChipGroup label="Type" options={ENTRY_TYPES} selected={filters.entryType} onToggle={value => onToggle('entryType', value)} />
+      <ChipGroup label="Status" options={STATUSES} selected={filters.status} onToggle={value => onToggle('status', value)} />
+      <ChipGroup label="Payment" options={PAYMENT_STATUSES} selected={filters.paymentStatus} onToggle={value => onToggle('paymentStatus', value)} />
+
+      {hasFilters && (
+        <button
+          type="button"
+          onClick={onClear}
+          className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+        >
+          Clear search and filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EntryFilters;
@@ -1,5 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useStripe, useElements, CardElement } from '@stripe/react-stripe-js';
+import useAuth from '../auth/useAuth';
+import useCompetition from '../competition/useCompetition';
+import { validateEntry, toFieldErrors, getResponseFieldErrors, DEFAULT_WORD_LIMITS } from '../utils/entryValidation';
+import { getCurrentPrice } from '../utils/pricing';
+import { formatMoney } from '../utils/money';
+import MarkdownEditor from './MarkdownEditor';
+import FieldError from './FieldError';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
@@ -14,29 +21,103 @@ const cardElementOptions = {
   },
 };
 
-const EntryForm = ({ userId }) => {
+// Drafts are saved this long after the last keystroke
+const AUTOSAVE_DELAY_MS = 1500;
+
+const DRAFT_FIELDS = ['category', 'entryType', 'title', 'description', 'textContent', 'videoUrl', 'promoCode', 'currency', 'billingName', 'vatId'];
+
+// Form state for a new entry, or for a draft being resumed
+const formFromDraft = (draft = {}) => ({
+  category: draft.category || '',
+  entryType: draft.entryType || '',
+  title: draft.title || '',
+  description: draft.description || '',
+  textContent: draft.textContent || '',
+  videoUrl: draft.videoUrl || '',
+  promoCode: draft.promoCode || '',
+  currency: draft.currency || '',
+  billingName: (draft.billing && draft.billing.name) || '',
+  vatId: (draft.billing && draft.billing.vatId) || '',
+  file: null
+});
+
+const emptyFees = {
+  currency: 'usd',
+  entryFee: 0,
+  stripeFee: 0,
+  totalAmount: 0,
+  baseFee: 0,
+  discount: 0,
+  tierLabel: '',
+  promoCode: null,
+  waivedBy: null
+};
+
+// Price breakdown shared by the fee and payment summaries
+const FeeLines = ({ fees, totalClassName }) => (
+  <div className="space-y-1 text-sm">
+    {fees.discount > 0 && (
+      <div className="flex justify-between">
+        <span>{fees.tierLabel} Fee:</span>
+        <span>{formatMoney(fees.baseFee, fees.currency)}</span>
+      </div>
+    )}
+    {fees.discount > 0 && (
+      <div className="flex justify-between text-green-700">
+        <span>
+          {fees.waivedBy
+            ? `Waived (sponsored by ${fees.waivedBy})`
+            : fees.bundlePercent ? `Bundle ${fees.bundlePercent}% off` : `Promo ${fees.promoCode}`}:
+        </span>
+        <span>-{formatMoney(fees.discount, fees.currency)}</span>
+      </div>
+    )}
+    <div className="flex justify-between">
+      <span>Entry Fee{fees.discount > 0 ? '' : ` (${fees.tierLabel})`}:</span>
+      <span>{formatMoney(fees.entryFee, fees.currency)}</span>
+    </div>
+    <div className="flex justify-between">
+      <span>Processing Fee:</span>
+      <span>{formatMoney(fees.stripeFee, fees.currency)}</span>
+    </div>
+    <div className={`flex justify-between font-medium border-t ${totalClassName}`}>
+      <span>Total:</span>
+      <span>{formatMoney(fees.totalAmount, fees.currency)}</span>
+    </div>
+  </div>
+);
+
+const EntryForm = ({ draft, onDraftChange }) => {
+  const { authFetch } = useAuth();
+  const { competition, loading: competitionLoading } = useCompetition();
   const stripe = useStripe();
   const elements = useElements();
-  const [formData, setFormData] = useState({
-    category: '',
-    entryType: '',
-    title: '',
-    description: '',
-    textContent: '',
-    videoUrl: '',
-    file: null
-  });
-  const [fees, setFees] = useState({
-    entryFee: 0,
-    stripeFee: 0,
-    totalAmount: 0
-  });
+  const [formData, setFormData] = useState(() => formFromDraft(draft || undefined));
+  const [draftId, setDraftId] = useState(draft ? draft._id : null);
+  const [draftFile, setDraftFile] = useState(draft && draft.fileName ? { fileName: draft.fileName } : null);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [savedAt, setSavedAt] = useState(draft ? draft.updatedAt : null);
+  const [saveError, setSaveError] = useState('');
+  // Set once the card has been charged, so the entry can be submitted
+  // (again) without paying twice
+  const [paidIntentId, setPaidIntentId] = useState(null);
+  const resumedRef = useRef(false);
+  const [fees, setFees] = useState(emptyFees);
+  const [quoted, setQuoted] = useState(false);
+  const [promoError, setPromoError] = useState('');
   const [clientSecret, setClientSecret] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // { field: message } shown under the inputs, from the form or the API
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState('');
   const [step, setStep] = useState(1);
   const [stripeLoaded, setStripeLoaded] = useState(false);
+  // Drafts waiting to be paid for together, and the checkout paying for them
+  const [cart, setCart] = useState([]);
+  const [checkout, setCheckout] = useState(null);
+  const [checkoutPaid, setCheckoutPaid] = useState(false);
 
   useEffect(() => {
     if (stripe && elements) {
@@ -45,108 +126,257 @@ const EntryForm = ({ userId }) => {
     }
   }, [stripe, elements]);
 
-  const categories = [
-    { value: 'business', label: 'Business', fee: 49 },
-    { value: 'creative', label: 'Creative', fee: 49 },
-    { value: 'technology', label: 'Technology', fee: 99 },
-    { value: 'social-impact', label: 'Social Impact', fee: 49 }
-  ];
+  // Categories, fees and limits come from the current competition season
+  const categories = competition ? competition.categories : [];
+  const selectedCategory = categories.find(c => c.key === formData.category);
+  const wordLimits = selectedCategory ? selectedCategory.wordLimits : DEFAULT_WORD_LIMITS;
+  const currencies = competition ? competition.currencies : [];
+  const currency = formData.currency || currencies[0] || 'usd';
 
   const entryTypes = [
-    { value: 'text', label: 'Text Entry (100-2000 words)' },
+    { value: 'text', label: `Text Entry (${wordLimits.min}-${wordLimits.max} words)` },
     { value: 'pitch-deck', label: 'Pitch Deck (PDF/PPT, max 25MB)' },
     { value: 'video', label: 'Video (YouTube/Vimeo link)' }
-  ];
+  ].filter(type => !selectedCategory || selectedCategory.entryTypes.includes(type.value));
+
+  // The next bundle discount the cart can reach, if any
+  const bundleDiscounts = competition && competition.bundleDiscounts ? competition.bundleDiscounts : [];
+  const nextBundle = [...bundleDiscounts]
+    .sort((a, b) => a.minEntries - b.minEntries)
+    .find(bundle => bundle.minEntries > cart.length);
 
-  const handleCategoryChange = async (category) => {
-    setFormData(prev => ({ ...prev, category }));
-    if (category && formData.entryType) {
+  // Creates the draft on its first save and updates it afterwards. Returns the
+  // saved draft, or null when saving failed.
+  const saveDraft = useCallback(async ({ file, inCart } = {}) => {
+    setSaving(true);
+    setDirty(false);
+    try {
+      const fields = Object.fromEntries(DRAFT_FIELDS.map(field => [field, formData[field]]));
+      fields.competitionId = competition ? competition._id : '';
+      if (inCart !== undefined) fields.inCart = inCart;
+      let body = JSON.stringify(fields);
+      if (file) {
+        body = new FormData();
+        Object.entries(fields).forEach(([key, value]) => body.append(key, value));
+        body.append('file', file);
+      }
+      const response = await authFetch(`${API_BASE_URL}/api/drafts${draftId ? `/${draftId}` : ''}`, {
+        method: draftId ? 'PATCH' : 'POST',
+        ...(!file && { headers: { 'Content-Type': 'application/json' } }),
+        body,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to save draft');
+      }
+      setDraftId(data._id);
+      setSavedAt(data.updatedAt);
+      setSaveError('');
+      if (onDraftChange) onDraftChange(data);
+      return data;
+    } catch (err) {
+      console.error('Error saving draft:', err);
+      setSaveError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [authFetch, competition, draftId, formData, onDraftChange]);
+
+  // Autosaves shortly after the participant stops typing
+  useEffect(() => {
+    if (!dirty || saving) return;
+    const timer = setTimeout(() => saveDraft(), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [dirty, saving, saveDraft]);
+
+  // The cart survives reloads as drafts flagged inCart
+  useEffect(() => {
+    if (!competition) return;
+    const loadCart = async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}/api/create-payment-intent`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ category, entryType: formData.entryType }),
-        });
-        if (!response.ok) {
-          throw new Error('Failed to calculate fees');
+        const response = await authFetch(`${API_BASE_URL}/api/drafts`);
+        if (!response.ok) return;
+        const drafts = await response.json();
+        setCart(drafts.filter(d => d.inCart && d.competitionId === competition._id));
+      } catch (err) {
+        console.error('Error loading cart:', err);
+      }
+    };
+    loadCart();
+  }, [authFetch, competition]);
+
+  // Asks the server for the price breakdown (tier, promo code, waiver)
+  const requestQuote = useCallback(async ({ category, entryType, promoCode, currency: chosenCurrency, draftId: quoteDraftId = draftId }) => {
+    const response = await authFetch(`${API_BASE_URL}/api/create-payment-intent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        competitionId: competition._id,
+        category,
+        entryType,
+        promoCode,
+        currency: chosenCurrency || currency,
+        draftId: quoteDraftId || undefined
+      }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const error = new Error(data.error || 'Failed to calculate fees');
+      error.field = data.field;
+      throw error;
+    }
+    setFees({ ...emptyFees, ...data });
+    setQuoted(true);
+    setClientSecret(data.clientSecret);
+    return data;
+  }, [authFetch, competition, currency, draftId]);
+
+  // A resumed draft continues at the payment step when its payment was
+  // started (or already made) for what is in the draft
+  useEffect(() => {
+    if (resumedRef.current || !competition) return;
+    resumedRef.current = true;
+    if (!draft || !draft.category || !draft.entryType) return;
+
+    const resume = async () => {
+      const ready = validateEntry(formFromDraft(draft), {
+        requireFile: !draft.fileName,
+        categories: competition.categories
+      }).length === 0;
+      try {
+        if (draft.paymentIntentId) {
+          const response = await authFetch(`${API_BASE_URL}/api/drafts/${draft._id}/payment`);
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || 'Failed to load the draft payment');
+          }
+          if (['succeeded', 'processing'].includes(data.status)) {
+            setFormData(prev => ({ ...prev, category: data.category, entryType: data.entryType, currency: data.quote.currency }));
+            setFees({ ...emptyFees, ...data.quote });
+            setQuoted(true);
+            setPaidIntentId(data.paymentIntentId);
+            setStep(2);
+            return;
+          }
+          if (data.clientSecret && ready && data.category === draft.category && data.entryType === draft.entryType) {
+            setFees({ ...emptyFees, ...data.quote });
+            setQuoted(true);
+            setClientSecret(data.clientSecret);
+            setStep(2);
+            return;
+          }
         }
-        const data = await response.json();
-        setFees({ entryFee: data.entryFee, stripeFee: data.stripeFee, totalAmount: data.totalAmount });
-        setClientSecret(data.clientSecret);
+        await requestQuote(formFromDraft(draft));
+      } catch (err) {
+        setError('Failed to resume draft: ' + err.message);
+      }
+    };
+    resume();
+  }, [authFetch, competition, draft, requestQuote]);
+
+  // Starts over with an empty form; the current draft stays in My Entries
+  const startNewEntry = () => {
+    setFormData({ ...formFromDraft(), currency: formData.currency, billingName: formData.billingName, vatId: formData.vatId });
+    setDraftId(null);
+    setDraftFile(null);
+    setSavedAt(null);
+    setSaveError('');
+    setDirty(false);
+    setPaidIntentId(null);
+    setFees(emptyFees);
+    setQuoted(false);
+    setClientSecret('');
+    setError('');
+    setFieldErrors({});
+    setStep(1);
+    if (onDraftChange) onDraftChange(null);
+  };
+
+  // Pitch decks are uploaded to the draft as soon as they are picked
+  const uploadDraftFile = async (file) => {
+    const errors = validateEntry({ entryType: 'pitch-deck', file }, { partial: true });
+    if (errors.length > 0) {
+      setFieldErrors(prev => ({ ...prev, file: errors[0].message }));
+      return;
+    }
+    const saved = await saveDraft({ file });
+    if (saved) {
+      setDraftFile({ fileName: saved.fileName });
+      setFormData(prev => ({ ...prev, file: null }));
+    }
+  };
+
+  // Re-prices the entry after a category, entry type or currency change
+  const updateQuote = async (changes) => {
+    const next = { ...formData, ...changes };
+    if (next.category && next.entryType) {
+      try {
+        await requestQuote(next);
+        setPromoError('');
       } catch (err) {
-        setError('Failed to calculate fees: ' + err.message);
+        if (err.field === 'promoCode') {
+          setPromoError(err.message);
+        } else {
+          setError('Failed to calculate fees: ' + err.message);
+        }
       }
     }
   };
 
+  const handleApplyPromoCode = async () => {
+    if (!formData.category || !formData.entryType) {
+      setPromoError('Choose a category and entry type first');
+      return;
+    }
+    try {
+      await requestQuote(formData);
+      setPromoError('');
+    } catch (err) {
+      setPromoError(err.message);
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, files } = e.target;
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
     if (name === 'file') {
       setFormData(prev => ({ ...prev, file: files[0] }));
+      if (files[0]) uploadDraftFile(files[0]);
     } else {
       setFormData(prev => ({ ...prev, [name]: value }));
+      setDirty(true);
     }
-    if (name === 'category') {
-      handleCategoryChange(value);
-    } else if (name === 'entryType' && formData.category) {
-      handleCategoryChange(formData.category);
+    if (name === 'promoCode') {
+      setPromoError('');
+    } else if (name === 'category') {
+      // Drop an entry type the new category doesn't accept
+      const settings = categories.find(c => c.key === value);
+      const entryType = settings && !settings.entryTypes.includes(formData.entryType) ? '' : formData.entryType;
+      setFormData(prev => ({ ...prev, entryType }));
+      updateQuote({ category: value, entryType });
+    } else if (name === 'entryType' || name === 'currency') {
+      updateQuote({ [name]: value });
     }
   };
 
   const validateForm = () => {
-    const { category, entryType, title, textContent, videoUrl, file } = formData;
-    if (!category || !entryType || !title.trim()) {
-      setError('Please fill in all required fields');
-      return false;
-    }
-    if (title.length < 5 || title.length > 100) {
-      setError('Title must be between 5-100 characters');
+    const errors = validateEntry(formData, { categories, requireFile: !draftFile });
+    setFieldErrors(toFieldErrors(errors));
+    if (errors.length > 0) {
+      setError('Please fix the highlighted fields');
       return false;
     }
-    if (entryType === 'text') {
-      if (!textContent.trim()) {
-        setError('Text content is required for text entries');
-        return false;
-      }
-      const wordCount = textContent.trim().split(/\s+/).filter(word => word.length > 0).length;
-      if (wordCount < 100 || wordCount > 2000) {
-        setError(`Text entries must be between 100-2000 words. Current: ${wordCount} words`);
-        return false;
-      }
-    }
-    if (entryType === 'pitch-deck' && !file) {
-      setError('Please upload a pitch deck file');
-      return false;
-    }
-    if (entryType === 'pitch-deck' && file) {
-      const maxSize = 25 * 1024 * 1024;
-      if (file.size > maxSize) {
-        setError('File size must be less than 25MB');
-        return false;
-      }
-      const allowedTypes = ['application/pdf', 'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'];
-      if (!allowedTypes.includes(file.type)) {
-        setError('Only PDF, PPT, and PPTX files are allowed');
-        return false;
-      }
-    }
-    if (entryType === 'video') {
-      if (!videoUrl.trim()) {
-        setError('Video URL is required for video entries');
-        return false;
-      }
-      const urlPattern = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be|vimeo\.com)/i;
-      if (!urlPattern.test(videoUrl)) {
-        setError('Please provide a valid YouTube or Vimeo URL');
-        return false;
-      }
-    }
     return true;
   };
 
   const handleFormSubmit = async (e) => {
     e.preventDefault();
     if (!validateForm()) return;
+    if (paidIntentId) {
+      setStep(2);
+      return;
+    }
     if (!stripe) {
       setError('Stripe is not loaded yet. Please wait and try again.');
       return;
@@ -154,51 +384,182 @@ const EntryForm = ({ userId }) => {
     setLoading(true);
     setError('');
     try {
-      const response = await fetch(`${API_BASE_URL}/api/create-payment-intent`, {
-        method: 'POST',
+      // Payments are recorded on the draft so they can be picked up later
+      const saved = await saveDraft();
+      await requestQuote({ ...formData, draftId: saved ? saved._id : draftId });
+      setStep(2);
+    } catch (err) {
+      if (err.field === 'promoCode') setPromoError(err.message);
+      setError('Failed to initialize payment: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Parks the entry in the cart and starts another one
+  const handleAddToCart = async () => {
+    if (!validateForm()) return;
+    setError('');
+    const saved = await saveDraft({ inCart: true });
+    if (!saved) {
+      setError('Failed to add the entry to your cart. Please try again.');
+      return;
+    }
+    setCart(prev => [...prev.filter(d => d._id !== saved._id), saved]);
+    startNewEntry();
+    setSuccess(`"${saved.title}" was added to your cart.`);
+  };
+
+  const handleRemoveFromCart = async (item) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/drafts/${item._id}`, {
+        method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ category: formData.category, entryType: formData.entryType }),
+        body: JSON.stringify({ inCart: false }),
       });
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to create payment intent');
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to remove entry from cart');
       }
+      setCart(prev => prev.filter(d => d._id !== item._id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Turns a paid checkout into entries; safe to retry after a failure
+  const completeCheckout = async (checkoutId) => {
+    const response = await authFetch(`${API_BASE_URL}/api/checkout/${checkoutId}/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ billingName: formData.billingName, vatId: formData.vatId }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const problems = (data.drafts || []).map(d => d.title ? `${d.title}: ${d.error}` : d).join('; ');
+      throw new Error([data.error || 'Failed to submit entries', problems].filter(Boolean).join(' - '));
+    }
+    setCart([]);
+    setCheckout(null);
+    setCheckoutPaid(false);
+    startNewEntry();
+    setSuccess(`${data.entryIds.length} entries submitted successfully! Confirmation emails are on their way.`);
+  };
+
+  const handleCheckout = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/checkout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          competitionId: competition._id,
+          currency,
+          draftIds: cart.map(d => d._id)
+        }),
+      });
       const data = await response.json();
-      setFees({ entryFee: data.entryFee, stripeFee: data.stripeFee, totalAmount: data.totalAmount });
-      setClientSecret(data.clientSecret);
-      setStep(2);
+      // An earlier checkout was paid but never completed
+      if (response.status === 409 && data.checkoutId) {
+        await completeCheckout(data.checkoutId);
+        return;
+      }
+      if (!response.ok) {
+        const problems = (data.drafts || []).map(d => d.title ? `${d.title}: ${d.error}` : d).join('; ');
+        throw new Error([data.error || 'Failed to start checkout', problems].filter(Boolean).join(' - '));
+      }
+      setCheckout({ ...data, tierLabel: data.items[0].tierLabel });
+      setCheckoutPaid(false);
+      setStep(3);
     } catch (err) {
-      setError('Failed to initialize payment: ' + err.message);
+      setError('Checkout failed: ' + err.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const handlePaymentSubmit = async (e) => {
+  const handleCheckoutPayment = async (e) => {
     e.preventDefault();
-    if (!stripe || !elements || !clientSecret) {
+    if (!checkoutPaid && (!stripe || !elements)) {
       setError('Payment system not ready. Please refresh and try again.');
       return;
     }
     setLoading(true);
     setError('');
-    const cardElement = elements.getElement(CardElement);
-    const { error: paymentError, paymentIntent } = await stripe.confirmCardPayment(clientSecret, {
-      payment_method: { card: cardElement },
-    });
-    if (paymentError) {
-      setError(paymentError.message);
+    try {
+      if (!checkoutPaid) {
+        const result = await stripe.confirmCardPayment(checkout.clientSecret, {
+          payment_method: {
+            card: elements.getElement(CardElement),
+            ...(formData.billingName && { billing_details: { name: formData.billingName } })
+          },
+        });
+        if (result.error) {
+          setError(result.error.message);
+          return;
+        }
+        setCheckoutPaid(true);
+      }
+      await completeCheckout(checkout.checkoutId);
+    } catch (err) {
+      setError('Failed to submit entries: ' + err.message);
+    } finally {
       setLoading(false);
+    }
+  };
+
+  // Billing details are sent with the checkout rather than saved to a draft
+  const handleBillingChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handlePaymentSubmit = async (e) => {
+    e.preventDefault();
+    // Waived and fully discounted entries skip the card payment
+    const isFree = fees.totalAmount === 0;
+    if (!isFree && !paidIntentId && (!stripe || !elements || !clientSecret)) {
+      setError('Payment system not ready. Please refresh and try again.');
       return;
     }
+    setLoading(true);
+    setError('');
+    let paymentIntentId = paidIntentId;
+    if (!isFree && !paymentIntentId) {
+      const cardElement = elements.getElement(CardElement);
+      const result = await stripe.confirmCardPayment(clientSecret, {
+        payment_method: {
+          card: cardElement,
+          ...(formData.billingName && { billing_details: { name: formData.billingName } })
+        },
+      });
+      if (result.error) {
+        setError(result.error.message);
+        setLoading(false);
+        return;
+      }
+      paymentIntentId = result.paymentIntent.id;
+      setPaidIntentId(paymentIntentId);
+    }
     try {
       const submitData = new FormData();
-      submitData.append('userId', userId);
+      submitData.append('competitionId', competition._id);
+      submitData.append('currency', fees.currency);
       submitData.append('category', formData.category);
       submitData.append('entryType', formData.entryType);
       submitData.append('title', formData.title);
       submitData.append('description', formData.description);
-      submitData.append('paymentIntentId', paymentIntent.id);
+      submitData.append('billingName', formData.billingName);
+      submitData.append('vatId', formData.vatId);
+      if (draftId) {
+        submitData.append('draftId', draftId);
+      }
+      if (paymentIntentId) {
+        submitData.append('paymentIntentId', paymentIntentId);
+      } else if (formData.promoCode) {
+        submitData.append('promoCode', formData.promoCode);
+      }
       if (formData.entryType === 'text') {
         submitData.append('textContent', formData.textContent);
       } else if (formData.entryType === 'pitch-deck' && formData.file) {
@@ -206,28 +567,25 @@ const EntryForm = ({ userId }) => {
       } else if (formData.entryType === 'video') {
         submitData.append('videoUrl', formData.videoUrl);
       }
-      const response = await fetch(`${API_BASE_URL}/api/entries`, {
+      const response = await authFetch(`${API_BASE_URL}/api/entries`, {
         method: 'POST',
         body: submitData,
       });
       if (!response.ok) {
         const errorData = await response.json();
+        const responseFieldErrors = getResponseFieldErrors(errorData);
+        // Back to the form to fix them; a payment already made is kept
+        if (Object.keys(responseFieldErrors).length > 0) {
+          setFieldErrors(responseFieldErrors);
+          setStep(1);
+        }
         throw new Error(errorData.error || 'Failed to submit entry');
       }
       const data = await response.json();
-      setSuccess('Entry submitted successfully! Entry ID: ' + data.entryId);
-      setFormData({
-        category: '',
-        entryType: '',
-        title: '',
-        description: '',
-        textContent: '',
-        videoUrl: '',
-        file: null
-      });
-      setFees({ entryFee: 0, stripeFee: 0, totalAmount: 0 });
-      setClientSecret('');
-      setStep(1);
+      setSuccess('Entry submitted successfully! Entry ID: ' + data.entryId + '. A confirmation email is on its way.');
+      setCart(prev => prev.filter(d => d._id !== draftId));
+      // Sponsors submitting several entries keep their billing details
+      startNewEntry();
     } catch (err) {
       setError('Failed to submit entry: ' + err.message);
     } finally {
@@ -235,8 +593,60 @@ const EntryForm = ({ userId }) => {
     }
   };
 
+  if (competitionLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading competition...</p>
+        </div>
+      </div>
+    );
+  }
+
+  // A finished payment step can still submit after the window closes
+  if ((!competition || !competition.isOpen) && step === 1) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8 text-center">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Submissions are closed</h2>
+        <p className="text-gray-600">
+          {competition
+            ? `${competition.name} accepted entries until ${new Date(competition.closesAt).toLocaleDateString()}.`
+            : 'No competition is open for entries right now.'}
+        </p>
+        {success && <p className="mt-4 text-green-700">{success}</p>}
+      </div>
+    );
+  }
+
   return (
     <div className="bg-white rounded-lg shadow-md p-8">
+      {competition && (
+        <p className="mb-6 text-sm text-gray-600">
+          Entering <span className="font-medium">{competition.name}</span> • closes {new Date(competition.closesAt).toLocaleDateString()}
+        </p>
+      )}
+      {(draftId || saving || saveError) && (
+        <div className="mb-6 flex justify-between items-center text-xs text-gray-500">
+          <span className={saveError ? 'text-red-600' : ''}>
+            {saving
+              ? 'Saving draft...'
+              : saveError
+                ? `Draft not saved: ${saveError}`
+                : savedAt && `Draft saved at ${new Date(savedAt).toLocaleTimeString()}`}
+          </span>
+          {draftId && !loading && (
+            <button type="button" onClick={startNewEntry} className="text-blue-600 hover:text-blue-800 underline">
+              Start a new entry
+            </button>
+          )}
+        </div>
+      )}
+      {paidIntentId && step === 1 && (
+        <div className="mb-6 p-4 bg-blue-50 text-blue-800 rounded-md text-sm">
+          Your payment has been received. The category, entry type and currency it covers can no longer be changed.
+        </div>
+      )}
       {success && (
         <div className="mb-6 p-4 bg-green-100 text-green-700 rounded-md">
           {success}
@@ -259,6 +669,49 @@ const EntryForm = ({ userId }) => {
           </button>
         </div>
       )}
+      {step === 1 && (cart.length > 0 || bundleDiscounts.length > 0) && (
+        <div className="mb-6 bg-gray-50 border rounded-md p-4">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-lg font-medium text-gray-900">🛒 Cart ({cart.length})</h3>
+            {cart.length > 0 && (
+              <button
+                type="button"
+                onClick={handleCheckout}
+                disabled={loading}
+                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Checkout {cart.length} {cart.length === 1 ? 'entry' : 'entries'}
+              </button>
+            )}
+          </div>
+          {cart.length > 0 ? (
+            <ul className="divide-y text-sm">
+              {cart.map(item => (
+                <li key={item._id} className="py-2 flex justify-between items-center">
+                  <span>
+                    <span className="font-medium">{item.title}</span>
+                    <span className="text-gray-500"> • {categories.find(c => c.key === item.category)?.label || item.category} • {item.entryType}</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveFromCart(item)}
+                    className="text-red-600 hover:text-red-800 text-xs underline"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-600">Entering several categories? Add entries to your cart and pay for them at once.</p>
+          )}
+          {nextBundle && (
+            <p className="mt-2 text-xs text-green-700">
+              Add {nextBundle.minEntries - cart.length} more {nextBundle.minEntries - cart.length === 1 ? 'entry' : 'entries'} to get {nextBundle.percent}% off each entry fee.
+            </p>
+          )}
+        </div>
+      )}
       {step === 1 && (
         <form onSubmit={handleFormSubmit} className="space-y-6">
           <div>
@@ -267,21 +720,40 @@ const EntryForm = ({ userId }) => {
               name="category"
               value={formData.category}
               onChange={handleInputChange}
+              disabled={Boolean(paidIntentId)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
               required
             >
               <option value="">Select a category</option>
               {categories.map(cat => (
-                <option key={cat.value} value={cat.value}>{cat.label} (${cat.fee})</option>
+                <option key={cat.key} value={cat.key}>{cat.label} ({formatMoney(getCurrentPrice(competition, cat, currency), currency)})</option>
               ))}
             </select>
+            <FieldError message={fieldErrors.category} />
           </div>
+          {currencies.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Currency</label>
+              <select
+                name="currency"
+                value={currency}
+                onChange={handleInputChange}
+                disabled={Boolean(paidIntentId)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {currencies.map(code => (
+                  <option key={code} value={code}>{code.toUpperCase()}</option>
+                ))}
+              </select>
+            </div>
+          )}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Entry Type *</label>
             <select
               name="entryType"
               value={formData.entryType}
               onChange={handleInputChange}
+              disabled={Boolean(paidIntentId)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
               required
             >
@@ -290,6 +762,7 @@ const EntryForm = ({ userId }) => {
                 <option key={type.value} value={type.value}>{type.label}</option>
               ))}
             </select>
+            <FieldError message={fieldErrors.entryType} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Title *</label>
@@ -303,6 +776,7 @@ const EntryForm = ({ userId }) => {
               required
             />
             <p className="mt-1 text-xs text-gray-500">{formData.title.length}/100 characters</p>
+            <FieldError message={fieldErrors.title} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
@@ -315,24 +789,19 @@ const EntryForm = ({ userId }) => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
             />
             <p className="mt-1 text-xs text-gray-500">{formData.description.length}/500 characters</p>
+            <FieldError message={fieldErrors.description} />
           </div>
           {formData.entryType === 'text' && (
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Text Content *</label>
-              <textarea
+              <MarkdownEditor
                 name="textContent"
                 value={formData.textContent}
                 onChange={handleInputChange}
-                placeholder="Enter your text content here (100-2000 words)"
-                rows={10}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                placeholder={`Enter your text content here (${wordLimits.min}-${wordLimits.max} words)`}
                 required
               />
-              {formData.textContent && (
-                <p className="mt-1 text-xs text-gray-500">
-                  Word count: {formData.textContent.trim().split(/\s+/).filter(word => word.length > 0).length} words
-                </p>
-              )}
+              <FieldError message={fieldErrors.textContent} />
             </div>
           )}
           {formData.entryType === 'pitch-deck' && (
@@ -344,9 +813,13 @@ const EntryForm = ({ userId }) => {
                 onChange={handleInputChange}
                 accept=".pdf,.ppt,.pptx"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                required
+                required={!draftFile}
               />
               <p className="mt-1 text-xs text-gray-500">Accepted formats: PDF, PPT, PPTX (max 25MB)</p>
+              <FieldError message={fieldErrors.file} />
+              {draftFile && (
+                <p className="mt-1 text-xs text-green-700">📎 {draftFile.fileName} uploaded. Choose another file to replace it.</p>
+              )}
             </div>
           )}
           {formData.entryType === 'video' && (
@@ -362,28 +835,49 @@ const EntryForm = ({ userId }) => {
                 required
               />
               <p className="mt-1 text-xs text-gray-500">YouTube and Vimeo links only</p>
+              <FieldError message={fieldErrors.videoUrl} />
             </div>
           )}
-          {fees.totalAmount > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Promo Code</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                name="promoCode"
+                value={formData.promoCode}
+                onChange={handleInputChange}
+                disabled={Boolean(paidIntentId)}
+                placeholder="Optional"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm uppercase focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                type="button"
+                onClick={handleApplyPromoCode}
+                disabled={!formData.promoCode.trim() || Boolean(paidIntentId)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Apply
+              </button>
+            </div>
+            {promoError && <p className="mt-1 text-xs text-red-600">{promoError}</p>}
+          </div>
+          {quoted && (
             <div className="bg-gray-50 rounded-md p-4">
               <h3 className="text-lg font-medium text-gray-900 mb-2">Fee Summary</h3>
-              <div className="space-y-1 text-sm">
-                <div className="flex justify-between">
-                  <span>Entry Fee:</span>
-                  <span>${fees.entryFee.toFixed(2)}</span> {/* Fixed: Removed /100 */}
-                </div>
-                <div className="flex justify-between">
-                  <span>Processing Fee:</span>
-                  <span>${fees.stripeFee.toFixed(2)}</span> {/* Fixed: Removed /100 */}
-                </div>
-                <div className="flex justify-between font-medium pt-1 border-t">
-                  <span>Total:</span>
-                  <span>${fees.totalAmount.toFixed(2)}</span> {/* Fixed: Removed /100 */}
-                </div>
-              </div>
+              <FeeLines fees={fees} totalClassName="pt-1" />
             </div>
           )}
           <div className="flex justify-end space-x-4">
+            {!paidIntentId && (
+              <button
+                type="button"
+                onClick={handleAddToCart}
+                disabled={loading || saving}
+                className="inline-flex items-center px-6 py-3 border border-gray-300 rounded-md shadow-sm text-base font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Add to Cart
+              </button>
+            )}
             <button
               type="submit"
               disabled={loading}
@@ -395,7 +889,7 @@ const EntryForm = ({ userId }) => {
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
               )}
-              {loading ? 'Processing...' : 'Continue to Payment'}
+              {loading ? 'Processing...' : paidIntentId ? 'Continue to Submit' : 'Continue to Payment'}
             </button>
           </div>
         </form>
@@ -406,40 +900,68 @@ const EntryForm = ({ userId }) => {
     <div className="bg-gray-50 rounded-md p-4 mb-6">
       <h3 className="text-lg font-medium text-gray-900 mb-2">Entry Summary</h3>
       <div className="space-y-1 text-sm">
-        <div><span className="font-medium">Category:</span> {categories.find(c => c.value === formData.category)?.label}</div>
+        <div><span className="font-medium">Category:</span> {selectedCategory?.label}</div>
         <div><span className="font-medium">Type:</span> {entryTypes.find(t => t.value === formData.entryType)?.label}</div>
         <div><span className="font-medium">Title:</span> {formData.title}</div>
       </div>
     </div>
-    <div>
-      <label className="block text-sm font-medium text-gray-700 mb-2">Card Information</label>
-      <div className="p-3 border border-gray-300 rounded-md mb-2">
-        <CardElement options={cardElementOptions} />
+    {fees.totalAmount > 0 && (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Billing Name</label>
+          <input
+            type="text"
+            name="billingName"
+            value={formData.billingName}
+            onChange={handleInputChange}
+            maxLength={200}
+            placeholder="Company or person on the invoice"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">VAT ID</label>
+          <input
+            type="text"
+            name="vatId"
+            value={formData.vatId}
+            onChange={handleInputChange}
+            maxLength={50}
+            placeholder="Optional"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <p className="md:col-span-2 text-xs text-gray-500">
+          Shown on your invoice, which you can download from My Entries once the payment goes through.
+        </p>
       </div>
-      <div className="text-sm text-gray-500">
-        <p>Use test card <code className="bg-gray-100 px-1 rounded">4242 4242 4242 4242</code></p>
-        <p>12/28 (M/Y)</p>
-        <p>123 (CVC)</p>
-        <p>10001 (ZIP)</p>
-        <p className="text-xs mt-1">For test payments only.</p>
+    )}
+    {paidIntentId ? (
+      <div className="p-4 bg-green-50 text-green-800 rounded-md text-sm">
+        Your payment has been received. Submit to finish your entry.
       </div>
-    </div>
-    <div className="bg-gray-50 rounded-md p-4">
-      <h3 className="text-lg font-medium text-gray-900 mb-2">Payment Summary</h3>
-      <div className="space-y-1 text-sm">
-        <div className="flex justify-between">
-          <span>Entry Fee:</span>
-          <span>${fees.entryFee.toFixed(2)}</span>
+    ) : fees.totalAmount > 0 ? (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Card Information</label>
+        <div className="p-3 border border-gray-300 rounded-md mb-2">
+          <CardElement options={cardElementOptions} />
         </div>
-        <div className="flex justify-between">
-          <span>Processing Fee:</span>
-          <span>${fees.stripeFee.toFixed(2)}</span>
-        </div>
-        <div className="flex justify-between font-medium text-lg pt-2 border-t">
-          <span>Total:</span>
-          <span>${fees.totalAmount.toFixed(2)}</span>
+        <div className="text-sm text-gray-500">
+          <p>Use test card <code className="bg-gray-100 px-1 rounded">4242 4242 4242 4242</code></p>
+          <p>12/28 (M/Y)</p>
+          <p>123 (CVC)</p>
+          <p>10001 (ZIP)</p>
+          <p className="text-xs mt-1">For test payments only.</p>
         </div>
       </div>
+    ) : (
+      <div className="p-4 bg-green-50 text-green-800 rounded-md text-sm">
+        No payment is needed for this entry.
+      </div>
+    )}
+    <div className="bg-gray-50 rounded-md p-4">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">Payment Summary</h3>
+      <FeeLines fees={fees} totalClassName="text-lg pt-2" />
     </div>
     <div className="flex justify-between">
       <button
@@ -451,7 +973,7 @@ const EntryForm = ({ userId }) => {
       </button>
       <button
         type="submit"
-        disabled={loading || !stripe}
+        disabled={loading || (fees.totalAmount > 0 && !paidIntentId && !stripe)}
         className="inline-flex items-center px-6 py-3 border border-transparent rounded-md shadow-sm text-base font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
       >
         {loading && (
@@ -460,11 +982,93 @@ const EntryForm = ({ userId }) => {
             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
           </svg>
         )}
-        {loading ? 'Processing Payment...' : `Pay $${fees.totalAmount.toFixed(2)}`}
+        {loading
+          ? 'Processing Payment...'
+          : fees.totalAmount > 0 && !paidIntentId ? `Pay ${formatMoney(fees.totalAmount, fees.currency)}` : 'Submit Entry'}
       </button>
     </div>
   </form>
 )}
+
+      {step === 3 && checkout && (
+        <form onSubmit={handleCheckoutPayment} className="space-y-6">
+          <div className="bg-gray-50 rounded-md p-4">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Cart Summary</h3>
+            <ul className="space-y-1 text-sm">
+              {checkout.items.map(item => (
+                <li key={item.draftId} className="flex justify-between">
+                  <span>{item.title} <span className="text-gray-500">({categories.find(c => c.key === item.category)?.label || item.category})</span></span>
+                  <span>{formatMoney(item.totalAmount, checkout.currency)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Billing Name</label>
+              <input
+                type="text"
+                name="billingName"
+                value={formData.billingName}
+                onChange={handleBillingChange}
+                maxLength={200}
+                placeholder="Company or person on the invoices"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">VAT ID</label>
+              <input
+                type="text"
+                name="vatId"
+                value={formData.vatId}
+                onChange={handleBillingChange}
+                maxLength={50}
+                placeholder="Optional"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <p className="md:col-span-2 text-xs text-gray-500">
+              Each entry gets its own invoice, downloadable from My Entries.
+            </p>
+          </div>
+          {checkoutPaid ? (
+            <div className="p-4 bg-green-50 text-green-800 rounded-md text-sm">
+              Your payment has been received. Submit to finish your entries.
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Card Information</label>
+              <div className="p-3 border border-gray-300 rounded-md">
+                <CardElement options={cardElementOptions} />
+              </div>
+            </div>
+          )}
+          <div className="bg-gray-50 rounded-md p-4">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Payment Summary</h3>
+            <FeeLines fees={checkout} totalClassName="text-lg pt-2" />
+          </div>
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={() => setStep(1)}
+              disabled={loading || checkoutPaid}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Back to Cart
+            </button>
+            <button
+              type="submit"
+              disabled={loading || (!checkoutPaid && !stripe)}
+              className="inline-flex items-center px-6 py-3 border border-transparent rounded-md shadow-sm text-base font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading
+                ? 'Processing Payment...'
+                : checkoutPaid ? 'Submit Entries' : `Pay ${formatMoney(checkout.totalAmount, checkout.currency)}`}
+            </button>
+          </div>
+        </form>
+      )}
     </div>
   );
 };
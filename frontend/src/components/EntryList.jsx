@@ -1,36 +1,155 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import useAuth from '../auth/useAuth';
+import useCompetition from '../competition/useCompetition';
+import EntryEditForm from './EntryEditForm';
+import EntryFilters from './EntryFilters';
+import TeamPanel from './TeamPanel';
+import MarkdownContent from './MarkdownContent';
+import VideoEmbed from './VideoEmbed';
+import DeckViewer from './DeckViewer';
+import { countWords } from '../utils/entryValidation';
+import { formatMoney } from '../utils/money';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
-const EntryList = ({ userId }) => {
+const PAGE_SIZE = 20;
+const SEARCH_DELAY_MS = 300;
+const EMPTY_FILTERS = { category: [], entryType: [], status: [], paymentStatus: [] };
+
+const EntryList = ({ onResumeDraft, onDraftDeleted }) => {
+  const { user, authFetch } = useAuth();
+  const { competitions } = useCompetition();
   const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [search, setSearch] = useState('');
+  // The search sent to the API, once typing pauses
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [drafts, setDrafts] = useState([]);
+  const [invitations, setInvitations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedEntry, setSelectedEntry] = useState(null);
+  const [editing, setEditing] = useState(false);
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  // Responses to an older search or filter are dropped
+  const requestRef = useRef(0);
+  const sentinelRef = useRef(null);
+  const skipReloadRef = useRef(true);
 
   useEffect(() => {
     console.log('EntryList using API_BASE_URL:', API_BASE_URL);
     fetchEntries();
-  }, [userId]);
+  }, [user.id]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // One page of entries with the current search, filters and sort order
+  const fetchEntryPage = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    Object.entries(filters).forEach(([field, values]) => {
+      if (values.length > 0) params.set(field, values.join(','));
+    });
+    if (query) params.set('q', query);
+    if (sort) params.set('sort', sort);
+    if (cursor) params.set('cursor', cursor);
+
+    const apiUrl = `${API_BASE_URL}/api/entries?${params}`;
+    console.log('Fetching entries from:', apiUrl);
+    const response = await authFetch(apiUrl);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Fetch entries response error:', errorText);
+      throw new Error(`Failed to fetch entries: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }, [authFetch, filters, query, sort]);
+
+  // Back to the first page when the search, filters or sort order change
+  const reloadEntries = useCallback(async () => {
+    const request = ++requestRef.current;
+    try {
+      setSearching(true);
+      const data = await fetchEntryPage();
+      if (request !== requestRef.current) return;
+      setEntries(data.entries);
+      setNextCursor(data.nextCursor);
+      setLoadMoreError('');
+      setError('');
+    } catch (error) {
+      if (request !== requestRef.current) return;
+      console.error('Error fetching entries:', error);
+      setError('Failed to load entries: ' + error.message);
+    } finally {
+      if (request === requestRef.current) setSearching(false);
+    }
+  }, [fetchEntryPage]);
+
+  useEffect(() => {
+    // The first page is part of the initial load
+    if (skipReloadRef.current) {
+      skipReloadRef.current = false;
+      return;
+    }
+    reloadEntries();
+  }, [reloadEntries]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const request = requestRef.current;
+    try {
+      setLoadingMore(true);
+      const data = await fetchEntryPage(nextCursor);
+      if (request !== requestRef.current) return;
+      setEntries(prev => [...prev, ...data.entries]);
+      setNextCursor(data.nextCursor);
+      setLoadMoreError('');
+    } catch (error) {
+      console.error('Error loading more entries:', error);
+      setLoadMoreError(error.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [fetchEntryPage, nextCursor, loadingMore]);
+
+  // Infinite scroll: the next page loads as the end of the list comes into
+  // view. After a failure it waits for the retry button.
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadMoreError) return undefined;
+    const observer = new IntersectionObserver((observed) => {
+      if (observed[0].isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, nextCursor, loadMoreError]);
 
   const fetchEntries = async () => {
+    const request = ++requestRef.current;
     try {
       setLoading(true);
-      const apiUrl = `${API_BASE_URL}/api/entries/${userId}`;
-      console.log('Fetching entries from:', apiUrl);
-      console.log('Fetching entries for userId:', userId);
-      
-      const response = await fetch(apiUrl);
       
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Fetch entries response error:', errorText);
-        throw new Error(`Failed to fetch entries: ${response.status} ${response.statusText}`);
-      }
+      const [data, draftsResponse, invitationsResponse] = await Promise.all([
+        fetchEntryPage(),
+        authFetch(`${API_BASE_URL}/api/drafts`),
+        authFetch(`${API_BASE_URL}/api/invitations`)
+      ]);
+      if (request !== requestRef.current) return;
       
-      const data = await response.json();
       console.log('Fetched entries:', data);
-      setEntries(data);
+      setEntries(data.entries);
+      setNextCursor(data.nextCursor);
+      setLoadMoreError('');
+      setDrafts(draftsResponse.ok ? await draftsResponse.json() : []);
+      setInvitations(invitationsResponse.ok ? await invitationsResponse.json() : []);
       setError('');
     } catch (error) {
       console.error('Error fetching entries:', error);
@@ -40,8 +159,37 @@ const EntryList = ({ userId }) => {
     }
   };
 
+  const handleToggleFilter = (field, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(selected => selected !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const handleSearchChange = (value) => {
+    setSearch(value);
+    // "Newest first" is the default again once the search is cleared
+    if (!value.trim() && sort === 'newest') setSort('');
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearch('');
+    setQuery('');
+    setSort('');
+  };
+
+  // Every category of every season, for the filter chips
+  const categories = [...new Map(competitions
+    .flatMap(competition => competition.categories || [])
+    .map(category => [category.key, { value: category.key, label: category.label }])).values()];
+
+  const hasFilters = query !== '' || Object.values(filters).some(values => values.length > 0);
+
   const handleDeleteEntry = async (entryId) => {
-    if (!window.confirm('Are you sure you want to delete this entry? This action cannot be undone.')) {
+    if (!window.confirm('Are you sure you want to delete this entry? This action cannot be undone. Entry fees are refunded before the submission deadline; the processing fee is non-refundable.')) {
       return;
     }
     try {
@@ -49,19 +197,20 @@ const EntryList = ({ userId }) => {
       const apiUrl = `${API_BASE_URL}/api/entries/${entryId}`;
       console.log('Deleting entry at:', apiUrl);
       
-      const response = await fetch(apiUrl, {
-        method: 'DELETE',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userId })
+      const response = await authFetch(apiUrl, {
+        method: 'DELETE'
       });
       
+      const data = await response.json();
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to delete entry');
+        throw new Error(data.error || 'Failed to delete entry');
       }
       
       setEntries(entries.filter(entry => entry._id !== entryId));
       setError('');
+      setNotice(data.refund && data.refund.amount > 0
+        ? `Entry deleted. ${formatMoney(data.refund.amount, data.refund.currency)} will be refunded to your card.`
+        : `Entry deleted. ${data.refund ? data.refund.reason : ''}`);
     } catch (error) {
       console.error('Error deleting entry:', error);
       setError('Failed to delete entry: ' + error.message);
@@ -70,8 +219,108 @@ const EntryList = ({ userId }) => {
     }
   };
 
+  const handleDeleteDraft = async (draftId) => {
+    if (!window.confirm('Delete this draft? Its text and any uploaded file will be lost.')) {
+      return;
+    }
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/drafts/${draftId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to delete draft');
+      }
+      setDrafts(drafts.filter(draft => draft._id !== draftId));
+      if (onDraftDeleted) onDraftDeleted(draftId);
+    } catch (error) {
+      console.error('Error deleting draft:', error);
+      window.alert('Failed to delete draft: ' + error.message);
+    }
+  };
+
+  const handleInvitation = async (invitation, answer) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/invitations/${invitation.entryId}/${answer}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to answer invitation');
+      }
+      setNotice(data.message);
+      // Accepted entries now show up in the list
+      fetchEntries();
+    } catch (error) {
+      console.error('Error answering invitation:', error);
+      window.alert('Failed to answer invitation: ' + error.message);
+    }
+  };
+
+  const handleTeamChange = (entryId, team) => {
+    setEntries(entries.map(entry => entry._id === entryId ? { ...entry, team } : entry));
+    setSelectedEntry(prev => prev && prev._id === entryId ? { ...prev, team } : prev);
+  };
+
+  const handleLeftTeam = (entryId) => {
+    setEntries(entries.filter(entry => entry._id !== entryId));
+    setSelectedEntry(null);
+    setNotice('You left the team.');
+  };
+
+  const handleGalleryOptIn = async (entry, optIn) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/entries/${entry._id}/gallery`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ optIn }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update gallery settings');
+      }
+      const update = { galleryOptIn: data.galleryOptIn };
+      setEntries(entries.map(e => e._id === entry._id ? { ...e, ...update } : e));
+      setSelectedEntry(prev => prev && prev._id === entry._id ? { ...prev, ...update } : prev);
+    } catch (error) {
+      console.error('Error updating gallery settings:', error);
+      window.alert('Failed to update gallery settings: ' + error.message);
+    }
+  };
+
+  // The invoice route needs the auth header, so it can't be a plain link
+  const handleDownloadInvoice = async (entry) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/entries/${entry._id}/invoice`);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || data.error || 'Failed to download invoice');
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoice-${entry.invoiceNumber || entry._id}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading invoice:', error);
+      // Keep the detail view open rather than swapping in the error page
+      window.alert('Failed to download invoice: ' + error.message);
+    }
+  };
+
+  const handleEntrySaved = (updatedEntry) => {
+    // Keep what only the list endpoint adds (team role, refunds, invoice)
+    const merged = { ...selectedEntry, ...updatedEntry };
+    setEntries(entries.map(entry => entry._id === updatedEntry._id ? merged : entry));
+    setSelectedEntry(merged);
+    setEditing(false);
+  };
+
+  const closeModal = () => {
+    setSelectedEntry(null);
+    setEditing(false);
+  };
+
   const getStatusColor = (status) => {
     const colors = {
+      'scan-pending': 'bg-gray-100 text-gray-800',
       'submitted': 'bg-blue-100 text-blue-800',
       'under-review': 'bg-yellow-100 text-yellow-800',
       'finalist': 'bg-green-100 text-green-800',
@@ -83,6 +332,7 @@ const EntryList = ({ userId }) => {
 
   const getStatusIcon = (status) => {
     switch (status) {
+      case 'scan-pending': return '🛡️';
       case 'submitted': return '📝';
       case 'under-review': return '👀';
       case 'finalist': return '🏆';
@@ -140,82 +390,184 @@ const EntryList = ({ userId }) => {
               </div>
             </div>
             
-            {entry.description && (
+            {entry.status === 'rejected' && entry.rejectionReason && (
+              <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+                <span className="font-medium">Reason for rejection:</span> {entry.rejectionReason}
+              </div>
+            )}
+            
+            {!editing && entry.teamRole !== 'member' && entry.status !== 'rejected' && (
+              <label className="mb-4 flex items-start gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={Boolean(entry.galleryOptIn)}
+                  onChange={(e) => handleGalleryOptIn(entry, e.target.checked)}
+                  className="mt-1"
+                />
+                <span>
+                  Show this entry in the public gallery if it becomes a finalist or winner.
+                  Only the title, description, the entry itself and the team's names are shown.
+                </span>
+              </label>
+            )}
+            
+            {editing && (
+              <EntryEditForm
+                entry={entry}
+                onSaved={handleEntrySaved}
+                onCancel={() => setEditing(false)}
+              />
+            )}
+            
+            {!editing && entry.description && (
               <div className="mb-4">
                 <h3 className="font-medium text-gray-700 mb-2">Description</h3>
                 <p className="text-gray-600 bg-gray-50 p-3 rounded-md">{entry.description}</p>
               </div>
             )}
             
-            {entry.entryType === 'text' && entry.textContent && (
+            {!editing && entry.entryType === 'text' && entry.textContent && (
               <div className="mb-4">
                 <h3 className="font-medium text-gray-700 mb-2">Content</h3>
                 <div className="bg-gray-50 p-4 rounded-md max-h-96 overflow-y-auto">
-                  <pre className="whitespace-pre-wrap text-sm text-gray-700 font-sans">{entry.textContent}</pre>
+                  <MarkdownContent html={entry.textHtml} text={entry.textContent} />
                 </div>
                 <p className="text-xs text-gray-500 mt-2">
-                  Word count: {entry.textContent.split(/\s+/).filter(word => word.length > 0).length}
+                  Word count: {countWords(entry.textContent)}
                 </p>
               </div>
             )}
             
-            {entry.entryType === 'pitch-deck' && entry.fileUrl && (
+            {!editing && entry.entryType === 'pitch-deck' && entry.fileUrl && (
               <div className="mb-4">
                 <h3 className="font-medium text-gray-700 mb-2">Pitch Deck</h3>
-                <a
-                  href={API_BASE_URL + entry.fileUrl}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                >
-                  📄 Open File
-                </a>
+                <DeckViewer
+                  key={entry.fileUrl}
+                  fileUrl={entry.fileUrl}
+                  fileName={entry.fileName}
+                  fileMimeType={entry.fileMimeType}
+                  preview={entry.preview}
+                  title={entry.title}
+                />
               </div>
             )}
+
+            {!editing && entry.status === 'scan-pending' && (
+              <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-md text-sm text-gray-700">
+                <h3 className="font-medium text-gray-700 mb-1">🛡️ Pitch Deck: {entry.fileName}</h3>
+                {entry.scan && entry.scan.status === 'flagged'
+                  ? 'Your deck contains active content (such as scripts, macros or embedded files), so our team is reviewing it before it goes to the judges.'
+                  : 'Your deck is being checked for viruses. It goes to the judges as soon as the check is done.'}
+              </div>
+            )}
+            
+            {!editing && (
+              <TeamPanel
+                entry={entry}
+                onTeamChange={(team) => handleTeamChange(entry._id, team)}
+                onLeft={() => handleLeftTeam(entry._id)}
+              />
+            )}
             
-            {entry.entryType === 'video' && entry.videoUrl && (
+            {!editing && entry.entryType === 'video' && entry.videoUrl && (
               <div className="mb-4">
                 <h3 className="font-medium text-gray-700 mb-2">Video</h3>
-                <a
-                  href={entry.videoUrl}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
-                >
-                  🎥 Watch Video
-                </a>
+                <VideoEmbed videoUrl={entry.videoUrl} video={entry.video} />
               </div>
             )}
             
-            <div className="bg-gray-50 p-4 rounded-md border">
-              <h3 className="font-medium text-gray-700 mb-2">Payment Details</h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-                <div>
-                  <span className="text-gray-600">Entry Fee:</span>
-                  <span className="ml-2 font-medium">${entry.entryFee.toFixed(2)}</span>
-                </div>
-                <div>
-                  <span className="text-gray-600">Processing Fee:</span>
-                  <span className="ml-2 font-medium">${entry.stripeFee.toFixed(2)}</span>
-                </div>
-                <div>
-                  <span className="text-gray-600">Total Paid:</span>
-                  <span className="ml-2 font-medium text-green-600">${entry.totalAmount.toFixed(2)}</span>
-                </div>
-                <div>
-                  <span className="text-gray-600">Payment Status:</span>
-                  <span className={`ml-2 px-2 py-1 rounded-full text-xs ${
-                    entry.paymentStatus === 'succeeded' ? 'bg-green-100 text-green-800' : 
-                    entry.paymentStatus === 'failed' ? 'bg-red-100 text-red-800' : 
-                    'bg-yellow-100 text-yellow-800'
-                  }`}>
-                    {entry.paymentStatus}
-                  </span>
+            {entry.teamRole === 'member' ? (
+              <p className="text-sm text-gray-600">
+                💳 Payment {entry.paymentStatus.replace('_', ' ')}. Payment details and invoices are with the team lead.
+              </p>
+            ) : (
+              <div className="bg-gray-50 p-4 rounded-md border">
+                <h3 className="font-medium text-gray-700 mb-2">Payment Details</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                  {entry.pricing && entry.pricing.discount > 0 && (
+                    <>
+                      <div>
+                        <span className="text-gray-600 capitalize">{entry.pricing.tier.replace('-', ' ')} Fee:</span>
+                        <span className="ml-2 font-medium">{formatMoney(entry.pricing.baseFee, entry.currency)}</span>
+                      </div>
+                      <div>
+                        <span className="text-gray-600">
+                          {entry.pricing.waivedBy
+                            ? `Waived by ${entry.pricing.waivedBy}`
+                            : entry.pricing.bundlePercent
+                              ? `Bundle ${entry.pricing.bundlePercent}% off`
+                              : `Promo ${entry.pricing.promoCode}`}:
+                        </span>
+                        <span className="ml-2 font-medium text-green-600">-{formatMoney(entry.pricing.discount, entry.currency)}</span>
+                      </div>
+                    </>
+                  )}
+                  <div>
+                    <span className="text-gray-600">Entry Fee:</span>
+                    <span className="ml-2 font-medium">{formatMoney(entry.entryFee, entry.currency)}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Processing Fee:</span>
+                    <span className="ml-2 font-medium">{formatMoney(entry.stripeFee, entry.currency)}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Total Paid:</span>
+                    <span className="ml-2 font-medium text-green-600">{formatMoney(entry.totalAmount, entry.currency)}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Payment Status:</span>
+                    <span className={`ml-2 px-2 py-1 rounded-full text-xs ${
+                      ['succeeded', 'waived'].includes(entry.paymentStatus) ? 'bg-green-100 text-green-800' : 
+                      entry.paymentStatus === 'failed' ? 'bg-red-100 text-red-800' : 
+                      ['refunded', 'partially_refunded'].includes(entry.paymentStatus) ? 'bg-blue-100 text-blue-800' :
+                      'bg-yellow-100 text-yellow-800'
+                    }`}>
+                      {entry.paymentStatus.replace('_', ' ')}
+                    </span>
+                  </div>
+                  {entry.amountRefunded > 0 && (
+                    <div>
+                      <span className="text-gray-600">Refunded:</span>
+                      <span className="ml-2 font-medium text-blue-600">{formatMoney(entry.amountRefunded, entry.currency)}</span>
+                    </div>
+                  )}
                 </div>
+                {entry.refunds && entry.refunds.length > 0 && (
+                  <ul className="mt-3 pt-3 border-t text-xs text-gray-600 space-y-1">
+                    {entry.refunds.map(refund => (
+                      <li key={refund._id}>
+                        ↩️ {formatMoney(refund.amount, refund.currency)} on {formatDate(refund.createdAt)}
+                        {refund.reason ? ` — ${refund.reason}` : ''}
+                        {refund.status !== 'succeeded' ? ` (${refund.status})` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {entry.paymentIntentId && ['succeeded', 'partially_refunded', 'refunded'].includes(entry.paymentStatus) && (
+                  <div className="mt-3 pt-3 border-t flex items-center justify-between text-sm">
+                    <span className="text-gray-600">
+                      {entry.invoiceNumber ? `Invoice ${entry.invoiceNumber}` : 'Invoice'}
+                    </span>
+                    <button
+                      onClick={() => handleDownloadInvoice(entry)}
+                      className="text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      🧾 Download PDF
+                    </button>
+                  </div>
+                )}
               </div>
-            </div>
+            )}
             
-            <div className="mt-6 flex justify-end">
+            <div className="mt-6 flex justify-end space-x-4">
+              {!editing && ['scan-pending', 'submitted'].includes(entry.status) && entry.canEdit !== false && (
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  ✏️ Edit Entry
+                </button>
+              )}
               <button
                 onClick={onClose}
                 className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500"
@@ -263,7 +615,7 @@ const EntryList = ({ userId }) => {
     );
   }
 
-  if (entries.length === 0) {
+  if (entries.length === 0 && drafts.length === 0 && invitations.length === 0 && !hasFilters) {
     return (
       <div className="bg-white rounded-lg shadow-md p-8">
         <div className="text-center">
@@ -290,7 +642,7 @@ const EntryList = ({ userId }) => {
     <>
       <div className="bg-white rounded-lg shadow-md p-8">
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-bold text-gray-900">My Entries ({entries.length})</h2>
+          <h2 className="text-2xl font-bold text-gray-900">My Entries ({entries.length}{nextCursor ? '+' : ''})</h2>
           <button
             onClick={fetchEntries}
             className="text-blue-600 hover:text-blue-800 text-sm font-medium"
@@ -299,6 +651,116 @@ const EntryList = ({ userId }) => {
           </button>
         </div>
         
+        {notice && (
+          <div className="mb-6 p-4 bg-green-100 text-green-700 rounded-md">
+            {notice}
+            <button
+              onClick={() => setNotice('')}
+              className="ml-4 text-sm text-green-900 underline"
+            >
+              Close
+            </button>
+          </div>
+        )}
+        
+        {invitations.length > 0 && (
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Team Invitations ({invitations.length})</h3>
+            <div className="space-y-3">
+              {invitations.map(invitation => (
+                <div key={invitation.entryId} className="border border-blue-200 bg-blue-50 rounded-lg p-4 flex justify-between items-center">
+                  <div>
+                    <h4 className="font-medium text-gray-900">{invitation.title}</h4>
+                    <p className="text-sm text-gray-600 capitalize">
+                      📂 {invitation.category.replace('-', ' ')} • 📝 {invitation.entryType.replace('-', ' ')}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Invited by {invitation.invitedBy || 'the team lead'} on {formatDate(invitation.invitedAt)}
+                      {invitation.canEdit && ' • you will be able to edit'}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3 text-sm">
+                    <button
+                      onClick={() => handleInvitation(invitation, 'accept')}
+                      className="text-green-700 hover:text-green-900 font-medium"
+                    >
+                      ✅ Accept
+                    </button>
+                    <button
+                      onClick={() => handleInvitation(invitation, 'decline')}
+                      className="text-red-600 hover:text-red-800 font-medium"
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {drafts.length > 0 && (
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Drafts ({drafts.length})</h3>
+            <div className="space-y-3">
+              {drafts.map(draft => (
+                <div key={draft._id} className="border border-dashed border-gray-300 rounded-lg p-4 flex justify-between items-center">
+                  <div>
+                    <h4 className="font-medium text-gray-900">{draft.title || 'Untitled draft'}</h4>
+                    <p className="text-sm text-gray-600 capitalize">
+                      {draft.category ? `📂 ${draft.category.replace('-', ' ')}` : 'No category yet'}
+                      {draft.entryType && ` • 📝 ${draft.entryType.replace('-', ' ')}`}
+                      {draft.fileName && ` • 📎 ${draft.fileName}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Last saved {formatDate(draft.updatedAt)}
+                      {draft.paymentIntentId && ' • payment started'}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3 text-sm">
+                    <button
+                      onClick={() => onResumeDraft(draft)}
+                      className="text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      Continue →
+                    </button>
+                    <button
+                      onClick={() => handleDeleteDraft(draft._id)}
+                      className="text-red-600 hover:text-red-800 font-medium"
+                    >
+                      🗑️ Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <EntryFilters
+          filters={filters}
+          categories={categories}
+          search={search}
+          sort={sort}
+          searching={searching}
+          onToggle={handleToggleFilter}
+          onSearchChange={handleSearchChange}
+          onSortChange={setSort}
+          onClear={handleClearFilters}
+        />
+
+        {entries.length === 0 && (
+          <div className="text-center py-8 text-gray-600">
+            <p className="mb-2">No entries match your search and filters.</p>
+            <button
+              onClick={handleClearFilters}
+              className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+            >
+              Clear search and filters
+            </button>
+          </div>
+        )}
+
         <div className="space-y-4">
           {entries.map((entry) => (
             <div
@@ -321,7 +783,11 @@ const EntryList = ({ userId }) => {
                   <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(entry.status)}`}>
                     {getStatusIcon(entry.status)} {entry.status.replace('-', ' ')}
                   </span>
-                  <span className="text-sm font-medium text-green-600">${entry.totalAmount.toFixed(2)}</span>
+                  {entry.teamRole === 'member' ? (
+                    <span className="text-sm text-gray-600">👥 Team member</span>
+                  ) : (
+                    <span className="text-sm font-medium text-green-600">{formatMoney(entry.totalAmount, entry.currency)}</span>
+                  )}
                 </div>
               </div>
               
@@ -333,11 +799,13 @@ const EntryList = ({ userId }) => {
                 <div className="flex items-center gap-4">
                   {entry.entryType === 'text' && (
                     <span className="text-gray-500">
-                      📄 {entry.textContent ? `${entry.textContent.split(/\s+/).filter(word => word.length > 0).length} words` : 'No content'}
+                      📄 {entry.textContent ? `${countWords(entry.textContent)} words` : 'No content'}
                     </span>
                   )}
                   {entry.entryType === 'pitch-deck' && (
-                    <span className="text-blue-600">📎 File uploaded</span>
+                    <span className="text-blue-600">
+                      📎 {entry.status === 'scan-pending' ? 'Security check' : entry.preview && entry.preview.pageCount ? `${entry.preview.pageCount} pages` : 'File uploaded'}
+                    </span>
                   )}
                   {entry.entryType === 'video' && (
                     <span className="text-red-600">🎥 Video linked</span>
@@ -352,22 +820,48 @@ const EntryList = ({ userId }) => {
                   <div className="text-blue-600 hover:text-blue-800 font-medium flex items-center">
                     View Details →
                   </div>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleDeleteEntry(entry._id);
-                    }}
-                    className="text-red-600 hover:text-red-800 font-medium flex items-center"
-                  >
-                    🗑️ Delete
-                  </button>
+                  {['scan-pending', 'submitted'].includes(entry.status) && entry.teamRole !== 'member' && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDeleteEntry(entry._id);
+                      }}
+                      className="text-red-600 hover:text-red-800 font-medium flex items-center"
+                    >
+                      🗑️ Delete
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
           ))}
         </div>
+
+        {nextCursor && (
+          <div ref={sentinelRef} className="mt-6 text-center">
+            {loadMoreError ? (
+              <div className="text-sm text-red-600">
+                Couldn't load more entries: {loadMoreError}
+                <button
+                  onClick={() => setLoadMoreError('')}
+                  className="ml-3 text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Try again
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:text-gray-400"
+              >
+                {loadingMore ? 'Loading more entries...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        )}
       </div>
-      <EntryModal entry={selectedEntry} onClose={() => setSelectedEntry(null)} />
+      <EntryModal entry={selectedEntry} onClose={closeModal} />
     </>
   );
 };
@@ -0,0 +1,8 @@
+import React from 'react';
+
+// Inline message under a form input, from toFieldErrors
+const FieldError = ({ message }) => (
+  message ? <p className="mt-1 text-xs text-red-600">{message}</p> : null
+);
+
+export default FieldError;
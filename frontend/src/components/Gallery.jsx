@@ -0,0 +1,327 @@
+import React, { useState, useEffect } from 'react';
+import useAuth from '../auth/useAuth';
+import useCompetition from '../competition/useCompetition';
+import MarkdownContent from './MarkdownContent';
+import VideoEmbed from './VideoEmbed';
+import DeckViewer from './DeckViewer';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Public showcase of finalists and winners, readable without an account
+const STATUS_BADGES = {
+  winner: { label: '🥇 Winner', className: 'bg-yellow-100 text-yellow-800' },
+  finalist: { label: '🏆 Finalist', className: 'bg-purple-100 text-purple-800' }
+};
+
+const TYPE_ICONS = { text: '📝', 'pitch-deck': '📄', video: '🎥' };
+
+const StatusBadge = ({ status, peoplesChoice }) => {
+  const badge = STATUS_BADGES[status];
+  if (!badge) return null;
+  return (
+    <>
+      <span className={`px-2 py-1 rounded-full text-xs font-medium ${badge.className}`}>{badge.label}</span>
+      {peoplesChoice && (
+        <span className="px-2 py-1 rounded-full text-xs font-medium bg-pink-100 text-pink-800">💖 People's Choice</span>
+      )}
+    </>
+  );
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+// Voting window banner, and the People's Choice count once voting has closed
+const VotingPanel = ({ voting, results, signedIn }) => {
+  if (voting.state === 'upcoming') {
+    return <p className="mb-6 p-3 bg-blue-50 text-blue-800 rounded-md text-sm">🗳️ People's Choice voting opens {formatDate(voting.opensAt)}.</p>;
+  }
+  if (voting.state === 'open') {
+    return (
+      <p className="mb-6 p-3 bg-pink-50 text-pink-800 rounded-md text-sm">
+        🗳️ People's Choice voting is open until {formatDate(voting.closesAt)}: one vote per category.
+        {!signedIn && ' Log in to vote.'} Results are shown once voting closes.
+      </p>
+    );
+  }
+  if (!results) return null;
+  return (
+    <div className="mb-6 p-4 bg-pink-50 rounded-md">
+      <h3 className="font-medium text-pink-900 mb-2">🗳️ People's Choice results</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        {results.categories.filter(c => c.ranking.length > 0).map(c => (
+          <div key={c.key}>
+            <p className="font-medium text-gray-800">{c.label}</p>
+            <ol className="text-gray-700">
+              {c.ranking.slice(0, 3).map(row => (
+                <li key={row.entryId}>{row.rank}. {row.title} ({row.votes} vote{row.votes === 1 ? '' : 's'}){row.peoplesChoice && ' 💖'}</li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const Credits = ({ credits }) => (
+  credits.length > 0 ? <p className="text-sm text-gray-600">By {credits.join(', ')}</p> : null
+);
+
+// PDFs open in the browser's viewer; PowerPoint files can only be downloaded
+const GalleryEntry = ({ entryId, onBack }) => {
+  const [entry, setEntry] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchEntry = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/gallery/entries/${entryId}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load entry');
+        }
+        setEntry(data);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching gallery entry:', err);
+        setError(err.message);
+      }
+    };
+    fetchEntry();
+  }, [entryId]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-8">
+      <button onClick={onBack} className="mb-4 text-sm text-blue-600 hover:text-blue-800 underline">
+        ← Back to the gallery
+      </button>
+      {error ? (
+        <div className="p-4 bg-red-100 text-red-700 rounded-md">{error}</div>
+      ) : !entry ? (
+        <p className="text-gray-600">Loading...</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <StatusBadge status={entry.status} peoplesChoice={entry.peoplesChoice} />
+            <span className="text-xs text-gray-500">{entry.competitionName} • {entry.categoryLabel}</span>
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-1">{entry.title}</h2>
+          <Credits credits={entry.credits} />
+          {entry.description && (
+            <p className="mt-4 text-gray-600 bg-gray-50 p-3 rounded-md">{entry.description}</p>
+          )}
+          <div className="mt-6">
+            {entry.entryType === 'text' && <MarkdownContent html={entry.textHtml} />}
+            {entry.entryType === 'pitch-deck' && entry.fileUrl && (
+              <DeckViewer
+                fileUrl={entry.fileUrl}
+                fileName={entry.fileName}
+                fileMimeType={entry.fileMimeType}
+                preview={entry.preview}
+                title={entry.title}
+              />
+            )}
+            {entry.entryType === 'video' && entry.videoUrl && (
+              <VideoEmbed videoUrl={entry.videoUrl} video={entry.video} />
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const Gallery = () => {
+  const { user, authFetch } = useAuth();
+  const { competitions, competition: current } = useCompetition();
+  const [competitionId, setCompetitionId] = useState('');
+  const [category, setCategory] = useState('');
+  const [gallery, setGallery] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  // category -> entryId of the signed-in user's votes
+  const [myVotes, setMyVotes] = useState({});
+  const [results, setResults] = useState(null);
+  const [voteError, setVoteError] = useState('');
+
+  // Starts on the current season once it is known
+  const selectedCompetitionId = competitionId || (current ? current._id : '');
+
+  useEffect(() => {
+    const fetchGallery = async () => {
+      try {
+        setLoading(true);
+        const params = new URLSearchParams();
+        if (selectedCompetitionId) params.set('competitionId', selectedCompetitionId);
+        if (category) params.set('category', category);
+        const response = await fetch(`${API_BASE_URL}/api/gallery?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load the gallery');
+        }
+        setGallery(data);
+        setError('');
+      } catch (err) {
+        console.error('Error fetching gallery:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchGallery();
+  }, [selectedCompetitionId, category]);
+
+  const galleryCompetitionId = gallery ? gallery.competition._id : '';
+  const votingState = gallery ? gallery.competition.voting.state : null;
+
+  useEffect(() => {
+    setMyVotes({});
+    setResults(null);
+    if (!votingState || votingState === 'upcoming') return;
+    const fetchVoting = async () => {
+      try {
+        if (user) {
+          const response = await authFetch(`${API_BASE_URL}/api/votes/mine?competitionId=${galleryCompetitionId}`);
+          if (response.ok) {
+            const votes = await response.json();
+            setMyVotes(Object.fromEntries(votes.map(vote => [vote.category, vote.entryId])));
+          }
+        }
+        if (votingState === 'closed') {
+          const response = await fetch(`${API_BASE_URL}/api/votes/results?competitionId=${galleryCompetitionId}`);
+          if (response.ok) setResults(await response.json());
+        }
+      } catch (err) {
+        console.error('Error fetching votes:', err);
+      }
+    };
+    fetchVoting();
+  }, [authFetch, galleryCompetitionId, user, votingState]);
+
+  const handleVote = async (entry) => {
+    if (!window.confirm(`Vote for “${entry.title}”? You have one vote per category and can't change it.`)) {
+      return;
+    }
+    try {
+      setVoteError('');
+      const response = await authFetch(`${API_BASE_URL}/api/votes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entryId: entry._id }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to vote');
+      }
+      setMyVotes(prev => ({ ...prev, [data.category]: data.entryId }));
+    } catch (err) {
+      console.error('Error voting:', err);
+      setVoteError(err.message);
+    }
+  };
+
+  if (selectedId) {
+    return <GalleryEntry entryId={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  const categoryLabels = new Map((gallery ? gallery.competition.categories : []).map(c => [c.key, c.label]));
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-8">
+      <h2 className="text-2xl font-bold text-gray-900 mb-1">Finalists & Winners</h2>
+      <p className="text-sm text-gray-600 mb-6">Entries whose authors chose to share them with everyone.</p>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        {competitions.length > 1 && (
+          <select
+            value={selectedCompetitionId}
+            onChange={(e) => { setCompetitionId(e.target.value); setCategory(''); }}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            {competitions.map(c => (
+              <option key={c._id} value={c._id}>{c.name}</option>
+            ))}
+          </select>
+        )}
+        {gallery && (
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">All categories</option>
+            {gallery.competition.categories.map(c => (
+              <option key={c.key} value={c.key}>{c.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {gallery && <VotingPanel voting={gallery.competition.voting} results={results} signedIn={Boolean(user)} />}
+
+      {voteError && (
+        <div className="mb-6 p-4 bg-red-100 text-red-700 rounded-md">
+          {voteError}
+          <button onClick={() => setVoteError('')} className="ml-4 text-sm text-red-900 underline">Close</button>
+        </div>
+      )}
+
+      {error ? (
+        <div className="p-4 bg-red-100 text-red-700 rounded-md">{error}</div>
+      ) : loading ? (
+        <p className="text-gray-600">Loading...</p>
+      ) : gallery.entries.length === 0 ? (
+        <p className="text-gray-600">No finalists or winners have been published yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {gallery.entries.map(entry => (
+            <div key={entry._id} className="border rounded-lg overflow-hidden hover:shadow-md transition-shadow flex flex-col">
+              <button
+                onClick={() => setSelectedId(entry._id)}
+                className="text-left flex-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {entry.video && entry.video.thumbnailUrl && (
+                  <img src={entry.video.thumbnailUrl} alt="" className="w-full aspect-video object-cover" />
+                )}
+                {entry.preview && entry.preview.thumbnailUrl && (
+                  <img src={API_BASE_URL + entry.preview.thumbnailUrl} alt="" className="w-full aspect-video object-cover object-top bg-gray-100" />
+                )}
+                <div className="p-4">
+                  <div className="flex flex-wrap items-center gap-2 mb-2">
+                    <StatusBadge status={entry.status} peoplesChoice={entry.peoplesChoice} />
+                    <span className="text-xs text-gray-500">
+                      {TYPE_ICONS[entry.entryType]} {categoryLabels.get(entry.category) || entry.category}
+                    </span>
+                  </div>
+                  <h3 className="font-semibold text-gray-900">{entry.title}</h3>
+                  <Credits credits={entry.credits} />
+                  {entry.description && (
+                    <p className="mt-2 text-sm text-gray-600 line-clamp-3">{entry.description}</p>
+                  )}
+                </div>
+              </button>
+              {votingState === 'open' && user && (entry.status === 'finalist' || myVotes[entry.category] === entry._id) && (
+                <div className="px-4 pb-4">
+                  {myVotes[entry.category] === entry._id ? (
+                    <span className="text-sm text-pink-700 font-medium">✓ Your vote</span>
+                  ) : (
+                    <button
+                      onClick={() => handleVote(entry)}
+                      disabled={Boolean(myVotes[entry.category])}
+                      className="px-3 py-1 rounded-md text-sm font-medium text-white bg-pink-600 hover:bg-pink-700 focus:outline-none focus:ring-2 focus:ring-pink-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      🗳️ Vote
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Gallery;
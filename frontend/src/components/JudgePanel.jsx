@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import useAuth from '../auth/useAuth';
+import MarkdownContent from './MarkdownContent';
+import VideoEmbed from './VideoEmbed';
+import DeckViewer from './DeckViewer';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const JudgePanel = () => {
+  const { authFetch } = useAuth();
+  const [assignments, setAssignments] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [values, setValues] = useState({});
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authFetch(`${API_BASE_URL}/api/judge/assignments`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load assignments');
+      }
+      setAssignments(data);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching assignments:', err);
+      setError('Failed to load assignments: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [fetchAssignments]);
+
+  const openAssignment = (assignment) => {
+    setSelected(assignment);
+    setValues(assignment.score ? { ...assignment.score.values } : {});
+    setComment(assignment.score ? assignment.score.comment : '');
+    setSuccess('');
+    setError('');
+  };
+
+  const handleScoreSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const numericValues = Object.fromEntries(
+        selected.criteria.map(c => [c.key, Number(values[c.key])])
+      );
+      const response = await authFetch(`${API_BASE_URL}/api/judge/entries/${selected.entry._id}/score`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ values: numericValues, comment }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save score');
+      }
+      setSuccess(`Score saved: ${data.score.weightedScore}/100`);
+      setAssignments(prev => prev.map(a => a.assignmentId === selected.assignmentId ? { ...a, score: data.score } : a));
+      setSelected(prev => ({ ...prev, score: data.score }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeclareConflict = async () => {
+    const reason = window.prompt('Describe your conflict of interest with this entry (e.g. you know the author). You will be removed from it and any score you gave will be discarded.');
+    if (reason === null) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/judge/conflicts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entryId: selected.entry._id, reason }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to declare conflict');
+      }
+      setAssignments(prev => prev.filter(a => a.assignmentId !== selected.assignmentId));
+      setSelected(null);
+      setSuccess('Conflict of interest recorded. The entry has been removed from your list.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading your assignments...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { entry, criteria } = selected || {};
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-8">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">
+          {selected ? entry.title : `My Assignments (${assignments.length})`}
+        </h2>
+        {selected ? (
+          <button onClick={() => setSelected(null)} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+            ← Back to list
+          </button>
+        ) : (
+          <button onClick={fetchAssignments} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+            🔄 Refresh
+          </button>
+        )}
+      </div>
+
+      {error && <div className="mb-6 p-4 bg-red-100 text-red-700 rounded-md">{error}</div>}
+      {success && <div className="mb-6 p-4 bg-green-100 text-green-700 rounded-md">{success}</div>}
+
+      {!selected && (
+        assignments.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No entries have been assigned to you yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {assignments.map(assignment => (
+              <div
+                key={assignment.assignmentId}
+                onClick={() => openAssignment(assignment)}
+                className="border border-gray-200 rounded-lg p-4 hover:shadow-md hover:border-blue-300 transition-all cursor-pointer flex justify-between items-center"
+              >
+                <div>
+                  <h3 className="font-semibold text-gray-900">{assignment.entry.title}</h3>
+                  <p className="text-sm text-gray-600 capitalize">
+                    📂 {assignment.entry.category.replace('-', ' ')} • 📝 {assignment.entry.entryType.replace('-', ' ')}
+                  </p>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+                  assignment.score ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                }`}>
+                  {assignment.score ? `Scored ${assignment.score.weightedScore}` : 'To review'}
+                </span>
+              </div>
+            ))}
+          </div>
+        )
+      )}
+
+      {selected && (
+        <>
+          {entry.description && (
+            <div className="mb-4">
+              <h3 className="font-medium text-gray-700 mb-2">Description</h3>
+              <p className="text-gray-600 bg-gray-50 p-3 rounded-md">{entry.description}</p>
+            </div>
+          )}
+          {entry.entryType === 'text' && entry.textContent && (
+            <div className="mb-4">
+              <h3 className="font-medium text-gray-700 mb-2">Content</h3>
+              <div className="bg-gray-50 p-4 rounded-md max-h-96 overflow-y-auto">
+                <MarkdownContent html={entry.textHtml} text={entry.textContent} />
+              </div>
+            </div>
+          )}
+          {entry.entryType === 'pitch-deck' && entry.fileUrl && (
+            <div className="mb-4">
+              <DeckViewer key={entry._id} fileUrl={entry.fileUrl} preview={entry.preview} title={entry.title} />
+            </div>
+          )}
+          {entry.entryType === 'video' && entry.videoUrl && (
+            <div className="mb-4">
+              <VideoEmbed videoUrl={entry.videoUrl} video={entry.video} />
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500 mb-4">
+            Entries are anonymized for blind judging. If you recognize the author anyway,{' '}
+            <button type="button" onClick={handleDeclareConflict} className="text-red-600 hover:text-red-800 underline">
+              declare a conflict of interest
+            </button>.
+          </p>
+
+          <form onSubmit={handleScoreSubmit} className="space-y-4 bg-gray-50 rounded-md p-4">
+            <h3 className="text-lg font-medium text-gray-900">Score</h3>
+            {criteria.map(criterion => (
+              <div key={criterion.key} className="flex items-center justify-between gap-4">
+                <label className="text-sm font-medium text-gray-700">
+                  {criterion.label} <span className="text-xs text-gray-500">(weight {criterion.weight})</span>
+                </label>
+                <input
+                  type="number"
+                  min={0}
+                  max={criterion.maxScore}
+                  step="0.5"
+                  value={values[criterion.key] ?? ''}
+                  onChange={(e) => setValues(prev => ({ ...prev, [criterion.key]: e.target.value }))}
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  required
+                />
+                <span className="text-sm text-gray-500 w-12">/ {criterion.maxScore}</span>
+              </div>
+            ))}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Comment</label>
+              <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                rows={3}
+                maxLength={2000}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-6 py-2 rounded-md font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : selected.score ? 'Update Score' : 'Submit Score'}
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default JudgePanel;
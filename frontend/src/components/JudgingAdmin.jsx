@@ -0,0 +1,412 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import useAuth from '../auth/useAuth';
+import useCompetition from '../competition/useCompetition';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+const buttonClassName = 'px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const JudgingAdmin = () => {
+  const { authFetch } = useAuth();
+  const { competitions, competition: currentCompetition } = useCompetition();
+  // Defaults to the current season and its first category until one is picked
+  const [selectedCompetitionId, setSelectedCompetitionId] = useState('');
+  const [selectedCategory, setCategory] = useState('');
+  const competition = competitions.find(c => c._id === selectedCompetitionId) || currentCompetition;
+  const competitionId = competition ? competition._id : '';
+  const categories = competition ? competition.categories : [];
+  const category = categories.some(c => c.key === selectedCategory)
+    ? selectedCategory
+    : categories.length > 0 ? categories[0].key : '';
+  const [criteria, setCriteria] = useState([]);
+  const [judges, setJudges] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [votes, setVotes] = useState(null);
+  const [selectedEntryIds, setSelectedEntryIds] = useState([]);
+  const [selectedJudgeIds, setSelectedJudgeIds] = useState([]);
+  const [promoteIds, setPromoteIds] = useState([]);
+  const [reviewsPerEntry, setReviewsPerEntry] = useState(3);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await authFetch(`${API_BASE_URL}/api/admin${path}`, {
+      ...options,
+      headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Request failed');
+    }
+    return data;
+  }, [authFetch]);
+
+  const loadCategory = useCallback(async () => {
+    if (!competitionId || !category) {
+      setLoading(false);
+      return;
+    }
+    try {
+      setLoading(true);
+      const season = `competitionId=${competitionId}`;
+      const [rubrics, judgeList, assignmentList, board, voteTally] = await Promise.all([
+        request(`/rubrics?${season}`),
+        request('/judges'),
+        request(`/assignments?${season}&category=${category}`),
+        request(`/leaderboard/${category}?${season}`),
+        request(`/votes/${category}?${season}`)
+      ]);
+      setCriteria(rubrics[category]);
+      setJudges(judgeList);
+      setAssignments(assignmentList);
+      setLeaderboard(board);
+      setVotes(voteTally);
+      setSelectedEntryIds([]);
+      setPromoteIds([]);
+      setError('');
+    } catch (err) {
+      console.error('Error loading judging data:', err);
+      setError('Failed to load judging data: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [competitionId, category, request]);
+
+  useEffect(() => {
+    loadCategory();
+  }, [loadCategory]);
+
+  const judgeLabel = (judgeId) => {
+    const judge = judges.find(j => j.id === judgeId);
+    return judge ? (judge.name || judge.email) : judgeId;
+  };
+
+  const toggle = (setter) => (id) => {
+    setter(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const updateCriterion = (index, field, value) => {
+    setCriteria(prev => prev.map((c, i) => i === index ? { ...c, [field]: value } : c));
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      setError('');
+      await action();
+      setNotice(successMessage);
+      await loadCategory();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveRubric = () => runAction(() => request(`/rubrics/${category}`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      competitionId,
+      criteria: criteria.map(c => ({ ...c, weight: Number(c.weight), maxScore: Number(c.maxScore) }))
+    }),
+  }), 'Rubric saved');
+
+  const assignJudges = () => runAction(() => request('/assignments', {
+    method: 'POST',
+    body: JSON.stringify({ entryIds: selectedEntryIds, judgeIds: selectedJudgeIds }),
+  }), 'Judges assigned');
+
+  const autoAssign = () => runAction(async () => {
+    const result = await request('/assignments/auto', {
+      method: 'POST',
+      body: JSON.stringify({ competitionId, category, reviewsPerEntry: Number(reviewsPerEntry) }),
+    });
+    if (result.shortfalls.length > 0) {
+      throw new Error(`${result.created} assignments created, but ${result.shortfalls.length} entries could not get ${result.reviewsPerEntry} eligible judges`);
+    }
+  }, 'Judges auto-assigned');
+
+  const removeAssignment = (assignmentId) => runAction(() => request(`/assignments/${assignmentId}`, {
+    method: 'DELETE',
+  }), 'Assignment removed');
+
+  const promoteFinalists = () => runAction(async () => {
+    const result = await request('/entries/status', {
+      method: 'POST',
+      body: JSON.stringify({ entryIds: promoteIds, status: 'finalist' }),
+    });
+    if (result.failed.length > 0) {
+      throw new Error(result.failed.map(f => `${f.id}: ${f.error}`).join('; '));
+    }
+  }, 'Finalists promoted');
+
+  const awardPeoplesChoice = (entry) => {
+    if (!window.confirm(`Award People's Choice to “${entry.title}”? A finalist becomes a winner; this can't be undone.`)) return;
+    runAction(() => request(`/peoples-choice/${category}`, {
+      method: 'POST',
+      body: JSON.stringify({ competitionId, entryId: entry._id }),
+    }), 'People\'s Choice awarded');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-8 space-y-8">
+      <div className="flex justify-between items-center">
+        <h2 className="text-2xl font-bold text-gray-900">Judging</h2>
+        <div className="flex gap-2">
+          <select value={competitionId} onChange={(e) => setSelectedCompetitionId(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md text-sm">
+            {competitions.map(c => (
+              <option key={c._id} value={c._id}>{c.name}</option>
+            ))}
+          </select>
+          <select value={category} onChange={(e) => setCategory(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md text-sm">
+            {categories.map(cat => (
+              <option key={cat.key} value={cat.key}>{cat.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!competition && (
+        <p className="text-sm text-gray-500">No competition has been set up yet.</p>
+      )}
+
+      {error && (
+        <div className="p-4 bg-red-100 text-red-700 rounded-md">
+          {error}
+          <button onClick={() => setError('')} className="ml-4 text-sm text-red-900 underline">Close</button>
+        </div>
+      )}
+      {notice && (
+        <div className="p-4 bg-green-100 text-green-700 rounded-md">
+          {notice}
+          <button onClick={() => setNotice('')} className="ml-4 text-sm text-green-900 underline">Close</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading...</p>
+        </div>
+      ) : (
+        <>
+          <section>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Rubric</h3>
+            <div className="space-y-2">
+              {criteria.map((criterion, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <input className={`${inputClassName} col-span-3`} value={criterion.key} placeholder="key" onChange={(e) => updateCriterion(index, 'key', e.target.value)} />
+                  <input className={`${inputClassName} col-span-4`} value={criterion.label} placeholder="Label" onChange={(e) => updateCriterion(index, 'label', e.target.value)} />
+                  <input className={`${inputClassName} col-span-2`} type="number" min="0.1" step="0.1" value={criterion.weight} title="Weight" onChange={(e) => updateCriterion(index, 'weight', e.target.value)} />
+                  <input className={`${inputClassName} col-span-2`} type="number" min="1" value={criterion.maxScore} title="Max score" onChange={(e) => updateCriterion(index, 'maxScore', e.target.value)} />
+                  <button onClick={() => setCriteria(prev => prev.filter((c, i) => i !== index))} className="text-red-600 hover:text-red-800 text-sm">✕</button>
+                </div>
+              ))}
+            </div>
+            <div className="mt-2 flex gap-4">
+              <button onClick={() => setCriteria(prev => [...prev, { key: '', label: '', weight: 1, maxScore: 10 }])} className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+                + Add criterion
+              </button>
+              <button onClick={saveRubric} className={buttonClassName}>Save Rubric</button>
+            </div>
+          </section>
+
+          <section>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Assignments (entries under review)</h3>
+            {assignments.length === 0 ? (
+              <p className="text-sm text-gray-500">No entries in this category are under review.</p>
+            ) : (
+              <div className="space-y-2">
+                {assignments.map(({ entry, judges: assigned, conflicts }) => (
+                  <div key={entry._id} className="flex items-start gap-3 border border-gray-200 rounded-md p-3">
+                    <input type="checkbox" checked={selectedEntryIds.includes(entry._id)} onChange={() => toggle(setSelectedEntryIds)(entry._id)} className="mt-1" />
+                    <div className="flex-1">
+                      <p className="font-medium text-gray-900">{entry.title}</p>
+                      <div className="flex flex-wrap gap-2 mt-1">
+                        {assigned.length === 0 && <span className="text-xs text-gray-500">No judges yet</span>}
+                        {assigned.map(a => (
+                          <span key={a.assignmentId} className={`px-2 py-1 rounded-full text-xs ${a.scored ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+                            {judgeLabel(a.judgeId)}{a.scored ? ' ✓' : ''}
+                            {!a.scored && (
+                              <button onClick={() => removeAssignment(a.assignmentId)} className="ml-1 text-red-600">×</button>
+                            )}
+                          </span>
+                        ))}
+                        {conflicts.map(c => (
+                          <span key={c.judgeId} title={c.reason} className="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800">
+                            ⚠️ {judgeLabel(c.judgeId)} (conflict)
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="mt-4 flex flex-wrap items-center gap-4">
+              {judges.length === 0 && <span className="text-sm text-gray-500">No judge accounts yet.</span>}
+              {judges.map(judge => (
+                <label key={judge.id} className="flex items-center gap-1 text-sm text-gray-700">
+                  <input type="checkbox" checked={selectedJudgeIds.includes(judge.id)} onChange={() => toggle(setSelectedJudgeIds)(judge.id)} />
+                  {judge.name || judge.email}
+                </label>
+              ))}
+              <button
+                onClick={assignJudges}
+                disabled={selectedEntryIds.length === 0 || selectedJudgeIds.length === 0}
+                className={buttonClassName}
+              >
+                Assign {selectedJudgeIds.length} judge(s) to {selectedEntryIds.length} entr{selectedEntryIds.length === 1 ? 'y' : 'ies'}
+              </button>
+            </div>
+            <div className="mt-4 flex items-center gap-4">
+              <label className="text-sm text-gray-700">Reviews per entry</label>
+              <input
+                type="number"
+                min="1"
+                value={reviewsPerEntry}
+                onChange={(e) => setReviewsPerEntry(e.target.value)}
+                className="w-20 px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm"
+              />
+              <button onClick={autoAssign} disabled={assignments.length === 0 || judges.length === 0} className={buttonClassName}>
+                ⚖️ Auto-assign (balanced)
+              </button>
+            </div>
+          </section>
+
+          {leaderboard && (
+            <section>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Leaderboard</h3>
+              {leaderboard.ranking.length === 0 ? (
+                <p className="text-sm text-gray-500">No scores yet.</p>
+              ) : (
+                <>
+                  <table className="w-full text-sm text-left">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2"></th>
+                        <th className="px-3 py-2">#</th>
+                        <th className="px-3 py-2">Entry</th>
+                        <th className="px-3 py-2">Average</th>
+                        <th className="px-3 py-2">Reviews</th>
+                        <th className="px-3 py-2">Spread</th>
+                        <th className="px-3 py-2">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {leaderboard.ranking.map(row => (
+                        <tr key={row.entryId} className="border-b">
+                          <td className="px-3 py-2">
+                            {row.entry && row.entry.status === 'under-review' && (
+                              <input type="checkbox" checked={promoteIds.includes(row.entryId)} onChange={() => toggle(setPromoteIds)(row.entryId)} />
+                            )}
+                          </td>
+                          <td className="px-3 py-2">{row.rank}</td>
+                          <td className="px-3 py-2 font-medium text-gray-900">{row.entry ? row.entry.title : row.entryId}</td>
+                          <td className="px-3 py-2">{row.averageScore}</td>
+                          <td className="px-3 py-2">{row.reviews}</td>
+                          <td className="px-3 py-2">±{row.spread}</td>
+                          <td className="px-3 py-2 capitalize">{row.entry ? row.entry.status.replace('-', ' ') : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="mt-4 flex justify-end">
+                    <button onClick={promoteFinalists} disabled={promoteIds.length === 0} className={buttonClassName}>
+                      🏆 Promote {promoteIds.length} to finalist
+                    </button>
+                  </div>
+                </>
+              )}
+
+              {leaderboard.outliers.length > 0 && (
+                <div className="mt-6">
+                  <h4 className="font-medium text-gray-700 mb-2">⚠️ Outlier scores (more than {leaderboard.threshold} points from the median)</h4>
+                  <ul className="text-sm text-gray-600 space-y-1">
+                    {leaderboard.outliers.map(o => {
+                      const row = leaderboard.ranking.find(r => r.entryId === o.entryId);
+                      return (
+                        <li key={`${o.entryId}:${o.judgeId}`}>
+                          • {judgeLabel(o.judgeId)} gave {o.weightedScore} to “{row && row.entry ? row.entry.title : o.entryId}” ({o.deviation > 0 ? '+' : ''}{o.deviation})
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
+
+              {leaderboard.judges.length > 0 && (
+                <div className="mt-6">
+                  <h4 className="font-medium text-gray-700 mb-2">Judge calibration</h4>
+                  <ul className="text-sm text-gray-600 space-y-1">
+                    {leaderboard.judges.map(stats => (
+                      <li key={stats.judgeId}>
+                        • {stats.judge ? (stats.judge.name || stats.judge.email) : stats.judgeId}: {stats.reviews} compared reviews, mean deviation {stats.meanDeviation > 0 ? '+' : ''}{stats.meanDeviation}, {stats.outliers} outlier(s)
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </section>
+          )}
+
+          {votes && votes.voting.state && (
+            <section>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">People's Choice</h3>
+              <p className="text-sm text-gray-600 mb-2">
+                Voting {votes.voting.state === 'upcoming' ? 'opens' : votes.voting.state === 'open' ? 'is open until' : 'closed'}{' '}
+                {new Date(votes.voting.state === 'upcoming' ? votes.voting.opensAt : votes.voting.closesAt).toLocaleString()}.
+                The public sees the results once it has closed.
+              </p>
+              {Object.keys(votes.flags).length > 0 && (
+                <p className="text-sm text-gray-600 mb-2">
+                  ⚠️ Flagged as possible duplicate accounts and not counted:{' '}
+                  {Object.entries(votes.flags).map(([flag, count]) => `${count} ${flag.replace('-', ' ')}`).join(', ')}
+                </p>
+              )}
+              {votes.ranking.length === 0 ? (
+                <p className="text-sm text-gray-500">No votes yet.</p>
+              ) : (
+                <table className="w-full text-sm text-left">
+                  <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2">#</th>
+                      <th className="px-3 py-2">Entry</th>
+                      <th className="px-3 py-2">Votes</th>
+                      <th className="px-3 py-2">Flagged</th>
+                      <th className="px-3 py-2">Status</th>
+                      <th className="px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {votes.ranking.map(row => (
+                      <tr key={row.entryId} className="border-b">
+                        <td className="px-3 py-2">{row.rank}</td>
+                        <td className="px-3 py-2 font-medium text-gray-900">{row.entry ? row.entry.title : row.entryId}</td>
+                        <td className="px-3 py-2">{row.votes}</td>
+                        <td className="px-3 py-2">{row.flagged}</td>
+                        <td className="px-3 py-2 capitalize">
+                          {row.entry ? row.entry.status.replace('-', ' ') : '-'}
+                          {votes.peoplesChoice === row.entryId && ' 💖'}
+                        </td>
+                        <td className="px-3 py-2 text-right">
+                          {votes.voting.state === 'closed' && !votes.peoplesChoice && row.entry && ['finalist', 'winner'].includes(row.entry.status) && (
+                            <button onClick={() => awardPeoplesChoice(row.entry)} className={buttonClassName}>
+                              💖 Award
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default JudgingAdmin;
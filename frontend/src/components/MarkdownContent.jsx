@@ -0,0 +1,13 @@
+import React from 'react';
+
+// Shows a text entry. `html` is rendered and sanitized by the server (see
+// server/lib/markdown.js) and is the only HTML we ever inject; entries saved
+// before Markdown support have none yet and are shown as plain text.
+const MarkdownContent = ({ html, text, className = '' }) => {
+  if (html) {
+    return <div className={`markdown-content ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+  }
+  return <pre className={`whitespace-pre-wrap text-sm text-gray-700 font-sans ${className}`}>{text}</pre>;
+};
+
+export default MarkdownContent;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useAuth from '../auth/useAuth';
+import MarkdownContent from './MarkdownContent';
+import { countWords } from '../utils/markdown';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// The preview is rendered by the server once typing pauses
+const PREVIEW_DELAY_MS = 400;
+
+// Toolbar actions: wrap the selection, or prefix the selected lines
+const FORMATS = [
+  { label: 'B', title: 'Bold', wrap: ['**', '**'], className: 'font-bold' },
+  { label: 'I', title: 'Italic', wrap: ['_', '_'], className: 'italic' },
+  { label: 'H', title: 'Heading', prefix: '## ' },
+  { label: '•', title: 'Bulleted list', prefix: '- ' },
+  { label: '1.', title: 'Numbered list', prefix: '1. ' },
+  { label: '❝', title: 'Quote', prefix: '> ' },
+  { label: '🔗', title: 'Link', wrap: ['[', '](https://)'] }
+];
+
+const applyFormat = (value, start, end, format) => {
+  if (format.wrap) {
+    const [before, after] = format.wrap;
+    const selected = value.slice(start, end) || format.title.toLowerCase();
+    return {
+      value: value.slice(0, start) + before + selected + after + value.slice(end),
+      selectionStart: start + before.length,
+      selectionEnd: start + before.length + selected.length
+    };
+  }
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const lines = value.slice(lineStart, end).split('\n').map(line => format.prefix + line).join('\n');
+  return {
+    value: value.slice(0, lineStart) + lines + value.slice(end),
+    selectionStart: lineStart,
+    selectionEnd: lineStart + lines.length
+  };
+};
+
+// Markdown textarea with a formatting toolbar and a live preview. onChange
+// gets an event-like { target: { name, value } } so forms can share their
+// input handler.
+const MarkdownEditor = ({ name, value, onChange, placeholder, rows = 10, required = false }) => {
+  const { authFetch } = useAuth();
+  const textareaRef = useRef(null);
+  const [showPreview, setShowPreview] = useState(true);
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [previewError, setPreviewError] = useState('');
+
+  useEffect(() => {
+    if (!showPreview) return;
+    if (!value.trim()) {
+      setPreviewHtml('');
+      return;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await authFetch(`${API_BASE_URL}/api/markdown/preview`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text: value }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Preview failed');
+        }
+        setPreviewHtml(data.html);
+        setPreviewError('');
+      } catch (err) {
+        setPreviewError(err.message);
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [authFetch, showPreview, value]);
+
+  const handleFormat = (format) => {
+    const textarea = textareaRef.current;
+    const result = applyFormat(value, textarea.selectionStart, textarea.selectionEnd, format);
+    onChange({ target: { name, value: result.value } });
+    // Reselect once React has re-rendered the new value
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(result.selectionStart, result.selectionEnd);
+    });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-1 mb-1">
+        {FORMATS.map(format => (
+          <button
+            key={format.title}
+            type="button"
+            title={format.title}
+            onClick={() => handleFormat(format)}
+            className={`px-2 py-1 text-sm border border-gray-300 rounded hover:bg-gray-100 ${format.className || ''}`}
+          >
+            {format.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setShowPreview(!showPreview)}
+          className="ml-auto text-xs text-blue-600 hover:text-blue-800 underline"
+        >
+          {showPreview ? 'Hide preview' : 'Show preview'}
+        </button>
+      </div>
+      <textarea
+        ref={textareaRef}
+        name={name}
+        value={value}
+        onChange={onChange}
+        placeholder={placeholder}
+        rows={rows}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        required={required}
+      />
+      <p className="mt-1 text-xs text-gray-500">
+        Markdown supported: **bold**, _italic_, ## headings, - lists, [links](https://…)
+        {value && ` • Word count: ${countWords(value)} words`}
+      </p>
+      {showPreview && value.trim() && (
+        <div className="mt-2 border border-gray-200 rounded-md p-4 bg-gray-50 max-h-96 overflow-y-auto">
+          <p className="text-xs font-medium text-gray-500 mb-2">Preview</p>
+          {previewError
+            ? <p className="text-xs text-red-600">Preview unavailable: {previewError}</p>
+            : <MarkdownContent html={previewHtml} />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownEditor;
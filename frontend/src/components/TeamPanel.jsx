@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import useAuth from '../auth/useAuth';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const statusLabels = {
+  invited: 'Invitation pending',
+  accepted: 'Joined',
+  declined: 'Declined'
+};
+
+// Co-authors of an entry. The lead invites and removes members and decides
+// who may edit; members can leave the team.
+const TeamPanel = ({ entry, onTeamChange, onLeft }) => {
+  const { user, authFetch } = useAuth();
+  const [email, setEmail] = useState('');
+  const [canEdit, setCanEdit] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const isLead = entry.teamRole !== 'member';
+  const team = entry.team || [];
+
+  const sendTeamRequest = async (path, options) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/entries/${entry._id}/team${path}`, options);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update the team');
+      }
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const data = await sendTeamRequest('', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, canEdit }),
+    });
+    if (data) {
+      setEmail('');
+      setCanEdit(false);
+      onTeamChange(data.team);
+    }
+  };
+
+  const handleToggleEdit = async (member) => {
+    const data = await sendTeamRequest(`/${member._id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ canEdit: !member.canEdit }),
+    });
+    if (data) onTeamChange(data.team);
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId === user.id;
+    const question = leaving
+      ? 'Leave this team? The entry will disappear from My Entries.'
+      : `Remove ${member.name || member.email} from the team?`;
+    if (!window.confirm(question)) return;
+    const data = await sendTeamRequest(`/${member._id}`, { method: 'DELETE' });
+    if (!data) return;
+    if (leaving) {
+      onLeft();
+    } else {
+      onTeamChange(data.team);
+    }
+  };
+
+  if (!isLead && team.length === 0) return null;
+
+  return (
+    <div className="mb-4 bg-gray-50 p-4 rounded-md border">
+      <h3 className="font-medium text-gray-700 mb-2">👥 Team</h3>
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+      {team.length === 0 ? (
+        <p className="text-sm text-gray-600">Solo entry. Invite co-authors by email to make it a team entry.</p>
+      ) : (
+        <ul className="divide-y text-sm">
+          {team.map(member => (
+            <li key={member._id} className="py-2 flex justify-between items-center gap-4">
+              <span>
+                <span className="font-medium">{member.name || member.email}</span>
+                {member.name && <span className="text-gray-500"> ({member.email})</span>}
+                <span className="ml-2 text-xs text-gray-500">
+                  {member.role === 'lead' ? 'Lead' : `${statusLabels[member.status]}${member.canEdit ? ' • can edit' : ''}`}
+                </span>
+              </span>
+              {member.role === 'member' && (
+                <span className="flex gap-3 text-xs">
+                  {isLead && member.status !== 'declined' && (
+                    <button
+                      type="button"
+                      onClick={() => handleToggleEdit(member)}
+                      disabled={busy}
+                      className="text-blue-600 hover:text-blue-800 underline disabled:opacity-50"
+                    >
+                      {member.canEdit ? 'Revoke edit access' : 'Allow editing'}
+                    </button>
+                  )}
+                  {(isLead || member.userId === user.id) && (
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(member)}
+                      disabled={busy}
+                      className="text-red-600 hover:text-red-800 underline disabled:opacity-50"
+                    >
+                      {member.userId === user.id ? 'Leave team' : 'Remove'}
+                    </button>
+                  )}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {isLead && (
+        <form onSubmit={handleInvite} className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="co-author@example.com"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            required
+          />
+          <label className="flex items-center gap-1 text-gray-600">
+            <input type="checkbox" checked={canEdit} onChange={(e) => setCanEdit(e.target.checked)} />
+            Can edit
+          </label>
+          <button
+            type="submit"
+            disabled={busy || !email.trim()}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Invite
+          </button>
+        </form>
+      )}
+      {!isLead && (
+        <p className="mt-2 text-xs text-gray-500">The team lead pays for the entry and manages the team.</p>
+      )}
+    </div>
+  );
+};
+
+export default TeamPanel;
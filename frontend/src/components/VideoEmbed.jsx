@@ -0,0 +1,46 @@
+import React from 'react';
+import { parseVideoUrl, getEmbedUrl } from '../../../shared/videoUrl.js';
+
+// Plays a video entry in a privacy-enhanced YouTube or Vimeo player. Entries
+// saved before videos were verified have no `video` yet, so their URL is
+// parsed here; links that can't be embedded fall back to opening the video.
+const VideoEmbed = ({ videoUrl, video }) => {
+  const parsed = video && video.videoId ? video : parseVideoUrl(videoUrl);
+  const embedUrl = parsed.error ? null : getEmbedUrl(parsed);
+
+  if (!embedUrl) {
+    return (
+      <a
+        href={videoUrl}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+      >
+        🎥 Watch Video
+      </a>
+    );
+  }
+
+  return (
+    <div>
+      <div className="aspect-video w-full max-w-2xl bg-black rounded-md overflow-hidden">
+        <iframe
+          src={embedUrl}
+          title={(video && video.title) || 'Video entry'}
+          className="w-full h-full"
+          allow="encrypted-media; fullscreen; picture-in-picture"
+          referrerPolicy="strict-origin-when-cross-origin"
+          allowFullScreen
+        />
+      </div>
+      {video && video.title && (
+        <p className="mt-1 text-xs text-gray-500">
+          {video.title}
+          {video.authorName && ` • ${video.authorName}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default VideoEmbed;
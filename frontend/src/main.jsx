@@ -5,6 +5,8 @@ import './App.css';
 import { Elements } from '@stripe/react-stripe-js';
 import { loadStripe } from '@stripe/stripe-js';
 import App from './App.jsx';
+import AuthProvider from './auth/AuthProvider.jsx';
+import CompetitionProvider from './competition/CompetitionProvider.jsx';
 
 // Hardcode the Stripe publishable key directly
 const stripePromise = loadStripe('pk_test_51RzCNtCbNv8AUZxiWD1dCDYRm5KZ8D8uFx6xDcGP94egfmYEjx3hUCQEAs1V2Nx8M687QEfcUYVQ4BLSSQJSBH00j1N4STjSH');
@@ -12,7 +14,11 @@ const stripePromise = loadStripe('pk_test_51RzCNtCbNv8AUZxiWD1dCDYRm5KZ8D8uFx6xD
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <Elements stripe={stripePromise}>
-      <App />
+      <AuthProvider>
+        <CompetitionProvider>
+          <App />
+        </CompetitionProvider>
+      </AuthProvider>
     </Elements>
   </StrictMode>,
 );
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Entry validation shared by EntryForm and the edit mode in EntryList. The
+// rules live in shared/entryValidation.js, which the API enforces too.
+// Returns [{ field, code, message }], empty when the entry is valid.
+
+import { validateEntry as validateEntryRules, toFieldErrors } from '../../../shared/entryValidation.js';
+import { countWords } from './markdown';
+
+export { DEFAULT_WORD_LIMITS } from '../../../shared/entryValidation.js';
+
+// Text entries are Markdown; only the words readers see count
+export { countWords, toFieldErrors };
+
+// Pass the season's categories to check the category and entry type too;
+// otherwise wordLimits (or the defaults) apply to text entries
+export const validateEntry = (formData, { requireFile = true, categories = null, wordLimits, partial = false } = {}) => (
+  validateEntryRules(formData, { countWords, categories, wordLimits, hasFile: !requireFile, partial })
+);
+
+// The field errors of a failed API response, so they show next to the inputs
+// like the form's own checks. Empty when the response has none.
+export const getResponseFieldErrors = data => toFieldErrors((data && data.errors) || []);
@@ -0,0 +1,30 @@
+import { Lexer } from 'marked';
+
+// Word counting for Markdown text entries. Mirrors server/lib/markdown.js so
+// the count shown while typing is the one the server enforces: markup such as
+// link targets, emphasis marks, list bullets and heading hashes isn't counted.
+
+const lexerOptions = { gfm: true, breaks: true };
+
+// Visible text of the tokens, skipping markup
+const tokensToText = tokens => tokens.map((token) => {
+  if (token.type === 'html') return ' ';
+  if (token.type === 'image') return ` ${token.text} `;
+  if (token.type === 'list') return ` ${tokensToText(token.items)} `;
+  if (token.type === 'table') {
+    const cells = [...token.header, ...token.rows.flat()];
+    return ` ${cells.map(cell => tokensToText(cell.tokens)).join(' ')} `;
+  }
+  if (token.tokens) return ` ${tokensToText(token.tokens)} `;
+  return token.text !== undefined ? token.text : ' ';
+}).join('');
+
+export const markdownToText = (source) => {
+  if (!source) return '';
+  return tokensToText(Lexer.lex(source, lexerOptions)).replace(/\s+/g, ' ').trim();
+};
+
+// Letters or digits, keeping contractions and hyphenated words together
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+export const countWords = source => (markdownToText(source).match(WORD_PATTERN) || []).length;
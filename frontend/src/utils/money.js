@@ -0,0 +1,31 @@
+// Entry amounts are stored in minor units (cents for USD, yen for JPY), as
+// Stripe counts them. That isn't always what Intl would show (ISK and HUF
+// still count hundredths), so the minor units come from the table the server
+// uses too, shared/currencies.json.
+
+import currencies from '../../../shared/currencies.json';
+
+const formatters = {};
+
+const getFormatter = (currency) => {
+  const code = (currency || 'usd').toUpperCase();
+  if (!formatters[code]) {
+    formatters[code] = new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+  }
+  return formatters[code];
+};
+
+// Minor units per major unit: 100 for usd, 1 for jpy, 1000 for kwd
+const getMinorUnitFactor = (currency) => {
+  const code = (currency || 'usd').toLowerCase();
+  if (currencies.zeroDecimal.includes(code)) return 1;
+  if (currencies.threeDecimal.includes(code)) return 1000;
+  return 100;
+};
+
+export const formatMoney = (minorAmount, currency) => (
+  getFormatter(currency).format(minorAmount / getMinorUnitFactor(currency))
+);
+
+// Parses an amount typed in major units ("12.50") into minor units
+export const toMinorUnits = (value, currency) => Math.round(Number(value) * getMinorUnitFactor(currency));
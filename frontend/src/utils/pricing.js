@@ -0,0 +1,8 @@
+// The price (minor units) of a category in a currency right now, taking the
+// competition's current pricing tier (early-bird, late, ...) into account
+export const getCurrentPrice = (competition, category, currency) => {
+  const tier = competition && competition.currentTier;
+  const find = (tierKey) => category.prices.find(price => price.currency === currency && (price.tier || null) === tierKey);
+  const price = (tier && find(tier.key)) || find(null);
+  return price ? price.amount : null;
+};
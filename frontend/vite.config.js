@@ -9,6 +9,10 @@ export default defineConfig({
     'process.env': {},
   },
   server: {
+    // The entry rules in ../shared are imported by the forms
+    fs: {
+      allow: ['..'],
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
@@ -0,0 +1,59 @@
+// Balanced judge assignment: every entry gets `reviewsPerEntry` distinct judges,
+// handing each new review to the least-loaded judge who is allowed to see it.
+
+const { getAuthorIds } = require('./teams');
+
+const pairKey = (entryId, judgeId) => `${entryId}:${judgeId}`;
+
+// entries:   [{ id, userId, team }] judges never review entries they co-authored
+// judgeIds:  ['...']
+// existing:  [{ entryId, judgeId }] assignments already in place (all categories, for load)
+// conflicts: [{ entryId, judgeId }] declared conflicts of interest
+// Returns { assignments: [{ entryId, judgeId }], shortfalls: [{ entryId, missing }] }
+const planAssignments = ({ entries, judgeIds, existing = [], conflicts = [], reviewsPerEntry }) => {
+  const load = new Map(judgeIds.map(id => [id, 0]));
+  const assigned = new Set();
+  const reviewCount = new Map();
+
+  existing.forEach(({ entryId, judgeId }) => {
+    const entryKey = entryId.toString();
+    assigned.add(pairKey(entryKey, judgeId));
+    reviewCount.set(entryKey, (reviewCount.get(entryKey) || 0) + 1);
+    if (load.has(judgeId)) load.set(judgeId, load.get(judgeId) + 1);
+  });
+
+  const blocked = new Set(conflicts.map(c => pairKey(c.entryId.toString(), c.judgeId)));
+
+  // Fill the emptiest entries first so a judge shortage is spread evenly
+  const queue = entries
+    .map(entry => ({ entryId: entry.id.toString(), authorIds: getAuthorIds(entry) }))
+    .sort((a, b) => (reviewCount.get(a.entryId) || 0) - (reviewCount.get(b.entryId) || 0));
+
+  const assignments = [];
+  const shortfalls = [];
+
+  queue.forEach(({ entryId, authorIds }) => {
+    const needed = reviewsPerEntry - (reviewCount.get(entryId) || 0);
+    if (needed <= 0) return;
+
+    const candidates = judgeIds
+      .filter(judgeId => !authorIds.includes(judgeId) &&
+        !assigned.has(pairKey(entryId, judgeId)) &&
+        !blocked.has(pairKey(entryId, judgeId)))
+      .sort((a, b) => load.get(a) - load.get(b) || a.localeCompare(b));
+
+    candidates.slice(0, needed).forEach((judgeId) => {
+      assignments.push({ entryId, judgeId });
+      assigned.add(pairKey(entryId, judgeId));
+      load.set(judgeId, load.get(judgeId) + 1);
+    });
+
+    if (candidates.length < needed) {
+      shortfalls.push({ entryId, missing: needed - candidates.length });
+    }
+  });
+
+  return { assignments, shortfalls };
+};
+
+module.exports = { planAssignments };
@@ -0,0 +1,9 @@
+// Helper function for async routes
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch((error) => {
+    console.error('Route error:', error);
+    next(error);
+  });
+};
+
+module.exports = asyncHandler;
@@ -0,0 +1,74 @@
+// Judge-facing view of an entry. Judges see the work, never who made it or
+// how it was paid for, so only the fields below are ever sent to them.
+
+const { renderMarkdown } = require('./markdown');
+const { toPreviewView } = require('./deckPreviews');
+
+const BLIND_FIELDS = ['_id', 'category', 'entryType', 'title', 'description', 'textContent', 'fileUrl', 'preview', 'videoUrl', 'video', 'status', 'createdAt'];
+const REDACTED = '[redacted]';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shorter name parts would be redacted from every text they happen to occur in
+const MIN_TERM_LENGTH = 3;
+
+// Terms that identify the author: full name, each name part of 3+ letters,
+// and the email address with its local part if that has 3+ letters too
+const getAuthorTerms = (owner) => {
+  if (!owner) return [];
+  const terms = [];
+  if (owner.name) {
+    terms.push(owner.name.trim());
+    owner.name.split(/\s+/).filter(part => part.length >= MIN_TERM_LENGTH).forEach(part => terms.push(part));
+  }
+  if (owner.email) {
+    terms.push(owner.email);
+    const localPart = owner.email.split('@')[0];
+    if (localPart.length >= MIN_TERM_LENGTH) terms.push(localPart);
+  }
+  // Longest first so "Jane Doe" is replaced before "Jane"
+  return [...new Set(terms)].sort((a, b) => b.length - a.length);
+};
+
+const redactTerms = (text, terms) => {
+  if (!text || terms.length === 0) return text;
+  const pattern = new RegExp(`(?<![\\w@.])(${terms.map(escapeRegExp).join('|')})(?![\\w@])`, 'gi');
+  return text.replace(pattern, REDACTED);
+};
+
+// coAuthors are the other members of a team entry, redacted like the owner
+const toBlindEntry = (entry, { owner = null, coAuthors = [], redactNames = true } = {}) => {
+  const source = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  const blind = {};
+  BLIND_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) blind[field] = source[field];
+  });
+
+  // The channel a video was posted on usually names its author
+  if (blind.video) {
+    const { authorName, ...video } = blind.video;
+    blind.video = video;
+  }
+  if (blind.preview) blind.preview = toPreviewView(blind.preview);
+
+  if (redactNames) {
+    const terms = [...new Set([owner, ...coAuthors].flatMap(getAuthorTerms))]
+      .sort((a, b) => b.length - a.length);
+    ['title', 'description', 'textContent'].forEach((field) => {
+      if (blind[field]) blind[field] = redactTerms(blind[field], terms);
+    });
+    if (blind.video && blind.video.title) blind.video.title = redactTerms(blind.video.title, terms);
+  }
+
+  // Rendered from the (redacted) Markdown so names can't survive in the HTML
+  if (blind.textContent) blind.textHtml = renderMarkdown(blind.textContent);
+
+  return blind;
+};
+
+module.exports = {
+  BLIND_FIELDS,
+  toBlindEntry,
+  redactTerms,
+  getAuthorTerms
+};
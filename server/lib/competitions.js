@@ -0,0 +1,28 @@
+// Entry rules that depend on the competition season an entry belongs to.
+// Full entries are checked by lib/entryValidation.js; this covers the
+// category and type a payment is made for.
+
+// Checks a submission against the season's category settings.
+// Returns null when it is acceptable, otherwise an error body for a 400.
+const getEntryRuleError = (competition, { category, entryType }) => {
+  const settings = competition.getCategory(category);
+  if (!settings) {
+    return {
+      error: 'Invalid category',
+      validCategories: competition.categories.map(c => c.key),
+      received: category
+    };
+  }
+
+  if (!settings.entryTypes.includes(entryType)) {
+    return {
+      error: 'Entry type not allowed in this category',
+      allowedEntryTypes: settings.entryTypes,
+      received: entryType
+    };
+  }
+
+  return null;
+};
+
+module.exports = { getEntryRuleError };
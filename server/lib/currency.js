@@ -0,0 +1,41 @@
+// Amounts are stored in the currency's minor unit (cents for USD), which is
+// also what Stripe expects. Stripe's minor units don't always follow ISO 4217
+// (ISK and HUF still count hundredths), so the currencies that don't have 100
+// are listed in shared/currencies.json, which frontend/src/utils/money.js
+// reads too. It is JSON rather than an ES module like the other shared rules
+// so it can be required here.
+// https://docs.stripe.com/currencies#zero-decimal
+
+const { zeroDecimal, threeDecimal } = require('../../shared/currencies.json');
+
+const ZERO_DECIMAL_CURRENCIES = zeroDecimal;
+const THREE_DECIMAL_CURRENCIES = threeDecimal;
+
+const CURRENCY_PATTERN = /^[a-z]{3}$/;
+
+// Digits after the decimal point of a major unit: 2 for usd, 0 for jpy, 3 for kwd
+const getFractionDigits = (currency) => {
+  if (ZERO_DECIMAL_CURRENCIES.includes(currency)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(currency)) return 3;
+  return 2;
+};
+
+// Minor units per major unit: 100 for usd, 1 for jpy, 1000 for kwd
+const getMinorUnitFactor = (currency) => 10 ** getFractionDigits(currency);
+
+const toMinorUnits = (amount, currency) => Math.round(amount * getMinorUnitFactor(currency));
+
+// "12.50 USD" for documents that can't rely on the browser's Intl formatting
+const formatAmount = (amount, currency) => (
+  `${(amount / getMinorUnitFactor(currency)).toFixed(getFractionDigits(currency))} ${currency.toUpperCase()}`
+);
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  THREE_DECIMAL_CURRENCIES,
+  CURRENCY_PATTERN,
+  getFractionDigits,
+  getMinorUnitFactor,
+  toMinorUnits,
+  formatAmount
+};
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// MongoDB connection with better error handling.
+// The connection is reused across requests (and warm serverless invocations).
+let isConnected = false;
+
+const connectDB = async () => {
+  if (isConnected && mongoose.connection.readyState === 1) {
+    return mongoose.connection;
+  }
+
+  try {
+    const MONGODB_URI = process.env.MONGODB_URI;
+    if (!MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is required');
+    }
+
+    console.log('Connecting to MongoDB...');
+    
+    const connection = await mongoose.connect(MONGODB_URI, {
+      bufferCommands: false,
+      serverSelectionTimeoutMS: 5000,
+      socketTimeoutMS: 45000,
+      maxPoolSize: 1
+    });
+
+    isConnected = true;
+    console.log('✅ MongoDB connected successfully');
+    return connection;
+
+  } catch (error) {
+    console.error('❌ MongoDB connection failed:', error.message);
+    isConnected = false;
+    throw error;
+  }
+};
+
+module.exports = { connectDB };
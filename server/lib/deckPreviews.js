@@ -0,0 +1,103 @@
+// Previews of pitch deck entries: the page count, a thumbnail of the first
+// page and page images for the in-browser viewer. Decks are rendered with one
+// of the adapters in lib/deckRenderer.js and the images are kept in the same
+// storage as the deck.
+
+const Entry = require('../models/Entry');
+const { detectPitchDeckType } = require('./fileType');
+
+const saveImage = (storage, buffer, fieldName) => storage.save({
+  buffer,
+  fieldName,
+  extension: '.png',
+  mimeType: 'image/png'
+});
+
+const removeImages = async (storage, keys) => {
+  for (const key of keys) {
+    await storage.remove(key).catch((error) => {
+      console.error('Failed to remove preview image:', key, error.message);
+    });
+  }
+};
+
+// Storage keys of a preview's images, to delete them along with it
+const getPreviewKeys = (preview) => {
+  if (!preview) return [];
+  return [preview.thumbnailKey, ...(preview.pages || []).map(page => page.key)].filter(Boolean);
+};
+
+const removePreviewImages = (storage, preview) => removeImages(storage, getPreviewKeys(preview));
+
+// The preview as judges and gallery visitors get it: without storage keys
+const toPreviewView = (preview) => {
+  if (!preview || !preview.status) return undefined;
+  return {
+    status: preview.status,
+    pageCount: preview.pageCount,
+    thumbnailUrl: preview.thumbnailUrl,
+    pages: (preview.pages || []).map(page => ({ url: page.url }))
+  };
+};
+
+// Renders the entry's deck and records the preview on it, replacing an older
+// one. Only applies if the entry still has the same deck when rendering
+// finishes; a failure is recorded as status 'failed'. Returns the preview, or
+// null when the deck was replaced or removed in the meantime.
+const generateDeckPreview = async (entry, { storage, renderer }) => {
+  const { fileKey } = entry;
+  if (!fileKey) return null;
+
+  const saved = [];
+  const save = async (buffer, fieldName) => {
+    const image = await saveImage(storage, buffer, fieldName);
+    saved.push(image.key);
+    return image;
+  };
+
+  let preview;
+  try {
+    const buffer = await storage.read(fileKey);
+    const rendered = await renderer.render({ buffer, deckType: detectPitchDeckType(buffer) });
+
+    const pages = [];
+    for (const page of rendered.pages) {
+      pages.push(await save(page, 'page'));
+    }
+    const thumbnail = rendered.thumbnail ? await save(rendered.thumbnail, 'thumbnail') : null;
+
+    preview = {
+      status: 'ready',
+      pageCount: rendered.pageCount || undefined,
+      thumbnailUrl: thumbnail ? thumbnail.url : undefined,
+      thumbnailKey: thumbnail ? thumbnail.key : undefined,
+      pages,
+      renderedAt: new Date()
+    };
+  } catch (error) {
+    console.log(`⚠️ Could not render the deck of entry ${entry._id}:`, error.message);
+    await removeImages(storage, saved.splice(0));
+    preview = { status: 'failed', error: error.message, renderedAt: new Date() };
+  }
+
+  const previous = await Entry.findOneAndUpdate(
+    { _id: entry._id, fileKey },
+    { $set: { preview } },
+    // Not an edit by the participant, so updatedAt stays as it was
+    { timestamps: false }
+  ).select('preview');
+
+  if (!previous) {
+    await removeImages(storage, saved);
+    return null;
+  }
+
+  await removePreviewImages(storage, previous.preview);
+  return preview;
+};
+
+module.exports = {
+  removePreviewImages,
+  toPreviewView,
+  generateDeckPreview
+};
@@ -0,0 +1,156 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { PITCH_DECK_TYPES } = require('./fileType');
+
+const run = promisify(execFile);
+
+// Page images of pitch decks (see lib/deckPreviews.js).
+//
+// Every adapter exposes the same interface:
+//   render({ buffer, deckType }) -> { pageCount, pages, thumbnail }
+// where pages are PNG buffers of the first pages (at most `maxPages`) and
+// thumbnail is a small PNG of the first page. Adapters that can't draw pages
+// return empty pages and a null thumbnail, and pageCount is null when it
+// can't be told either. Decks that can't be read throw.
+
+const MAX_PREVIEW_PAGES = Number(process.env.DECK_PREVIEW_MAX_PAGES) || 30;
+
+// Counts pages without rendering anything: the page objects of a PDF (or the
+// page tree's /Count when they sit in compressed object streams), and the
+// slide parts listed in a PPTX's ZIP directory. Legacy PPT isn't counted.
+const countPages = (buffer, deckType) => {
+  const text = buffer.toString('latin1');
+
+  if (deckType === 'pdf') {
+    const pages = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+    if (pages > 0) return pages;
+    const counts = [...text.matchAll(/\/Count\s+(\d+)/g)].map(match => Number(match[1]));
+    return counts.length > 0 ? Math.max(...counts) : null;
+  }
+
+  if (deckType === 'pptx') {
+    const slides = new Set(text.match(/ppt\/slides\/slide\d+\.xml/g) || []);
+    return slides.size > 0 ? slides.size : null;
+  }
+
+  return null;
+};
+
+// Poppler's pdftoppm/pdfinfo for PDFs. PPT and PPTX are converted to PDF with
+// LibreOffice first when `converter` (DECK_CONVERTER_PATH) is set; without it
+// they get a page count only. So do all decks where Poppler isn't installed
+// (e.g. the serverless deploy), which is checked once on the first render.
+const createPopplerRenderer = ({
+  binDir = process.env.POPPLER_BIN_DIR || '',
+  converter = process.env.DECK_CONVERTER_PATH || '',
+  maxPages = MAX_PREVIEW_PAGES,
+  pageWidth = 1200,
+  thumbnailWidth = 320,
+  timeoutMs = Number(process.env.DECK_PREVIEW_TIMEOUT_MS) || 60000
+} = {}) => {
+  const bin = name => (binDir ? path.join(binDir, name) : name);
+
+  const toPdf = async (directory, buffer, deckType) => {
+    const source = path.join(directory, `deck${PITCH_DECK_TYPES[deckType].extension}`);
+    await fs.writeFile(source, buffer);
+    if (deckType === 'pdf') return source;
+
+    await run(converter, ['--headless', '--convert-to', 'pdf', '--outdir', directory, source], { timeout: timeoutMs });
+    return path.join(directory, 'deck.pdf');
+  };
+
+  let installed = null;
+  const isInstalled = () => {
+    if (!installed) {
+      // Older pdfinfo exits non-zero for -v; only a missing binary counts
+      installed = run(bin('pdfinfo'), ['-v'], { timeout: timeoutMs }).then(() => true, (error) => {
+        if (error.code !== 'ENOENT') return true;
+        console.log('⚠️ Poppler not found, deck previews get a page count only:', bin('pdfinfo'));
+        return false;
+      });
+    }
+    return installed;
+  };
+
+  const getPageCount = async (pdf) => {
+    const { stdout } = await run(bin('pdfinfo'), [pdf], { timeout: timeoutMs });
+    const match = stdout.match(/^Pages:\s+(\d+)/m);
+    return match ? Number(match[1]) : null;
+  };
+
+  return {
+    name: 'poppler',
+    async render({ buffer, deckType }) {
+      if ((deckType !== 'pdf' && !converter) || !await isInstalled()) {
+        return { pageCount: countPages(buffer, deckType), pages: [], thumbnail: null };
+      }
+
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'deck-'));
+      try {
+        const pdf = await toPdf(directory, buffer, deckType);
+        const pageCount = await getPageCount(pdf);
+        const lastPage = Math.min(pageCount || 1, maxPages);
+
+        await run(bin('pdftoppm'), [
+          '-png', '-f', '1', '-l', String(lastPage), '-scale-to', String(pageWidth),
+          pdf, path.join(directory, 'page')
+        ], { timeout: timeoutMs });
+        await run(bin('pdftoppm'), [
+          '-png', '-f', '1', '-l', '1', '-singlefile', '-scale-to', String(thumbnailWidth),
+          pdf, path.join(directory, 'thumbnail')
+        ], { timeout: timeoutMs });
+
+        // pdftoppm pads page numbers to the width of the last one
+        const files = (await fs.readdir(directory))
+          .filter(file => /^page-\d+\.png$/.test(file))
+          .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10));
+
+        return {
+          pageCount,
+          pages: await Promise.all(files.map(file => fs.readFile(path.join(directory, file)))),
+          thumbnail: await fs.readFile(path.join(directory, 'thumbnail.png'))
+        };
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    }
+  };
+};
+
+// No images at all, for development machines without Poppler: the viewer
+// falls back to the browser's own PDF viewer
+const createCountOnlyRenderer = () => ({
+  name: 'count-only',
+  async render({ buffer, deckType }) {
+    return { pageCount: countPages(buffer, deckType), pages: [], thumbnail: null };
+  }
+});
+
+const drivers = {
+  poppler: createPopplerRenderer,
+  'count-only': createCountOnlyRenderer
+};
+
+const registerDeckRendererDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const createDeckRenderer = (name = process.env.DECK_PREVIEW_DRIVER || 'poppler', options = {}) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown deck preview driver "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  MAX_PREVIEW_PAGES,
+  countPages,
+  createDeckRenderer,
+  createPopplerRenderer,
+  createCountOnlyRenderer,
+  registerDeckRendererDriver
+};
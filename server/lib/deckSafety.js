@@ -0,0 +1,78 @@
+// Active content in pitch decks: things a deck can do when opened besides
+// being looked at. A virus scanner only knows known malware, so decks that
+// carry any of these are held for an admin to look at (see lib/decks.js).
+
+const zlib = require('zlib');
+
+// PDF name objects and what they mean
+const PDF_NAMES = {
+  JavaScript: 'javascript',
+  JS: 'javascript',
+  Launch: 'launch',
+  EmbeddedFile: 'embedded-file',
+  EmbeddedFiles: 'embedded-file'
+};
+
+// Inflated object streams are searched too, up to this much in total
+const MAX_INFLATED_SIZE = 50 * 1024 * 1024;
+
+// Names may hide behind #xx escapes, e.g. /J#61vaScript
+const decodeName = name => name.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const findPdfNames = (text, findings) => {
+  for (const match of text.matchAll(/\/([^\s/<>[\]()%{}]+)/g)) {
+    const finding = PDF_NAMES[decodeName(match[1])];
+    if (finding) findings.add(finding);
+  }
+};
+
+// Compressed object streams (/Type /ObjStm) can hold the dictionaries of
+// other objects, actions included
+const inflateObjectStreams = (buffer, text) => {
+  const inflated = [];
+  let total = 0;
+  for (const match of text.matchAll(/(?<!end)stream\r?\n/g)) {
+    const before = text.slice(Math.max(0, match.index - 1024), match.index);
+    const dictionary = before.slice(Math.max(0, before.lastIndexOf(' obj')));
+    if (!/\/ObjStm\b/.test(dictionary)) continue;
+
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) continue;
+    try {
+      const data = zlib.inflateSync(buffer.subarray(start, end), { maxOutputLength: MAX_INFLATED_SIZE - total });
+      total += data.length;
+      inflated.push(data.toString('latin1'));
+    } catch {
+      // Not Flate encoded, corrupt, or over the size cap
+    }
+    if (total >= MAX_INFLATED_SIZE) break;
+  }
+  return inflated;
+};
+
+// Returns what a deck does besides showing slides, e.g. ['javascript',
+// 'launch'] for a PDF that runs a script and starts a program. Empty when
+// nothing was found.
+const findActiveContent = (buffer, deckType) => {
+  const findings = new Set();
+  const text = buffer.toString('latin1');
+
+  if (deckType === 'pdf') {
+    findPdfNames(text, findings);
+    inflateObjectStreams(buffer, text).forEach(objects => findPdfNames(objects, findings));
+  }
+
+  // VBA macros: a _VBA_PROJECT stream in legacy PPT, a vbaProject.bin part
+  // in a (renamed) macro-enabled PPTX
+  if (deckType === 'ppt' && buffer.includes(Buffer.from('_VBA_PROJECT', 'utf16le'))) {
+    findings.add('macros');
+  }
+  if (deckType === 'pptx' && text.includes('vbaProject.bin')) {
+    findings.add('macros');
+  }
+
+  return [...findings];
+};
+
+module.exports = { findActiveContent };
@@ -0,0 +1,281 @@
+const path = require('path');
+const Entry = require('../models/Entry');
+const { createStorage } = require('./storage');
+const { createScanner } = require('./scanner');
+const { createDeckRenderer } = require('./deckRenderer');
+const { generateDeckPreview, removePreviewImages } = require('./deckPreviews');
+const { findActiveContent } = require('./deckSafety');
+const { PITCH_DECK_TYPES, detectPitchDeckType } = require('./fileType');
+const { applyTransition } = require('./entryStatus');
+const { notifyStatusChange } = require('./notifications');
+
+// What happens to an uploaded pitch deck. It is first written to a private
+// quarantine (drafts keep it there), and once it belongs to an entry it is
+// scanned for malware and active content while the entry is 'scan-pending':
+//   clean    -> moved to public storage as the entry's fileUrl, entry
+//               'submitted', preview rendered
+//   flagged  -> held in quarantine until an admin releases it or rejects
+//               the entry (active content, see lib/deckSafety.js)
+//   infected -> deleted, entry rejected
+//   error    -> scanner unreachable; retried by scripts/scan-decks.js or an admin
+// The API and the admin routes share the adapters below.
+
+const QUARANTINE_DRIVER = process.env.QUARANTINE_DRIVER || 'local';
+
+// Missing quarantine or scanner settings only turn off pitch decks, not the
+// whole API: uploads are refused (see getDeckConfigError) and the adapter
+// standing in fails every call with the configuration error.
+let deckConfigError = null;
+const createDeckAdapter = (create) => {
+  try {
+    return create();
+  } catch (error) {
+    deckConfigError = deckConfigError || error;
+    const fail = async () => {
+      throw error;
+    };
+    return { name: 'unconfigured', save: fail, read: fail, remove: fail, scan: fail };
+  }
+};
+
+const storage = createStorage();
+const quarantine = createDeckAdapter(() => {
+  // server/quarantine is for development only; the serverless filesystem is
+  // read-only, so deployed servers must say where quarantined decks go
+  if (QUARANTINE_DRIVER === 'local' && !process.env.QUARANTINE_DIR && process.env.NODE_ENV === 'production') {
+    throw new Error('QUARANTINE_DIR (or another QUARANTINE_DRIVER) is required in production');
+  }
+  return createStorage(QUARANTINE_DRIVER, {
+    directory: process.env.QUARANTINE_DIR || path.join(__dirname, '..', 'quarantine'),
+    // Never served; admins download quarantined decks through the admin API
+    publicPath: '/quarantine'
+  });
+});
+const scanner = createDeckAdapter(() => createScanner());
+const deckRenderer = createDeckRenderer();
+
+if (deckConfigError) {
+  console.error('❌ Pitch deck uploads are turned off:', deckConfigError.message);
+}
+
+// Why pitch decks can't be uploaded, or null when they can
+const getDeckConfigError = () => deckConfigError;
+
+// Recorded as changedBy in the status history of automatic decisions
+const SCANNER_ACTOR = 'scanner';
+
+// Writes a checked upload to quarantine. Returns the file fields of a Draft:
+// drafts only ever point into quarantine.
+const quarantineDeck = async (file, deckType) => {
+  const { mimeType, extension } = PITCH_DECK_TYPES[deckType];
+  const stored = await quarantine.save({
+    buffer: file.buffer,
+    fieldName: file.fieldname,
+    extension,
+    mimeType
+  });
+  return {
+    fileKey: stored.key,
+    fileName: file.originalname,
+    fileSize: file.size,
+    fileMimeType: mimeType
+  };
+};
+
+const removeQuarantined = async (key) => {
+  if (!key) return;
+  await quarantine.remove(key).catch((error) => {
+    console.error('Failed to remove quarantined file:', key, error.message);
+  });
+};
+
+const removeStoredFile = async (key) => {
+  if (!key) return;
+  await storage.remove(key).catch((error) => {
+    console.error('Failed to remove stored file:', key, error.message);
+  });
+};
+
+// Drafts saved before decks were quarantined point into public storage
+// (they have a fileUrl); their deck is moved to quarantine before it is
+// attached to an entry
+const quarantineDraftDeck = async (draft) => {
+  if (!draft.fileUrl || !draft.fileKey) return draft;
+  const buffer = await storage.read(draft.fileKey);
+  const { extension, mimeType } = PITCH_DECK_TYPES[detectPitchDeckType(buffer)];
+  const stored = await quarantine.save({ buffer, fieldName: 'file', extension, mimeType });
+  const publicKey = draft.fileKey;
+  draft.set({ fileUrl: undefined, fileKey: stored.key });
+  await draft.save();
+  await removeStoredFile(publicKey);
+  return draft;
+};
+
+// Entry fields for a quarantined deck (from quarantineDeck or a draft),
+// replacing whatever deck the entry had. The entry itself has to be moved to
+// 'scan-pending' by the caller.
+const toPendingDeck = ({ fileKey, fileName, fileSize, fileMimeType }) => ({
+  fileUrl: undefined,
+  fileKey: undefined,
+  fileName,
+  fileSize,
+  fileMimeType,
+  preview: undefined,
+  scan: { status: 'pending', quarantineKey: fileKey }
+});
+
+// Deck previews are rendered in the background so nobody waits on them;
+// until then the entry's preview is 'pending'
+// (scripts/render-deck-previews.js picks up any that never finished)
+const queueDeckPreview = (entry) => {
+  if (!entry.fileKey) return;
+  generateDeckPreview(entry, { storage, renderer: deckRenderer }).catch((error) => {
+    console.error('❌ Failed to record deck preview:', entry._id, error.message);
+  });
+};
+
+// Moves a scanned deck from quarantine to public storage and lets the entry
+// into judging. changedBy is the scanner, or the admin who reviewed it.
+const releaseDeck = async (entry, { changedBy = SCANNER_ACTOR, reason } = {}) => {
+  const key = entry.scan.quarantineKey;
+  const buffer = await quarantine.read(key);
+  const { extension, mimeType } = PITCH_DECK_TYPES[detectPitchDeckType(buffer)];
+  const stored = await storage.save({ buffer, fieldName: 'file', extension, mimeType });
+
+  entry.set({
+    fileUrl: stored.url,
+    fileKey: stored.key,
+    preview: { status: 'pending' },
+    'scan.quarantineKey': undefined
+  });
+  if (changedBy !== SCANNER_ACTOR) {
+    entry.set({ 'scan.reviewedBy': changedBy, 'scan.reviewedAt': new Date() });
+  }
+  applyTransition(entry, 'submitted', { changedBy, reason });
+
+  try {
+    await entry.save();
+  } catch (error) {
+    await removeStoredFile(stored.key);
+    throw error;
+  }
+
+  await removeQuarantined(key);
+  queueDeckPreview(entry);
+  return entry;
+};
+
+// Scans the quarantined deck of a 'scan-pending' entry and acts on the
+// verdict (see above). Returns the entry, or null when there was nothing to
+// scan or the deck was replaced or withdrawn in the meantime.
+const scanEntryDeck = async (entryId) => {
+  const entry = await Entry.findById(entryId);
+  if (!entry || entry.status !== 'scan-pending' || !entry.scan || !entry.scan.quarantineKey) {
+    return null;
+  }
+  const key = entry.scan.quarantineKey;
+
+  let verdict;
+  try {
+    const buffer = await quarantine.read(key);
+    verdict = await scanner.scan(buffer);
+    verdict.findings = findActiveContent(buffer, detectPitchDeckType(buffer));
+  } catch (error) {
+    console.log(`⚠️ Could not scan the deck of entry ${entry._id}:`, error.message);
+    verdict = { error: error.message };
+  }
+
+  const current = await Entry.findOne({ _id: entry._id, status: 'scan-pending', 'scan.quarantineKey': key });
+  if (!current) return null;
+
+  const scan = { scanner: scanner.name, scannedAt: new Date() };
+
+  if (verdict.error) {
+    current.scan = { ...scan, status: 'error', quarantineKey: key, error: verdict.error };
+  } else if (!verdict.clean) {
+    console.log(`❌ Malware in the deck of entry ${current._id}: ${verdict.signature}`);
+    current.scan = { ...scan, status: 'infected', signature: verdict.signature };
+    applyTransition(current, 'rejected', {
+      changedBy: SCANNER_ACTOR,
+      reason: 'Our virus scanner found malware in the uploaded pitch deck, so it was deleted.'
+    });
+  } else if (verdict.findings.length > 0) {
+    console.log(`⚠️ Deck of entry ${current._id} held for review: ${verdict.findings.join(', ')}`);
+    current.scan = { ...scan, status: 'flagged', quarantineKey: key, findings: verdict.findings };
+  } else {
+    current.scan = { ...scan, status: 'clean', quarantineKey: key };
+    return releaseDeck(current);
+  }
+
+  await current.save();
+  if (current.status === 'rejected') {
+    await removeQuarantined(key);
+    await notifyStatusChange(current);
+  }
+  return current;
+};
+
+// Scans run in the background like previews; the entry stays 'scan-pending'
+// until they are done
+const queueDeckScan = (entry) => {
+  scanEntryDeck(entry._id).catch((error) => {
+    console.error('❌ Failed to record deck scan:', entry._id, error.message);
+  });
+};
+
+// Scans a deck attached before uploads were scanned, which is already public.
+// The verdict is recorded for admins without touching the entry's status;
+// an infected deck is taken down into quarantine. Returns the scan.
+const scanStoredDeck = async (entry) => {
+  const buffer = await storage.read(entry.fileKey);
+  const verdict = await scanner.scan(buffer);
+  const findings = findActiveContent(buffer, detectPitchDeckType(buffer));
+  const scan = { scanner: scanner.name, scannedAt: new Date() };
+
+  if (!verdict.clean) {
+    const { extension, mimeType } = PITCH_DECK_TYPES[detectPitchDeckType(buffer)] || {};
+    const stored = await quarantine.save({ buffer, fieldName: 'file', extension, mimeType });
+    const previous = entry.toObject();
+    entry.set({
+      fileUrl: undefined,
+      fileKey: undefined,
+      preview: undefined,
+      scan: { ...scan, status: 'infected', signature: verdict.signature, quarantineKey: stored.key }
+    });
+    await entry.save();
+    await removeStoredFile(previous.fileKey);
+    await removePreviewImages(storage, previous.preview);
+  } else {
+    entry.scan = findings.length > 0
+      ? { ...scan, status: 'flagged', findings }
+      : { ...scan, status: 'clean' };
+    await entry.save({ timestamps: false });
+  }
+  return entry.scan;
+};
+
+// Everything stored for an entry's deck, for when the entry is deleted
+const removeEntryDeck = async (entry) => {
+  await removeStoredFile(entry.fileKey);
+  await removePreviewImages(storage, entry.preview);
+  if (entry.scan) await removeQuarantined(entry.scan.quarantineKey);
+};
+
+module.exports = {
+  storage,
+  quarantine,
+  scanner,
+  deckRenderer,
+  getDeckConfigError,
+  quarantineDeck,
+  quarantineDraftDeck,
+  removeQuarantined,
+  removeStoredFile,
+  toPendingDeck,
+  queueDeckPreview,
+  queueDeckScan,
+  scanEntryDeck,
+  releaseDeck,
+  scanStoredDeck,
+  removeEntryDeck
+};
@@ -0,0 +1,100 @@
+const { formatAmount } = require('./currency');
+
+// Plain-text notification emails. Each template takes the data prepared in
+// lib/notifications.js and returns { subject, text }.
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const greeting = ({ name }) => `Hi ${name || 'there'},`;
+const signature = `\n\nSee all your entries at ${APP_URL}\n\n— The Top216.com team`;
+
+const STATUS_MESSAGES = {
+  'under-review': {
+    subject: 'is now under review',
+    body: 'Your entry has passed the initial checks and is now with our judges.'
+  },
+  'finalist': {
+    subject: 'is a finalist',
+    body: 'Congratulations! Your entry has been selected as a finalist.'
+  },
+  'winner': {
+    subject: 'is a winner',
+    body: 'Congratulations! Your entry has been chosen as a winner.'
+  },
+  'rejected': {
+    subject: 'was not accepted',
+    body: 'Unfortunately your entry could not be accepted into the competition.'
+  }
+};
+
+const templates = {
+  'entry-submitted': ({ user, entry }) => ({
+    subject: `We received your entry "${entry.title}"`,
+    text: `${greeting(user)}\n\n`
+      + `Thanks for entering! Your entry "${entry.title}" (${entry.category}) was submitted on ${entry.createdAt.toUTCString()}.\n`
+      + `Entry ID: ${entry._id}\n`
+      + (entry.totalAmount > 0 ? `Amount: ${formatAmount(entry.totalAmount, entry.currency)}\n` : '')
+      + signature
+  }),
+
+  'payment-succeeded': ({ user, entry }) => ({
+    subject: `Payment received for "${entry.title}"`,
+    text: `${greeting(user)}\n\n`
+      + `We received your payment of ${formatAmount(entry.totalAmount, entry.currency)} for "${entry.title}".\n`
+      + 'Your invoice can be downloaded from the entry details in My Entries.'
+      + signature
+  }),
+
+  'payment-failed': ({ user, entry }) => ({
+    subject: `Payment failed for "${entry.title}"`,
+    text: `${greeting(user)}\n\n`
+      + `Your payment of ${formatAmount(entry.totalAmount, entry.currency)} for "${entry.title}" did not go through`
+      + (entry.paymentFailureReason ? `: ${entry.paymentFailureReason}` : '.')
+      + '\nEntries are only reviewed once paid. Please contact us if you were charged.'
+      + signature
+  }),
+
+  'status-changed': ({ user, entry }) => {
+    const message = STATUS_MESSAGES[entry.status];
+    return {
+      subject: `Your entry "${entry.title}" ${message.subject}`,
+      text: `${greeting(user)}\n\n${message.body}\n`
+        + (entry.status === 'rejected' && entry.rejectionReason ? `\nReason: ${entry.rejectionReason}\n` : '')
+        + signature
+    };
+  },
+
+  'team-invitation': ({ inviter, entry, member }) => ({
+    subject: `${inviter.name || inviter.email} invited you to co-author "${entry.title}"`,
+    text: 'Hi there,\n\n'
+      + `${inviter.name || inviter.email} added you as a co-author of the entry "${entry.title}" (${entry.category}).\n`
+      + (member.canEdit ? 'As a member you will be able to edit the entry.\n' : '')
+      + `\nTo accept, sign in or sign up at ${APP_URL} with ${member.email} and open My Entries.\n`
+      + 'If you weren\'t expecting this, you can ignore this email or decline the invitation.'
+      + '\n\n— The Top216.com team'
+  }),
+
+  'deadline-reminder': ({ user, competition }) => ({
+    subject: `${competition.name} closes ${competition.closesAt.toUTCString()}`,
+    text: `${greeting(user)}\n\n`
+      + `This is a reminder that submissions for ${competition.name} close on ${competition.closesAt.toUTCString()}.\n`
+      + `There's still time to enter at ${APP_URL}.`
+      + '\n\n— The Top216.com team'
+  })
+};
+
+// Entry statuses that trigger a status-changed email
+const NOTIFIED_STATUSES = Object.keys(STATUS_MESSAGES);
+
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  NOTIFIED_STATUSES,
+  renderTemplate
+};
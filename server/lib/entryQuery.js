@@ -0,0 +1,132 @@
+// Filters, sort orders, full-text search and cursor pagination for My Entries
+// (GET /api/entries).
+//
+// A cursor is the last entry of a page, encoded as base64url JSON: its sort
+// value and _id for the keyed orders, and an offset for search relevance
+// (text scores can't be compared in a query). Cursors only work with the sort
+// order they were issued for.
+
+const mongoose = require('mongoose');
+
+const FILTER_FIELDS = ['category', 'entryType', 'status', 'paymentStatus'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 200;
+
+const SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  title: { field: 'title', direction: 1 }
+};
+const SORT_ORDERS = [...Object.keys(SORTS), 'relevance'];
+
+const encodeCursor = cursor => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    return cursor && typeof cursor === 'object' ? cursor : null;
+  } catch {
+    return null;
+  }
+};
+
+const isValidCursor = (cursor, sort) => {
+  if (!cursor || cursor.sort !== sort) return false;
+  if (sort === 'relevance') return Number.isInteger(cursor.offset) && cursor.offset > 0;
+  if (!mongoose.Types.ObjectId.isValid(cursor.id) || typeof cursor.value !== 'string') return false;
+  return SORTS[sort].field !== 'createdAt' || !isNaN(new Date(cursor.value).getTime());
+};
+
+// Parses the query string. Returns { filter, sort, search, limit, cursor } or
+// { error, message }.
+const parseEntryQuery = (query) => {
+  const filter = {};
+
+  FILTER_FIELDS.forEach((field) => {
+    if (query[field]) {
+      filter[field] = { $in: String(query[field]).split(',') };
+    }
+  });
+
+  const search = typeof query.q === 'string' ? query.q.trim().slice(0, MAX_SEARCH_LENGTH) : '';
+  if (search) filter.$text = { $search: search };
+
+  const sort = query.sort || (search ? 'relevance' : 'newest');
+  if (!SORT_ORDERS.includes(sort)) {
+    return { error: 'Invalid sort order', message: `Sort by one of: ${SORT_ORDERS.join(', ')}` };
+  }
+  if (sort === 'relevance' && !search) {
+    return { error: 'Invalid sort order', message: 'Sorting by relevance needs a search term' };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!isValidCursor(cursor, sort)) {
+      return { error: 'Invalid cursor', message: 'Start again from the first page' };
+    }
+  }
+
+  return { filter, sort, search, limit, cursor };
+};
+
+// Entries after the cursor, in sort order: a later value, or the same value
+// and a later _id
+const afterCursor = ({ field, direction }, cursor) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const value = field === 'createdAt' ? new Date(cursor.value) : cursor.value;
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// One page of entries matching scope (whose entries the user may see) and the
+// parsed query. Returns { entries, nextCursor }, nextCursor being null on the
+// last page.
+const findEntryPage = async (Entry, scope, { filter, sort, limit, cursor }) => {
+  // $text has to stay at the top level of the query
+  const conditions = [scope];
+  let query;
+
+  if (sort === 'relevance') {
+    const offset = cursor ? cursor.offset : 0;
+    query = Entry.find({ ...filter, $and: conditions })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip(offset);
+  } else {
+    const order = SORTS[sort];
+    if (cursor) conditions.push(afterCursor(order, cursor));
+    query = Entry.find({ ...filter, $and: conditions })
+      .sort({ [order.field]: order.direction, _id: order.direction });
+  }
+
+  // One extra entry tells whether there is another page
+  const entries = await query.select('-__v').limit(limit + 1);
+  if (entries.length <= limit) {
+    return { entries, nextCursor: null };
+  }
+
+  entries.pop();
+  const last = entries[entries.length - 1];
+  const nextCursor = sort === 'relevance'
+    ? encodeCursor({ sort, offset: (cursor ? cursor.offset : 0) + limit })
+    : encodeCursor({
+      sort,
+      value: SORTS[sort].field === 'createdAt' ? last.createdAt.toISOString() : last[SORTS[sort].field],
+      id: last.id
+    });
+
+  return { entries, nextCursor };
+};
+
+module.exports = {
+  parseEntryQuery,
+  findEntryPage
+};
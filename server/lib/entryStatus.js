@@ -0,0 +1,61 @@
+// Review pipeline for entries:
+//   scan-pending -> submitted -> under-review -> finalist -> winner
+// with rejection possible from any open stage. Winners and rejections are final.
+// Pitch deck entries wait in scan-pending until their deck has been scanned;
+// only lib/decks.js moves them on to submitted (or back, for a new deck),
+// since that also puts the deck where it can be opened.
+
+const ENTRY_STATUSES = ['scan-pending', 'submitted', 'under-review', 'finalist', 'winner', 'rejected'];
+
+const STATUS_TRANSITIONS = {
+  'scan-pending': ['rejected'],
+  'submitted': ['under-review', 'rejected'],
+  'under-review': ['finalist', 'rejected'],
+  'finalist': ['winner', 'rejected'],
+  'winner': [],
+  'rejected': []
+};
+
+// Returns null when the move is allowed, otherwise the reason it isn't
+const getTransitionError = (entry, to, { reason } = {}) => {
+  if (!ENTRY_STATUSES.includes(to)) {
+    return `Unknown status "${to}"`;
+  }
+
+  if (!STATUS_TRANSITIONS[entry.status].includes(to)) {
+    return `Cannot move from ${entry.status} to ${to}`;
+  }
+
+  if (to === 'rejected' && !(reason && reason.trim())) {
+    return 'A rejection reason is required';
+  }
+
+  // Unpaid entries can be rejected but never progress
+  if (to !== 'rejected' && !['succeeded', 'waived'].includes(entry.paymentStatus)) {
+    return `Payment is ${entry.paymentStatus}`;
+  }
+
+  return null;
+};
+
+// Applies a checked transition and records it in the entry's history
+const applyTransition = (entry, to, { changedBy, reason } = {}) => {
+  entry.statusHistory.push({
+    from: entry.status,
+    to,
+    changedBy,
+    reason: reason || undefined,
+    changedAt: new Date()
+  });
+  entry.status = to;
+  if (to === 'rejected') {
+    entry.rejectionReason = reason.trim();
+  }
+};
+
+module.exports = {
+  ENTRY_STATUSES,
+  STATUS_TRANSITIONS,
+  getTransitionError,
+  applyTransition
+};
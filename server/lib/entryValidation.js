@@ -0,0 +1,60 @@
+const { countWords } = require('./markdown');
+
+// Server side of the shared entry rules in shared/entryValidation.js, which
+// the entry forms use too. That file is an ES module (the frontend imports it
+// as is), so it is loaded once with import() and the helpers here are async.
+// The server deploy bundles it through includeFiles in vercel.json.
+const rulesReady = import('../../shared/entryValidation.js');
+// Without the rules entries can't be checked, so those requests fail, but
+// the rest of the API keeps running
+rulesReady.catch((error) => {
+  console.error('❌ Failed to load the shared entry rules:', error.message);
+});
+
+// The fields of a request body (and uploaded file) the rules look at
+const toEntryInput = (body, file) => ({
+  category: body.category,
+  entryType: body.entryType,
+  title: body.title,
+  description: body.description,
+  textContent: body.textContent,
+  videoUrl: body.videoUrl,
+  file: file ? { name: file.originalname, size: file.size, type: file.mimetype } : undefined
+});
+
+// Returns [{ field, code, message }], empty when the entry is valid. Options
+// are those of the shared validateEntry (categories, hasFile, partial).
+const validateEntryInput = async (input, options = {}) => {
+  const { validateEntry } = await rulesReady;
+  return validateEntry(input, { ...options, countWords });
+};
+
+// Checks an entry submission or edit. For edits pass the entry: its category
+// and type can't change, so they come from it, and with partial only the
+// fields sent are checked. A file multer already refused replaces any other
+// file error.
+const validateEntryRequest = async (req, { entry = null, ...options } = {}) => {
+  const input = toEntryInput(req.body, req.file);
+  if (entry) Object.assign(input, { category: entry.category, entryType: entry.entryType });
+
+  const errors = await validateEntryInput(input, options);
+  if (!req.fileValidationError) return errors;
+  return [
+    ...errors.filter(error => error.field !== 'file'),
+    { field: 'file', code: 'invalid_file_type', message: req.fileValidationError }
+  ];
+};
+
+// 400 with every field error; `error` keeps the first one readable for
+// clients that only show a single message
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  error: errors[0].message,
+  code: 'validation_failed',
+  errors
+});
+
+module.exports = {
+  validateEntryInput,
+  validateEntryRequest,
+  sendValidationErrors
+};
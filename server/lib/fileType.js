@@ -0,0 +1,68 @@
+// Pitch deck type detection from file contents (magic bytes).
+// The MIME type and file name sent by the browser are only hints, so every
+// upload is classified from its first bytes before it is stored.
+
+const MAX_PITCH_DECK_SIZE = 25 * 1024 * 1024; // 25MB, same limit as EntryForm
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const PPT_STREAM_NAME = Buffer.from('PowerPoint Document', 'utf16le');
+
+const PITCH_DECK_TYPES = {
+  pdf: {
+    extension: '.pdf',
+    mimeType: 'application/pdf'
+  },
+  ppt: {
+    extension: '.ppt',
+    mimeType: 'application/vnd.ms-powerpoint'
+  },
+  pptx: {
+    extension: '.pptx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  }
+};
+
+const startsWith = (buffer, signature) => {
+  return buffer.length >= signature.length &&
+    buffer.subarray(0, signature.length).equals(signature);
+};
+
+// Returns 'pdf', 'ppt', 'pptx' or null when the buffer is none of them
+const detectPitchDeckType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return null;
+  }
+
+  // PDF readers accept the header anywhere in the first 1KB
+  if (buffer.subarray(0, 1024).includes(PDF_SIGNATURE)) {
+    return 'pdf';
+  }
+
+  // Legacy .ppt is an OLE2 compound file holding a "PowerPoint Document" stream
+  if (startsWith(buffer, OLE_SIGNATURE) && buffer.includes(PPT_STREAM_NAME)) {
+    return 'ppt';
+  }
+
+  // .pptx is a ZIP package with a ppt/ part tree
+  if (startsWith(buffer, ZIP_SIGNATURE) &&
+      buffer.includes('[Content_Types].xml') &&
+      buffer.includes('ppt/presentation.xml')) {
+    return 'pptx';
+  }
+
+  return null;
+};
+
+const isAllowedPitchDeckName = (fileName) => {
+  const lower = String(fileName || '').toLowerCase();
+  return Object.values(PITCH_DECK_TYPES).some(type => lower.endsWith(type.extension));
+};
+
+module.exports = {
+  MAX_PITCH_DECK_SIZE,
+  PITCH_DECK_TYPES,
+  detectPitchDeckType,
+  isAllowedPitchDeckName
+};
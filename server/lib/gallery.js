@@ -0,0 +1,57 @@
+// Public gallery of finalists and winners. Anyone can read it, so an entry
+// only appears once its lead has opted in, and only the fields below ever
+// leave the server: no payment details, user IDs or email addresses.
+
+const { renderMarkdown } = require('./markdown');
+const { toPreviewView } = require('./deckPreviews');
+
+const GALLERY_STATUSES = ['finalist', 'winner'];
+
+const CARD_FIELDS = ['_id', 'competitionId', 'category', 'entryType', 'title', 'description', 'status'];
+const DETAIL_FIELDS = [...CARD_FIELDS, 'textHtml', 'fileUrl', 'fileName', 'fileMimeType', 'videoUrl'];
+const VIDEO_FIELDS = ['provider', 'videoId', 'hash', 'title', 'thumbnailUrl'];
+
+const pick = (source, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+};
+
+// Entries shown in the gallery, optionally narrowed down further
+const galleryFilter = (filter = {}) => ({
+  ...filter,
+  galleryOptIn: true,
+  status: { $in: GALLERY_STATUSES }
+});
+
+// Credited by name only: the lead, then the co-authors who accepted.
+// usersById maps user IDs to { name }; people without a name are left out.
+const getCredits = (entry, usersById) => {
+  const lead = usersById.get(entry.userId);
+  const members = (entry.team || [])
+    .filter(member => member.role !== 'lead' && member.status === 'accepted')
+    .map(member => member.name || (usersById.get(member.userId) || {}).name);
+  return [lead && lead.name, ...members].filter(Boolean);
+};
+
+// Cards for the list, or with detail everything the entry page shows
+const toGalleryEntry = (entry, { credits = [], detail = false } = {}) => {
+  const source = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  const view = pick(source, detail ? DETAIL_FIELDS : CARD_FIELDS);
+  if (source.video) view.video = pick(source.video, VIDEO_FIELDS);
+  if (source.preview) view.preview = toPreviewView(source.preview);
+  if (source.peoplesChoice && source.peoplesChoice.awardedAt) view.peoplesChoice = true;
+  // Entries saved before Markdown support have no rendered HTML yet
+  if (detail && source.textContent && !source.textHtml) view.textHtml = renderMarkdown(source.textContent);
+  view.credits = credits;
+  return view;
+};
+
+module.exports = {
+  GALLERY_STATUSES,
+  galleryFilter,
+  getCredits,
+  toGalleryEntry
+};
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Competition = require('../models/Competition');
+const { formatAmount } = require('./currency');
+
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+
+// Printed in the invoice header
+const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'Top216.com',
+  address: process.env.INVOICE_SELLER_ADDRESS || '',
+  vatId: process.env.INVOICE_SELLER_VAT_ID || ''
+};
+
+// Entries whose payment went through, including ones refunded afterwards
+const INVOICED_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+const getInvoiceError = (entry) => {
+  if (!entry.paymentIntentId) return 'No payment was made for this entry';
+  if (!INVOICED_STATUSES.includes(entry.paymentStatus)) return 'Payment has not succeeded yet';
+  return null;
+};
+
+const formatInvoiceNumber = (seq) => `${INVOICE_NUMBER_PREFIX}-${String(seq).padStart(6, '0')}`;
+
+// Invoice fields taken from the entry (and its owner and season) as they are now
+const snapshotEntry = async (entry) => {
+  const [owner, competition] = await Promise.all([
+    mongoose.Types.ObjectId.isValid(entry.userId) ? User.findById(entry.userId).select('name email') : null,
+    entry.competitionId ? Competition.findById(entry.competitionId) : null
+  ]);
+  const category = competition && competition.getCategory(entry.category);
+  const pricing = entry.pricing || {};
+  return {
+    userId: entry.userId,
+    paymentIntentId: entry.paymentIntentId,
+    billing: {
+      name: (entry.billing && entry.billing.name) || (owner && owner.name) || '',
+      email: owner ? owner.email : '',
+      vatId: (entry.billing && entry.billing.vatId) || ''
+    },
+    entryTitle: entry.title,
+    category: entry.category,
+    categoryLabel: category ? category.label : entry.category,
+    currency: entry.currency,
+    baseFee: pricing.baseFee,
+    discount: pricing.discount || 0,
+    promoCode: pricing.promoCode,
+    entryFee: entry.entryFee,
+    stripeFee: entry.stripeFee,
+    totalAmount: entry.totalAmount,
+    paidAt: entry.createdAt
+  };
+};
+
+// An invoice left without a number this long (its request died while
+// numbering it) is numbered by the next request that asks for it
+const NUMBERING_LEASE_MS = 60 * 1000;
+const NUMBERING_WAIT_MS = 200;
+const NUMBERING_WAIT_ATTEMPTS = 10;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Claims the entry's invoice for numbering: creates it, or takes over one whose
+// numbering went stale. Returns null when another request has it (e.g. the
+// webhook and the submission issuing it at the same time).
+const claimInvoice = async (entry, existing) => {
+  if (existing) {
+    return Invoice.findOneAndUpdate(
+      { _id: existing._id, number: { $exists: false }, numberingAt: { $lt: new Date(Date.now() - NUMBERING_LEASE_MS) } },
+      { numberingAt: new Date() },
+      { new: true }
+    );
+  }
+  try {
+    return await Invoice.create({ entryId: entry._id, numberingAt: new Date(), ...await snapshotEntry(entry) });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.entryId) return null;
+    throw error;
+  }
+};
+
+// Returns the entry's invoice, numbering a new one the first time. A number
+// is only drawn once this request owns the invoice, so none go unused.
+const issueInvoice = async (entry) => {
+  for (let attempt = 0; attempt < NUMBERING_WAIT_ATTEMPTS; attempt++) {
+    const existing = await Invoice.findOne({ entryId: entry._id });
+    if (existing && existing.number) return existing;
+
+    const invoice = await claimInvoice(entry, existing);
+    if (invoice) {
+      invoice.number = formatInvoiceNumber(await Counter.next('invoice'));
+      invoice.numberingAt = undefined;
+      await invoice.save();
+      console.log(`Invoice ${invoice.number} issued for entry ${entry._id}`);
+      return invoice;
+    }
+    // Being numbered by another request, which takes a moment
+    await sleep(NUMBERING_WAIT_MS);
+  }
+  throw new Error(`Invoice for entry ${entry._id} is still being numbered, try again shortly`);
+};
+
+// Re-takes the snapshot (e.g. after billing details were corrected)
+const regenerateInvoice = async (invoice, entry, { regeneratedBy }) => {
+  invoice.set(await snapshotEntry(entry));
+  invoice.revision += 1;
+  invoice.regeneratedBy = regeneratedBy;
+  invoice.regeneratedAt = new Date();
+  return invoice.save();
+};
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Renders the invoice to a PDF buffer
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = amount => formatAmount(amount, invoice.currency);
+
+  doc.fontSize(20).text(SELLER.name);
+  doc.fontSize(10);
+  if (SELLER.address) doc.text(SELLER.address);
+  if (SELLER.vatId) doc.text(`VAT ID: ${SELLER.vatId}`);
+  doc.moveDown();
+
+  doc.fontSize(16).text(`Invoice ${invoice.number}`);
+  doc.fontSize(10)
+    .text(`Issued: ${formatDay(invoice.createdAt)}`)
+    .text(`Paid: ${formatDay(invoice.paidAt || invoice.createdAt)}`);
+  if (invoice.revision > 1) {
+    doc.text(`Revision ${invoice.revision} (${formatDay(invoice.regeneratedAt)})`);
+  }
+  doc.moveDown();
+
+  doc.fontSize(12).text('Billed to');
+  doc.fontSize(10);
+  if (invoice.billing.name) doc.text(invoice.billing.name);
+  if (invoice.billing.email) doc.text(invoice.billing.email);
+  if (invoice.billing.vatId) doc.text(`VAT ID: ${invoice.billing.vatId}`);
+  doc.moveDown();
+
+  doc.text(`Entry: ${invoice.entryTitle}`)
+    .text(`Entry ID: ${invoice.entryId}`)
+    .text(`Category: ${invoice.categoryLabel || invoice.category}`)
+    .text(`Payment: ${invoice.paymentIntentId}`);
+  doc.moveDown();
+
+  const lines = [];
+  if (invoice.discount > 0) {
+    lines.push(['Entry fee', money(invoice.baseFee)]);
+    lines.push([invoice.promoCode ? `Discount (${invoice.promoCode})` : 'Discount', `-${money(invoice.discount)}`]);
+  } else {
+    lines.push(['Entry fee', money(invoice.entryFee)]);
+  }
+  lines.push(['Processing fee', money(invoice.stripeFee)]);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const row = (label, amount) => {
+    const y = doc.y;
+    doc.text(label, left, y);
+    doc.text(amount, left, y, { width, align: 'right' });
+  };
+  lines.forEach(([label, amount]) => row(label, amount));
+  doc.moveTo(left, doc.y + 4).lineTo(left + width, doc.y + 4).stroke();
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold');
+  row('Total paid', money(invoice.totalAmount));
+  doc.font('Helvetica');
+
+  doc.end();
+});
+
+// Sends an invoice as a PDF download
+const sendInvoicePdf = async (res, invoice) => {
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="invoice-${invoice.number}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+module.exports = {
+  getInvoiceError,
+  issueInvoice,
+  regenerateInvoice,
+  renderInvoicePdf,
+  sendInvoicePdf
+};
@@ -0,0 +1,63 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Text entries are written in Markdown and stored as the participant typed
+// them. The HTML shown to participants, admins and judges is rendered here
+// and sanitized, so nothing a participant writes can run in someone else's
+// browser. frontend/src/utils/markdown.js counts words the same way.
+
+// GitHub-flavoured Markdown; raw HTML in the source is allowed through the
+// parser but anything not on the allow list below is dropped afterwards
+const marked = new Marked({ gfm: true, breaks: true });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 'code', 'pre', 'a'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    ol: ['start']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  // Links leave the site in a new tab without access to it
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer nofollow' })
+  }
+};
+
+const renderMarkdown = (source) => {
+  if (!source) return '';
+  return sanitizeHtml(marked.parse(source), SANITIZE_OPTIONS);
+};
+
+// Visible text of the tokens, skipping markup: link targets, emphasis marks,
+// list bullets and heading hashes don't count as words
+const tokensToText = tokens => tokens.map((token) => {
+  if (token.type === 'html') return ' ';
+  if (token.type === 'image') return ` ${token.text} `;
+  if (token.type === 'list') return ` ${tokensToText(token.items)} `;
+  if (token.type === 'table') {
+    const cells = [...token.header, ...token.rows.flat()];
+    return ` ${cells.map(cell => tokensToText(cell.tokens)).join(' ')} `;
+  }
+  if (token.tokens) return ` ${tokensToText(token.tokens)} `;
+  return token.text !== undefined ? token.text : ' ';
+}).join('');
+
+const markdownToText = (source) => {
+  if (!source) return '';
+  return tokensToText(marked.lexer(source)).replace(/\s+/g, ' ').trim();
+};
+
+// Letters or digits, keeping contractions and hyphenated words together
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const countWords = source => (markdownToText(source).match(WORD_PATTERN) || []).length;
+
+module.exports = {
+  renderMarkdown,
+  markdownToText,
+  countWords
+};
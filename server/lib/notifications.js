@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const EmailLog = require('../models/EmailLog');
+const { createMailTransport } = require('./mail');
+const { NOTIFIED_STATUSES, renderTemplate } = require('./emailTemplates');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Top216.com <no-reply@top216.com>';
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.MAIL_RETRY_DELAY_MS, 10) || 500;
+
+// Local file outbox by default, SMTP in production (see lib/mail.js). Missing
+// mail settings fail the emails rather than the server: they are logged as
+// failed with the reason and can be resent once mail is configured.
+let transport = null;
+let transportError = null;
+try {
+  transport = createMailTransport();
+  console.log('Mail transport:', transport.name, transport.directory || '');
+} catch (error) {
+  transportError = error;
+  console.error('❌ Mail transport not configured:', error.message);
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tries to hand a logged email to the transport, backing off between
+// attempts, and records the outcome on the log
+const deliver = async (log) => {
+  const message = { from: MAIL_FROM, to: log.to, subject: log.subject, text: log.text };
+
+  if (!transport) {
+    log.attempts += 1;
+    log.set({ status: 'failed', error: transportError.message });
+    return log.save();
+  }
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    log.attempts += 1;
+    try {
+      const { messageId } = await transport.send(message);
+      log.set({ status: 'sent', messageId, sentAt: new Date(), error: undefined });
+      console.log(`📧 ${log.template} sent to ${log.to}`);
+      break;
+    } catch (error) {
+      log.set({ status: 'failed', error: error.message });
+      console.error(`⚠️ ${log.template} to ${log.to} failed (attempt ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+      if (attempt < MAX_ATTEMPTS) await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  return log.save();
+};
+
+// Renders and sends one email. Never throws: a notification that can't go
+// out must not fail the request that triggered it. Returns the log, or null
+// when it was skipped or already sent under the same dedupeKey.
+const sendEmail = async ({ to, template, data, userId, entryId, dedupeKey }) => {
+  try {
+    const { subject, text } = renderTemplate(template, data);
+    const log = await EmailLog.create({
+      to,
+      template,
+      subject,
+      text,
+      userId,
+      entryId,
+      dedupeKey,
+      transport: transport ? transport.name : 'none',
+      status: 'sending'
+    });
+    return await deliver(log);
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.dedupeKey) {
+      console.log(`Skipping ${template}, already sent:`, dedupeKey);
+      return null;
+    }
+    console.error(`⚠️ Could not send ${template} email:`, error.message);
+    return null;
+  }
+};
+
+const findRecipient = (userId) => (
+  mongoose.Types.ObjectId.isValid(userId) ? User.findById(userId).select('name email') : null
+);
+
+// Emails the owner of an entry. Each template goes out at most once per
+// entry, status emails once per status.
+const notifyEntryOwner = async (entry, template) => {
+  try {
+    const user = await findRecipient(entry.userId);
+    if (!user) return null;
+
+    const dedupeKey = template === 'status-changed'
+      ? `${template}:${entry._id}:${entry.status}`
+      : `${template}:${entry._id}`;
+
+    return await sendEmail({
+      to: user.email,
+      template,
+      data: { user, entry },
+      userId: entry.userId,
+      entryId: entry._id,
+      dedupeKey
+    });
+  } catch (error) {
+    console.error(`⚠️ Could not notify owner of entry ${entry._id}:`, error.message);
+    return null;
+  }
+};
+
+const notifyEntrySubmitted = entry => notifyEntryOwner(entry, 'entry-submitted');
+
+// Payment emails are for payments that settle after submission (via webhook)
+const notifyPaymentStatus = (entry) => {
+  if (entry.paymentStatus === 'succeeded') return notifyEntryOwner(entry, 'payment-succeeded');
+  if (entry.paymentStatus === 'failed') return notifyEntryOwner(entry, 'payment-failed');
+  return null;
+};
+
+// Co-authors hear about status changes too, once per member and status
+const notifyTeamMembers = async (entry) => {
+  const members = (entry.team || [])
+    .filter(member => member.role === 'member' && member.status === 'accepted' && member.userId);
+  return Promise.all(members.map(async (member) => {
+    try {
+      const user = await findRecipient(member.userId);
+      if (!user) return null;
+      return await sendEmail({
+        to: user.email,
+        template: 'status-changed',
+        data: { user, entry },
+        userId: member.userId,
+        entryId: entry._id,
+        dedupeKey: `status-changed:${entry._id}:${entry.status}:${member.userId}`
+      });
+    } catch (error) {
+      console.error(`⚠️ Could not notify team member of entry ${entry._id}:`, error.message);
+      return null;
+    }
+  }));
+};
+
+const notifyStatusChange = async (entry) => {
+  if (!NOTIFIED_STATUSES.includes(entry.status)) return null;
+  const [ownerLog] = await Promise.all([
+    notifyEntryOwner(entry, 'status-changed'),
+    notifyTeamMembers(entry)
+  ]);
+  return ownerLog;
+};
+
+// Each invitation is emailed once; inviting again after a decline sends a new one
+const sendTeamInvitation = (entry, member, inviter) => sendEmail({
+  to: member.email,
+  template: 'team-invitation',
+  data: { inviter, entry, member },
+  userId: inviter.id,
+  entryId: entry._id,
+  dedupeKey: `team-invitation:${entry._id}:${member.email}:${member.invitedAt.getTime()}`
+});
+
+// One reminder per participant and season
+const sendDeadlineReminder = (user, competition) => sendEmail({
+  to: user.email,
+  template: 'deadline-reminder',
+  data: { user, competition },
+  userId: user.id,
+  dedupeKey: `deadline-reminder:${competition._id}:${user._id}`
+});
+
+module.exports = {
+  deliver,
+  sendEmail,
+  notifyEntrySubmitted,
+  notifyPaymentStatus,
+  notifyStatusChange,
+  sendTeamInvitation,
+  sendDeadlineReminder
+};
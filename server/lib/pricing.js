@@ -0,0 +1,110 @@
+// Entry pricing: time-based tiers (early-bird/regular/late), promo codes and
+// sponsor fee waivers. All amounts are in the currency's minor units.
+
+const { getMinorUnitFactor } = require('./currency');
+
+const PROCESSING_FEE_RATE = 0.04;
+
+// Stripe's fee is passed on to the entrant, rounded up to a whole major unit
+const calculateFees = (baseAmount, currency) => {
+  const unit = getMinorUnitFactor(currency);
+  const stripeFee = baseAmount > 0 ? Math.ceil(baseAmount * PROCESSING_FEE_RATE / unit) * unit : 0;
+  const totalAmount = baseAmount + stripeFee;
+  return { stripeFee, totalAmount };
+};
+
+// The competition tier whose window contains `now`, or null for regular pricing
+const getPricingTier = (competition, now = new Date()) => {
+  const tiers = competition.pricingTiers || [];
+  return tiers.find(tier => now >= tier.startsAt && now <= tier.endsAt) || null;
+};
+
+// Why a promo code can't be used for this entry, or null if it can.
+// Usage limits are only checked when quoting; a code that was valid when the
+// payment was created is honoured at submission.
+const getPromoCodeError = (promo, { competitionId, category, currency, now = new Date(), checkUsage = true }) => {
+  if (!promo || !promo.active) return 'Promo code not found';
+  if (promo.expiresAt && now > promo.expiresAt) return 'Promo code has expired';
+  if (promo.competitionId && promo.competitionId.toString() !== competitionId.toString()) {
+    return 'Promo code is not valid for this competition';
+  }
+  if (promo.categories.length > 0 && !promo.categories.includes(category)) {
+    return 'Promo code is not valid for this category';
+  }
+  if (promo.discountType === 'fixed' && promo.currency !== currency) {
+    return `Promo code is only valid for payments in ${promo.currency.toUpperCase()}`;
+  }
+  if (checkUsage && promo.maxUses && promo.uses >= promo.maxUses) {
+    return 'Promo code has reached its usage limit';
+  }
+  return null;
+};
+
+const getDiscountAmount = (promo, fee) => {
+  const amount = promo.discountType === 'percent'
+    ? Math.round(fee * promo.amount / 100)
+    : promo.amount;
+  return Math.min(amount, fee);
+};
+
+// Full price breakdown for one entry in the chosen currency. Waivers take
+// precedence over promo codes; bundle discounts only apply in a cart checkout.
+const quoteEntry = ({ competition, category, currency, promo = null, waiver = null, bundle = null, now = new Date() }) => {
+  const tier = getPricingTier(competition, now);
+  const baseFee = competition.getPrice(category, currency, tier ? tier.key : null);
+
+  let discount = 0;
+  if (waiver) {
+    discount = baseFee;
+  } else if (promo) {
+    discount = getDiscountAmount(promo, baseFee);
+  } else if (bundle) {
+    discount = Math.round(baseFee * bundle.percent / 100);
+  }
+
+  const entryFee = baseFee - discount;
+  const { stripeFee, totalAmount } = calculateFees(entryFee, currency);
+
+  return {
+    currency,
+    tier: tier ? tier.key : 'regular',
+    tierLabel: tier ? tier.label : 'Regular',
+    baseFee,
+    promoCode: !waiver && promo ? promo.code : null,
+    discount,
+    waivedBy: waiver ? waiver.sponsor : null,
+    bundlePercent: !waiver && !promo && bundle ? bundle.percent : null,
+    entryFee,
+    stripeFee,
+    totalAmount
+  };
+};
+
+// Prices several entries paid together. Each entry is quoted on its own, with
+// the bundle discount, so every entry keeps exact amounts for refunds and
+// invoices; the payment is their sum.
+const quoteCart = ({ competition, categories, currency, now = new Date() }) => {
+  const bundle = competition.getBundleDiscount(categories.length);
+  const items = categories.map(category => quoteEntry({ competition, category, currency, bundle, now }));
+  const sum = field => items.reduce((total, item) => total + item[field], 0);
+
+  return {
+    currency,
+    bundlePercent: bundle ? bundle.percent : null,
+    items,
+    baseFee: sum('baseFee'),
+    discount: sum('discount'),
+    entryFee: sum('entryFee'),
+    stripeFee: sum('stripeFee'),
+    totalAmount: sum('totalAmount')
+  };
+};
+
+module.exports = {
+  PROCESSING_FEE_RATE,
+  calculateFees,
+  getPricingTier,
+  getPromoCodeError,
+  quoteEntry,
+  quoteCart
+};
@@ -0,0 +1,46 @@
+// Refund rules.
+// Participants withdrawing their own entry before the submission deadline get
+// the entry fee back; the processing fee covers Stripe's costs and is kept.
+// After the deadline nothing is refunded. Admins can refund any part of what
+// was paid and not yet returned.
+
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+
+// What is left to refund, in minor units
+const getRefundableAmount = (entry) => {
+  if (!REFUNDABLE_STATUSES.includes(entry.paymentStatus)) return 0;
+  return Math.max(entry.totalAmount - (entry.amountRefunded || 0), 0);
+};
+
+const getWithdrawalRefund = (entry, { deadline = null, now = new Date() } = {}) => {
+  const refundable = getRefundableAmount(entry);
+  if (refundable === 0) {
+    return { amount: 0, reason: 'No captured payment to refund' };
+  }
+
+  if (deadline && now > deadline) {
+    return { amount: 0, reason: 'Withdrawn after the submission deadline' };
+  }
+
+  return {
+    amount: Math.min(entry.entryFee, refundable), // minor units, like all entry amounts
+    reason: 'Entry fee refunded, processing fee is non-refundable'
+  };
+};
+
+// Checks an admin refund request. Returns an error message or null.
+const getAdminRefundError = (entry, amount) => {
+  const refundable = getRefundableAmount(entry);
+  if (!entry.paymentIntentId || refundable === 0) {
+    return 'Nothing left to refund for this entry';
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return 'Refund amount must be a positive whole number of minor units';
+  }
+  if (amount > refundable) {
+    return `At most ${refundable} can be refunded`;
+  }
+  return null;
+};
+
+module.exports = { getRefundableAmount, getWithdrawalRefund, getAdminRefundError };
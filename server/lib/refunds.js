@@ -0,0 +1,56 @@
+const Refund = require('../models/Refund');
+const { canTransition } = require('./stripeEvents');
+
+// Refunds that returned (or may still return) money to the entrant
+const COUNTED_STATUSES = ['pending', 'requires_action', 'succeeded'];
+
+// Creates a Stripe refund for an entry and records who asked for it.
+// Retrying with the same idempotencyKey returns the original refund, which is
+// only recorded once. Stripe errors are thrown to the caller.
+const issueRefund = async (stripe, entry, { amount, reason, kind, initiatedBy, idempotencyKey }) => {
+  const stripeRefund = await stripe.refunds.create({
+    payment_intent: entry.paymentIntentId,
+    amount,
+    metadata: { entryId: entry._id.toString(), reason: kind, initiatedBy }
+  }, { idempotencyKey });
+
+  const refund = await Refund.findOneAndUpdate(
+    { stripeRefundId: stripeRefund.id },
+    {
+      $setOnInsert: {
+        entryId: entry._id,
+        userId: entry.userId,
+        paymentIntentId: entry.paymentIntentId,
+        amount: stripeRefund.amount,
+        currency: stripeRefund.currency,
+        kind,
+        reason,
+        initiatedBy
+      },
+      $set: { status: stripeRefund.status }
+    },
+    { new: true, upsert: true }
+  );
+
+  console.log(`Refund ${stripeRefund.id}: ${stripeRefund.amount} ${stripeRefund.currency} for entry ${entry._id} (${kind})`);
+  return refund;
+};
+
+// Recomputes amountRefunded and paymentStatus from the recorded refunds
+const syncRefundState = async (entry) => {
+  const refunds = await Refund.find({ entryId: entry._id, status: { $in: COUNTED_STATUSES } });
+  const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+  // Refunds made outside the app only show up through the webhook
+  entry.amountRefunded = Math.max(entry.amountRefunded || 0, refunded);
+
+  if (entry.amountRefunded > 0) {
+    const status = entry.amountRefunded >= entry.totalAmount ? 'refunded' : 'partially_refunded';
+    if (canTransition(entry.paymentStatus, status)) {
+      entry.paymentStatus = status;
+    }
+  }
+  return entry;
+};
+
+module.exports = { issueRefund, syncRefundState };
@@ -0,0 +1,113 @@
+const net = require('net');
+
+// Malware scanners for uploaded pitch decks (see lib/decks.js).
+//
+// Every adapter exposes the same interface:
+//   scan(buffer) -> { clean, signature }
+// signature naming what was found when clean is false. It throws when the
+// scanner can't be reached or gives no verdict, so callers can tell
+// "infected" from "not scanned".
+
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+// A clamd daemon, streamed to with the INSTREAM command: each chunk is
+// prefixed with its length as a 4-byte big-endian integer, and an empty
+// chunk ends the stream. clamd's StreamMaxLength must allow 25MB decks.
+// Deployed servers have no daemon of their own, so CLAMAV_HOST is required
+// in production; development falls back to one on localhost.
+const createClamavScanner = ({
+  host = process.env.CLAMAV_HOST,
+  port = Number(process.env.CLAMAV_PORT) || 3310,
+  timeoutMs = Number(process.env.CLAMAV_TIMEOUT_MS) || 60000,
+  chunkSize = 64 * 1024
+} = {}) => {
+  if (!host && process.env.NODE_ENV === 'production') {
+    throw new Error('CLAMAV_HOST is required for the clamav scanner in production');
+  }
+  return {
+    name: 'clamav',
+    scan(buffer) {
+      return new Promise((resolve, reject) => {
+        const replies = [];
+        let settled = false;
+        const settle = (error, result) => {
+          if (settled) return;
+          settled = true;
+          if (error) reject(error); else resolve(result);
+        };
+
+        const socket = net.createConnection({ host: host || '127.0.0.1', port }, () => {
+          socket.write('zINSTREAM\0');
+          for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+            const chunk = buffer.subarray(offset, offset + chunkSize);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            socket.write(length);
+            socket.write(chunk);
+          }
+          socket.end(Buffer.alloc(4));
+        });
+
+        socket.setTimeout(timeoutMs, () => {
+          socket.destroy(new Error(`ClamAV did not answer within ${timeoutMs}ms`));
+        });
+        socket.on('data', data => replies.push(data));
+        socket.on('error', error => settle(new Error(`ClamAV scan failed: ${error.message}`)));
+        socket.on('close', () => {
+          // Replies look like "stream: OK" or "stream: Win.Test.EICAR_HDB-1 FOUND"
+          const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+          if (/^stream: OK$/.test(reply)) {
+            return settle(null, { clean: true });
+          }
+          const found = reply.match(/^stream: (.+) FOUND$/);
+          if (found) {
+            return settle(null, { clean: false, signature: found[1] });
+          }
+          settle(new Error(`ClamAV gave no verdict: ${reply || 'empty reply'}`));
+        });
+      });
+    }
+  };
+};
+
+// Scans nothing, for development and CI: only the EICAR test file is
+// reported, so the infected path can still be tried out
+const createStubScanner = () => ({
+  name: 'stub',
+  async scan(buffer) {
+    if (buffer.includes(EICAR_MARKER)) {
+      return { clean: false, signature: 'Eicar-Test-Signature' };
+    }
+    return { clean: true };
+  }
+});
+
+const drivers = {
+  clamav: createClamavScanner,
+  stub: createStubScanner
+};
+
+const registerScannerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// The stub unless SCANNER_DRIVER says otherwise. Production has to choose:
+// quietly scanning nothing, or waiting on a scanner that isn't there, would
+// leave every pitch deck unscanned or stuck in 'scan-pending'.
+const createScanner = (name = process.env.SCANNER_DRIVER, options = {}) => {
+  if (!name && process.env.NODE_ENV === 'production') {
+    throw new Error('SCANNER_DRIVER is required in production (e.g. clamav with CLAMAV_HOST)');
+  }
+  const factory = drivers[name || 'stub'];
+  if (!factory) {
+    throw new Error(`Unknown scanner driver "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createScanner,
+  createClamavScanner,
+  createStubScanner,
+  registerScannerDriver
+};
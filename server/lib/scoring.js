@@ -0,0 +1,115 @@
+// Rubric scoring, aggregation and judge outlier detection.
+// Weighted scores are normalized to 0-100 so rubrics with different
+// criteria/maxima can still be ranked against each other.
+
+const DEFAULT_CRITERIA = [
+  { key: 'originality', label: 'Originality', weight: 1, maxScore: 10 },
+  { key: 'feasibility', label: 'Feasibility', weight: 1, maxScore: 10 },
+  { key: 'presentation', label: 'Presentation', weight: 1, maxScore: 10 }
+];
+
+// A score further than this (in 0-100 points) from the entry's median score is flagged
+const OUTLIER_THRESHOLD = Number(process.env.SCORE_OUTLIER_THRESHOLD) || 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Returns null when every criterion has a value within 0..maxScore
+const validateScores = (criteria, values = {}) => {
+  for (const criterion of criteria) {
+    const value = values[criterion.key];
+    if (typeof value !== 'number' || isNaN(value)) {
+      return `Missing score for ${criterion.label}`;
+    }
+    if (value < 0 || value > criterion.maxScore) {
+      return `${criterion.label} must be between 0 and ${criterion.maxScore}`;
+    }
+  }
+
+  const unknown = Object.keys(values).filter(key => !criteria.some(c => c.key === key));
+  if (unknown.length > 0) {
+    return `Unknown criteria: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+const computeWeightedScore = (criteria, values) => {
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  const weighted = criteria.reduce((sum, c) => sum + c.weight * (values[c.key] / c.maxScore), 0);
+  return round((weighted / totalWeight) * 100);
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+};
+
+// scores: [{ entryId, judgeId, weightedScore }]
+// Returns the entries ranked by average score plus per-judge deviation stats.
+const buildLeaderboard = (scores, { threshold = OUTLIER_THRESHOLD } = {}) => {
+  const byEntry = new Map();
+  scores.forEach((score) => {
+    const key = score.entryId.toString();
+    if (!byEntry.has(key)) byEntry.set(key, []);
+    byEntry.get(key).push(score);
+  });
+
+  const judges = new Map();
+  const outliers = [];
+
+  const ranking = [...byEntry.entries()].map(([entryId, entryScores]) => {
+    const values = entryScores.map(s => s.weightedScore);
+
+    // The median keeps a single extreme judge from dragging everyone else into
+    // the outlier list; it needs at least three opinions to mean anything
+    if (entryScores.length >= 3) {
+      const middle = median(values);
+      entryScores.forEach((score) => {
+        const deviation = score.weightedScore - middle;
+        const stats = judges.get(score.judgeId) || { judgeId: score.judgeId, reviews: 0, totalDeviation: 0, outliers: 0 };
+        stats.reviews += 1;
+        stats.totalDeviation += deviation;
+        if (Math.abs(deviation) > threshold) {
+          stats.outliers += 1;
+          outliers.push({ entryId, judgeId: score.judgeId, weightedScore: score.weightedScore, deviation: round(deviation) });
+        }
+        judges.set(score.judgeId, stats);
+      });
+    }
+
+    return {
+      entryId,
+      averageScore: round(mean(values)),
+      reviews: values.length,
+      minScore: Math.min(...values),
+      maxScore: Math.max(...values),
+      spread: round(stdDev(values))
+    };
+  });
+
+  ranking.sort((a, b) => b.averageScore - a.averageScore || b.reviews - a.reviews);
+  ranking.forEach((row, index) => { row.rank = index + 1; });
+
+  const judgeStats = [...judges.values()].map(({ totalDeviation, ...stats }) => ({
+    ...stats,
+    meanDeviation: round(totalDeviation / stats.reviews)
+  }));
+
+  return { ranking, outliers, judges: judgeStats, threshold };
+};
+
+module.exports = {
+  DEFAULT_CRITERIA,
+  OUTLIER_THRESHOLD,
+  validateScores,
+  computeWeightedScore,
+  buildLeaderboard
+};
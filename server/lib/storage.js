@@ -0,0 +1,63 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File storage adapters for uploaded pitch decks.
+//
+// Every adapter exposes the same interface:
+//   save({ buffer, fieldName, extension, mimeType }) -> { key, url }
+//   read(key) -> Buffer
+//   remove(key)
+// `key` is what we keep to delete the file later, `url` is what the frontend
+// opens (EntryList prefixes it with API_BASE_URL when it is a relative path).
+
+// Local disk storage for development: files go to server/uploads and are served
+// back by the /api/uploads static route in server.js.
+const createLocalStorage = ({
+  directory = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  publicPath = '/api/uploads'
+} = {}) => ({
+  name: 'local',
+  directory,
+  publicPath,
+
+  async save({ buffer, fieldName = 'file', extension = '' }) {
+    await fs.mkdir(directory, { recursive: true });
+    const key = `${fieldName}-${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+    await fs.writeFile(path.join(directory, key), buffer);
+    return { key, url: `${publicPath}/${key}` };
+  },
+
+  async read(key) {
+    return fs.readFile(path.join(directory, path.basename(key)));
+  },
+
+  async remove(key) {
+    if (!key) return;
+    await fs.rm(path.join(directory, path.basename(key)), { force: true });
+  }
+});
+
+// Object storage (S3, GCS, R2...) plugs in by registering a factory that
+// returns the same interface, e.g. registerStorageDriver('s3', createS3Storage)
+// and then setting STORAGE_DRIVER=s3.
+const drivers = {
+  local: createLocalStorage
+};
+
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const createStorage = (name = process.env.STORAGE_DRIVER || 'local', options = {}) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createStorage,
+  createLocalStorage,
+  registerStorageDriver
+};
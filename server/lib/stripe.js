@@ -0,0 +1,16 @@
+const Stripe = require('stripe');
+
+// Shared Stripe client, or null when STRIPE_SECRET_KEY isn't configured
+let stripe = null;
+try {
+  if (process.env.STRIPE_SECRET_KEY) {
+    stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+    console.log('✅ Stripe initialized successfully');
+  } else {
+    console.log('⚠️ Stripe key not found - payment features disabled');
+  }
+} catch (error) {
+  console.error('❌ Stripe initialization failed:', error.message);
+}
+
+module.exports = stripe;
@@ -0,0 +1,73 @@
+// Maps the Stripe webhook events we subscribe to onto Entry.paymentStatus.
+
+const HANDLED_EVENT_TYPES = [
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'payment_intent.canceled',
+  'charge.refunded'
+];
+
+// Stripe doesn't guarantee delivery order, so a late event must never move an
+// entry backwards (e.g. a retried "succeeded" arriving after "refunded").
+const ALLOWED_TRANSITIONS = {
+  'pending': ['succeeded', 'failed', 'canceled', 'refunded', 'partially_refunded'],
+  'failed': ['succeeded', 'failed', 'canceled'],
+  'succeeded': ['refunded', 'partially_refunded'],
+  'partially_refunded': ['partially_refunded', 'refunded'],
+  'canceled': [],
+  'refunded': []
+};
+
+const canTransition = (from, to) => {
+  return (ALLOWED_TRANSITIONS[from] || []).includes(to);
+};
+
+// Returns { paymentIntentId, paymentStatus, ... } or null for events we ignore
+const getPaymentUpdate = (event) => {
+  const object = event && event.data && event.data.object;
+  if (!object) {
+    return null;
+  }
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return { paymentIntentId: object.id, paymentStatus: 'succeeded' };
+
+    case 'payment_intent.payment_failed':
+      return {
+        paymentIntentId: object.id,
+        paymentStatus: 'failed',
+        failureReason: object.last_payment_error ? object.last_payment_error.message : undefined
+      };
+
+    case 'payment_intent.canceled':
+      return { paymentIntentId: object.id, paymentStatus: 'canceled' };
+
+    case 'charge.refunded':
+      if (!object.payment_intent) {
+        return null;
+      }
+      return {
+        paymentIntentId: object.payment_intent,
+        paymentStatus: object.amount_refunded >= object.amount ? 'refunded' : 'partially_refunded',
+        amountRefunded: object.amount_refunded
+      };
+
+    default:
+      return null;
+  }
+};
+
+// Replays recorded updates (oldest first) onto a starting status
+const resolvePaymentStatus = (initialStatus, updates) => {
+  return updates.reduce((status, update) => {
+    return canTransition(status, update.paymentStatus) ? update.paymentStatus : status;
+  }, initialStatus);
+};
+
+module.exports = {
+  HANDLED_EVENT_TYPES,
+  canTransition,
+  getPaymentUpdate,
+  resolvePaymentStatus
+};
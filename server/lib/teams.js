@@ -0,0 +1,126 @@
+// Team entry rules.
+// The lead created the entry and is the only one who pays for it, withdraws it
+// or downloads its invoice. Co-authors join by accepting an invitation sent to
+// their email address; members the lead allows to edit can change the entry's
+// content like the lead can. Everyone on the team sees the entry in My Entries.
+
+const MAX_TEAM_MEMBERS = parseInt(process.env.MAX_TEAM_MEMBERS, 10) || 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields members don't see: the lead's payment and billing details
+const LEAD_ONLY_FIELDS = [
+  'billing', 'paymentIntentId', 'paymentFailureReason', 'checkoutId', 'checkoutItem',
+  'pricing', 'entryFee', 'stripeFee', 'totalAmount', 'amountRefunded'
+];
+
+const findMemberByUser = (entry, userId) => (
+  (entry.team || []).find(member => member.userId === userId && member.status === 'accepted')
+);
+
+const findMemberByEmail = (entry, email) => (
+  (entry.team || []).find(member => member.email === email.toLowerCase())
+);
+
+// 'lead', 'member' or null for users who aren't on the entry
+const getTeamRole = (entry, userId) => {
+  if (entry.userId === userId) return 'lead';
+  return findMemberByUser(entry, userId) ? 'member' : null;
+};
+
+const canEditEntry = (entry, userId) => {
+  if (entry.userId === userId) return true;
+  const member = findMemberByUser(entry, userId);
+  return Boolean(member && member.canEdit);
+};
+
+// Entries the user leads or has joined
+const teamEntriesFilter = userId => ({
+  $or: [
+    { userId },
+    { team: { $elemMatch: { userId, status: 'accepted' } } }
+  ]
+});
+
+// Members that count towards the team size: pending and accepted ones
+const countActiveMembers = entry => (entry.team || [])
+  .filter(member => member.role === 'member' && member.status !== 'declined')
+  .length;
+
+// Checks an invitation from the lead. Returns an error message or null.
+const getInvitationError = (entry, email, lead) => {
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    return 'A valid email address is required';
+  }
+  if (email.toLowerCase() === lead.email) {
+    return 'You are already the team lead';
+  }
+  const existing = findMemberByEmail(entry, email);
+  if (existing && existing.status !== 'declined') {
+    return existing.status === 'accepted' ? 'Already a team member' : 'Already invited';
+  }
+  if (countActiveMembers(entry) >= MAX_TEAM_MEMBERS) {
+    return `Teams can have at most ${MAX_TEAM_MEMBERS} co-authors`;
+  }
+  return null;
+};
+
+// Adds (or re-invites) a co-author. The lead joins the team list on the
+// first invitation so the team reads the same for everyone.
+const addInvitation = (entry, { email, canEdit = false }, lead) => {
+  if (!entry.team.some(member => member.role === 'lead')) {
+    entry.team.push({
+      email: lead.email,
+      userId: lead.id,
+      name: lead.name,
+      role: 'lead',
+      canEdit: true,
+      status: 'accepted',
+      invitedBy: lead.id,
+      respondedAt: new Date()
+    });
+  }
+
+  const invitation = {
+    email: email.toLowerCase(),
+    role: 'member',
+    canEdit: Boolean(canEdit),
+    status: 'invited',
+    invitedBy: lead.id,
+    invitedAt: new Date(),
+    userId: undefined,
+    respondedAt: undefined
+  };
+
+  const existing = findMemberByEmail(entry, email);
+  if (existing) {
+    existing.set(invitation);
+    return existing;
+  }
+  entry.team.push(invitation);
+  return entry.team[entry.team.length - 1];
+};
+
+// What a member sees of an entry they don't lead
+const toMemberView = (entry) => {
+  const view = typeof entry.toObject === 'function' ? entry.toObject() : { ...entry };
+  LEAD_ONLY_FIELDS.forEach(field => delete view[field]);
+  return view;
+};
+
+// Everyone who authored the entry, for conflict checks and redaction
+const getAuthorIds = entry => [...new Set([
+  entry.userId,
+  ...(entry.team || []).filter(member => member.userId && member.status === 'accepted').map(member => member.userId)
+])];
+
+module.exports = {
+  MAX_TEAM_MEMBERS,
+  getTeamRole,
+  canEditEntry,
+  teamEntriesFilter,
+  getInvitationError,
+  addInvitation,
+  toMemberView,
+  getAuthorIds
+};
@@ -0,0 +1,82 @@
+// Metadata lookups for the videos of video entries (see lib/videos.js).
+//
+// Every adapter exposes the same interface:
+//   lookup({ provider, videoId, hash, url }) -> { title, authorName, thumbnailUrl, duration }
+// It returns null when the provider says there is no such video, or that it
+// can't be embedded (private, removed, embedding disabled), and throws when
+// the provider can't be reached, so callers can tell "doesn't exist" from
+// "couldn't check".
+
+const OEMBED_ENDPOINTS = {
+  youtube: 'https://www.youtube.com/oembed',
+  vimeo: 'https://vimeo.com/api/oembed.json'
+};
+
+// Answers that mean the video itself isn't available
+const UNAVAILABLE_STATUSES = [400, 401, 403, 404];
+
+// The providers' public oEmbed endpoints; no API keys needed
+const createOembedLookup = ({ timeoutMs = Number(process.env.VIDEO_LOOKUP_TIMEOUT_MS) || 5000 } = {}) => ({
+  name: 'oembed',
+  async lookup({ provider, url }) {
+    const endpoint = OEMBED_ENDPOINTS[provider];
+    if (!endpoint) {
+      throw new Error(`No oEmbed endpoint for ${provider}`);
+    }
+    const response = await fetch(`${endpoint}?format=json&url=${encodeURIComponent(url)}`, {
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (UNAVAILABLE_STATUSES.includes(response.status)) return null;
+    if (!response.ok) {
+      throw new Error(`${provider} oEmbed answered ${response.status}`);
+    }
+    const data = await response.json();
+    return {
+      title: data.title,
+      authorName: data.author_name,
+      thumbnailUrl: data.thumbnail_url,
+      // Only Vimeo reports it, in seconds
+      duration: data.duration
+    };
+  }
+});
+
+// Answers without going online, for development, scripts and CI. Videos
+// whose ID is listed in `unavailable` (or VIDEO_STUB_UNAVAILABLE, comma
+// separated) are reported as missing.
+const createStubLookup = ({
+  unavailable = (process.env.VIDEO_STUB_UNAVAILABLE || '').split(',').filter(Boolean)
+} = {}) => ({
+  name: 'stub',
+  async lookup({ provider, videoId }) {
+    if (unavailable.includes(videoId)) return null;
+    return {
+      title: `${provider === 'youtube' ? 'YouTube' : 'Vimeo'} video ${videoId}`,
+      authorName: 'Stub channel'
+    };
+  }
+});
+
+const drivers = {
+  oembed: createOembedLookup,
+  stub: createStubLookup
+};
+
+const registerVideoLookupDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const createVideoLookup = (name = process.env.VIDEO_LOOKUP_DRIVER || 'oembed', options = {}) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown video lookup driver "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createVideoLookup,
+  createOembedLookup,
+  createStubLookup,
+  registerVideoLookupDriver
+};
@@ -0,0 +1,46 @@
+// Video entries: the URL a participant pastes is parsed with the rules in
+// shared/videoUrl.js (an ES module, hence the import()) and the video is
+// looked up with one of the adapters in lib/videoLookup.js.
+const videoRulesReady = import('../../shared/videoUrl.js');
+// Like the entry rules (lib/entryValidation.js): video entries fail without
+// them, everything else keeps working
+videoRulesReady.catch((error) => {
+  console.error('❌ Failed to load the shared video URL rules:', error.message);
+});
+
+// Returns { videoUrl, video } to store on the entry, with videoUrl in
+// canonical form, or { error: { field, code, message } } when the URL is not
+// a single video or the provider says it can't be watched.
+const resolveVideo = async (lookup, videoUrl) => {
+  const { parseVideoUrl } = await videoRulesReady;
+  const parsed = parseVideoUrl(videoUrl);
+  if (parsed.error) {
+    return { error: { field: 'videoUrl', code: parsed.error, message: parsed.message } };
+  }
+
+  const { url, ...video } = parsed;
+  let metadata = null;
+  try {
+    metadata = await lookup.lookup(parsed);
+    if (!metadata) {
+      return {
+        error: {
+          field: 'videoUrl',
+          code: 'video_unavailable',
+          message: 'This video is private, removed or can\'t be embedded. Check its sharing settings.'
+        }
+      };
+    }
+  } catch (error) {
+    // Not being able to check is no reason to turn the entry away; checkedAt
+    // stays empty so scripts/normalize-video-urls.js looks it up later
+    console.log(`⚠️ Could not look up ${parsed.provider} video ${parsed.videoId}:`, error.message);
+  }
+
+  return {
+    videoUrl: url,
+    video: metadata ? { ...video, ...metadata, checkedAt: new Date() } : video
+  };
+};
+
+module.exports = { resolveVideo };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// People's Choice voting: signed-in users vote once per category for a
+// finalist shown in the public gallery while the season's voting window is
+// open. Tallies stay hidden until it closes.
+
+// Accounts younger than this when voting are flagged
+const MIN_ACCOUNT_AGE_HOURS = Number(process.env.VOTE_MIN_ACCOUNT_AGE_HOURS) || 24;
+// Votes in one category from one network beyond this are flagged
+const MAX_VOTES_PER_NETWORK = Number(process.env.VOTE_MAX_PER_NETWORK) || 3;
+
+// Keyed hashes so the signals can be compared without storing IP addresses
+// or emails on votes
+const hashSignal = value => crypto
+  .createHmac('sha256', process.env.VOTE_HASH_SECRET || process.env.JWT_SECRET || 'top216-votes')
+  .update(value)
+  .digest('hex');
+
+// The mailbox behind an address: case, +tags and (for Gmail) dots don't
+// make a different person
+const normalizeEmail = (email) => {
+  const [local = '', domain = ''] = email.toLowerCase().split('@');
+  const mailbox = local.split('+')[0];
+  const isGmail = domain === 'gmail.com' || domain === 'googlemail.com';
+  return isGmail ? `${mailbox.replace(/\./g, '')}@gmail.com` : `${mailbox}@${domain}`;
+};
+
+const getVoteSignals = (user, ip) => ({
+  networkKey: ip ? hashSignal(`ip:${ip}`) : undefined,
+  emailKey: hashSignal(`email:${normalizeEmail(user.email)}`)
+});
+
+// votesFromNetwork and emailAliasVotes count the earlier votes in the same
+// category sharing the voter's network and mailbox
+const getVoteFlags = ({ user, votesFromNetwork, emailAliasVotes, now = new Date() }) => {
+  const flags = [];
+  if (now - user.createdAt < MIN_ACCOUNT_AGE_HOURS * 60 * 60 * 1000) flags.push('new-account');
+  if (votesFromNetwork >= MAX_VOTES_PER_NETWORK) flags.push('shared-network');
+  if (emailAliasVotes > 0) flags.push('email-alias');
+  return flags;
+};
+
+// Ranks the rows of Vote.tally by counted votes; ties share a rank
+const rankVotes = (rows) => {
+  const sorted = [...rows].sort((a, b) => b.votes - a.votes);
+  return sorted.map(row => ({
+    rank: sorted.findIndex(other => other.votes === row.votes) + 1,
+    entryId: row._id.toString(),
+    votes: row.votes,
+    flagged: row.flagged
+  }));
+};
+
+module.exports = {
+  MIN_ACCOUNT_AGE_HOURS,
+  MAX_VOTES_PER_NETWORK,
+  normalizeEmail,
+  getVoteSignals,
+  getVoteFlags,
+  rankVotes
+};
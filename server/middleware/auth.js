@@ -0,0 +1,74 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { connectDB } = require('../lib/db');
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+const getSecret = () => process.env.JWT_SECRET;
+
+const signToken = (user) => {
+  return jwt.sign({ sub: user._id.toString(), role: user.role }, getSecret(), {
+    expiresIn: TOKEN_TTL
+  });
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Loads the user behind the Bearer token into req.user, or answers 401.
+// userId must always come from req.user, never from the request body or URL.
+const requireAuth = async (req, res, next) => {
+  if (!getSecret()) {
+    return res.status(500).json({ 
+      error: 'Authentication not available',
+      message: 'JWT_SECRET is not configured'
+    });
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    return res.status(401).json({ 
+      error: 'Invalid or expired session',
+      message: error.message
+    });
+  }
+
+  try {
+    await connectDB();
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Use after requireAuth: requireRole('admin')
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ 
+      error: 'Insufficient permissions',
+      required: roles
+    });
+  }
+  next();
+};
+
+module.exports = {
+  signToken,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,34 @@
+// Fixed-window request limits, counted in memory. Serverless deploys count
+// per instance, so this slows abuse down rather than capping it exactly.
+//   rateLimit({ windowMs: 60000, max: 10, key: req => req.user.id })
+const rateLimit = ({ windowMs, max, key = req => req.ip, message = 'Too many requests, please try again later' }) => {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const id = key(req);
+
+    let current = windows.get(id);
+    if (!current || current.resetAt <= now) {
+      current = { count: 0, resetAt: now + windowMs };
+      windows.set(id, current);
+    }
+    current.count += 1;
+
+    // Forget finished windows now and then so the map doesn't grow unbounded
+    if (windows.size > 10000) {
+      windows.forEach((window, windowId) => {
+        if (window.resetAt <= now) windows.delete(windowId);
+      });
+    }
+
+    if (current.count > max) {
+      const retryAfter = Math.ceil((current.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: message, retryAfter });
+    }
+    next();
+  };
+};
+
+module.exports = { rateLimit };
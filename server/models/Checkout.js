@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Several drafts paid with one PaymentIntent. Every item keeps the price it
+// was quoted at; the entries are only created once the payment succeeded.
+const checkoutItemSchema = new mongoose.Schema({
+  draftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Draft', required: true },
+  category: { type: String, required: true },
+  entryType: { type: String, required: true },
+  // Minor units of the checkout currency
+  tier: { type: String },
+  baseFee: { type: Number, required: true, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  entryFee: { type: Number, required: true, min: 0 },
+  stripeFee: { type: Number, required: true, min: 0 },
+  totalAmount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const checkoutSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition', required: true },
+  currency: { type: String, required: true },
+  items: { type: [checkoutItemSchema], required: true },
+  bundlePercent: { type: Number },
+  totalAmount: { type: Number, required: true, min: 0 },
+  paymentIntentId: { type: String, unique: true, sparse: true },
+  // 'completing' is held while the entries are being created so concurrent
+  // completions can't create them twice
+  status: {
+    type: String,
+    enum: ['pending', 'completing', 'completed'],
+    default: 'pending'
+  },
+  entryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Entry' }]
+}, { timestamps: true });
+
+// Finding the checkouts a draft is part of (draft deletes and edits)
+checkoutSchema.index({ 'items.draftId': 1 });
+
+module.exports = mongoose.models.Checkout || mongoose.model('Checkout', checkoutSchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { getPricingTier } = require('../lib/pricing');
+const { CURRENCY_PATTERN } = require('../lib/currency');
+
+const ENTRY_TYPES = ['text', 'pitch-deck', 'video'];
+
+// One row of a category's fixed price table. Rows without a tier are the
+// regular price; tier rows override it during that pricing tier.
+const priceSchema = new mongoose.Schema({
+  currency: { type: String, required: true, lowercase: true, match: CURRENCY_PATTERN },
+  tier: { type: String },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: { validator: Number.isInteger, message: 'Prices are in minor units and must be whole numbers' }
+  }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  key: { type: String, required: true, match: /^[a-z][a-z0-9-]*$/ },
+  label: { type: String, required: true, maxlength: 60 },
+  prices: { type: [priceSchema], default: [] },
+  entryTypes: {
+    type: [{ type: String, enum: ENTRY_TYPES }],
+    default: ENTRY_TYPES,
+    validate: {
+      validator: (types) => types.length > 0,
+      message: 'A category must allow at least one entry type'
+    }
+  },
+  wordLimits: {
+    min: { type: Number, default: 100, min: 0 },
+    max: { type: Number, default: 2000, min: 1 }
+  }
+}, { _id: false });
+
+const pricingTierSchema = new mongoose.Schema({
+  key: { type: String, required: true, match: /^[a-z][a-z0-9-]*$/ },
+  label: { type: String, required: true, maxlength: 60 },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true }
+}, { _id: false });
+
+// Percentage off every entry fee when this many entries are checked out together
+const bundleDiscountSchema = new mongoose.Schema({
+  minEntries: { type: Number, required: true, min: 2 },
+  percent: { type: Number, required: true, min: 1, max: 100 }
+}, { _id: false });
+
+// A competition season: its submission window and the categories it runs
+const competitionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  slug: { type: String, required: true, unique: true, match: /^[a-z0-9-]+$/ },
+  opensAt: { type: Date, required: true },
+  closesAt: { type: Date, required: true },
+  categories: {
+    type: [categorySchema],
+    validate: {
+      validator: (categories) => categories.length > 0 &&
+        new Set(categories.map(c => c.key)).size === categories.length,
+      message: 'A competition needs at least one category and unique category keys'
+    }
+  },
+  // Currencies entrants can pay in; the first is the default
+  currencies: {
+    type: [{ type: String, lowercase: true, match: CURRENCY_PATTERN }],
+    default: ['usd'],
+    validate: {
+      validator: (currencies) => currencies.length > 0 && new Set(currencies).size === currencies.length,
+      message: 'A competition needs at least one currency and no duplicates'
+    }
+  },
+  // Time windows such as early-bird and late; outside them the regular fee applies
+  pricingTiers: {
+    type: [pricingTierSchema],
+    default: []
+  },
+  bundleDiscounts: {
+    type: [bundleDiscountSchema],
+    default: [],
+    validate: {
+      validator: (bundles) => new Set(bundles.map(b => b.minEntries)).size === bundles.length,
+      message: 'Bundle discounts need distinct entry counts'
+    }
+  },
+  // People's Choice: the public votes on finalists during this window, which
+  // can only start once submissions have closed. No vote without it.
+  voting: {
+    opensAt: { type: Date },
+    closesAt: { type: Date }
+  }
+}, { timestamps: true });
+
+competitionSchema.pre('validate', function (next) {
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+    this.invalidate('closesAt', 'closesAt must be after opensAt');
+  }
+  // Every category needs a regular price in every supported currency
+  this.categories.forEach((category) => {
+    this.currencies.forEach((currency) => {
+      if (!category.prices.some(price => price.currency === currency && !price.tier)) {
+        this.invalidate('categories', `Category ${category.key} has no ${currency.toUpperCase()} price`);
+      }
+    });
+  });
+  const { opensAt: votingOpensAt, closesAt: votingClosesAt } = this.voting || {};
+  if (votingOpensAt || votingClosesAt) {
+    if (!votingOpensAt || !votingClosesAt) {
+      this.invalidate('voting', 'A voting window needs both opensAt and closesAt');
+    } else if (votingClosesAt <= votingOpensAt) {
+      this.invalidate('voting.closesAt', 'Voting must close after it opens');
+    } else if (this.closesAt && votingOpensAt < this.closesAt) {
+      this.invalidate('voting.opensAt', 'Voting can only open once submissions have closed');
+    }
+  }
+  const tiers = [...this.pricingTiers].sort((a, b) => a.startsAt - b.startsAt);
+  tiers.forEach((tier, index) => {
+    if (tier.endsAt <= tier.startsAt) {
+      this.invalidate('pricingTiers', `Pricing tier ${tier.key} must end after it starts`);
+    } else if (index > 0 && tier.startsAt <= tiers[index - 1].endsAt) {
+      this.invalidate('pricingTiers', `Pricing tier ${tier.key} overlaps ${tiers[index - 1].key}`);
+    }
+  });
+  next();
+});
+
+competitionSchema.methods.getCategory = function (key) {
+  return this.categories.find(category => category.key === key) || null;
+};
+
+// Fixed price in minor units for a category, currency and pricing tier,
+// or null when the category isn't sold in that currency
+competitionSchema.methods.getPrice = function (key, currency, tierKey = null) {
+  const category = this.getCategory(key);
+  if (!category || !this.currencies.includes(currency)) return null;
+  const find = tier => category.prices.find(price => price.currency === currency && (price.tier || null) === tier);
+  const price = (tierKey && find(tierKey)) || find(null);
+  return price ? price.amount : null;
+};
+
+// The biggest bundle discount a checkout of `count` entries qualifies for
+competitionSchema.methods.getBundleDiscount = function (count) {
+  return this.bundleDiscounts
+    .filter(bundle => count >= bundle.minEntries)
+    .sort((a, b) => b.minEntries - a.minEntries)[0] || null;
+};
+
+competitionSchema.methods.isOpen = function (now = new Date()) {
+  return now >= this.opensAt && now <= this.closesAt;
+};
+
+// The season that is open right now, otherwise the most recently opened one
+competitionSchema.statics.findCurrent = async function (now = new Date()) {
+  const open = await this.findOne({ opensAt: { $lte: now }, closesAt: { $gte: now } }).sort({ opensAt: -1 });
+  if (open) return open;
+  return this.findOne({ opensAt: { $lte: now } }).sort({ opensAt: -1 });
+};
+
+// Resolves an explicit competitionId, falling back to the current season
+competitionSchema.statics.resolve = async function (competitionId) {
+  if (!competitionId) return this.findCurrent();
+  if (!mongoose.Types.ObjectId.isValid(competitionId)) return null;
+  return this.findById(competitionId);
+};
+
+// 'upcoming', 'open' or 'closed', or null when the season holds no vote
+competitionSchema.methods.getVotingState = function (now = new Date()) {
+  const { opensAt, closesAt } = this.voting || {};
+  if (!opensAt || !closesAt) return null;
+  if (now < opensAt) return 'upcoming';
+  return now <= closesAt ? 'open' : 'closed';
+};
+
+competitionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.isOpen = doc.isOpen();
+    ret.votingState = doc.getVotingState();
+    const tier = getPricingTier(doc);
+    ret.currentTier = tier ? { key: tier.key, label: tier.label, endsAt: tier.endsAt } : null;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.models.Competition || mongoose.model('Competition', competitionSchema);
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
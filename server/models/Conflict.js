@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A judge's declared conflict of interest with an entry. Conflicted judges
+// are never (re)assigned to that entry.
+const conflictSchema = new mongoose.Schema({
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true },
+  judgeId: { type: String, required: true, index: true },
+  reason: { type: String, maxlength: 1000 }
+}, { timestamps: true });
+
+conflictSchema.index({ entryId: 1, judgeId: 1 }, { unique: true });
+
+module.exports = mongoose.models.Conflict || mongoose.model('Conflict', conflictSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers, that must never repeat or skip
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically hands out the next value of a sequence, starting at 1
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
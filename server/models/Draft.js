@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Work in progress from EntryForm, autosaved while the participant types.
+// Nothing is checked against the competition rules until it is submitted;
+// POST /api/entries then turns it into an Entry once payment is verified.
+const draftSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition' },
+  category: { type: String },
+  entryType: { type: String, enum: ['text', 'pitch-deck', 'video'] },
+  title: { type: String, maxlength: 100 },
+  description: { type: String, maxlength: 1000 },
+  textContent: { type: String, maxlength: 100000 },
+  videoUrl: { type: String, maxlength: 500 },
+  currency: { type: String, lowercase: true },
+  promoCode: { type: String, maxlength: 50 },
+  billing: {
+    name: { type: String, trim: true, maxlength: 200 },
+    vatId: { type: String, trim: true, maxlength: 50 }
+  },
+  // Pitch decks are uploaded as soon as they are picked
+  fileUrl: { type: String },
+  fileKey: { type: String },
+  fileName: { type: String },
+  fileSize: { type: Number, min: 0 },
+  fileMimeType: { type: String },
+  // Set while the draft waits in the cart for a combined checkout
+  inCart: { type: Boolean, default: false },
+  // The latest payment started for this draft, so a paid draft can still be
+  // submitted after a refresh or a failed submission
+  paymentIntentId: { type: String }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Draft || mongoose.model('Draft', draftSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Every notification email we tried to send, with its delivery outcome
+const emailLogSchema = new mongoose.Schema({
+  to: { type: String, required: true, lowercase: true },
+  template: { type: String, required: true },
+  subject: { type: String, required: true },
+  // Kept so failed emails can be resent as they were
+  text: { type: String, required: true },
+  userId: { type: String, index: true },
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', index: true },
+  // Set for emails that must only go out once (e.g. one reminder per season)
+  dedupeKey: { type: String, unique: true, sparse: true },
+  transport: { type: String, required: true },
+  status: { type: String, required: true, enum: ['sending', 'sent', 'failed'] },
+  attempts: { type: Number, default: 0 },
+  messageId: { type: String },
+  error: { type: String },
+  sentAt: { type: Date }
+}, { timestamps: true });
+
+emailLogSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.EmailLog || mongoose.model('EmailLog', emailLogSchema);
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const { ENTRY_STATUSES } = require('../lib/entryStatus');
+const { renderMarkdown } = require('../lib/markdown');
+
+// Co-authors of a team entry. The lead is the entrant who created (and paid
+// for) the entry; members join by accepting an invitation sent to their email.
+const teamMemberSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true, maxlength: 254 },
+  // Set once the invitation is accepted
+  userId: { type: String },
+  name: { type: String, trim: true, maxlength: 100 },
+  role: { type: String, enum: ['lead', 'member'], default: 'member' },
+  canEdit: { type: Boolean, default: false },
+  status: { type: String, enum: ['invited', 'accepted', 'declined'], default: 'invited' },
+  invitedBy: { type: String },
+  invitedAt: { type: Date, default: Date.now },
+  respondedAt: { type: Date }
+});
+
+// Simple Entry Schema
+const entrySchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition', index: true },
+  // One of the competition's category keys
+  category: { type: String, required: true },
+  entryType: { 
+    type: String, 
+    required: true, 
+    enum: ['text', 'pitch-deck', 'video']
+  },
+  title: { 
+    type: String, 
+    required: true, 
+    minlength: 5,
+    maxlength: 100
+  },
+  description: { 
+    type: String, 
+    maxlength: 1000
+  },
+  // Markdown as the participant wrote it
+  textContent: { type: String },
+  // Sanitized HTML rendered from textContent on save
+  textHtml: { type: String },
+  fileUrl: { type: String },
+  fileKey: { type: String },
+  fileName: { type: String },
+  fileSize: { type: Number, min: 0 },
+  fileMimeType: { type: String },
+  // Page images of a pitch deck for the in-browser viewer, rendered in the
+  // background after upload (see lib/deckPreviews.js)
+  preview: {
+    status: { type: String, enum: ['pending', 'ready', 'failed'] },
+    pageCount: { type: Number, min: 0 },
+    thumbnailUrl: { type: String },
+    thumbnailKey: { type: String },
+    pages: { type: [{ _id: false, url: String, key: String }], default: undefined },
+    renderedAt: { type: Date },
+    error: { type: String }
+  },
+  // Malware and active content scan of an uploaded pitch deck. The deck stays
+  // in quarantine under quarantineKey until it is released (see lib/decks.js).
+  scan: {
+    status: { type: String, enum: ['pending', 'clean', 'flagged', 'infected', 'error'] },
+    quarantineKey: { type: String },
+    scanner: { type: String },
+    signature: { type: String },
+    findings: { type: [String], default: undefined },
+    error: { type: String },
+    scannedAt: { type: Date },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date }
+  },
+  // Canonical link of a video entry, and the video it points to
+  videoUrl: { type: String },
+  video: {
+    provider: { type: String, enum: ['youtube', 'vimeo'] },
+    videoId: { type: String },
+    // Unlisted Vimeo videos can only be played with it
+    hash: { type: String },
+    title: { type: String },
+    authorName: { type: String },
+    thumbnailUrl: { type: String },
+    duration: { type: Number, min: 0 },
+    // When the provider last confirmed the video; empty if it couldn't be reached
+    checkedAt: { type: Date }
+  },
+  // Amounts are in minor units of `currency` (cents for USD)
+  entryFee: { type: Number, required: true, min: 0 },
+  stripeFee: { type: Number, required: true, min: 0 },
+  totalAmount: { type: Number, required: true, min: 0 },
+  amountRefunded: { type: Number, default: 0, min: 0 },
+  currency: { type: String, required: true, lowercase: true, default: 'usd' },
+  // 'minor' on entries created or migrated since amounts moved to minor units
+  // (scripts/migrate-minor-units.js converts the entries without it)
+  amountUnit: { type: String, enum: ['minor'] },
+  // How entryFee was arrived at, so receipts can show what was discounted
+  pricing: {
+    tier: { type: String },
+    baseFee: { type: Number, min: 0 },
+    promoCode: { type: String },
+    discount: { type: Number, min: 0, default: 0 },
+    waivedBy: { type: String },
+    bundlePercent: { type: Number }
+  },
+  // Printed on the invoice; the account name is used when left empty
+  billing: {
+    name: { type: String, trim: true, maxlength: 200 },
+    vatId: { type: String, trim: true, maxlength: 50 }
+  },
+  // Absent for fully waived entries, which never go through Stripe
+  paymentIntentId: { type: String },
+  // Entries paid together in a cart checkout share its payment intent and are
+  // told apart by their position in the checkout
+  checkoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Checkout' },
+  checkoutItem: { type: Number, min: 0 },
+  paymentStatus: { 
+    type: String, 
+    enum: ['pending', 'succeeded', 'failed', 'canceled', 'refunded', 'partially_refunded', 'waived'], 
+    default: 'pending' 
+  },
+  paymentFailureReason: { type: String },
+  status: { 
+    type: String, 
+    enum: ENTRY_STATUSES, 
+    default: 'submitted' 
+  },
+  rejectionReason: { type: String, maxlength: 1000 },
+  // The lead's consent to show the entry in the public gallery once it is a
+  // finalist or winner (see lib/gallery.js)
+  galleryOptIn: { type: Boolean, default: false },
+  galleryOptInChangedAt: { type: Date },
+  // Set when an admin awards the category's People's Choice to this entry
+  peoplesChoice: {
+    votes: { type: Number, min: 0 },
+    awardedAt: { type: Date },
+    awardedBy: { type: String }
+  },
+  // Empty for solo entries; userId stays the lead's
+  team: {
+    type: [teamMemberSchema],
+    default: []
+  },
+  statusHistory: [{
+    _id: false,
+    from: { type: String, enum: ENTRY_STATUSES },
+    to: { type: String, enum: ENTRY_STATUSES, required: true },
+    changedBy: { type: String, required: true },
+    reason: { type: String, maxlength: 1000 },
+    changedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+// Keeps the rendered text in step with its Markdown source
+entrySchema.pre('validate', function (next) {
+  if (this.isModified('textContent')) {
+    this.textHtml = this.textContent ? renderMarkdown(this.textContent) : undefined;
+  }
+  next();
+});
+
+// Set here rather than as a default: Mongoose would also fill a default into
+// unconverted entries when they are saved, and the migration would skip them
+entrySchema.pre('validate', function (next) {
+  if (this.isNew && !this.amountUnit) this.amountUnit = 'minor';
+  next();
+});
+
+// Admin console filters
+entrySchema.index({ status: 1, category: 1, createdAt: -1 });
+
+// Deck scans that need an admin
+entrySchema.index({ 'scan.status': 1 }, { sparse: true });
+
+// Public gallery, per season and category
+entrySchema.index({ competitionId: 1, galleryOptIn: 1, status: 1, category: 1 });
+
+// My Entries, newest first by default
+entrySchema.index({ userId: 1, createdAt: -1 });
+
+// Team entries shown in My Entries, and pending invitations
+entrySchema.index({ 'team.userId': 1 });
+
+// Search in My Entries. A collection can only have one text index.
+entrySchema.index(
+  { title: 'text', description: 'text', textContent: 'text' },
+  { name: 'entry_text_search', weights: { title: 10, description: 5, textContent: 1 } }
+);
+entrySchema.index({ 'team.email': 1, 'team.status': 1 });
+
+// One payment buys one entry, or one per item of a checkout
+entrySchema.index({ paymentIntentId: 1, checkoutItem: 1 }, { unique: true, sparse: true });
+
+// Create model safely
+module.exports = mongoose.models.Entry || mongoose.model('Entry', entrySchema);
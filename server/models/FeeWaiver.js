@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Sponsored entrants don't pay the entry fee. Matched by account email.
+const feeWaiverSchema = new mongoose.Schema({
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition', required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  sponsor: { type: String, required: true, maxlength: 100 },
+  // Empty means any category
+  categories: [{ type: String }],
+  maxEntries: { type: Number, default: 1, min: 1 },
+  uses: { type: Number, default: 0, min: 0 },
+  grantedBy: { type: String }
+}, { timestamps: true });
+
+feeWaiverSchema.index({ competitionId: 1, email: 1 }, { unique: true });
+
+// An unused waiver covering this entrant and category, if any
+feeWaiverSchema.statics.findAvailable = function ({ competitionId, email, category }) {
+  return this.findOne({
+    competitionId,
+    email: email.toLowerCase(),
+    $expr: { $lt: ['$uses', '$maxEntries'] },
+    $or: [{ categories: { $size: 0 } }, { categories: category }]
+  });
+};
+
+module.exports = mongoose.models.FeeWaiver || mongoose.model('FeeWaiver', feeWaiverSchema);
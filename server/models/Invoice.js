@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One invoice per paid entry. The billing details and amounts are a snapshot
+// taken when it was issued; admins can regenerate it, which keeps the number.
+// The invoice is created first and numbered right after by the request that
+// created it (see issueInvoice), so numbers are only drawn for invoices that
+// exist. Run scripts/sync-indexes.js after upgrading: number used to be a
+// plain unique index.
+const invoiceSchema = new mongoose.Schema({
+  number: { type: String, unique: true, sparse: true },
+  // Set while a number is being drawn for it
+  numberingAt: { type: Date },
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true, unique: true },
+  userId: { type: String, required: true },
+  paymentIntentId: { type: String, required: true },
+  billing: {
+    name: { type: String },
+    email: { type: String },
+    vatId: { type: String }
+  },
+  entryTitle: { type: String, required: true },
+  category: { type: String, required: true },
+  categoryLabel: { type: String },
+  // Minor units of `currency`
+  currency: { type: String, required: true },
+  baseFee: { type: Number, min: 0 },
+  discount: { type: Number, min: 0, default: 0 },
+  promoCode: { type: String },
+  entryFee: { type: Number, required: true, min: 0 },
+  stripeFee: { type: Number, required: true, min: 0 },
+  totalAmount: { type: Number, required: true, min: 0 },
+  paidAt: { type: Date },
+  revision: { type: Number, default: 1 },
+  regeneratedBy: { type: String },
+  regeneratedAt: { type: Date }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
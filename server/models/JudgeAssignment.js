@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Which judge reviews which entry
+const judgeAssignmentSchema = new mongoose.Schema({
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true },
+  judgeId: { type: String, required: true, index: true },
+  assignedBy: { type: String, required: true }
+}, { timestamps: true });
+
+judgeAssignmentSchema.index({ entryId: 1, judgeId: 1 }, { unique: true });
+
+module.exports = mongoose.models.JudgeAssignment || mongoose.model('JudgeAssignment', judgeAssignmentSchema);
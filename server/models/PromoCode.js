@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { CURRENCY_PATTERN } = require('../lib/currency');
+
+// Discount code entered on the entry form
+const promoCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true, match: /^[A-Z0-9-]{3,32}$/ },
+  description: { type: String, maxlength: 200 },
+  discountType: { type: String, required: true, enum: ['percent', 'fixed'] },
+  // Percent off (1-100), or a fixed amount off in minor units of `currency`
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, lowercase: true, match: CURRENCY_PATTERN },
+  // Limits the code to one season and/or some categories when set
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition' },
+  categories: [{ type: String }],
+  maxUses: { type: Number, min: 1 },
+  uses: { type: Number, default: 0, min: 0 },
+  expiresAt: { type: Date },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String }
+}, { timestamps: true });
+
+promoCodeSchema.path('amount').validate(function (amount) {
+  return this.discountType !== 'percent' || (amount > 0 && amount <= 100);
+}, 'Percent discounts must be between 1 and 100');
+
+promoCodeSchema.path('currency').validate(function (currency) {
+  return this.discountType !== 'fixed' || !!currency;
+}, 'Fixed discounts need a currency');
+
+module.exports = mongoose.models.PromoCode || mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Audit record of money returned for an entry. Kept when the entry itself is
+// deleted on withdrawal.
+const refundSchema = new mongoose.Schema({
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true, index: true },
+  userId: { type: String, required: true },
+  paymentIntentId: { type: String, required: true },
+  stripeRefundId: { type: String, required: true, unique: true },
+  amount: { type: Number, required: true, min: 1 }, // minor units
+  currency: { type: String, required: true },
+  kind: { type: String, required: true, enum: ['withdrawal', 'admin'] },
+  reason: { type: String, maxlength: 500 },
+  initiatedBy: { type: String, required: true },
+  // Stripe's refund status: pending, succeeded, failed, canceled...
+  status: { type: String, required: true }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Refund || mongoose.model('Refund', refundSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CRITERIA } = require('../lib/scoring');
+
+// Judging criteria for one category of a competition season,
+// e.g. originality/feasibility/presentation
+const rubricSchema = new mongoose.Schema({
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition', required: true },
+  category: { type: String, required: true },
+  criteria: {
+    type: [{
+      _id: false,
+      key: { type: String, required: true, match: /^[a-z][a-z0-9-]*$/ },
+      label: { type: String, required: true, maxlength: 60 },
+      weight: { type: Number, required: true, min: 0.1, max: 100 },
+      maxScore: { type: Number, default: 10, min: 1, max: 100 }
+    }],
+    validate: {
+      validator: (criteria) => criteria.length > 0 &&
+        new Set(criteria.map(c => c.key)).size === criteria.length,
+      message: 'Rubric needs at least one criterion and unique keys'
+    }
+  },
+  updatedBy: { type: String }
+}, { timestamps: true });
+
+rubricSchema.index({ competitionId: 1, category: 1 }, { unique: true });
+
+// Criteria for a category, falling back to the default rubric
+rubricSchema.statics.criteriaFor = async function (competitionId, category) {
+  const rubric = competitionId ? await this.findOne({ competitionId, category }) : null;
+  return rubric ? rubric.criteria.map(c => c.toObject()) : DEFAULT_CRITERIA;
+};
+
+module.exports = mongoose.models.Rubric || mongoose.model('Rubric', rubricSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One judge's rubric scores for one entry
+const scoreSchema = new mongoose.Schema({
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true },
+  judgeId: { type: String, required: true },
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition' },
+  category: { type: String, required: true },
+  values: { type: Map, of: Number, required: true },
+  weightedScore: { type: Number, required: true, min: 0, max: 100 },
+  comment: { type: String, maxlength: 2000 }
+}, { timestamps: true });
+
+scoreSchema.index({ entryId: 1, judgeId: 1 }, { unique: true });
+scoreSchema.index({ competitionId: 1, category: 1 });
+
+module.exports = mongoose.models.Score || mongoose.model('Score', scoreSchema);
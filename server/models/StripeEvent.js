@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Stripe events we've already handled, so replayed deliveries are ignored
+const stripeEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, required: true },
+  paymentIntentId: { type: String, index: true },
+  paymentStatus: { type: String },
+  eventCreatedAt: { type: Date }
+}, { timestamps: true });
+
+module.exports = mongoose.models.StripeEvent || mongoose.model('StripeEvent', stripeEventSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 254
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  passwordHash: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ['participant', 'judge', 'admin'],
+    default: 'participant'
+  }
+}, { timestamps: true });
+
+// Never send password hashes to the client
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.models.User || mongoose.model('User', userSchema);
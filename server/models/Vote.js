@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A People's Choice vote: one per voter and category in a season. The
+// network and email signals are keyed hashes (see lib/voting.js), kept to
+// spot duplicate accounts without storing IP addresses.
+const voteSchema = new mongoose.Schema({
+  competitionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Competition', required: true },
+  category: { type: String, required: true },
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entry', required: true },
+  userId: { type: String, required: true },
+  networkKey: { type: String },
+  emailKey: { type: String },
+  // Why the vote looks like it may come from a duplicate account; flagged
+  // votes are kept for review but left out of the People's Choice count
+  flags: {
+    type: [{ type: String, enum: ['new-account', 'shared-network', 'email-alias'] }],
+    default: []
+  }
+}, { timestamps: true });
+
+voteSchema.index({ competitionId: 1, category: 1, userId: 1 }, { unique: true });
+voteSchema.index({ competitionId: 1, category: 1, networkKey: 1 });
+voteSchema.index({ competitionId: 1, category: 1, emailKey: 1 });
+voteSchema.index({ competitionId: 1, category: 1, entryId: 1 });
+
+// Counted and flagged votes per entry of a category: [{ _id: entryId, votes, flagged }]
+voteSchema.statics.tally = function (competitionId, category) {
+  const isFlagged = { $gt: [{ $size: '$flags' }, 0] };
+  return this.aggregate([
+    { $match: { competitionId: new mongoose.Types.ObjectId(String(competitionId)), category } },
+    {
+      $group: {
+        _id: '$entryId',
+        votes: { $sum: { $cond: [isFlagged, 0, 1] } },
+        flagged: { $sum: { $cond: [isFlagged, 1, 0] } }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.models.Vote || mongoose.model('Vote', voteSchema);
@@ -0,0 +1,942 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const User = require('../models/User');
+const Rubric = require('../models/Rubric');
+const Score = require('../models/Score');
+const JudgeAssignment = require('../models/JudgeAssignment');
+const Conflict = require('../models/Conflict');
+const Competition = require('../models/Competition');
+const PromoCode = require('../models/PromoCode');
+const FeeWaiver = require('../models/FeeWaiver');
+const Refund = require('../models/Refund');
+const Invoice = require('../models/Invoice');
+const EmailLog = require('../models/EmailLog');
+const Vote = require('../models/Vote');
+const stripe = require('../lib/stripe');
+const { getAdminRefundError } = require('../lib/refundPolicy');
+const { issueRefund, syncRefundState } = require('../lib/refunds');
+const { getInvoiceError, issueInvoice, regenerateInvoice, sendInvoicePdf } = require('../lib/invoices');
+const { connectDB } = require('../lib/db');
+const asyncHandler = require('../lib/asyncHandler');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { getTransitionError, applyTransition } = require('../lib/entryStatus');
+const { deliver, notifyStatusChange } = require('../lib/notifications');
+const { buildLeaderboard } = require('../lib/scoring');
+const { planAssignments } = require('../lib/assignment');
+const { getAuthorIds } = require('../lib/teams');
+const { rankVotes } = require('../lib/voting');
+const { quarantine, releaseDeck, scanEntryDeck } = require('../lib/decks');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole('admin'));
+
+const FILTER_FIELDS = ['category', 'entryType', 'status', 'paymentStatus'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_BULK_SIZE = 100;
+
+// Builds a Mongo filter from the query string. Returns { filter } or { error }.
+const buildEntryFilter = (query) => {
+  const filter = {};
+
+  FILTER_FIELDS.forEach((field) => {
+    if (query[field]) {
+      filter[field] = { $in: String(query[field]).split(',') };
+    }
+  });
+
+  if (query.competitionId) {
+    if (!mongoose.Types.ObjectId.isValid(query.competitionId)) {
+      return { error: 'Invalid competition ID' };
+    }
+    filter.competitionId = query.competitionId;
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) {
+      // A bare date means "up to the end of that day"
+      const to = /^\d{4}-\d{2}-\d{2}$/.test(query.to) ? `${query.to}T23:59:59.999Z` : query.to;
+      filter.createdAt.$lte = new Date(to);
+    }
+
+    if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+      return { error: 'Invalid date range' };
+    }
+  }
+
+  return { filter };
+};
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Attaches owner name/email so admins don't have to look up user IDs
+const withOwners = async (entries) => {
+  const userIds = [...new Set(entries.map(entry => entry.userId))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const users = await User.find({ _id: { $in: userIds } }).select('email name');
+  const owners = new Map(users.map(user => [user.id, { email: user.email, name: user.name }]));
+
+  return entries.map(entry => ({
+    ...entry.toObject(),
+    owner: owners.get(entry.userId) || null
+  }));
+};
+
+router.get('/entries', asyncHandler(async (req, res) => {
+  console.log('Admin listing entries:', req.query);
+
+  const { filter, error } = buildEntryFilter(req.query);
+  if (error) {
+    return res.status(400).json({
+      error,
+      received: { competitionId: req.query.competitionId, from: req.query.from, to: req.query.to }
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+  await connectDB();
+
+  const [entries, total] = await Promise.all([
+    Entry.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v'),
+    Entry.countDocuments(filter)
+  ]);
+
+  res.json({
+    entries: await withOwners(entries),
+    total,
+    limit,
+    skip
+  });
+}));
+
+router.post('/entries/status', asyncHandler(async (req, res) => {
+  const { entryIds, status, reason } = req.body;
+  console.log('Admin status change:', { entryIds, status, reason, admin: req.user.id });
+
+  if (!Array.isArray(entryIds) || entryIds.length === 0 || !status) {
+    return res.status(400).json({ 
+      error: 'Missing required fields',
+      required: ['entryIds', 'status']
+    });
+  }
+
+  if (entryIds.length > MAX_BULK_SIZE) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_SIZE} entries can be updated at once` });
+  }
+
+  await connectDB();
+
+  const validIds = entryIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const entries = await Entry.find({ _id: { $in: validIds } });
+  const found = new Map(entries.map(entry => [entry.id, entry]));
+
+  const updated = [];
+  const failed = [];
+
+  for (const id of entryIds) {
+    const entry = found.get(id);
+    if (!entry) {
+      failed.push({ id, error: 'Entry not found' });
+      continue;
+    }
+
+    const transitionError = getTransitionError(entry, status, { reason });
+    if (transitionError) {
+      failed.push({ id, error: transitionError });
+      continue;
+    }
+
+    applyTransition(entry, status, { changedBy: req.user.id, reason });
+    await entry.save();
+    updated.push(entry);
+  }
+
+  await Promise.all(updated.map(notifyStatusChange));
+
+  console.log(`Status change to ${status}: ${updated.length} updated, ${failed.length} failed`);
+  res.json({ status, updated: updated.map(entry => entry.id), failed });
+}));
+
+// --- Refunds ---
+
+router.get('/entries/:id/refunds', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: req.params.id });
+  }
+
+  await connectDB();
+  const refunds = await Refund.find({ entryId: req.params.id }).sort({ createdAt: 1 });
+  res.json(refunds);
+}));
+
+// Full or partial refund; amount is in minor units and defaults to everything left
+router.post('/entries/:id/refunds', asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  console.log('Admin refund:', { entryId: req.params.id, amount: req.body.amount, reason, admin: req.user.id });
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: req.params.id });
+  }
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ error: 'A refund reason is required' });
+  }
+
+  await connectDB();
+
+  const entry = await Entry.findById(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+
+  const amount = req.body.amount === undefined
+    ? entry.totalAmount - (entry.amountRefunded || 0)
+    : Number(req.body.amount);
+  const refundError = getAdminRefundError(entry, amount);
+  if (refundError) {
+    return res.status(400).json({ 
+      error: refundError,
+      totalAmount: entry.totalAmount,
+      amountRefunded: entry.amountRefunded
+    });
+  }
+
+  if (!stripe) {
+    return res.status(500).json({ 
+      error: 'Stripe not available',
+      message: 'Refunds cannot be issued right now' 
+    });
+  }
+
+  let refund;
+  try {
+    refund = await issueRefund(stripe, entry, {
+      amount,
+      reason: String(reason).trim(),
+      kind: 'admin',
+      initiatedBy: req.user.id,
+      // A double-submitted form refunds once
+      idempotencyKey: `admin-refund-${entry._id}-${entry.amountRefunded || 0}-${amount}`
+    });
+  } catch (error) {
+    console.error('Stripe refund error:', error);
+    return res.status(502).json({ 
+      error: 'Refund failed',
+      message: error.message
+    });
+  }
+
+  await syncRefundState(entry);
+  await entry.save();
+
+  res.status(201).json({ refund, entry });
+}));
+
+// --- Invoices ---
+
+// Loads a paid entry for the invoice routes, or sends the error and returns null
+const findInvoicedEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid entry ID', received: req.params.id });
+    return null;
+  }
+
+  const entry = await Entry.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Entry not found' });
+    return null;
+  }
+
+  const invoiceError = getInvoiceError(entry);
+  if (invoiceError) {
+    res.status(409).json({ error: 'No invoice available', message: invoiceError });
+    return null;
+  }
+  return entry;
+};
+
+router.get('/entries/:id/invoice', asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const entry = await findInvoicedEntry(req, res);
+  if (!entry) return;
+
+  await sendInvoicePdf(res, await issueInvoice(entry));
+}));
+
+// Re-issues the invoice from the entry's current data under the same number,
+// optionally correcting the billing details first
+router.post('/entries/:id/invoice', asyncHandler(async (req, res) => {
+  const { billingName, vatId } = req.body;
+  console.log('Regenerating invoice:', { entryId: req.params.id, billingName, vatId, admin: req.user.id });
+
+  await connectDB();
+
+  const entry = await findInvoicedEntry(req, res);
+  if (!entry) return;
+
+  if (billingName !== undefined) entry.set('billing.name', billingName);
+  if (vatId !== undefined) entry.set('billing.vatId', vatId);
+  if (entry.isModified()) await entry.save();
+
+  // An invoice still waiting for its number is finished by issueInvoice
+  const existing = await Invoice.findOne({ entryId: entry._id, number: { $exists: true } });
+  const invoice = existing
+    ? await regenerateInvoice(existing, entry, { regeneratedBy: req.user.id })
+    : await issueInvoice(entry);
+
+  res.status(existing ? 200 : 201).json(invoice);
+}));
+
+// --- Email log ---
+
+router.get('/emails', asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+  if (req.query.template) filter.template = req.query.template;
+  if (req.query.to) filter.to = String(req.query.to).toLowerCase();
+  if (req.query.entryId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.entryId)) {
+      return res.status(400).json({ error: 'Invalid entry ID', received: req.query.entryId });
+    }
+    filter.entryId = req.query.entryId;
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+  await connectDB();
+
+  const [emails, total] = await Promise.all([
+    EmailLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    EmailLog.countDocuments(filter)
+  ]);
+  res.json({ emails, total, limit, skip });
+}));
+
+// Sends a failed email again with its original content
+router.post('/emails/:id/retry', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid email ID', received: req.params.id });
+  }
+
+  await connectDB();
+
+  const log = await EmailLog.findById(req.params.id);
+  if (!log) {
+    return res.status(404).json({ error: 'Email not found' });
+  }
+  if (log.status !== 'failed') {
+    return res.status(409).json({ error: `Email is ${log.status}` });
+  }
+
+  res.json(await deliver(log));
+}));
+
+// --- Deck scans ---
+
+// Scans that didn't end with the deck being released
+const SCAN_REVIEW_STATUSES = ['pending', 'flagged', 'error', 'infected'];
+
+// Finds an entry whose deck was scanned. Returns null after sending an error.
+const findScannedEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid entry ID', received: req.params.id });
+    return null;
+  }
+  const entry = await Entry.findById(req.params.id);
+  if (!entry || !entry.scan || !entry.scan.status) {
+    res.status(404).json({ error: 'No scanned deck for this entry' });
+    return null;
+  }
+  return entry;
+};
+
+router.get('/scans', asyncHandler(async (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',') : SCAN_REVIEW_STATUSES;
+  const filter = { 'scan.status': { $in: statuses } };
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+  await connectDB();
+
+  const [entries, total] = await Promise.all([
+    Entry.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('userId title category entryType status rejectionReason fileName fileSize scan createdAt updatedAt'),
+    Entry.countDocuments(filter)
+  ]);
+  res.json({ entries: await withOwners(entries), total, limit, skip });
+}));
+
+// The quarantined deck for an admin to inspect, as a download only so it is
+// never opened by the browser
+router.get('/scans/:id/file', asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const entry = await findScannedEntry(req, res);
+  if (!entry) return;
+  if (!entry.scan.quarantineKey) {
+    return res.status(404).json({ error: 'The deck is no longer in quarantine', scanStatus: entry.scan.status });
+  }
+
+  console.log('Quarantined deck downloaded:', { entryId: entry.id, admin: req.user.id });
+  const fileName = (entry.fileName || 'pitch-deck').replace(/[^\w.-]/g, '_');
+  res.set({
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(await quarantine.read(entry.scan.quarantineKey));
+}));
+
+// Lets a flagged deck through once an admin has looked at it. Flagged entries
+// that shouldn't go through are rejected like any other entry.
+router.post('/scans/:id/release', asyncHandler(async (req, res) => {
+  const { note } = req.body;
+  console.log('Releasing flagged deck:', { entryId: req.params.id, admin: req.user.id });
+
+  await connectDB();
+
+  const entry = await findScannedEntry(req, res);
+  if (!entry) return;
+  if (entry.status !== 'scan-pending' || entry.scan.status !== 'flagged') {
+    return res.status(409).json({
+      error: 'Only flagged decks awaiting review can be released',
+      status: entry.status,
+      scanStatus: entry.scan.status
+    });
+  }
+
+  const reason = (note && String(note).trim()) || `Released after review (${entry.scan.findings.join(', ')})`;
+  await releaseDeck(entry, { changedBy: req.user.id, reason });
+  res.json(entry);
+}));
+
+// Scans a held deck again, e.g. once the scanner is reachable again
+router.post('/scans/:id/rescan', asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const entry = await findScannedEntry(req, res);
+  if (!entry) return;
+  if (entry.status !== 'scan-pending' || !entry.scan.quarantineKey) {
+    return res.status(409).json({
+      error: 'Only decks awaiting their scan can be scanned again',
+      status: entry.status,
+      scanStatus: entry.scan.status
+    });
+  }
+
+  const scanned = await scanEntryDeck(entry._id);
+  res.json(scanned || await Entry.findById(entry._id));
+}));
+
+// --- Competitions ---
+
+const COMPETITION_FIELDS = ['name', 'slug', 'opensAt', 'closesAt', 'currencies', 'categories', 'pricingTiers', 'bundleDiscounts', 'voting'];
+
+router.get('/competitions', asyncHandler(async (req, res) => {
+  await connectDB();
+  const competitions = await Competition.find().sort({ opensAt: -1 });
+  res.json(competitions);
+}));
+
+router.post('/competitions', asyncHandler(async (req, res) => {
+  console.log('Creating competition:', req.body.name);
+
+  await connectDB();
+
+  const competition = new Competition(pick(req.body, COMPETITION_FIELDS));
+  try {
+    await competition.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A competition with this slug already exists' });
+    }
+    throw error;
+  }
+
+  res.status(201).json(competition);
+}));
+
+router.put('/competitions/:id', asyncHandler(async (req, res) => {
+  console.log('Updating competition:', req.params.id);
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid competition ID', received: req.params.id });
+  }
+
+  await connectDB();
+
+  const competition = await Competition.findById(req.params.id);
+  if (!competition) {
+    return res.status(404).json({ error: 'Competition not found' });
+  }
+
+  // Categories that already have entries can't be removed from the season
+  if (Array.isArray(req.body.categories)) {
+    const kept = new Set(req.body.categories.map(c => c && c.key));
+    const used = await Entry.distinct('category', { competitionId: competition._id });
+    const removed = used.filter(key => !kept.has(key));
+    if (removed.length > 0) {
+      return res.status(409).json({
+        error: 'Categories with entries cannot be removed',
+        categories: removed
+      });
+    }
+  }
+
+  competition.set(pick(req.body, COMPETITION_FIELDS));
+  await competition.save();
+
+  res.json(competition);
+}));
+
+// --- Promo codes and fee waivers ---
+
+const PROMO_CODE_FIELDS = ['code', 'description', 'discountType', 'amount', 'currency', 'competitionId', 'categories', 'maxUses', 'expiresAt', 'active'];
+const WAIVER_FIELDS = ['competitionId', 'email', 'sponsor', 'categories', 'maxEntries'];
+
+router.get('/promo-codes', asyncHandler(async (req, res) => {
+  await connectDB();
+  const promoCodes = await PromoCode.find().sort({ createdAt: -1 });
+  res.json(promoCodes);
+}));
+
+router.post('/promo-codes', asyncHandler(async (req, res) => {
+  console.log('Creating promo code:', req.body.code);
+
+  await connectDB();
+
+  const promoCode = new PromoCode({ ...pick(req.body, PROMO_CODE_FIELDS), createdBy: req.user.id });
+  try {
+    await promoCode.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This promo code already exists' });
+    }
+    throw error;
+  }
+
+  res.status(201).json(promoCode);
+}));
+
+// Codes are deactivated rather than deleted so past entries still resolve
+router.patch('/promo-codes/:id', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid promo code ID', received: req.params.id });
+  }
+
+  await connectDB();
+
+  const promoCode = await PromoCode.findById(req.params.id);
+  if (!promoCode) {
+    return res.status(404).json({ error: 'Promo code not found' });
+  }
+
+  promoCode.set(pick(req.body, PROMO_CODE_FIELDS.filter(field => field !== 'code')));
+  await promoCode.save();
+
+  res.json(promoCode);
+}));
+
+router.get('/waivers', asyncHandler(async (req, res) => {
+  await connectDB();
+  const filter = req.query.competitionId && mongoose.Types.ObjectId.isValid(req.query.competitionId)
+    ? { competitionId: req.query.competitionId }
+    : {};
+  const waivers = await FeeWaiver.find(filter).sort({ createdAt: -1 });
+  res.json(waivers);
+}));
+
+router.post('/waivers', asyncHandler(async (req, res) => {
+  console.log('Granting fee waiver:', req.body.email, req.body.sponsor);
+
+  await connectDB();
+
+  const waiver = new FeeWaiver({ ...pick(req.body, WAIVER_FIELDS), grantedBy: req.user.id });
+  try {
+    await waiver.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This entrant already has a waiver for the competition' });
+    }
+    throw error;
+  }
+
+  res.status(201).json(waiver);
+}));
+
+router.delete('/waivers/:id', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid waiver ID', received: req.params.id });
+  }
+
+  await connectDB();
+
+  const waiver = await FeeWaiver.findById(req.params.id);
+  if (!waiver) {
+    return res.status(404).json({ error: 'Waiver not found' });
+  }
+
+  if (waiver.uses > 0) {
+    return res.status(409).json({ error: 'Waiver has already been used' });
+  }
+
+  await waiver.deleteOne();
+  res.json({ message: 'Waiver removed' });
+}));
+
+// --- Judging ---
+
+const REVIEWS_PER_ENTRY = Number(process.env.JUDGE_REVIEWS_PER_ENTRY) || 3;
+
+// Judging is per season; defaults to the current one
+const loadCompetition = asyncHandler(async (req, res, next) => {
+  const competitionId = req.query.competitionId || req.body.competitionId;
+
+  await connectDB();
+
+  req.competition = await Competition.resolve(competitionId);
+  if (!req.competition) {
+    return res.status(404).json({ 
+      error: 'Competition not found',
+      received: competitionId || null
+    });
+  }
+  next();
+});
+
+const requireCategory = (req, res, next) => {
+  const category = req.params.category || req.body.category;
+  if (!req.competition.getCategory(category)) {
+    return res.status(400).json({ 
+      error: 'Invalid category',
+      validCategories: req.competition.categories.map(c => c.key),
+      received: category
+    });
+  }
+  next();
+};
+
+router.get('/judges', asyncHandler(async (req, res) => {
+  await connectDB();
+  const judges = await User.find({ role: 'judge' }).sort({ email: 1 });
+  res.json(judges);
+}));
+
+router.get('/rubrics', loadCompetition, asyncHandler(async (req, res) => {
+  const rubrics = {};
+  for (const { key } of req.competition.categories) {
+    rubrics[key] = await Rubric.criteriaFor(req.competition._id, key);
+  }
+  res.json(rubrics);
+}));
+
+router.put('/rubrics/:category', loadCompetition, requireCategory, asyncHandler(async (req, res) => {
+  const { category } = req.params;
+  const { criteria } = req.body;
+  const competitionId = req.competition._id;
+  console.log('Updating rubric:', competitionId, category, criteria);
+
+  if (!Array.isArray(criteria)) {
+    return res.status(400).json({ error: 'criteria must be an array' });
+  }
+
+  // Existing weighted scores were computed against the current rubric
+  if (await Score.exists({ competitionId, category })) {
+    return res.status(409).json({ 
+      error: 'Rubric is locked',
+      message: 'Entries in this category have already been scored'
+    });
+  }
+
+  const rubric = await Rubric.findOneAndUpdate(
+    { competitionId, category },
+    { criteria, updatedBy: req.user.id },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  res.json(rubric);
+}));
+
+router.get('/assignments', loadCompetition, asyncHandler(async (req, res) => {
+  const entryFilter = { competitionId: req.competition._id, status: 'under-review' };
+  if (req.query.category) entryFilter.category = req.query.category;
+
+  const entries = await Entry.find(entryFilter).select('title category status').sort({ createdAt: 1 });
+  const entryIds = entries.map(e => e._id);
+  const [assignments, scores, conflicts] = await Promise.all([
+    JudgeAssignment.find({ entryId: { $in: entryIds } }),
+    Score.find({ entryId: { $in: entryIds } }).select('entryId judgeId'),
+    Conflict.find({ entryId: { $in: entryIds } }).select('entryId judgeId reason')
+  ]);
+
+  const scored = new Set(scores.map(s => `${s.entryId}:${s.judgeId}`));
+
+  res.json(entries.map(entry => ({
+    entry,
+    judges: assignments
+      .filter(a => a.entryId.equals(entry._id))
+      .map(a => ({
+        assignmentId: a._id,
+        judgeId: a.judgeId,
+        scored: scored.has(`${a.entryId}:${a.judgeId}`)
+      })),
+    conflicts: conflicts
+      .filter(c => c.entryId.equals(entry._id))
+      .map(c => ({ judgeId: c.judgeId, reason: c.reason }))
+  })));
+}));
+
+// Upserts assignment pairs, returning how many were new
+const createAssignments = async (pairs, assignedBy) => {
+  if (pairs.length === 0) return 0;
+  const result = await JudgeAssignment.bulkWrite(pairs.map(({ entryId, judgeId }) => ({
+    updateOne: {
+      filter: { entryId, judgeId },
+      update: { $setOnInsert: { assignedBy } },
+      upsert: true
+    }
+  })));
+  return result.upsertedCount;
+};
+
+router.post('/assignments/auto', loadCompetition, requireCategory, asyncHandler(async (req, res) => {
+  const { category } = req.body;
+  const reviewsPerEntry = parseInt(req.body.reviewsPerEntry, 10) || REVIEWS_PER_ENTRY;
+  console.log('Auto-assigning judges:', { competitionId: req.competition.id, category, reviewsPerEntry });
+
+  const [entries, judges] = await Promise.all([
+    Entry.find({ competitionId: req.competition._id, category, status: 'under-review' }).select('_id userId team'),
+    User.find({ role: 'judge' }).select('_id')
+  ]);
+
+  if (judges.length === 0) {
+    return res.status(400).json({ error: 'There are no judge accounts to assign' });
+  }
+
+  const entryIds = entries.map(e => e._id);
+  const [existing, conflicts] = await Promise.all([
+    // Load across every category so busy judges get fewer new entries
+    JudgeAssignment.find({}).select('entryId judgeId'),
+    Conflict.find({ entryId: { $in: entryIds } }).select('entryId judgeId')
+  ]);
+
+  const { assignments, shortfalls } = planAssignments({
+    entries,
+    judgeIds: judges.map(j => j.id),
+    existing,
+    conflicts,
+    reviewsPerEntry
+  });
+
+  const created = await createAssignments(assignments, req.user.id);
+  console.log(`Auto-assignment created ${created} assignments, ${shortfalls.length} entries short`);
+
+  res.status(201).json({ 
+    message: 'Judges assigned',
+    reviewsPerEntry,
+    created,
+    shortfalls
+  });
+}));
+
+router.post('/assignments', asyncHandler(async (req, res) => {
+  const { entryIds, judgeIds } = req.body;
+  console.log('Assigning judges:', { entryIds, judgeIds });
+
+  if (!Array.isArray(entryIds) || !Array.isArray(judgeIds) || entryIds.length === 0 || judgeIds.length === 0) {
+    return res.status(400).json({ 
+      error: 'Missing required fields',
+      required: ['entryIds', 'judgeIds']
+    });
+  }
+
+  await connectDB();
+
+  const judges = await User.find({
+    _id: { $in: judgeIds.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+    role: 'judge'
+  });
+  if (judges.length !== judgeIds.length) {
+    return res.status(400).json({ error: 'Every judgeId must belong to a judge account' });
+  }
+
+  const entries = await Entry.find({
+    _id: { $in: entryIds.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+    status: 'under-review'
+  }).select('_id userId team');
+  if (entries.length !== entryIds.length) {
+    return res.status(400).json({ error: 'Only entries that are under review can be assigned' });
+  }
+
+  // Nobody judges their own entry, as lead or as co-author
+  const authored = entries.flatMap(entry => {
+    const authorIds = getAuthorIds(entry);
+    return judges.filter(judge => authorIds.includes(judge.id)).map(judge => ({ entryId: entry._id, judgeId: judge.id }));
+  });
+  if (authored.length > 0) {
+    return res.status(400).json({
+      error: 'Judges can\'t be assigned to entries they authored',
+      authored
+    });
+  }
+
+  const conflicts = await Conflict.find({ entryId: { $in: entries.map(e => e._id) } });
+  const blocked = new Set(conflicts.map(c => `${c.entryId}:${c.judgeId}`));
+
+  const pairs = entries.flatMap(entry => judges.map(judge => ({ entryId: entry._id, judgeId: judge.id })));
+  const allowed = pairs.filter(p => !blocked.has(`${p.entryId}:${p.judgeId}`));
+  const skipped = pairs.filter(p => blocked.has(`${p.entryId}:${p.judgeId}`));
+
+  const created = await createAssignments(allowed, req.user.id);
+
+  res.status(201).json({ 
+    message: 'Judges assigned',
+    created,
+    alreadyAssigned: allowed.length - created,
+    skippedForConflicts: skipped
+  });
+}));
+
+router.delete('/assignments/:id', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid assignment ID', received: req.params.id });
+  }
+
+  await connectDB();
+
+  const assignment = await JudgeAssignment.findById(req.params.id);
+  if (!assignment) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
+
+  if (await Score.exists({ entryId: assignment.entryId, judgeId: assignment.judgeId })) {
+    return res.status(409).json({ error: 'Judge has already scored this entry' });
+  }
+
+  await assignment.deleteOne();
+  res.json({ message: 'Assignment removed' });
+}));
+
+router.get('/leaderboard/:category', loadCompetition, requireCategory, asyncHandler(async (req, res) => {
+  const { category } = req.params;
+
+  const scores = await Score.find({ competitionId: req.competition._id, category }).select('entryId judgeId weightedScore');
+  const leaderboard = buildLeaderboard(scores);
+
+  const [entries, judges] = await Promise.all([
+    Entry.find({ _id: { $in: leaderboard.ranking.map(r => r.entryId) } }).select('title status entryType'),
+    User.find({ _id: { $in: leaderboard.judges.map(j => j.judgeId) } }).select('email name')
+  ]);
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+  const judgesById = new Map(judges.map(judge => [judge.id, judge]));
+
+  res.json({
+    competitionId: req.competition._id,
+    category,
+    threshold: leaderboard.threshold,
+    ranking: leaderboard.ranking.map(row => ({ ...row, entry: entriesById.get(row.entryId) || null })),
+    outliers: leaderboard.outliers,
+    judges: leaderboard.judges.map(stats => ({ ...stats, judge: judgesById.get(stats.judgeId) || null }))
+  });
+}));
+
+// --- People's Choice ---
+
+// Live tally, which admins can follow while voting is still open
+router.get('/votes/:category', loadCompetition, requireCategory, asyncHandler(async (req, res) => {
+  const { category } = req.params;
+  const scope = { competitionId: req.competition._id, category };
+
+  const [rows, flagCounts, awarded] = await Promise.all([
+    Vote.tally(req.competition._id, category),
+    Vote.aggregate([
+      { $match: scope },
+      { $unwind: '$flags' },
+      { $group: { _id: '$flags', count: { $sum: 1 } } }
+    ]),
+    Entry.findOne({ ...scope, 'peoplesChoice.awardedAt': { $exists: true } }).select('_id')
+  ]);
+  const ranking = rankVotes(rows);
+
+  const entries = await Entry.find({ _id: { $in: ranking.map(row => row.entryId) } }).select('title status galleryOptIn');
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+
+  res.json({
+    competitionId: req.competition._id,
+    category,
+    voting: { opensAt: req.competition.voting.opensAt, closesAt: req.competition.voting.closesAt, state: req.competition.getVotingState() },
+    ranking: ranking.map(row => ({ ...row, entry: entriesById.get(row.entryId) || null })),
+    flags: Object.fromEntries(flagCounts.map(({ _id, count }) => [_id, count])),
+    peoplesChoice: awarded ? awarded.id : null
+  });
+}));
+
+// Awards the category's People's Choice once voting has closed. A finalist
+// becomes a winner; a judges' winner keeps its status and gains the award.
+router.post('/peoples-choice/:category', loadCompetition, requireCategory, asyncHandler(async (req, res) => {
+  const { category } = req.params;
+  const { entryId } = req.body;
+  console.log('Awarding People\'s Choice:', { competitionId: req.competition.id, category, entryId, admin: req.user.id });
+
+  if (req.competition.getVotingState() !== 'closed') {
+    return res.status(409).json({ error: 'People\'s Choice can only be awarded once voting has closed' });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: entryId || null });
+  }
+
+  const scope = { competitionId: req.competition._id, category };
+  const awarded = await Entry.findOne({ ...scope, 'peoplesChoice.awardedAt': { $exists: true } }).select('title');
+  if (awarded) {
+    return res.status(409).json({ error: 'People\'s Choice has already been awarded in this category', entryId: awarded.id, title: awarded.title });
+  }
+
+  const entry = await Entry.findOne({ ...scope, _id: entryId });
+  if (!entry) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+  if (!['finalist', 'winner'].includes(entry.status)) {
+    return res.status(400).json({ error: 'Only finalists can win People\'s Choice', status: entry.status });
+  }
+
+  const promote = entry.status === 'finalist';
+  if (promote) {
+    const transitionError = getTransitionError(entry, 'winner');
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+    applyTransition(entry, 'winner', { changedBy: req.user.id, reason: 'People\'s Choice award' });
+  }
+
+  entry.peoplesChoice = {
+    votes: await Vote.countDocuments({ ...scope, entryId: entry._id, flags: { $size: 0 } }),
+    awardedAt: new Date(),
+    awardedBy: req.user.id
+  };
+  await entry.save();
+  if (promote) await notifyStatusChange(entry);
+
+  console.log(`✅ People's Choice ${category}: entry ${entry._id} with ${entry.peoplesChoice.votes} votes`);
+  res.json({ entryId: entry.id, status: entry.status, peoplesChoice: entry.peoplesChoice });
+}));
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { connectDB } = require('../lib/db');
+const asyncHandler = require('../lib/asyncHandler');
+const { signToken, requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PASSWORD_MIN_LENGTH = 8;
+const BCRYPT_ROUNDS = 12;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isText = value => typeof value === 'string' && value.length > 0;
+
+// Both routes need an email and a password as strings (bcrypt throws on
+// anything else). Returns false after sending a 400.
+const checkCredentials = (req, res) => {
+  const { email, password } = req.body;
+  if (!isText(email) || !isText(password)) {
+    res.status(400).json({ 
+      error: 'Missing required fields',
+      message: 'email and password must be non-empty strings',
+      required: ['email', 'password']
+    });
+    return false;
+  }
+  return true;
+};
+
+// Don't issue tokens that can't be verified later
+router.use((req, res, next) => {
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ 
+      error: 'Authentication not available',
+      message: 'JWT_SECRET is not configured'
+    });
+  }
+  next();
+});
+
+router.post('/signup', asyncHandler(async (req, res) => {
+  const { email, password, name } = req.body;
+
+  if (!checkCredentials(req, res)) return;
+
+  if (name !== undefined && typeof name !== 'string') {
+    return res.status(400).json({ error: 'Name must be a string', field: 'name' });
+  }
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'Please provide a valid email address' });
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+  }
+
+  await connectDB();
+
+  if (await User.exists({ email: email.toLowerCase().trim() })) {
+    return res.status(409).json({ error: 'An account with this email already exists' });
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  let user;
+  try {
+    user = await User.create({ email, name, passwordHash });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    throw error;
+  }
+
+  console.log('User signed up:', user._id);
+  res.status(201).json({ token: signToken(user), user });
+}));
+
+router.post('/login', asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!checkCredentials(req, res)) return;
+
+  await connectDB();
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  const valid = user ? await bcrypt.compare(password, user.passwordHash) : false;
+
+  if (!valid) {
+    return res.status(401).json({ error: 'Invalid email or password' });
+  }
+
+  console.log('User logged in:', user._id);
+  res.json({ token: signToken(user), user });
+}));
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Competition = require('../models/Competition');
+const { connectDB } = require('../lib/db');
+const asyncHandler = require('../lib/asyncHandler');
+
+// Public: the entry form and footer read categories and fees from here
+const router = express.Router();
+
+router.get('/', asyncHandler(async (req, res) => {
+  await connectDB();
+  const competitions = await Competition.find().sort({ opensAt: -1 });
+  res.json(competitions);
+}));
+
+router.get('/current', asyncHandler(async (req, res) => {
+  await connectDB();
+  const competition = await Competition.findCurrent();
+  if (!competition) {
+    return res.status(404).json({ error: 'No competition has been set up yet' });
+  }
+  res.json(competition);
+}));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid competition ID', received: req.params.id });
+  }
+
+  await connectDB();
+  const competition = await Competition.findById(req.params.id);
+  if (!competition) {
+    return res.status(404).json({ error: 'Competition not found' });
+  }
+  res.json(competition);
+}));
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const User = require('../models/User');
+const Competition = require('../models/Competition');
+const { connectDB } = require('../lib/db');
+const asyncHandler = require('../lib/asyncHandler');
+const { getAuthorIds } = require('../lib/teams');
+const { galleryFilter, getCredits, toGalleryEntry } = require('../lib/gallery');
+
+// Public, read-only: finalists and winners whose leads opted in
+const router = express.Router();
+
+// A season's gallery is small; this only guards against runaway queries
+const MAX_GALLERY_ENTRIES = 200;
+
+const loadUsersById = async (entries) => {
+  const ids = entries.flatMap(getAuthorIds).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const users = await User.find({ _id: { $in: ids } }).select('name');
+  return new Map(users.map(user => [user.id, user]));
+};
+
+// ?competitionId= (the current season by default) and ?category=
+router.get('/', asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const competition = await Competition.resolve(req.query.competitionId);
+  if (!competition) {
+    return res.status(404).json({ error: 'Competition not found' });
+  }
+
+  const filter = { competitionId: competition._id };
+  if (req.query.category) {
+    if (!competition.getCategory(req.query.category)) {
+      return res.status(400).json({
+        error: 'Invalid category',
+        validCategories: competition.categories.map(c => c.key),
+        received: req.query.category
+      });
+    }
+    filter.category = req.query.category;
+  }
+
+  // 'winner' sorts after 'finalist', so descending puts winners first
+  const entries = await Entry.find(galleryFilter(filter))
+    .sort({ status: -1, category: 1, createdAt: 1 })
+    .limit(MAX_GALLERY_ENTRIES);
+  const usersById = await loadUsersById(entries);
+
+  res.json({
+    competition: {
+      _id: competition._id,
+      name: competition.name,
+      categories: competition.categories.map(({ key, label }) => ({ key, label })),
+      voting: {
+        opensAt: competition.voting.opensAt,
+        closesAt: competition.voting.closesAt,
+        state: competition.getVotingState()
+      }
+    },
+    entries: entries.map(entry => toGalleryEntry(entry, { credits: getCredits(entry, usersById) }))
+  });
+}));
+
+router.get('/entries/:id', asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: req.params.id });
+  }
+
+  await connectDB();
+
+  const entry = await Entry.findOne(galleryFilter({ _id: req.params.id }));
+  if (!entry) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+
+  const [usersById, competition] = await Promise.all([
+    loadUsersById([entry]),
+    Competition.findById(entry.competitionId).select('name categories')
+  ]);
+  const category = competition && competition.getCategory(entry.category);
+
+  res.json({
+    ...toGalleryEntry(entry, { credits: getCredits(entry, usersById), detail: true }),
+    competitionName: competition ? competition.name : undefined,
+    categoryLabel: category ? category.label : entry.category
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const User = require('../models/User');
+const Conflict = require('../models/Conflict');
+const Rubric = require('../models/Rubric');
+const Score = require('../models/Score');
+const JudgeAssignment = require('../models/JudgeAssignment');
+const { connectDB } = require('../lib/db');
+const asyncHandler = require('../lib/asyncHandler');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { validateScores, computeWeightedScore } = require('../lib/scoring');
+const { toBlindEntry } = require('../lib/blindJudging');
+const { getAuthorIds } = require('../lib/teams');
+
+const router = express.Router();
+
+// Redact the author's name/email from entry text shown to judges (on unless 'false')
+const REDACT_AUTHOR_NAMES = process.env.REDACT_AUTHOR_NAMES !== 'false';
+
+router.use(requireAuth, requireRole('judge'));
+
+router.get('/assignments', asyncHandler(async (req, res) => {
+  const judgeId = req.user.id;
+  console.log('Fetching assignments for judge:', judgeId);
+
+  await connectDB();
+
+  const assignments = await JudgeAssignment.find({ judgeId }).sort({ createdAt: 1 });
+  const entryIds = assignments.map(a => a.entryId);
+
+  const [entries, scores] = await Promise.all([
+    Entry.find({ _id: { $in: entryIds } }).select('-__v'),
+    Score.find({ judgeId, entryId: { $in: entryIds } })
+  ]);
+
+  // Owners and co-authors are only loaded to know which names to redact
+  const owners = await User.find({
+    _id: { $in: entries.flatMap(getAuthorIds).filter(id => mongoose.Types.ObjectId.isValid(id)) }
+  }).select('name email');
+  const ownersById = new Map(owners.map(owner => [owner.id, owner]));
+
+  // Rubrics are per season and category
+  const rubricKey = entry => `${entry.competitionId}:${entry.category}`;
+  const criteria = {};
+  for (const entry of entries) {
+    if (!criteria[rubricKey(entry)]) {
+      criteria[rubricKey(entry)] = await Rubric.criteriaFor(entry.competitionId, entry.category);
+    }
+  }
+
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+  const scoresByEntry = new Map(scores.map(score => [score.entryId.toString(), score]));
+
+  res.json(assignments
+    .filter(a => entriesById.has(a.entryId.toString()))
+    .map((a) => {
+      const entry = entriesById.get(a.entryId.toString());
+      return {
+        assignmentId: a._id,
+        entry: toBlindEntry(entry, {
+          owner: ownersById.get(entry.userId),
+          coAuthors: getAuthorIds(entry)
+            .filter(id => id !== entry.userId && ownersById.has(id))
+            .map(id => ownersById.get(id)),
+          redactNames: REDACT_AUTHOR_NAMES
+        }),
+        criteria: criteria[rubricKey(entry)],
+        score: scoresByEntry.get(entry.id) || null
+      };
+    }));
+}));
+
+router.put('/entries/:entryId/score', asyncHandler(async (req, res) => {
+  const judgeId = req.user.id;
+  const { entryId } = req.params;
+  const { values, comment } = req.body;
+  console.log('Judge scoring entry:', { judgeId, entryId, values });
+
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: entryId });
+  }
+
+  // One number per rubric criterion, keyed by the criterion
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return res.status(400).json({ error: 'values must be an object of scores by criterion' });
+  }
+
+  await connectDB();
+
+  if (!await JudgeAssignment.exists({ entryId, judgeId })) {
+    return res.status(403).json({ error: 'This entry is not assigned to you' });
+  }
+
+  const entry = await Entry.findById(entryId);
+  if (!entry) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+
+  if (entry.status !== 'under-review') {
+    return res.status(409).json({ 
+      error: 'Entry is not open for scoring',
+      status: entry.status
+    });
+  }
+
+  const criteria = await Rubric.criteriaFor(entry.competitionId, entry.category);
+  const scoreError = validateScores(criteria, values);
+  if (scoreError) {
+    return res.status(400).json({ error: scoreError, criteria });
+  }
+
+  const score = await Score.findOneAndUpdate(
+    { entryId, judgeId },
+    {
+      competitionId: entry.competitionId,
+      category: entry.category,
+      values,
+      weightedScore: computeWeightedScore(criteria, values),
+      comment: comment || ''
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`Entry ${entryId} scored ${score.weightedScore} by judge ${judgeId}`);
+  res.json({ message: 'Score saved', score });
+}));
+
+router.get('/conflicts', asyncHandler(async (req, res) => {
+  await connectDB();
+  const conflicts = await Conflict.find({ judgeId: req.user.id }).sort({ createdAt: -1 });
+  res.json(conflicts);
+}));
+
+// Declaring a conflict takes the judge off the entry for good, including any
+// score they already gave
+router.post('/conflicts', asyncHandler(async (req, res) => {
+  const judgeId = req.user.id;
+  const { entryId, reason } = req.body;
+  console.log('Conflict of interest declared:', { judgeId, entryId });
+
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: entryId });
+  }
+
+  await connectDB();
+
+  if (!await JudgeAssignment.exists({ entryId, judgeId })) {
+    return res.status(403).json({ error: 'This entry is not assigned to you' });
+  }
+
+  const conflict = await Conflict.findOneAndUpdate(
+    { entryId, judgeId },
+    { $setOnInsert: { reason: reason || '' } },
+    { new: true, upsert: true }
+  );
+
+  await Promise.all([
+    JudgeAssignment.deleteOne({ entryId, judgeId }),
+    Score.deleteOne({ entryId, judgeId })
+  ]);
+
+  res.status(201).json({ message: 'Conflict recorded, entry unassigned', conflict });
+}));
+
+module.exports = router;
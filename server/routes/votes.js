@@ -0,0 +1,133 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const Vote = require('../models/Vote');
+const Competition = require('../models/Competition');
+const { connectDB } = require('../lib/db');
+const asyncHandler = require('../lib/asyncHandler');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { galleryFilter } = require('../lib/gallery');
+const { getAuthorIds } = require('../lib/teams');
+const { getVoteSignals, getVoteFlags, rankVotes } = require('../lib/voting');
+
+// People's Choice voting on the finalists in the public gallery
+const router = express.Router();
+
+// Per account, and per network for scripted sign-ups
+const voteLimits = [
+  rateLimit({ windowMs: 60 * 1000, max: 5, key: req => `user:${req.user.id}`, message: 'Too many votes, please wait a minute' }),
+  rateLimit({ windowMs: 60 * 60 * 1000, max: 30, key: req => `ip:${req.ip}`, message: 'Too many votes from your network, please try again later' })
+];
+
+// The signed-in user's votes in a season (the current one by default)
+router.get('/mine', requireAuth, asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const competition = await Competition.resolve(req.query.competitionId);
+  if (!competition) {
+    return res.status(404).json({ error: 'Competition not found' });
+  }
+
+  const votes = await Vote.find({ competitionId: competition._id, userId: req.user.id }).select('category entryId createdAt');
+  res.json(votes);
+}));
+
+router.post('/', requireAuth, ...voteLimits, asyncHandler(async (req, res) => {
+  const { entryId } = req.body;
+  console.log('Vote:', { entryId, userId: req.user.id });
+
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: entryId || null });
+  }
+
+  await connectDB();
+
+  // Only what the public can see can be voted for
+  const entry = await Entry.findOne(galleryFilter({ _id: entryId }));
+  if (!entry) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+  // Winners, People's Choice included, have had their say
+  if (entry.status !== 'finalist') {
+    return res.status(409).json({ error: 'Only finalists can be voted for', status: entry.status });
+  }
+
+  const competition = await Competition.findById(entry.competitionId);
+  const votingState = competition ? competition.getVotingState() : null;
+  if (votingState !== 'open') {
+    return res.status(409).json({
+      error: votingState === 'upcoming' ? 'Voting has not opened yet' : 'Voting is not open',
+      voting: competition ? competition.voting : null
+    });
+  }
+
+  if (getAuthorIds(entry).includes(req.user.id)) {
+    return res.status(403).json({ error: 'You cannot vote for your own entry' });
+  }
+
+  const scope = { competitionId: competition._id, category: entry.category };
+  const signals = getVoteSignals(req.user, req.ip);
+  const [votesFromNetwork, emailAliasVotes] = await Promise.all([
+    signals.networkKey ? Vote.countDocuments({ ...scope, networkKey: signals.networkKey }) : 0,
+    Vote.countDocuments({ ...scope, emailKey: signals.emailKey })
+  ]);
+  const flags = getVoteFlags({ user: req.user, votesFromNetwork, emailAliasVotes });
+
+  let vote;
+  try {
+    vote = await Vote.create({ ...scope, entryId: entry._id, userId: req.user.id, ...signals, flags });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You have already voted in this category' });
+    }
+    throw error;
+  }
+
+  if (flags.length > 0) {
+    console.log(`⚠️ Vote ${vote._id} flagged: ${flags.join(', ')}`);
+  }
+  // Flags are for admins; voters are never told their vote won't count
+  res.status(201).json({ category: vote.category, entryId: vote.entryId, createdAt: vote.createdAt });
+}));
+
+// Public once voting has closed: counted votes per category
+router.get('/results', asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const competition = await Competition.resolve(req.query.competitionId);
+  if (!competition) {
+    return res.status(404).json({ error: 'Competition not found' });
+  }
+
+  const votingState = competition.getVotingState();
+  if (votingState !== 'closed') {
+    return res.status(403).json({
+      error: votingState ? 'Results are hidden until voting closes' : 'This competition holds no vote',
+      closesAt: competition.voting.closesAt
+    });
+  }
+
+  const categories = [];
+  for (const { key, label } of competition.categories) {
+    const ranking = rankVotes(await Vote.tally(competition._id, key));
+    // Entries taken out of the gallery since are left out
+    const entries = await Entry.find(galleryFilter({ _id: { $in: ranking.map(row => row.entryId) } }))
+      .select('title peoplesChoice');
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+    categories.push({
+      key,
+      label,
+      ranking: ranking
+        .filter(row => entriesById.has(row.entryId))
+        .map(({ rank, entryId, votes }) => {
+          const entry = entriesById.get(entryId);
+          return { rank, entryId, title: entry.title, votes, peoplesChoice: Boolean(entry.peoplesChoice && entry.peoplesChoice.awardedAt) };
+        })
+    });
+  }
+
+  res.json({ competitionId: competition._id, closesAt: competition.voting.closesAt, categories });
+}));
+
+module.exports = router;
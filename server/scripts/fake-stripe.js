@@ -0,0 +1,119 @@
+// Offline stand-in for `stripe trigger` / `stripe listen`.
+// Builds a Stripe-shaped event, signs it with STRIPE_WEBHOOK_SECRET exactly like
+// Stripe does and posts it to the local webhook route.
+//
+// Usage:
+//   STRIPE_WEBHOOK_SECRET=whsec_test node scripts/fake-stripe.js <event-type> <payment-intent-id> [options]
+//
+// Options:
+//   --url <url>          webhook URL (default http://localhost:5000/api/webhooks/stripe)
+//   --event-id <id>      reuse an event ID to test replay handling
+//   --amount <cents>     charge/payment amount (default 5096)
+//   --refunded <cents>   amount refunded for charge.refunded (default: full amount)
+
+const Stripe = require('stripe');
+const crypto = require('crypto');
+
+const createFakeEvent = ({ type, paymentIntentId, eventId, amount = 5096, amountRefunded }) => {
+  const created = Math.floor(Date.now() / 1000);
+  let object;
+
+  if (type === 'charge.refunded') {
+    object = {
+      id: 'ch_' + crypto.randomBytes(12).toString('hex'),
+      object: 'charge',
+      amount,
+      amount_refunded: amountRefunded === undefined ? amount : amountRefunded,
+      currency: 'usd',
+      payment_intent: paymentIntentId,
+      refunded: amountRefunded === undefined || amountRefunded >= amount
+    };
+  } else {
+    const statuses = {
+      'payment_intent.succeeded': 'succeeded',
+      'payment_intent.payment_failed': 'requires_payment_method',
+      'payment_intent.canceled': 'canceled'
+    };
+    object = {
+      id: paymentIntentId,
+      object: 'payment_intent',
+      amount,
+      currency: 'usd',
+      status: statuses[type] || 'processing',
+      last_payment_error: type === 'payment_intent.payment_failed'
+        ? { message: 'Your card was declined.' }
+        : null
+    };
+  }
+
+  return {
+    id: eventId || 'evt_' + crypto.randomBytes(12).toString('hex'),
+    object: 'event',
+    api_version: '2023-10-16',
+    created,
+    livemode: false,
+    type,
+    data: { object }
+  };
+};
+
+const signPayload = (payload, secret) => {
+  return Stripe.webhooks.generateTestHeaderString({ payload, secret });
+};
+
+const sendFakeEvent = async ({ url, secret, ...eventOptions }) => {
+  const event = createFakeEvent(eventOptions);
+  const payload = JSON.stringify(event);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signPayload(payload, secret)
+    },
+    body: payload
+  });
+  return { event, status: response.status, body: await response.json() };
+};
+
+const parseArgs = (argv) => {
+  const [type, paymentIntentId, ...rest] = argv;
+  const options = { type, paymentIntentId };
+  for (let i = 0; i < rest.length; i += 2) {
+    const value = rest[i + 1];
+    switch (rest[i]) {
+      case '--url': options.url = value; break;
+      case '--event-id': options.eventId = value; break;
+      case '--amount': options.amount = Number(value); break;
+      case '--refunded': options.amountRefunded = Number(value); break;
+      default: throw new Error(`Unknown option: ${rest[i]}`);
+    }
+  }
+  return options;
+};
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!options.type || !options.paymentIntentId || !secret) {
+    console.error('Usage: STRIPE_WEBHOOK_SECRET=whsec_... node scripts/fake-stripe.js <event-type> <payment-intent-id> [--url ...] [--event-id ...]');
+    process.exit(1);
+  }
+
+  sendFakeEvent({
+    url: options.url || 'http://localhost:5000/api/webhooks/stripe',
+    secret,
+    ...options
+  }).then(({ event, status, body }) => {
+    console.log(`Sent ${event.type} (${event.id}) -> ${status}`, body);
+  }).catch((error) => {
+    console.error('❌ Failed to send fake event:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createFakeEvent,
+  signPayload,
+  sendFakeEvent
+};
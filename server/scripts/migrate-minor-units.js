@@ -0,0 +1,71 @@
+// One-off migration from whole-dollar amounts to minor units:
+//   MONGODB_URI=... node scripts/migrate-minor-units.js
+// - entry entryFee/stripeFee/totalAmount and pricing amounts become cents
+// - competition category fee/currency/tierFees become a price table
+// - fixed promo code amounts become cents and get a currency
+// Only documents still in whole units are converted, so it is safe to run
+// again, or after the new code is live: entries without amountUnit, categories
+// without prices and fixed promo codes without a currency.
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../lib/db');
+
+const toCents = field => ({ $round: [{ $multiply: [{ $ifNull: [`$${field}`, 0] }, 100] }, 0] });
+
+const migrate = async () => {
+  await connectDB();
+  const db = mongoose.connection.db;
+
+  const entries = await db.collection('entries').updateMany({ amountUnit: { $exists: false } }, [{
+    $set: {
+      amountUnit: 'minor',
+      entryFee: toCents('entryFee'),
+      stripeFee: toCents('stripeFee'),
+      totalAmount: toCents('totalAmount'),
+      currency: { $ifNull: ['$currency', 'usd'] },
+      'pricing.baseFee': toCents('pricing.baseFee'),
+      'pricing.discount': toCents('pricing.discount')
+    }
+  }]);
+  console.log(`✅ Converted ${entries.modifiedCount} entries`);
+
+  // Categories with a price table are already converted
+  const isConverted = category => Array.isArray(category.prices) && category.prices.length > 0;
+  const competitions = await db.collection('competitions')
+    .find({ categories: { $elemMatch: { prices: { $in: [null, []] } } } })
+    .toArray();
+  for (const competition of competitions) {
+    const currencies = competition.currencies && competition.currencies.length > 0
+      ? competition.currencies
+      : [...new Set(competition.categories.map(c => c.currency || 'usd'))];
+    const categories = competition.categories.map((category) => {
+      if (isConverted(category)) return category;
+      const { fee, currency = 'usd', tierFees = {}, ...rest } = category;
+      return {
+        ...rest,
+        prices: [
+          { currency, amount: Math.round(fee * 100) },
+          ...Object.entries(tierFees).map(([tier, amount]) => ({ currency, tier, amount: Math.round(amount * 100) }))
+        ]
+      };
+    });
+    // Matched on the categories as read, so a concurrent edit isn't overwritten
+    await db.collection('competitions').updateOne(
+      { _id: competition._id, categories: competition.categories },
+      { $set: { currencies, categories } }
+    );
+  }
+  console.log(`✅ Converted ${competitions.length} competitions`);
+
+  const promoCodes = await db.collection('promocodes').updateMany({ discountType: 'fixed', currency: { $exists: false } }, [{
+    $set: { amount: toCents('amount'), currency: { $ifNull: ['$currency', 'usd'] } }
+  }]);
+  console.log(`✅ Converted ${promoCodes.modifiedCount} promo codes`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
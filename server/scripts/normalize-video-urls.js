@@ -0,0 +1,43 @@
+// Stores the canonical URL and video details of video entries. Run once for
+// entries submitted before videos were verified, and again to retry the
+// lookups that couldn't reach the provider at submission time:
+//   MONGODB_URI=... node scripts/normalize-video-urls.js
+// Use VIDEO_LOOKUP_DRIVER=stub to normalize URLs without going online.
+
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const { connectDB } = require('../lib/db');
+const { createVideoLookup } = require('../lib/videoLookup');
+const { resolveVideo } = require('../lib/videos');
+
+const normalizeEntries = async () => {
+  await connectDB();
+  const lookup = createVideoLookup();
+
+  let updated = 0;
+  const cursor = Entry.find({ entryType: 'video', 'video.checkedAt': { $exists: false } })
+    .select('videoUrl video').cursor();
+  for await (const entry of cursor) {
+    const resolved = await resolveVideo(lookup, entry.videoUrl);
+    if (resolved.error) {
+      // Left for an admin to follow up with the participant
+      console.log(`⚠️ Entry ${entry._id}: ${resolved.error.message} (${entry.videoUrl})`);
+      continue;
+    }
+    // Not an edit by the participant, so updatedAt stays as it was
+    await Entry.updateOne(
+      { _id: entry._id },
+      { $set: { videoUrl: resolved.videoUrl, video: resolved.video } },
+      { timestamps: false }
+    );
+    updated++;
+  }
+  console.log(`✅ Updated ${updated} video entr${updated === 1 ? 'y' : 'ies'} (lookup: ${lookup.name})`);
+};
+
+normalizeEntries()
+  .catch((error) => {
+    console.error('❌ Failed to normalize video entries:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
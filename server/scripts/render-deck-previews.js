@@ -0,0 +1,36 @@
+// Renders the previews of pitch deck entries that don't have one yet: decks
+// submitted before previews existed, renders interrupted by a restart, and
+// failed ones (e.g. once Poppler or LibreOffice has been installed):
+//   MONGODB_URI=... node scripts/render-deck-previews.js
+
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const { connectDB } = require('../lib/db');
+const { createStorage } = require('../lib/storage');
+const { createDeckRenderer } = require('../lib/deckRenderer');
+const { generateDeckPreview } = require('../lib/deckPreviews');
+
+const renderPreviews = async () => {
+  await connectDB();
+  const storage = createStorage();
+  const renderer = createDeckRenderer();
+
+  const counts = { ready: 0, failed: 0 };
+  const cursor = Entry.find({
+    entryType: 'pitch-deck',
+    fileKey: { $exists: true },
+    'preview.status': { $nin: ['ready'] }
+  }).select('fileKey').cursor();
+  for await (const entry of cursor) {
+    const preview = await generateDeckPreview(entry, { storage, renderer });
+    if (preview) counts[preview.status]++;
+  }
+  console.log(`✅ Rendered ${counts.ready} deck preview(s), ${counts.failed} failed (renderer: ${renderer.name})`);
+};
+
+renderPreviews()
+  .catch((error) => {
+    console.error('❌ Failed to render deck previews:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,31 @@
+// Renders the sanitized HTML of text entries from their Markdown. Run once
+// for entries submitted before Markdown support, and again whenever the
+// rendering or sanitizer rules in lib/markdown.js change:
+//   MONGODB_URI=... node scripts/render-text-entries.js
+
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const { connectDB } = require('../lib/db');
+const { renderMarkdown } = require('../lib/markdown');
+
+const renderEntries = async () => {
+  await connectDB();
+
+  let rendered = 0;
+  const cursor = Entry.find({ entryType: 'text', textContent: { $exists: true } }).select('textContent textHtml').cursor();
+  for await (const entry of cursor) {
+    const textHtml = renderMarkdown(entry.textContent);
+    if (textHtml === entry.textHtml) continue;
+    // Not an edit by the participant, so updatedAt stays as it was
+    await Entry.updateOne({ _id: entry._id }, { $set: { textHtml } }, { timestamps: false });
+    rendered++;
+  }
+  console.log(`✅ Rendered ${rendered} text entr${rendered === 1 ? 'y' : 'ies'}`);
+};
+
+renderEntries()
+  .catch((error) => {
+    console.error('❌ Failed to render text entries:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
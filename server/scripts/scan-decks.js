@@ -0,0 +1,60 @@
+// Scans pitch decks again where the scanner couldn't be reached, or never
+// got to them because the server restarted:
+//   MONGODB_URI=... node scripts/scan-decks.js
+// With --existing it also scans the decks attached before uploads were
+// scanned. Their entries keep their status; infected decks are taken down
+// into quarantine, and flagged or infected ones show up in the admin console.
+
+const mongoose = require('mongoose');
+const Entry = require('../models/Entry');
+const { connectDB } = require('../lib/db');
+const { scanner, getDeckConfigError, scanEntryDeck, scanStoredDeck } = require('../lib/decks');
+
+const existing = process.argv.includes('--existing');
+
+const scanDecks = async () => {
+  if (getDeckConfigError()) throw getDeckConfigError();
+  await connectDB();
+
+  const counts = {};
+  const count = (status) => {
+    counts[status] = (counts[status] || 0) + 1;
+  };
+
+  const pending = Entry.find({ status: 'scan-pending', 'scan.status': { $in: ['pending', 'error'] } })
+    .select('_id').cursor();
+  for await (const entry of pending) {
+    const scanned = await scanEntryDeck(entry._id);
+    if (scanned) count(scanned.scan.status);
+  }
+
+  if (existing) {
+    const unscanned = Entry.find({
+      entryType: 'pitch-deck',
+      fileKey: { $exists: true },
+      'scan.status': { $exists: false }
+    }).cursor();
+    for await (const entry of unscanned) {
+      try {
+        const scan = await scanStoredDeck(entry);
+        if (scan.status !== 'clean') {
+          console.log(`⚠️ Entry ${entry._id} (${entry.status}): ${scan.signature || scan.findings.join(', ')}`);
+        }
+        count(scan.status);
+      } catch (error) {
+        console.log(`⚠️ Could not scan the deck of entry ${entry._id}:`, error.message);
+        count('error');
+      }
+    }
+  }
+
+  const summary = Object.entries(counts).map(([status, total]) => `${total} ${status}`).join(', ');
+  console.log(`✅ Scanned decks (scanner: ${scanner.name}): ${summary || 'nothing to scan'}`);
+};
+
+scanDecks()
+  .catch((error) => {
+    console.error('❌ Failed to scan decks:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
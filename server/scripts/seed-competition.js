@@ -0,0 +1,73 @@
+// Creates the first competition season from the fees and categories the app
+// shipped with, and attaches existing entries, rubrics and scores to it:
+//   MONGODB_URI=... node scripts/seed-competition.js [--name "Top 216 2025"] [--slug top216-2025] [--opens 2025-01-01] [--closes 2025-12-31]
+// --closes defaults to SUBMISSION_DEADLINE, or 90 days from now.
+
+const mongoose = require('mongoose');
+const Competition = require('../models/Competition');
+const Entry = require('../models/Entry');
+const Rubric = require('../models/Rubric');
+const Score = require('../models/Score');
+const { connectDB } = require('../lib/db');
+
+// Prices in cents
+const DEFAULT_CATEGORIES = [
+  { key: 'business', label: 'Business', fee: 4900 },
+  { key: 'creative', label: 'Creative', fee: 4900 },
+  { key: 'technology', label: 'Technology', fee: 9900 },
+  { key: 'social-impact', label: 'Social Impact', fee: 4900 }
+].map(({ fee, ...category }) => ({
+  ...category,
+  prices: [{ currency: 'usd', amount: fee }],
+  entryTypes: Competition.ENTRY_TYPES,
+  wordLimits: { min: 100, max: 2000 }
+}));
+
+const getOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const year = new Date().getFullYear();
+const name = getOption('name', `Top 216 ${year}`);
+const slug = getOption('slug', `top216-${year}`);
+const opensAt = new Date(getOption('opens', new Date().toISOString()));
+const closesAt = new Date(getOption('closes',
+  process.env.SUBMISSION_DEADLINE || new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString()));
+
+if (isNaN(opensAt.getTime()) || isNaN(closesAt.getTime())) {
+  console.error('❌ --opens and --closes must be valid dates');
+  process.exit(1);
+}
+
+const seed = async () => {
+  await connectDB();
+
+  let competition = await Competition.findOne({ slug });
+  if (competition) {
+    console.log(`ℹ️ Competition ${slug} already exists`);
+  } else {
+    competition = await Competition.create({ name, slug, opensAt, closesAt, currencies: ['usd'], categories: DEFAULT_CATEGORIES });
+    console.log(`✅ Created ${competition.name} (${competition.id})`);
+  }
+
+  // Everything created before seasons existed belongs to the first one
+  const legacy = { competitionId: { $exists: false } };
+  const [entries, rubrics, scores] = await Promise.all([
+    Entry.updateMany(legacy, { competitionId: competition._id }),
+    Rubric.collection.updateMany(legacy, { $set: { competitionId: competition._id } }),
+    Score.updateMany(legacy, { competitionId: competition._id })
+  ]);
+  console.log(`✅ Attached ${entries.modifiedCount} entries, ${rubrics.modifiedCount} rubrics and ${scores.modifiedCount} scores`);
+
+  // The old rubric index was unique on category alone
+  await Rubric.collection.dropIndex('category_1').catch(() => {});
+  await Rubric.syncIndexes();
+};
+
+seed()
+  .catch((error) => {
+    console.error('❌ Failed to seed competition:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,60 @@
+// Emails participants who haven't entered the current season yet when it
+// closes within the next few days. Meant to run daily (e.g. from cron); each
+// participant gets at most one reminder per season.
+//   MONGODB_URI=... node scripts/send-deadline-reminders.js [--days 3]
+
+const mongoose = require('mongoose');
+const Competition = require('../models/Competition');
+const Entry = require('../models/Entry');
+const User = require('../models/User');
+const { connectDB } = require('../lib/db');
+const { sendDeadlineReminder } = require('../lib/notifications');
+
+const getOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const days = Number(getOption('days', process.env.REMINDER_DAYS || 3));
+
+const sendReminders = async () => {
+  await connectDB();
+
+  const now = new Date();
+  const competition = await Competition.findCurrent(now);
+  if (!competition || !competition.isOpen(now)) {
+    console.log('No open competition, nothing to remind');
+    return;
+  }
+
+  const remindFrom = new Date(competition.closesAt.getTime() - days * 24 * 60 * 60 * 1000);
+  if (now < remindFrom) {
+    console.log(`${competition.name} closes ${competition.closesAt.toISOString()}, reminders start ${remindFrom.toISOString()}`);
+    return;
+  }
+
+  const entrants = await Entry.distinct('userId', { competitionId: competition._id });
+  const users = await User.find({
+    role: 'participant',
+    _id: { $nin: entrants.filter(id => mongoose.Types.ObjectId.isValid(id)) }
+  }).select('name email');
+
+  let sent = 0;
+  for (const user of users) {
+    const log = await sendDeadlineReminder(user, competition);
+    if (log && log.status === 'sent') sent++;
+  }
+  console.log(`✅ ${sent} reminder(s) sent for ${competition.name} (${users.length} participant(s) without an entry)`);
+};
+
+if (isNaN(days) || days <= 0) {
+  console.error('❌ --days must be a positive number');
+  process.exit(1);
+}
+
+sendReminders()
+  .catch((error) => {
+    console.error('❌ Failed to send reminders:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
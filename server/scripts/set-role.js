@@ -0,0 +1,34 @@
+// Grants a role to an existing account, e.g. to create the first admin:
+//   MONGODB_URI=... node scripts/set-role.js someone@example.com admin
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { connectDB } = require('../lib/db');
+
+const [email, role] = process.argv.slice(2);
+const roles = User.schema.path('role').enumValues;
+
+if (!email || !roles.includes(role)) {
+  console.error(`Usage: node scripts/set-role.js <email> <${roles.join('|')}>`);
+  process.exit(1);
+}
+
+connectDB()
+  .then(() => User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role },
+    { new: true }
+  ))
+  .then((user) => {
+    if (!user) {
+      console.error('❌ No account found for', email);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ ${user.email} is now ${user.role}`);
+  })
+  .catch((error) => {
+    console.error('❌ Failed to update role:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,32 @@
+// Rebuilds indexes whose definition changed in the schemas (e.g. the entry
+// paymentIntentId index becoming sparse for waived entries):
+//   MONGODB_URI=... node scripts/sync-indexes.js
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../lib/db');
+
+require('../models/Entry');
+require('../models/Competition');
+require('../models/PromoCode');
+require('../models/FeeWaiver');
+require('../models/Rubric');
+require('../models/Score');
+require('../models/Refund');
+require('../models/Invoice');
+require('../models/EmailLog');
+require('../models/Draft');
+require('../models/Checkout');
+require('../models/Vote');
+
+connectDB()
+  .then(async () => {
+    for (const name of mongoose.modelNames()) {
+      const dropped = await mongoose.model(name).syncIndexes();
+      console.log(`✅ ${name}: indexes in sync${dropped.length ? ` (dropped ${dropped.join(', ')})` : ''}`);
+    }
+  })
+  .catch((error) => {
+    console.error('❌ Failed to sync indexes:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -1,31 +1,123 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const multer = require('multer');
+const Stripe = require('stripe');
+const { connectDB } = require('./lib/db');
+const asyncHandler = require('./lib/asyncHandler');
+const { createVideoLookup } = require('./lib/videoLookup');
+const {
+  storage,
+  scanner,
+  deckRenderer,
+  getDeckConfigError,
+  quarantineDeck,
+  quarantineDraftDeck,
+  removeQuarantined,
+  removeStoredFile,
+  toPendingDeck,
+  queueDeckScan,
+  removeEntryDeck
+} = require('./lib/decks');
+const { applyTransition } = require('./lib/entryStatus');
+const { resolveVideo } = require('./lib/videos');
+const { getWithdrawalRefund } = require('./lib/refundPolicy');
+const { issueRefund } = require('./lib/refunds');
+const { getInvoiceError, issueInvoice, sendInvoicePdf } = require('./lib/invoices');
+const { notifyEntrySubmitted, notifyPaymentStatus, sendTeamInvitation } = require('./lib/notifications');
+const { getEntryRuleError } = require('./lib/competitions');
+const { renderMarkdown, countWords } = require('./lib/markdown');
+const { validateEntryInput, validateEntryRequest, sendValidationErrors } = require('./lib/entryValidation');
+const { parseEntryQuery, findEntryPage } = require('./lib/entryQuery');
+const { getPromoCodeError, quoteEntry, quoteCart } = require('./lib/pricing');
+const {
+  getTeamRole,
+  canEditEntry,
+  teamEntriesFilter,
+  getInvitationError,
+  addInvitation,
+  toMemberView
+} = require('./lib/teams');
+const Entry = require('./models/Entry');
+const Competition = require('./models/Competition');
+const PromoCode = require('./models/PromoCode');
+const FeeWaiver = require('./models/FeeWaiver');
+const StripeEvent = require('./models/StripeEvent');
+const Refund = require('./models/Refund');
+const Invoice = require('./models/Invoice');
+const Draft = require('./models/Draft');
+const Checkout = require('./models/Checkout');
+const { requireAuth } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const judgeRoutes = require('./routes/judge');
+const competitionRoutes = require('./routes/competitions');
+const galleryRoutes = require('./routes/gallery');
+const voteRoutes = require('./routes/votes');
+const {
+  MAX_PITCH_DECK_SIZE,
+  PITCH_DECK_TYPES,
+  detectPitchDeckType,
+  isAllowedPitchDeckName
+} = require('./lib/fileType');
+const {
+  HANDLED_EVENT_TYPES,
+  canTransition,
+  getPaymentUpdate,
+  resolvePaymentStatus
+} = require('./lib/stripeEvents');
 
 // Initialize Express app
 const app = express();
 
+// How many proxies in front of the app to trust for X-Forwarded-For, so that
+// req.ip is the client's address (used to rate-limit votes and flag votes from
+// one network). Off unless TRUST_PROXY is set: a number of hops, true, or
+// comma-separated addresses/subnets as Express takes them. Trusting a proxy
+// that isn't there lets clients pick their own address.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Environment variables
 const MONGODB_URI = process.env.MONGODB_URI;
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Fallback deadline for entries that predate competition seasons
+const SUBMISSION_DEADLINE = process.env.SUBMISSION_DEADLINE
+  ? new Date(process.env.SUBMISSION_DEADLINE)
+  : null;
+if (SUBMISSION_DEADLINE && isNaN(SUBMISSION_DEADLINE.getTime())) {
+  throw new Error(`Invalid SUBMISSION_DEADLINE: ${process.env.SUBMISSION_DEADLINE}`);
+}
 
 console.log('Starting server...');
 console.log('Environment:', process.env.NODE_ENV);
 console.log('MongoDB URI exists:', !!MONGODB_URI);
 console.log('Stripe Key exists:', !!STRIPE_SECRET_KEY);
+console.log('Stripe Webhook Secret exists:', !!STRIPE_WEBHOOK_SECRET);
+console.log('JWT Secret exists:', !!JWT_SECRET);
+console.log('Trusted proxies:', app.get('trust proxy'));
+console.log('Submission deadline:', SUBMISSION_DEADLINE ? SUBMISSION_DEADLINE.toISOString() : 'none');
 
-// Initialize Stripe with error handling
-let stripe = null;
-try {
-  if (STRIPE_SECRET_KEY) {
-    stripe = require('stripe')(STRIPE_SECRET_KEY);
-    console.log('✅ Stripe initialized successfully');
-  } else {
-    console.log('⚠️ Stripe key not found - payment features disabled');
-  }
-} catch (error) {
-  console.error('❌ Stripe initialization failed:', error.message);
-}
+// Shared Stripe client (null when payments are disabled)
+const stripe = require('./lib/stripe');
+
+// Pitch decks are quarantined and scanned before they go to file storage
+// (local disk by default), see lib/decks.js
+console.log('File storage driver:', storage.name);
+console.log('Deck scanner driver:', scanner.name);
+
+// Checks the videos of video entries (oEmbed by default, see lib/videoLookup.js)
+const videoLookup = createVideoLookup();
+console.log('Video lookup driver:', videoLookup.name);
+console.log('Deck preview driver:', deckRenderer.name);
 
 // Basic middleware
 app.use(cors({
@@ -33,100 +125,162 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes Stripe sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// MongoDB connection with better error handling
-let isConnected = false;
+// Serve locally stored uploads so EntryList's "Open File" link works in dev
+if (storage.name === 'local') {
+  app.use(storage.publicPath, express.static(storage.directory, {
+    setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff')
+  }));
+}
 
-const connectDB = async () => {
-  if (isConnected && mongoose.connection.readyState === 1) {
-    return mongoose.connection;
+// Multipart parsing for entry submissions. Files are kept in memory so the
+// content can be checked before anything is written to storage.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PITCH_DECK_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedPitchDeckName(file.originalname)) {
+      req.fileValidationError = 'Only PDF, PPT, and PPTX files are allowed';
+      return cb(null, false);
+    }
+    cb(null, true);
   }
+});
 
-  try {
-    if (!MONGODB_URI) {
-      throw new Error('MONGODB_URI environment variable is required');
+const uploadEntryFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      // Without a quarantine and scanner (see lib/decks.js) a deck can't be
+      // checked, so it isn't taken at all
+      if (req.file && getDeckConfigError()) {
+        return res.status(503).json({
+          error: 'Pitch deck uploads are not available',
+          message: 'Pitch deck uploads are turned off until a virus scanner is configured'
+        });
+      }
+      return next();
     }
 
-    console.log('Connecting to MongoDB...');
-    
-    const connection = await mongoose.connect(MONGODB_URI, {
-      bufferCommands: false,
-      serverSelectionTimeoutMS: 5000,
-      socketTimeoutMS: 45000,
-      maxPoolSize: 1
-    });
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      const message = tooLarge ? 'File size must be less than 25MB' : 'Invalid file upload';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: message,
+        code: error.code,
+        message: error.message,
+        errors: [{ field: 'file', code: tooLarge ? 'file_too_large' : 'invalid_upload', message }]
+      });
+    }
 
-    isConnected = true;
-    console.log('✅ MongoDB connected successfully');
-    return connection;
+    next(error);
+  });
+};
 
-  } catch (error) {
-    console.error('❌ MongoDB connection failed:', error.message);
-    isConnected = false;
-    throw error;
+// Checks an uploaded pitch deck by content. Returns { deckType } or { error }.
+const checkPitchDeck = (file) => {
+  const deckType = detectPitchDeckType(file.buffer);
+  const claimedExtension = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf('.'));
+  if (!deckType || PITCH_DECK_TYPES[deckType].extension !== claimedExtension) {
+    return { error: 'File contents do not match a PDF, PPT or PPTX document' };
   }
+  return { deckType };
 };
 
-// Simple Entry Schema
-const entrySchema = new mongoose.Schema({
-  userId: { type: String, required: true },
-  category: { 
-    type: String, 
-    required: true, 
-    enum: ['business', 'creative', 'technology', 'social-impact']
-  },
-  entryType: { 
-    type: String, 
-    required: true, 
-    enum: ['text', 'pitch-deck', 'video']
-  },
-  title: { 
-    type: String, 
-    required: true, 
-    minlength: 5,
-    maxlength: 100
-  },
-  description: { 
-    type: String, 
-    maxlength: 1000
-  },
-  textContent: { type: String },
-  fileUrl: { type: String },
-  videoUrl: { type: String },
-  entryFee: { type: Number, required: true, min: 0 },
-  stripeFee: { type: Number, required: true, min: 0 },
-  totalAmount: { type: Number, required: true, min: 0 },
-  paymentIntentId: { type: String, required: true },
-  paymentStatus: { 
-    type: String, 
-    enum: ['pending', 'succeeded', 'failed'], 
-    default: 'pending' 
-  },
-  status: { 
-    type: String, 
-    enum: ['submitted', 'under-review', 'finalist', 'winner', 'rejected'], 
-    default: 'submitted' 
-  }
-}, { timestamps: true });
-
-// Create model safely
-const Entry = mongoose.models.Entry || mongoose.model('Entry', entrySchema);
-
-// Helper function for async routes
-const asyncHandler = (fn) => (req, res, next) => {
-  Promise.resolve(fn(req, res, next)).catch((error) => {
-    console.error('Route error:', error);
-    next(error);
-  });
+// Compares a retrieved PaymentIntent with what create-payment-intent would
+// have issued for this submission. Returns a list of mismatched fields.
+const getPaymentMismatches = (paymentIntent, { userId, competitionId, category, entryType, quote }) => {
+  const metadata = paymentIntent.metadata || {};
+  const mismatches = [];
+
+  if (metadata.userId !== userId) mismatches.push('userId');
+  if (metadata.competitionId !== competitionId) mismatches.push('competitionId');
+  if (paymentIntent.amount !== quote.totalAmount) mismatches.push('amount');
+  if (paymentIntent.currency !== quote.currency) mismatches.push('currency');
+  if (metadata.category !== category) mismatches.push('category');
+  if (metadata.entryType !== entryType) mismatches.push('entryType');
+  if (metadata.entryFee !== quote.entryFee.toString()) mismatches.push('entryFee');
+  if (metadata.pricingTier !== quote.tier) mismatches.push('pricingTier');
+
+  return mismatches;
+};
+
+// Finds the promo code and sponsor waiver that apply to a quote.
+// Returns { promo, waiver } or { error } for an unusable promo code.
+const findDiscounts = async ({ competition, category, currency, promoCode, user, now = new Date(), checkUsage = true, includeWaiver = true }) => {
+  const waiver = includeWaiver
+    ? await FeeWaiver.findAvailable({ competitionId: competition._id, email: user.email, category })
+    : null;
+
+  let promo = null;
+  if (promoCode && !waiver) {
+    promo = await PromoCode.findOne({ code: String(promoCode).toUpperCase().trim() });
+    const error = getPromoCodeError(promo, { competitionId: competition._id, category, currency, now, checkUsage });
+    if (error) return { error };
+  }
+
+  return { promo, waiver };
+};
+
+// The currency an entrant picked, defaulting to the competition's first one.
+// Returns null when the competition doesn't sell entries in it.
+const pickCurrency = (competition, requested) => {
+  const currency = requested ? String(requested).toLowerCase() : competition.currencies[0];
+  return competition.currencies.includes(currency) ? currency : null;
+};
+
+// Claims a use of the waiver or promo code behind a free entry. Fails when
+// the last use was taken by a concurrent submission.
+const redeemFreeEntry = async ({ promo, waiver }) => {
+  const result = waiver
+    ? await FeeWaiver.updateOne(
+      { _id: waiver._id, $expr: { $lt: ['$uses', '$maxEntries'] } },
+      { $inc: { uses: 1 } }
+    )
+    : await PromoCode.updateOne(
+      { _id: promo._id, ...(promo.maxUses ? { uses: { $lt: promo.maxUses } } : {}) },
+      { $inc: { uses: 1 } }
+    );
+  return result.modifiedCount === 1;
+};
+
+const releaseFreeEntry = async ({ promo, waiver }) => {
+  if (waiver) await FeeWaiver.updateOne({ _id: waiver._id }, { $inc: { uses: -1 } });
+  else await PromoCode.updateOne({ _id: promo._id }, { $inc: { uses: -1 } });
 };
 
-// Fee calculation
-const calculateFees = (baseAmount) => {
-  const stripeFee = Math.ceil(baseAmount * 0.04);
-  const totalAmount = baseAmount + stripeFee;
-  return { stripeFee, totalAmount };
+// Loads the season a new submission is for (the current one unless a
+// competitionId is given) and makes sure it is accepting entries.
+const findOpenCompetition = async (req, res) => {
+  const { competitionId } = req.body;
+  const competition = await Competition.resolve(competitionId);
+
+  if (!competition) {
+    res.status(competitionId ? 404 : 503).json({
+      error: competitionId ? 'Competition not found' : 'No competition is running'
+    });
+    return null;
+  }
+
+  if (!competition.isOpen()) {
+    res.status(403).json({
+      error: 'Submissions are closed',
+      opensAt: competition.opensAt,
+      closesAt: competition.closesAt
+    });
+    return null;
+  }
+
+  return competition;
 };
 
 // Routes
@@ -155,7 +309,9 @@ app.get('/api/health', asyncHandler(async (req, res) => {
     },
     services: {
       stripe: !!stripe,
-      mongodb: !!MONGODB_URI
+      auth: !!JWT_SECRET,
+      mongodb: !!MONGODB_URI,
+      pitchDeckUploads: !getDeckConfigError()
     }
   };
   
@@ -172,17 +328,279 @@ app.get('/api/test', (req, res) => {
   });
 });
 
-app.post('/api/create-payment-intent', asyncHandler(async (req, res) => {
-  console.log('Payment intent creation requested:', req.body);
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/judge', judgeRoutes);
+app.use('/api/competitions', competitionRoutes);
+app.use('/api/gallery', galleryRoutes);
+app.use('/api/votes', voteRoutes);
 
-  if (!stripe) {
-    return res.status(500).json({ 
-      error: 'Stripe not available',
-      message: 'Payment processing is currently unavailable' 
+// Same limit as a draft's text
+const MAX_PREVIEW_LENGTH = 100000;
+
+// Live preview for the Markdown editor, rendered and sanitized exactly like
+// saved entries
+app.post('/api/markdown/preview', requireAuth, (req, res) => {
+  const { text } = req.body;
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: 'text must be a string' });
+  }
+  if (text.length > MAX_PREVIEW_LENGTH) {
+    return res.status(413).json({ error: 'Text is too long to preview', maxLength: MAX_PREVIEW_LENGTH });
+  }
+  res.json({ html: renderMarkdown(text), wordCount: countWords(text) });
+});
+
+// Drafts are autosaved, so keep a lid on how many a participant can pile up
+const MAX_DRAFTS_PER_USER = 10;
+
+const DRAFT_FIELDS = ['category', 'entryType', 'title', 'description', 'textContent', 'videoUrl', 'currency', 'promoCode'];
+
+// Loads a draft owned by the current user, or sends the error and returns null
+const findOwnDraft = async (req, res, draftId) => {
+  if (!mongoose.Types.ObjectId.isValid(draftId)) {
+    res.status(400).json({ error: 'Invalid draft ID', received: draftId });
+    return null;
+  }
+
+  const draft = await Draft.findById(draftId);
+  if (!draft || draft.userId !== req.user.id) {
+    res.status(404).json({ error: 'Draft not found' });
+    return null;
+  }
+
+  return draft;
+};
+
+// The draft's PaymentIntent when it has been paid (or is being paid) but not
+// used for an entry yet, otherwise null
+const findDraftPayment = async (draft) => {
+  if (!draft.paymentIntentId || !stripe) return null;
+  if (await Entry.exists({ paymentIntentId: draft.paymentIntentId })) return null;
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(draft.paymentIntentId).catch((error) => {
+    console.error('Draft payment lookup failed:', draft.paymentIntentId, error.message);
+    return null;
+  });
+  return paymentIntent && ['succeeded', 'processing'].includes(paymentIntent.status) ? paymentIntent : null;
+};
+
+// The checkout the draft was paid with (or is being paid with) that hasn't
+// created its entries yet, otherwise null. Completing it needs the draft as
+// it was paid for, so the draft can't be deleted or change category or type.
+const findDraftCheckout = async (draft) => {
+  const checkouts = await Checkout.find({
+    'items.draftId': draft._id,
+    status: { $in: ['pending', 'completing'] },
+    paymentIntentId: { $exists: true }
+  });
+  for (const checkout of checkouts) {
+    if (checkout.status === 'completing' || !stripe) return checkout;
+    const paymentIntent = await stripe.paymentIntents.retrieve(checkout.paymentIntentId).catch((error) => {
+      // Assume it was paid: guessing wrong the other way loses the payment
+      console.error('Checkout payment lookup failed:', checkout.paymentIntentId, error.message);
+      return { status: 'unknown' };
+    });
+    if (['succeeded', 'processing', 'unknown'].includes(paymentIntent.status)) return checkout;
+  }
+  return null;
+};
+
+const sendPaidCheckoutError = (res, checkout) => res.status(409).json({ 
+  error: 'Draft already paid',
+  message: 'This draft was paid for in a checkout. Finish the checkout to submit it.',
+  checkoutId: checkout._id
+});
+
+// Copies autosaved form fields onto a draft. Empty selects clear the field.
+const applyDraftChanges = (draft, body) => {
+  DRAFT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      draft.set(field, body[field] === '' ? undefined : body[field]);
+    }
+  });
+  if (body.billingName !== undefined) draft.set('billing.name', body.billingName);
+  if (body.vatId !== undefined) draft.set('billing.vatId', body.vatId);
+  // Multipart forms send booleans as strings
+  if (body.inCart !== undefined) draft.inCart = body.inCart === true || body.inCart === 'true';
+};
+
+// Saves a draft along with a newly picked pitch deck, replacing the old one.
+// Draft decks stay in quarantine until they are submitted.
+// Returns the saved draft, or null after sending an error response.
+const saveDraft = async (req, res, draft) => {
+  if (req.fileValidationError) {
+    res.status(400).json({ error: req.fileValidationError });
+    return null;
+  }
+
+  const previousDeck = { fileUrl: draft.fileUrl, fileKey: draft.fileKey };
+  let newFile = null;
+  if (req.file) {
+    const check = checkPitchDeck(req.file);
+    if (check.error) {
+      res.status(400).json({
+        error: 'Only PDF, PPT, and PPTX files are allowed',
+        message: check.error
+      });
+      return null;
+    }
+    newFile = await quarantineDeck(req.file, check.deckType);
+    draft.set({ ...newFile, fileUrl: undefined });
+  }
+
+  try {
+    await draft.save();
+  } catch (error) {
+    if (newFile) await removeQuarantined(newFile.fileKey);
+    throw error;
+  }
+
+  if (newFile) await removeDraftDeck(previousDeck);
+  return draft;
+};
+
+// Drafts saved before decks were quarantined have theirs in file storage
+const removeDraftDeck = async ({ fileUrl, fileKey }) => {
+  if (fileUrl) {
+    await removeStoredFile(fileKey);
+  } else {
+    await removeQuarantined(fileKey);
+  }
+};
+
+// Deletes a draft once it became an entry (or was abandoned), along with its
+// file unless the entry took it over
+const discardDraft = async (draft, { keepFileKey } = {}) => {
+  await draft.deleteOne();
+  if (draft.fileKey !== keepFileKey) {
+    await removeDraftDeck(draft);
+  }
+};
+
+app.get('/api/drafts', requireAuth, asyncHandler(async (req, res) => {
+  await connectDB();
+  const drafts = await Draft.find({ userId: req.user.id }).sort({ updatedAt: -1 }).select('-__v');
+  res.json(drafts);
+}));
+
+app.post('/api/drafts', requireAuth, uploadEntryFile, asyncHandler(async (req, res) => {
+  console.log('Creating draft for user:', req.user.id);
+
+  await connectDB();
+
+  if (await Draft.countDocuments({ userId: req.user.id }) >= MAX_DRAFTS_PER_USER) {
+    return res.status(409).json({ 
+      error: 'Too many drafts',
+      message: `You can keep up to ${MAX_DRAFTS_PER_USER} drafts. Submit or delete one first.`
     });
   }
 
+  const competition = await Competition.resolve(req.body.competitionId);
+  const draft = new Draft({
+    userId: req.user.id,
+    competitionId: competition ? competition._id : undefined
+  });
+  applyDraftChanges(draft, req.body);
+
+  if (!await saveDraft(req, res, draft)) return;
+  res.status(201).json(draft);
+}));
+
+app.patch('/api/drafts/:id', requireAuth, uploadEntryFile, asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const draft = await findOwnDraft(req, res, req.params.id);
+  if (!draft) return;
+
   const { category, entryType } = req.body;
+  if ((category !== undefined && category !== draft.category) ||
+      (entryType !== undefined && entryType !== draft.entryType)) {
+    const checkout = await findDraftCheckout(draft);
+    if (checkout) return sendPaidCheckoutError(res, checkout);
+  }
+
+  applyDraftChanges(draft, req.body);
+  if (!await saveDraft(req, res, draft)) return;
+  res.json(draft);
+}));
+
+app.delete('/api/drafts/:id', requireAuth, asyncHandler(async (req, res) => {
+  console.log('Deleting draft:', req.params.id);
+
+  await connectDB();
+
+  const draft = await findOwnDraft(req, res, req.params.id);
+  if (!draft) return;
+
+  // Deleting must not throw away a payment that was already made
+  if (await findDraftPayment(draft)) {
+    return res.status(409).json({ 
+      error: 'Draft already paid',
+      message: 'Submit the draft to finish your entry'
+    });
+  }
+  const checkout = await findDraftCheckout(draft);
+  if (checkout) return sendPaidCheckoutError(res, checkout);
+
+  await discardDraft(draft);
+  res.json({ message: 'Draft deleted' });
+}));
+
+// Where to pick the payment up when a draft is resumed: an unfinished
+// payment can be completed with its client secret, a finished one only
+// needs the entry to be submitted
+app.get('/api/drafts/:id/payment', requireAuth, asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const draft = await findOwnDraft(req, res, req.params.id);
+  if (!draft) return;
+
+  if (!draft.paymentIntentId || !stripe) {
+    return res.json({ paymentIntentId: null });
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(draft.paymentIntentId);
+  } catch (error) {
+    console.error('Draft payment lookup failed:', error.message);
+    return res.status(502).json({ 
+      error: 'Payment lookup failed',
+      message: error.message
+    });
+  }
+
+  const metadata = paymentIntent.metadata || {};
+  const competition = draft.competitionId ? await Competition.findById(draft.competitionId) : null;
+  const tier = competition && competition.pricingTiers.find(t => t.key === metadata.pricingTier);
+
+  res.json({
+    paymentIntentId: paymentIntent.id,
+    status: paymentIntent.status,
+    clientSecret: ['succeeded', 'processing', 'canceled'].includes(paymentIntent.status) ? null : paymentIntent.client_secret,
+    // What the payment was created for, which the submission has to match
+    category: metadata.category,
+    entryType: metadata.entryType,
+    quote: {
+      currency: paymentIntent.currency,
+      tier: metadata.pricingTier,
+      tierLabel: tier ? tier.label : 'Regular',
+      baseFee: Number(metadata.baseFee),
+      promoCode: metadata.promoCode || null,
+      discount: Number(metadata.discount),
+      waivedBy: null,
+      entryFee: Number(metadata.entryFee),
+      stripeFee: Number(metadata.stripeFee),
+      totalAmount: paymentIntent.amount
+    }
+  });
+}));
+
+app.post('/api/create-payment-intent', requireAuth, asyncHandler(async (req, res) => {
+  console.log('Payment intent creation requested:', req.body);
+
+  const { category, entryType, promoCode } = req.body;
   
   if (!category || !entryType) {
     return res.status(400).json({ 
@@ -191,46 +609,99 @@ app.post('/api/create-payment-intent', asyncHandler(async (req, res) => {
       received: { category, entryType }
     });
   }
-  
-  const baseFees = { 
-    'business': 49, 
-    'creative': 49, 
-    'technology': 99, 
-    'social-impact': 49 
-  };
-  
-  const entryFee = baseFees[category];
-  
-  if (!entryFee) {
+
+  await connectDB();
+
+  const competition = await findOpenCompetition(req, res);
+  if (!competition) return;
+
+  let draft = null;
+  if (req.body.draftId) {
+    draft = await findOwnDraft(req, res, req.body.draftId);
+    if (!draft) return;
+    if (await findDraftPayment(draft)) {
+      return res.status(409).json({ 
+        error: 'Draft already paid',
+        message: 'Submit the draft to finish your entry',
+        paymentIntentId: draft.paymentIntentId
+      });
+    }
+    const checkout = await findDraftCheckout(draft);
+    if (checkout) return sendPaidCheckoutError(res, checkout);
+  }
+
+  const ruleError = getEntryRuleError(competition, { category, entryType });
+  if (ruleError) {
+    return res.status(400).json(ruleError);
+  }
+
+  const currency = pickCurrency(competition, req.body.currency);
+  if (!currency) {
     return res.status(400).json({ 
-      error: 'Invalid category',
-      validCategories: Object.keys(baseFees),
-      received: category
+      error: 'Unsupported currency',
+      supportedCurrencies: competition.currencies,
+      received: req.body.currency
+    });
+  }
+
+  const discounts = await findDiscounts({ competition, category, currency, promoCode, user: req.user });
+  if (discounts.error) {
+    return res.status(400).json({ 
+      error: discounts.error,
+      field: 'promoCode',
+      received: promoCode
+    });
+  }
+
+  const quote = quoteEntry({ competition, category, currency, ...discounts });
+
+  // Fully discounted entries are submitted without a payment
+  if (quote.totalAmount === 0) {
+    if (draft && draft.paymentIntentId) {
+      draft.paymentIntentId = undefined;
+      await draft.save();
+    }
+    return res.json({ clientSecret: null, competitionId: competition.id, ...quote });
+  }
+
+  if (!stripe) {
+    return res.status(500).json({ 
+      error: 'Stripe not available',
+      message: 'Payment processing is currently unavailable' 
     });
   }
-  
-  const { stripeFee, totalAmount } = calculateFees(entryFee);
   
   try {
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: totalAmount * 100, // Convert to cents
-      currency: 'usd',
+      amount: quote.totalAmount, // already in minor units
+      currency: quote.currency,
       automatic_payment_methods: { enabled: true },
       metadata: { 
+        userId: req.user.id,
+        competitionId: competition.id,
         category, 
         entryType, 
-        entryFee: entryFee.toString(), 
-        stripeFee: stripeFee.toString() 
+        pricingTier: quote.tier,
+        baseFee: quote.baseFee.toString(),
+        promoCode: quote.promoCode || '',
+        discount: quote.discount.toString(),
+        entryFee: quote.entryFee.toString(), 
+        stripeFee: quote.stripeFee.toString(),
+        draftId: draft ? draft.id : ''
       }
     });
     
     console.log('Payment intent created:', paymentIntent.id);
+
+    if (draft) {
+      draft.paymentIntentId = paymentIntent.id;
+      await draft.save();
+    }
     
     res.json({ 
       clientSecret: paymentIntent.client_secret, 
-      entryFee, 
-      stripeFee, 
-      totalAmount 
+      competitionId: competition.id,
+      ...quote
     });
     
   } catch (error) {
@@ -242,89 +713,332 @@ app.post('/api/create-payment-intent', asyncHandler(async (req, res) => {
   }
 }));
 
-app.get('/api/entries/:userId', asyncHandler(async (req, res) => {
-  console.log('Fetching entries for user:', req.params.userId);
+app.get('/api/entries', requireAuth, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  console.log('Fetching entries for user:', userId, req.query);
+
+  const entryQuery = parseEntryQuery(req.query);
+  if (entryQuery.error) {
+    return res.status(400).json({ error: entryQuery.error, message: entryQuery.message });
+  }
   
   await connectDB();
   
-  const userId = req.params.userId;
-  
-  if (!userId || userId.length < 3) {
-    return res.status(400).json({ 
-      error: 'Valid userId required',
-      received: userId
-    });
-  }
-  
-  const entries = await Entry.find({ userId })
-    .sort({ createdAt: -1 })
-    .select('-__v')
-    .limit(50); // Limit results
+  // Includes team entries the user has joined
+  const { entries, nextCursor } = await findEntryPage(Entry, teamEntriesFilter(userId), entryQuery);
+
+  const entryIds = entries.map(entry => entry._id);
+  const [refunds, invoices] = await Promise.all([
+    Refund.find({ entryId: { $in: entryIds } })
+      .select('entryId amount currency kind reason status createdAt')
+      .sort({ createdAt: 1 }),
+    Invoice.find({ entryId: { $in: entryIds } }).select('entryId number')
+  ]);
+  const invoiceNumbers = new Map(invoices.map(invoice => [invoice.entryId.toString(), invoice.number]));
   
   console.log(`Found ${entries.length} entries for user ${userId}`);
-  res.json(entries);
+  const views = entries.map((entry) => {
+    const teamRole = getTeamRole(entry, userId);
+    // Payments, refunds and invoices are the lead's business
+    if (teamRole === 'member') {
+      return { ...toMemberView(entry), teamRole, canEdit: canEditEntry(entry, userId) };
+    }
+    return {
+      ...entry.toObject(),
+      teamRole,
+      canEdit: true,
+      refunds: refunds.filter(refund => refund.entryId.equals(entry._id)),
+      invoiceNumber: invoiceNumbers.get(entry.id) || null
+    };
+  });
+
+  res.json({ entries: views, nextCursor });
 }));
 
-app.post('/api/entries', asyncHandler(async (req, res) => {
-  console.log('Creating entry:', req.body);
+// Checks the PaymentIntent behind a paid submission and re-prices the entry
+// from its metadata. Returns { quote, promo, paymentStatus }, or null after
+// sending an error response.
+const verifyEntryPayment = async (req, res, { competition, paymentIntentId }) => {
+  const { category, entryType } = req.body;
+
+  if (!stripe) {
+    res.status(500).json({ 
+      error: 'Stripe not available',
+      message: 'Payments cannot be verified right now' 
+    });
+    return null;
+  }
+
+  // One payment buys exactly one entry
+  if (await Entry.exists({ paymentIntentId })) {
+    res.status(409).json({ 
+      error: 'Payment already used',
+      message: 'An entry has already been submitted for this payment'
+    });
+    return null;
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    console.error('Payment intent lookup failed:', error.message);
+    const notFound = error.code === 'resource_missing';
+    res.status(notFound ? 400 : 502).json({ 
+      error: notFound ? 'Invalid payment' : 'Payment verification failed',
+      message: error.message
+    });
+    return null;
+  }
+
+  // Tier windows and code expiry are judged at payment time, not submission
+  const pricedAt = new Date(paymentIntent.created * 1000);
+  const metadata = paymentIntent.metadata || {};
+  const currency = pickCurrency(competition, paymentIntent.currency);
+  const discounts = await findDiscounts({
+    competition,
+    category,
+    currency,
+    promoCode: metadata.promoCode,
+    user: req.user,
+    now: pricedAt,
+    checkUsage: false,
+    includeWaiver: false
+  });
+  const quote = currency && !discounts.error
+    ? quoteEntry({ competition, category, currency, promo: discounts.promo, now: pricedAt })
+    : null;
+
+  let mismatches;
+  if (!currency) mismatches = ['currency'];
+  else if (!quote) mismatches = ['promoCode'];
+  else mismatches = getPaymentMismatches(paymentIntent, { userId: req.user.id, competitionId: competition.id, category, entryType, quote });
+  if (mismatches.length > 0) {
+    console.log('Payment intent does not match submission:', paymentIntentId, mismatches);
+    res.status(400).json({ 
+      error: 'Payment does not match entry',
+      mismatches
+    });
+    return null;
+  }
+
+  // 'processing' is left pending and settled later by the webhook
+  if (!['succeeded', 'processing'].includes(paymentIntent.status)) {
+    res.status(402).json({ 
+      error: 'Payment not completed',
+      paymentStatus: paymentIntent.status
+    });
+    return null;
+  }
+
+  return {
+    quote,
+    promo: discounts.promo,
+    paymentStatus: paymentIntent.status === 'succeeded' ? 'succeeded' : 'pending'
+  };
+};
+
+// Prices a submission that came without a payment. Only entries a waiver or
+// promo code brings to zero qualify; their use is claimed here.
+const claimFreeEntry = async (req, res, { competition }) => {
+  const { category, promoCode } = req.body;
+
+  const currency = pickCurrency(competition, req.body.currency);
+  if (!currency) {
+    res.status(400).json({ 
+      error: 'Unsupported currency',
+      supportedCurrencies: competition.currencies,
+      received: req.body.currency
+    });
+    return null;
+  }
+
+  const discounts = await findDiscounts({ competition, category, currency, promoCode, user: req.user });
+  if (discounts.error) {
+    res.status(400).json({ error: discounts.error, field: 'promoCode', received: promoCode });
+    return null;
+  }
+
+  const quote = quoteEntry({ competition, category, currency, ...discounts });
+  if (quote.totalAmount > 0) {
+    res.status(400).json({ 
+      error: 'Missing required fields',
+      required: ['paymentIntentId'],
+      totalAmount: quote.totalAmount
+    });
+    return null;
+  }
+
+  if (!await redeemFreeEntry(discounts)) {
+    res.status(409).json({ 
+      error: discounts.waiver ? 'Fee waiver already used' : 'Promo code has reached its usage limit'
+    });
+    return null;
+  }
+
+  return { ...discounts, quote, paymentStatus: 'waived' };
+};
+
+// Numbers the invoice as soon as an entry's payment has gone through. Failing
+// here must not fail the submission; the download route issues it later.
+const invoicePaidEntry = async (entry) => {
+  if (getInvoiceError(entry)) return;
+  try {
+    await issueInvoice(entry);
+  } catch (error) {
+    console.error(`⚠️ Could not issue invoice for entry ${entry._id}:`, error.message);
+  }
+};
+
+app.post('/api/entries', requireAuth, uploadEntryFile, asyncHandler(async (req, res) => {
+  console.log('Creating entry:', req.body, req.file ? `(file: ${req.file.originalname}, ${req.file.size} bytes)` : '');
   
   await connectDB();
   
+  const userId = req.user.id;
   const { 
-    userId, 
     category, 
     entryType, 
     title, 
     description, 
     textContent, 
     videoUrl, 
-    paymentIntentId 
+    paymentIntentId,
+    billingName,
+    vatId,
+    draftId
   } = req.body;
   
-  // Basic validation
-  if (!userId || !category || !entryType || !title || !paymentIntentId) {
-    return res.status(400).json({ 
-      error: 'Missing required fields',
-      required: ['userId', 'category', 'entryType', 'title', 'paymentIntentId'],
-      received: { userId, category, entryType, title, paymentIntentId }
-    });
+  const competition = await findOpenCompetition(req, res);
+  if (!competition) return;
+
+  // A resumed draft supplies the pitch deck uploaded earlier
+  const draft = draftId ? await findOwnDraft(req, res, draftId) : null;
+  if (draftId && !draft) return;
+
+  // Same rules as EntryForm (shared/entryValidation.js)
+  const errors = await validateEntryRequest(req, {
+    categories: competition.categories,
+    hasFile: Boolean(draft && draft.fileKey)
+  });
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
   }
 
-  // For testing, we'll create a mock entry without Stripe verification
-  const baseFees = { 
-    'business': 49, 
-    'creative': 49, 
-    'technology': 99, 
-    'social-impact': 49 
-  };
-  
-  const entryFee = baseFees[category] || 49;
-  const { stripeFee, totalAmount } = calculateFees(entryFee);
-  
+  let deckType = null;
+  if (entryType === 'pitch-deck' && req.file) {
+    const check = checkPitchDeck(req.file);
+    if (check.error) {
+      return sendValidationErrors(res, [{ field: 'file', code: 'invalid_file_content', message: check.error }]);
+    }
+    deckType = check.deckType;
+  }
+
+  // Stored with the canonical URL once the provider has confirmed the video
+  let resolvedVideo = null;
+  if (entryType === 'video') {
+    resolvedVideo = await resolveVideo(videoLookup, videoUrl);
+    if (resolvedVideo.error) {
+      return sendValidationErrors(res, [resolvedVideo.error]);
+    }
+  }
+
+  // Paid entries are priced as of when their payment was created, free
+  // (waived or fully discounted) ones as of now
+  const payment = paymentIntentId
+    ? await verifyEntryPayment(req, res, { competition, paymentIntentId })
+    : await claimFreeEntry(req, res, { competition });
+  if (!payment) return;
+  const { quote } = payment;
+
   const entryData = {
     userId,
+    competitionId: competition._id,
     category,
     entryType,
     title,
     description: description || '',
-    entryFee,
-    stripeFee,
-    totalAmount,
+    entryFee: quote.entryFee,
+    stripeFee: quote.stripeFee,
+    totalAmount: quote.totalAmount,
+    currency: quote.currency,
+    pricing: {
+      tier: quote.tier,
+      baseFee: quote.baseFee,
+      promoCode: quote.promoCode || undefined,
+      discount: quote.discount,
+      waivedBy: quote.waivedBy || undefined
+    },
+    billing: {
+      name: billingName || undefined,
+      vatId: vatId || undefined
+    },
     paymentIntentId,
-    paymentStatus: 'succeeded' // For testing
+    paymentStatus: payment.paymentStatus
   };
-  
-  // Add type-specific data
+
+  // The webhook may have fired before the entry existed; catch up on it here
+  if (paymentIntentId) {
+    const recordedEvents = await StripeEvent.find({
+      paymentIntentId,
+      paymentStatus: { $exists: true }
+    }).sort({ eventCreatedAt: 1 });
+    entryData.paymentStatus = resolvePaymentStatus(entryData.paymentStatus, recordedEvents);
+  }
+
+  // Add type-specific data
   if (entryType === 'text' && textContent) {
     entryData.textContent = textContent;
-  } else if (entryType === 'video' && videoUrl) {
-    entryData.videoUrl = videoUrl;
+  } else if (entryType === 'video') {
+    entryData.videoUrl = resolvedVideo.videoUrl;
+    entryData.video = resolvedVideo.video;
+  } else if (entryType === 'pitch-deck' && req.file) {
+    Object.assign(entryData, toPendingDeck(await quarantineDeck(req.file, deckType)));
+  } else if (entryType === 'pitch-deck') {
+    // Already checked when it was uploaded to the draft
+    Object.assign(entryData, toPendingDeck(await quarantineDraftDeck(draft)));
+  }
+  // Held back from judging until the deck has been scanned
+  if (entryData.scan) {
+    entryData.status = 'scan-pending';
   }
   
   const entry = new Entry(entryData);
-  const savedEntry = await entry.save();
+  let savedEntry;
+  try {
+    savedEntry = await entry.save();
+  } catch (error) {
+    // Don't leave orphaned files behind when the entry itself is rejected
+    // (a draft's file stays with the draft; files sent with other entry
+    // types were never stored)
+    if (deckType) await removeQuarantined(entryData.scan.quarantineKey);
+    if (!paymentIntentId) await releaseFreeEntry(payment);
+    // Lost a race with a concurrent submission for the same payment
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.paymentIntentId) {
+      return res.status(409).json({ 
+        error: 'Payment already used',
+        message: 'An entry has already been submitted for this payment'
+      });
+    }
+    throw error;
+  }
   
+  // Paid promo uses are counted once the entry exists
+  if (paymentIntentId && payment.promo) {
+    await PromoCode.updateOne({ _id: payment.promo._id }, { $inc: { uses: 1 } });
+  }
+
   console.log('Entry created:', savedEntry._id);
+  if (savedEntry.scan) queueDeckScan(savedEntry);
+
+  if (draft) {
+    await discardDraft(draft, { keepFileKey: savedEntry.scan && savedEntry.scan.quarantineKey }).catch((error) => {
+      console.error('Failed to remove submitted draft:', draft._id, error.message);
+    });
+  }
+
+  await invoicePaidEntry(savedEntry);
+  await notifyEntrySubmitted(savedEntry);
   
   res.status(201).json({ 
     message: 'Entry submitted successfully', 
@@ -334,11 +1048,853 @@ app.post('/api/entries', asyncHandler(async (req, res) => {
       title: savedEntry.title,
       category: savedEntry.category,
       entryType: savedEntry.entryType,
+      fileUrl: savedEntry.fileUrl,
       status: savedEntry.status
     }
   });
 }));
 
+// Cart checkouts: several drafts paid with one PaymentIntent. The payment's
+// metadata lists every item so it can be traced back from Stripe.
+const MAX_CART_SIZE = 10;
+
+// What keeps a draft from becoming an entry as it stands: [{ field, code, message }]
+const getDraftErrors = (competition, draft) => validateEntryInput({
+  category: draft.category,
+  entryType: draft.entryType,
+  title: draft.title,
+  description: draft.description,
+  textContent: draft.textContent,
+  videoUrl: draft.videoUrl
+}, { categories: competition.categories, hasFile: Boolean(draft.fileKey) });
+
+// Loads the drafts of a checkout in order. Returns { drafts } or { error, status, drafts? }.
+const loadCheckoutDrafts = async (userId, draftIds) => {
+  const found = await Draft.find({ _id: { $in: draftIds }, userId });
+  const byId = new Map(found.map(draft => [draft.id, draft]));
+  const missing = draftIds.filter(id => !byId.has(String(id)));
+  if (missing.length > 0) {
+    return { status: 404, error: 'Draft not found', drafts: missing };
+  }
+  return { drafts: draftIds.map(id => byId.get(String(id))) };
+};
+
+// A paid checkout of this user that still has to be turned into entries, so
+// a refresh after paying can't lead to paying twice
+const findPaidCheckout = async (userId) => {
+  if (!stripe) return null;
+  const pending = await Checkout.find({ userId, status: 'pending', paymentIntentId: { $exists: true } })
+    .sort({ createdAt: -1 })
+    .limit(5);
+  for (const checkout of pending) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(checkout.paymentIntentId).catch(() => null);
+    if (paymentIntent && ['succeeded', 'processing'].includes(paymentIntent.status)) return checkout;
+  }
+  return null;
+};
+
+app.post('/api/checkout', requireAuth, asyncHandler(async (req, res) => {
+  const { draftIds } = req.body;
+  console.log('Checkout requested:', { userId: req.user.id, draftIds });
+
+  if (!Array.isArray(draftIds) || draftIds.length === 0) {
+    return res.status(400).json({ 
+      error: 'Missing required fields',
+      required: ['draftIds']
+    });
+  }
+  if (draftIds.length > MAX_CART_SIZE) {
+    return res.status(400).json({ error: `At most ${MAX_CART_SIZE} entries can be checked out at once` });
+  }
+  if (new Set(draftIds.map(String)).size !== draftIds.length || !draftIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({ error: 'Invalid draft IDs', received: draftIds });
+  }
+
+  await connectDB();
+
+  const paidCheckout = await findPaidCheckout(req.user.id);
+  if (paidCheckout) {
+    return res.status(409).json({ 
+      error: 'Checkout already paid',
+      message: 'Complete the paid checkout before starting another one',
+      checkoutId: paidCheckout._id
+    });
+  }
+
+  const competition = await findOpenCompetition(req, res);
+  if (!competition) return;
+
+  const currency = pickCurrency(competition, req.body.currency);
+  if (!currency) {
+    return res.status(400).json({ 
+      error: 'Unsupported currency',
+      supportedCurrencies: competition.currencies,
+      received: req.body.currency
+    });
+  }
+
+  const { drafts, ...loadError } = await loadCheckoutDrafts(req.user.id, draftIds);
+  if (loadError.error) {
+    return res.status(loadError.status).json({ error: loadError.error, drafts: loadError.drafts });
+  }
+
+  const problems = [];
+  for (const draft of drafts) {
+    const errors = await getDraftErrors(competition, draft);
+    const error = errors.length > 0
+      ? errors[0].message
+      : (await findDraftPayment(draft) ? 'This draft has already been paid on its own' : null);
+    if (error) problems.push({ draftId: draft._id, title: draft.title, error, errors });
+  }
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Some entries are not ready', drafts: problems });
+  }
+
+  const quote = quoteCart({ competition, categories: drafts.map(draft => draft.category), currency });
+  if (quote.totalAmount === 0) {
+    return res.status(400).json({ error: 'Free entries are submitted one at a time' });
+  }
+
+  if (!stripe) {
+    return res.status(500).json({ 
+      error: 'Stripe not available',
+      message: 'Payment processing is currently unavailable' 
+    });
+  }
+
+  const checkout = new Checkout({
+    userId: req.user.id,
+    competitionId: competition._id,
+    currency,
+    bundlePercent: quote.bundlePercent || undefined,
+    totalAmount: quote.totalAmount,
+    items: drafts.map((draft, index) => ({
+      draftId: draft._id,
+      category: draft.category,
+      entryType: draft.entryType,
+      ...quote.items[index]
+    }))
+  });
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: quote.totalAmount,
+      currency,
+      automatic_payment_methods: { enabled: true },
+      metadata: {
+        userId: req.user.id,
+        competitionId: competition.id,
+        checkoutId: checkout.id,
+        itemCount: drafts.length.toString(),
+        bundlePercent: quote.bundlePercent ? quote.bundlePercent.toString() : '',
+        // item_0: draftId|category|entryType|totalAmount
+        ...Object.fromEntries(checkout.items.map((item, index) => [
+          `item_${index}`,
+          [item.draftId, item.category, item.entryType, item.totalAmount].join('|')
+        ]))
+      }
+    });
+  } catch (error) {
+    console.error('Stripe error:', error);
+    return res.status(500).json({
+      error: 'Payment intent creation failed',
+      message: error.message
+    });
+  }
+
+  checkout.paymentIntentId = paymentIntent.id;
+  await checkout.save();
+  console.log(`Checkout ${checkout._id}: ${drafts.length} entries, payment intent ${paymentIntent.id}`);
+
+  res.status(201).json({
+    checkoutId: checkout._id,
+    clientSecret: paymentIntent.client_secret,
+    competitionId: competition.id,
+    ...quote,
+    items: quote.items.map((item, index) => ({ ...item, draftId: drafts[index]._id, title: drafts[index].title }))
+  });
+}));
+
+// Turns a paid checkout into its entries: all of them or, if any can't be
+// created, none. Safe to retry until it succeeds.
+app.post('/api/checkout/:id/complete', requireAuth, asyncHandler(async (req, res) => {
+  console.log('Completing checkout:', req.params.id);
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid checkout ID', received: req.params.id });
+  }
+
+  await connectDB();
+
+  const checkout = await Checkout.findById(req.params.id);
+  if (!checkout || checkout.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Checkout not found' });
+  }
+  if (checkout.status === 'completed') {
+    return res.json({ message: 'Entries already submitted', entryIds: checkout.entryIds });
+  }
+
+  if (!stripe) {
+    return res.status(500).json({ 
+      error: 'Stripe not available',
+      message: 'Payments cannot be verified right now' 
+    });
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(checkout.paymentIntentId);
+  } catch (error) {
+    console.error('Payment intent lookup failed:', error.message);
+    return res.status(502).json({ 
+      error: 'Payment verification failed',
+      message: error.message
+    });
+  }
+
+  const metadata = paymentIntent.metadata || {};
+  const mismatches = [];
+  if (metadata.checkoutId !== checkout.id) mismatches.push('checkoutId');
+  if (metadata.userId !== req.user.id) mismatches.push('userId');
+  if (paymentIntent.amount !== checkout.totalAmount) mismatches.push('amount');
+  if (paymentIntent.currency !== checkout.currency) mismatches.push('currency');
+  if (mismatches.length > 0) {
+    console.log('Payment intent does not match checkout:', checkout.paymentIntentId, mismatches);
+    return res.status(400).json({ error: 'Payment does not match checkout', mismatches });
+  }
+
+  if (!['succeeded', 'processing'].includes(paymentIntent.status)) {
+    return res.status(402).json({ 
+      error: 'Payment not completed',
+      paymentStatus: paymentIntent.status
+    });
+  }
+
+  const competition = await Competition.findById(checkout.competitionId);
+  const { drafts, ...loadError } = await loadCheckoutDrafts(req.user.id, checkout.items.map(item => item.draftId.toString()));
+  if (loadError.error) {
+    return res.status(409).json({ 
+      error: 'Drafts of this checkout are missing',
+      message: 'Contact us to get the payment refunded',
+      drafts: loadError.drafts
+    });
+  }
+
+  // Drafts can still be edited after paying, but not out of what was paid for
+  const problems = [];
+  const videos = [];
+  for (const [index, item] of checkout.items.entries()) {
+    const draft = drafts[index];
+    const errors = item.category !== draft.category || item.entryType !== draft.entryType
+      ? [{ field: 'category', code: 'changed_after_payment', message: 'Category and entry type must stay as they were paid for' }]
+      : await getDraftErrors(competition, draft);
+    if (errors.length === 0 && item.entryType === 'video') {
+      videos[index] = await resolveVideo(videoLookup, draft.videoUrl);
+      if (videos[index].error) errors.push(videos[index].error);
+    }
+    if (errors.length > 0) {
+      problems.push({ draftId: draft._id, title: draft.title, error: errors[0].message, errors });
+    }
+  }
+  if (problems.length > 0) {
+    return res.status(400).json({ error: 'Some entries are not ready', drafts: problems });
+  }
+
+  // Older drafts still have their deck in public storage; it only moves to
+  // quarantine once every item is ready, so a failed check changes no draft
+  for (const [index, item] of checkout.items.entries()) {
+    if (item.entryType === 'pitch-deck') await quarantineDraftDeck(drafts[index]);
+  }
+
+  const recordedEvents = await StripeEvent.find({
+    paymentIntentId: checkout.paymentIntentId,
+    paymentStatus: { $exists: true }
+  }).sort({ eventCreatedAt: 1 });
+  const paymentStatus = resolvePaymentStatus(
+    paymentIntent.status === 'succeeded' ? 'succeeded' : 'pending',
+    recordedEvents
+  );
+
+  const entries = checkout.items.map((item, index) => {
+    const draft = drafts[index];
+    return new Entry({
+      userId: req.user.id,
+      competitionId: checkout.competitionId,
+      category: item.category,
+      entryType: item.entryType,
+      title: draft.title,
+      description: draft.description || '',
+      textContent: item.entryType === 'text' ? draft.textContent : undefined,
+      ...(item.entryType === 'video' && {
+        videoUrl: videos[index].videoUrl,
+        video: videos[index].video
+      }),
+      // Held back from judging until the deck has been scanned
+      ...(item.entryType === 'pitch-deck' && { ...toPendingDeck(draft), status: 'scan-pending' }),
+      entryFee: item.entryFee,
+      stripeFee: item.stripeFee,
+      totalAmount: item.totalAmount,
+      currency: checkout.currency,
+      pricing: {
+        tier: item.tier,
+        baseFee: item.baseFee,
+        discount: item.discount,
+        bundlePercent: checkout.bundlePercent
+      },
+      billing: {
+        name: (draft.billing && draft.billing.name) || req.body.billingName || undefined,
+        vatId: (draft.billing && draft.billing.vatId) || req.body.vatId || undefined
+      },
+      paymentIntentId: checkout.paymentIntentId,
+      checkoutId: checkout._id,
+      checkoutItem: index,
+      paymentStatus
+    });
+  });
+
+  const invalid = entries
+    .map((entry, index) => ({ error: entry.validateSync(), draft: drafts[index] }))
+    .filter(({ error }) => error);
+  if (invalid.length > 0) {
+    return res.status(400).json({ 
+      error: 'Some entries are not ready',
+      drafts: invalid.map(({ error, draft }) => ({ draftId: draft._id, title: draft.title, error: error.message }))
+    });
+  }
+
+  // Only one request gets to create the entries
+  const claimed = await Checkout.findOneAndUpdate(
+    { _id: checkout._id, status: 'pending' },
+    { status: 'completing' },
+    { new: true }
+  );
+  if (!claimed) {
+    return res.status(409).json({ error: 'Checkout is already being completed' });
+  }
+
+  // No transactions on a standalone MongoDB, so undo a partial insert by hand
+  try {
+    await Entry.insertMany(entries, { ordered: true });
+  } catch (error) {
+    await Entry.deleteMany({ checkoutId: checkout._id });
+    await Checkout.updateOne({ _id: checkout._id }, { status: 'pending' });
+    throw error;
+  }
+
+  claimed.status = 'completed';
+  claimed.entryIds = entries.map(entry => entry._id);
+  await claimed.save();
+  console.log(`Checkout ${checkout._id} completed: ${entries.length} entries created`);
+
+  for (const [index, entry] of entries.entries()) {
+    if (entry.scan) queueDeckScan(entry);
+    await discardDraft(drafts[index], { keepFileKey: entry.scan && entry.scan.quarantineKey }).catch((error) => {
+      console.error('Failed to remove submitted draft:', drafts[index]._id, error.message);
+    });
+    await invoicePaidEntry(entry);
+    await notifyEntrySubmitted(entry);
+  }
+
+  res.status(201).json({
+    message: `${entries.length} entries submitted successfully`,
+    entryIds: claimed.entryIds,
+    entries: entries.map(entry => ({
+      id: entry._id,
+      title: entry.title,
+      category: entry.category,
+      entryType: entry.entryType,
+      status: entry.status
+    }))
+  });
+}));
+
+// Loads an entry owned by the current user. Entries of other users are
+// reported as missing so IDs can't be probed.
+const findOwnEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid entry ID', received: req.params.id });
+    return null;
+  }
+
+  const entry = await Entry.findById(req.params.id);
+  if (!entry || entry.userId !== req.user.id) {
+    res.status(404).json({ error: 'Entry not found' });
+    return null;
+  }
+
+  return entry;
+};
+
+// Loads an entry the current user leads or has joined as a co-author
+const findTeamEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid entry ID', received: req.params.id });
+    return null;
+  }
+
+  const entry = await Entry.findById(req.params.id);
+  if (!entry || !getTeamRole(entry, req.user.id)) {
+    res.status(404).json({ error: 'Entry not found' });
+    return null;
+  }
+
+  return entry;
+};
+
+// Entries can be edited (and withdrawn with a refund) until their season closes
+const getEntryDeadline = async (entry) => {
+  if (!entry.competitionId) return SUBMISSION_DEADLINE;
+  const competition = await Competition.findById(entry.competitionId).select('closesAt');
+  return competition ? competition.closesAt : SUBMISSION_DEADLINE;
+};
+
+app.patch('/api/entries/:id', requireAuth, uploadEntryFile, asyncHandler(async (req, res) => {
+  console.log('Updating entry:', req.params.id, req.body);
+
+  await connectDB();
+
+  const entry = await findTeamEntry(req, res);
+  if (!entry) return;
+
+  if (!canEditEntry(entry, req.user.id)) {
+    return res.status(403).json({ 
+      error: 'Not allowed to edit this entry',
+      message: 'Ask the team lead for edit access'
+    });
+  }
+
+  const deadline = await getEntryDeadline(entry);
+  if (deadline && new Date() > deadline) {
+    return res.status(403).json({ 
+      error: 'Submission deadline has passed',
+      deadline
+    });
+  }
+
+  if (!['scan-pending', 'submitted'].includes(entry.status)) {
+    return res.status(409).json({ 
+      error: 'Entry can no longer be edited',
+      status: entry.status
+    });
+  }
+
+  const competition = entry.competitionId && await Competition.findById(entry.competitionId);
+  const errors = await validateEntryRequest(req, {
+    entry,
+    partial: true,
+    categories: competition ? competition.categories : null
+  });
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const { title, description, textContent, videoUrl } = req.body;
+
+  if (title !== undefined) entry.title = title;
+  if (description !== undefined) entry.description = description;
+  if (entry.entryType === 'text' && textContent !== undefined) {
+    entry.textContent = textContent;
+  }
+  if (entry.entryType === 'video' && videoUrl !== undefined) {
+    const resolvedVideo = await resolveVideo(videoLookup, videoUrl);
+    if (resolvedVideo.error) {
+      return sendValidationErrors(res, [resolvedVideo.error]);
+    }
+    entry.videoUrl = resolvedVideo.videoUrl;
+    entry.video = resolvedVideo.video;
+  }
+
+  // A new deck replaces the old one (and its preview) once the entry is
+  // saved, and goes through the same scan
+  const previousDeck = entry.toObject();
+  let newFile = null;
+  if (req.file) {
+    if (entry.entryType !== 'pitch-deck') {
+      return res.status(400).json({ error: 'Only pitch deck entries accept a file' });
+    }
+    const check = checkPitchDeck(req.file);
+    if (check.error) {
+      return res.status(400).json({
+        error: 'Only PDF, PPT, and PPTX files are allowed',
+        message: check.error
+      });
+    }
+    newFile = await quarantineDeck(req.file, check.deckType);
+    entry.set(toPendingDeck(newFile));
+    if (entry.status !== 'scan-pending') {
+      applyTransition(entry, 'scan-pending', { changedBy: req.user.id, reason: 'New pitch deck uploaded' });
+    }
+  }
+
+  try {
+    await entry.save();
+  } catch (error) {
+    if (newFile) await removeQuarantined(newFile.fileKey);
+    throw error;
+  }
+
+  if (newFile) {
+    await removeEntryDeck(previousDeck);
+    queueDeckScan(entry);
+  }
+
+  console.log('Entry updated:', entry._id);
+  res.json({ 
+    message: 'Entry updated successfully',
+    entry: getTeamRole(entry, req.user.id) === 'member' ? toMemberView(entry) : entry
+  });
+}));
+
+app.delete('/api/entries/:id', requireAuth, asyncHandler(async (req, res) => {
+  console.log('Deleting entry:', req.params.id);
+
+  await connectDB();
+
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  if (!['scan-pending', 'submitted'].includes(entry.status)) {
+    return res.status(409).json({ 
+      error: 'Only entries that are not yet under review can be deleted',
+      status: entry.status
+    });
+  }
+
+  const refund = getWithdrawalRefund(entry, { deadline: await getEntryDeadline(entry) });
+  let issuedRefund = null;
+
+  if (refund.amount > 0) {
+    if (!stripe) {
+      return res.status(500).json({ 
+        error: 'Stripe not available',
+        message: 'Refunds cannot be issued right now' 
+      });
+    }
+
+    try {
+      issuedRefund = await issueRefund(stripe, entry, {
+        amount: refund.amount,
+        reason: refund.reason,
+        kind: 'withdrawal',
+        initiatedBy: req.user.id,
+        // Retrying a failed delete must not refund twice
+        idempotencyKey: `withdraw-${entry._id}`
+      });
+    } catch (error) {
+      console.error('Stripe refund error:', error);
+      return res.status(502).json({ 
+        error: 'Refund failed',
+        message: error.message
+      });
+    }
+  }
+
+  await entry.deleteOne();
+  await removeEntryDeck(entry);
+
+  console.log('Entry deleted:', entry._id);
+  res.json({ 
+    message: 'Entry deleted successfully',
+    refund: {
+      amount: refund.amount,
+      currency: entry.currency,
+      reason: refund.reason,
+      refundId: issuedRefund ? issuedRefund.stripeRefundId : null
+    }
+  });
+}));
+
+app.get('/api/entries/:id/invoice', requireAuth, asyncHandler(async (req, res) => {
+  console.log('Invoice requested:', req.params.id);
+
+  await connectDB();
+
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  const invoiceError = getInvoiceError(entry);
+  if (invoiceError) {
+    return res.status(409).json({ error: 'No invoice available', message: invoiceError });
+  }
+
+  await sendInvoicePdf(res, await issueInvoice(entry));
+}));
+
+// Team entries: the lead invites co-authors by email and decides who may
+// edit; invitations are accepted by the account registered to that email.
+const getTeamChangeError = async (entry) => {
+  const deadline = await getEntryDeadline(entry);
+  if (deadline && new Date() > deadline) {
+    return { status: 403, body: { error: 'Submission deadline has passed', deadline } };
+  }
+  return null;
+};
+
+// Opting in (or out) of the public gallery; only the lead decides
+app.patch('/api/entries/:id/gallery', requireAuth, asyncHandler(async (req, res) => {
+  if (typeof req.body.optIn !== 'boolean') {
+    return res.status(400).json({ error: 'optIn must be true or false', field: 'optIn' });
+  }
+
+  await connectDB();
+
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  if (entry.galleryOptIn !== req.body.optIn) {
+    entry.galleryOptIn = req.body.optIn;
+    entry.galleryOptInChangedAt = new Date();
+    await entry.save();
+    console.log(`Entry ${entry._id} ${entry.galleryOptIn ? 'opted in to' : 'opted out of'} the gallery`);
+  }
+
+  res.json({ galleryOptIn: entry.galleryOptIn, galleryOptInChangedAt: entry.galleryOptInChangedAt });
+}));
+
+app.post('/api/entries/:id/team', requireAuth, asyncHandler(async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  console.log('Inviting team member:', { entryId: req.params.id, email });
+
+  await connectDB();
+
+  // Only the lead builds the team
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  const changeError = await getTeamChangeError(entry);
+  if (changeError) {
+    return res.status(changeError.status).json(changeError.body);
+  }
+
+  const invitationError = getInvitationError(entry, email, req.user);
+  if (invitationError) {
+    return res.status(400).json({ error: invitationError, field: 'email' });
+  }
+
+  const member = addInvitation(entry, { email, canEdit: req.body.canEdit === true }, req.user);
+  await entry.save();
+  await sendTeamInvitation(entry, member, req.user);
+
+  console.log(`Invited ${email} to entry ${entry._id}`);
+  res.status(201).json({ message: 'Invitation sent', team: entry.team });
+}));
+
+app.patch('/api/entries/:id/team/:memberId', requireAuth, asyncHandler(async (req, res) => {
+  console.log('Updating team member:', req.params.id, req.params.memberId, req.body);
+
+  await connectDB();
+
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  const member = entry.team.id(req.params.memberId);
+  if (!member || member.role !== 'member') {
+    return res.status(404).json({ error: 'Team member not found' });
+  }
+  if (typeof req.body.canEdit !== 'boolean') {
+    return res.status(400).json({ error: 'canEdit must be true or false', received: req.body.canEdit });
+  }
+
+  member.canEdit = req.body.canEdit;
+  await entry.save();
+
+  res.json({ message: 'Team member updated', team: entry.team });
+}));
+
+// The lead removes a co-author, or a member leaves the team
+app.delete('/api/entries/:id/team/:memberId', requireAuth, asyncHandler(async (req, res) => {
+  console.log('Removing team member:', req.params.id, req.params.memberId);
+
+  await connectDB();
+
+  const entry = await findTeamEntry(req, res);
+  if (!entry) return;
+
+  const member = entry.team.id(req.params.memberId);
+  const isLead = entry.userId === req.user.id;
+  if (!member || member.role !== 'member' || (!isLead && member.userId !== req.user.id)) {
+    return res.status(404).json({ error: 'Team member not found' });
+  }
+
+  if (isLead) {
+    const changeError = await getTeamChangeError(entry);
+    if (changeError) {
+      return res.status(changeError.status).json(changeError.body);
+    }
+  }
+
+  member.deleteOne();
+  // Back to a solo entry once the last co-author is gone
+  if (!entry.team.some(m => m.role === 'member')) {
+    entry.team = [];
+  }
+  await entry.save();
+
+  console.log(`Removed ${member.email} from entry ${entry._id}`);
+  res.json({ message: isLead ? 'Team member removed' : 'You left the team', team: entry.team });
+}));
+
+// Pending invitations for the current user's email address
+app.get('/api/invitations', requireAuth, asyncHandler(async (req, res) => {
+  await connectDB();
+
+  const entries = await Entry.find({
+    team: { $elemMatch: { email: req.user.email, status: 'invited' } }
+  }).select('title category entryType team createdAt');
+
+  res.json(entries.map((entry) => {
+    const invitation = entry.team.find(member => member.email === req.user.email);
+    const lead = entry.team.find(member => member.role === 'lead');
+    return {
+      entryId: entry._id,
+      title: entry.title,
+      category: entry.category,
+      entryType: entry.entryType,
+      invitedBy: lead ? lead.name || lead.email : null,
+      invitedAt: invitation.invitedAt,
+      canEdit: invitation.canEdit
+    };
+  }));
+}));
+
+app.post('/api/invitations/:entryId/:response', requireAuth, asyncHandler(async (req, res) => {
+  const { entryId, response } = req.params;
+  console.log('Answering invitation:', { entryId, response, userId: req.user.id });
+
+  if (!['accept', 'decline'].includes(response)) {
+    return res.status(404).json({ error: 'Route not found', path: req.originalUrl });
+  }
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    return res.status(400).json({ error: 'Invalid entry ID', received: entryId });
+  }
+
+  await connectDB();
+
+  const entry = await Entry.findOne({
+    _id: entryId,
+    team: { $elemMatch: { email: req.user.email, status: 'invited' } }
+  });
+  if (!entry) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+  if (entry.userId === req.user.id) {
+    return res.status(400).json({ error: 'You are already the team lead' });
+  }
+
+  const member = entry.team.find(m => m.email === req.user.email);
+  member.set({
+    status: response === 'accept' ? 'accepted' : 'declined',
+    userId: response === 'accept' ? req.user.id : undefined,
+    name: req.user.name,
+    respondedAt: new Date()
+  });
+  await entry.save();
+
+  console.log(`${req.user.email} ${member.status} the invitation to entry ${entry._id}`);
+  res.json({ 
+    message: response === 'accept' ? 'You joined the team' : 'Invitation declined',
+    entryId: entry._id
+  });
+}));
+
+app.post('/api/webhooks/stripe', asyncHandler(async (req, res) => {
+  if (!STRIPE_WEBHOOK_SECRET) {
+    return res.status(500).json({
+      error: 'Webhook not configured',
+      message: 'STRIPE_WEBHOOK_SECRET is not set'
+    });
+  }
+
+  let event;
+  try {
+    event = Stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers['stripe-signature'],
+      STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    console.error('⚠️ Webhook signature verification failed:', error.message);
+    return res.status(400).json({
+      error: 'Invalid signature',
+      message: error.message
+    });
+  }
+
+  console.log('Stripe webhook received:', event.type, event.id);
+
+  if (!HANDLED_EVENT_TYPES.includes(event.type)) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  await connectDB();
+
+  const update = getPaymentUpdate(event);
+
+  // Recording the event first makes concurrent replays collide on the unique index
+  try {
+    await StripeEvent.create({
+      eventId: event.id,
+      type: event.type,
+      paymentIntentId: update ? update.paymentIntentId : undefined,
+      paymentStatus: update ? update.paymentStatus : undefined,
+      eventCreatedAt: new Date(event.created * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      console.log('Duplicate webhook event ignored:', event.id);
+      return res.json({ received: true, duplicate: true });
+    }
+    throw error;
+  }
+
+  if (!update) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  try {
+    // A cart checkout pays for several entries with one payment intent
+    const entries = await Entry.find({ paymentIntentId: update.paymentIntentId });
+
+    if (entries.length === 0) {
+      // POST /api/entries picks the recorded status up when the entry is created
+      console.log('No entry yet for payment intent:', update.paymentIntentId);
+      return res.json({ received: true, entryFound: false });
+    }
+
+    for (const entry of entries) {
+      // Refund events carry the payment's total, which can't be split between
+      // checkout entries; their refunds are tracked per entry instead
+      if (entry.checkoutId && update.amountRefunded !== undefined) {
+        console.log(`Skipping refund event for checkout entry ${entry._id}`);
+        continue;
+      }
+
+      if (canTransition(entry.paymentStatus, update.paymentStatus)) {
+        entry.paymentStatus = update.paymentStatus;
+        if (update.failureReason) {
+          entry.paymentFailureReason = update.failureReason;
+        }
+        if (update.amountRefunded !== undefined) {
+          entry.amountRefunded = Math.max(entry.amountRefunded || 0, update.amountRefunded);
+        }
+        await entry.save();
+        console.log(`Entry ${entry._id} payment status -> ${entry.paymentStatus}`);
+        await invoicePaidEntry(entry);
+        await notifyPaymentStatus(entry);
+      } else {
+        console.log(`Skipping ${entry.paymentStatus} -> ${update.paymentStatus} for entry ${entry._id}`);
+      }
+    }
+  } catch (error) {
+    // Forget the event so Stripe's retry gets processed
+    await StripeEvent.deleteOne({ eventId: event.id });
+    throw error;
+  }
+
+  res.json({ received: true });
+}));
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', {
@@ -347,6 +1903,14 @@ app.use((error, req, res, next) => {
     url: req.url,
     method: req.method
   });
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      fields: Object.keys(error.errors),
+      message: error.message
+    });
+  }
   
   res.status(500).json({
     error: 'Internal server error',
@@ -376,4 +1940,12 @@ process.on('SIGTERM', async () => {
 
 console.log('Server configuration complete');
 
+// Listen when started directly (`npm start`); on Vercel the app is imported instead
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`🚀 Server listening on port ${PORT}`);
+  });
+}
+
 module.exports = app;
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planAssignments } = require('../lib/assignment');
+
+const entry = (id, userId = `author-${id}`, team = []) => ({ id, userId, team });
+
+const judgesOf = (assignments, entryId) => assignments
+  .filter(assignment => assignment.entryId === entryId)
+  .map(assignment => assignment.judgeId)
+  .sort();
+
+const loadOf = (assignments) => {
+  const load = {};
+  assignments.forEach(({ judgeId }) => { load[judgeId] = (load[judgeId] || 0) + 1; });
+  return load;
+};
+
+test('gives every entry distinct judges and spreads the load evenly', () => {
+  const { assignments, shortfalls } = planAssignments({
+    entries: [entry('e1'), entry('e2'), entry('e3')],
+    judgeIds: ['j1', 'j2', 'j3'],
+    reviewsPerEntry: 2
+  });
+
+  assert.equal(assignments.length, 6);
+  assert.deepEqual(shortfalls, []);
+  ['e1', 'e2', 'e3'].forEach((entryId) => {
+    assert.equal(new Set(judgesOf(assignments, entryId)).size, 2);
+  });
+  assert.deepEqual(loadOf(assignments), { j1: 2, j2: 2, j3: 2 });
+});
+
+test('never assigns an entry to its author or an accepted co-author', () => {
+  const team = [
+    { userId: 'j2', status: 'accepted' },
+    // Only invited, so not an author yet
+    { userId: 'j3', status: 'invited' }
+  ];
+  const { assignments } = planAssignments({
+    entries: [entry('e1', 'j1', team)],
+    judgeIds: ['j1', 'j2', 'j3', 'j4'],
+    reviewsPerEntry: 2
+  });
+  assert.deepEqual(judgesOf(assignments, 'e1'), ['j3', 'j4']);
+});
+
+test('respects declared conflicts and reports what could not be filled', () => {
+  const { assignments, shortfalls } = planAssignments({
+    entries: [entry('e1')],
+    judgeIds: ['j1', 'j2'],
+    conflicts: [{ entryId: 'e1', judgeId: 'j1' }],
+    reviewsPerEntry: 2
+  });
+  assert.deepEqual(assignments, [{ entryId: 'e1', judgeId: 'j2' }]);
+  assert.deepEqual(shortfalls, [{ entryId: 'e1', missing: 1 }]);
+});
+
+test('tops up existing assignments without repeating them', () => {
+  const { assignments } = planAssignments({
+    entries: [entry('e1'), entry('e2')],
+    judgeIds: ['j1', 'j2', 'j3'],
+    existing: [
+      { entryId: 'e1', judgeId: 'j1' },
+      { entryId: 'e1', judgeId: 'j2' },
+      { entryId: 'e2', judgeId: 'j1' }
+    ],
+    reviewsPerEntry: 2
+  });
+  // e1 is full; e2 goes to the judge with the least work so far
+  assert.deepEqual(assignments, [{ entryId: 'e2', judgeId: 'j3' }]);
+});
+
+test('counts existing work in other categories towards a judge\'s load', () => {
+  const { assignments } = planAssignments({
+    entries: [entry('e1')],
+    judgeIds: ['j1', 'j2'],
+    existing: [{ entryId: 'other', judgeId: 'j1' }],
+    reviewsPerEntry: 1
+  });
+  assert.deepEqual(assignments, [{ entryId: 'e1', judgeId: 'j2' }]);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getMinorUnitFactor, toMinorUnits, formatAmount } = require('../lib/currency');
+const { calculateFees } = require('../lib/pricing');
+
+test('minor units follow Stripe rather than ISO 4217', () => {
+  assert.equal(getMinorUnitFactor('usd'), 100);
+  assert.equal(getMinorUnitFactor('jpy'), 1);
+  assert.equal(getMinorUnitFactor('kwd'), 1000);
+  assert.equal(getMinorUnitFactor('bhd'), 1000);
+  assert.equal(getMinorUnitFactor('jod'), 1000);
+  // Zero-decimal for ISO, still hundredths for Stripe
+  assert.equal(getMinorUnitFactor('isk'), 100);
+  assert.equal(getMinorUnitFactor('huf'), 100);
+});
+
+test('toMinorUnits converts major units', () => {
+  assert.equal(toMinorUnits(12.5, 'usd'), 1250);
+  assert.equal(toMinorUnits(500, 'jpy'), 500);
+  assert.equal(toMinorUnits(1.25, 'kwd'), 1250);
+});
+
+test('formatAmount shows the currency\'s decimals', () => {
+  assert.equal(formatAmount(1250, 'usd'), '12.50 USD');
+  assert.equal(formatAmount(500, 'jpy'), '500 JPY');
+  assert.equal(formatAmount(12345, 'kwd'), '12.345 KWD');
+  assert.equal(formatAmount(500, 'isk'), '5.00 ISK');
+});
+
+test('the processing fee rounds up to a whole major unit', () => {
+  assert.deepEqual(calculateFees(10000, 'kwd'), { stripeFee: 1000, totalAmount: 11000 });
+  assert.deepEqual(calculateFees(4900, 'usd'), { stripeFee: 200, totalAmount: 5100 });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { findActiveContent } = require('../lib/deckSafety');
+
+const pdf = body => Buffer.from(`%PDF-1.7\n${body}\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n`, 'latin1');
+
+const objectStream = (objects) => {
+  const data = zlib.deflateSync(Buffer.from(objects, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.7\n5 0 obj\n<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${data.length} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+  ]);
+};
+
+test('finds nothing in a plain PDF', () => {
+  const clean = pdf('1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n2 0 obj\n<< /Type /Pages /Count 0 /Kids [] >>\nendobj');
+  assert.deepEqual(findActiveContent(clean, 'pdf'), []);
+});
+
+test('finds scripts, launch actions and embedded files in PDFs', () => {
+  const active = pdf([
+    '1 0 obj\n<< /Type /Catalog /OpenAction 3 0 R /Names << /EmbeddedFiles 4 0 R >> >>\nendobj',
+    '3 0 obj\n<< /S /JavaScript /JS (app.alert(1)) >>\nendobj',
+    '6 0 obj\n<< /S /Launch /F (cmd.exe) >>\nendobj'
+  ].join('\n'));
+  assert.deepEqual(findActiveContent(active, 'pdf').sort(), ['embedded-file', 'javascript', 'launch']);
+});
+
+test('sees through #xx escapes in PDF names', () => {
+  assert.deepEqual(findActiveContent(pdf('3 0 obj\n<< /S /J#61vaScript >>\nendobj'), 'pdf'), ['javascript']);
+});
+
+test('looks inside compressed object streams', () => {
+  const hidden = objectStream('3 0 << /S /Launch /F (cmd.exe) >>');
+  assert.deepEqual(findActiveContent(hidden, 'pdf'), ['launch']);
+});
+
+test('finds VBA macros in slides', () => {
+  const ppt = Buffer.concat([Buffer.alloc(64), Buffer.from('_VBA_PROJECT', 'utf16le')]);
+  assert.deepEqual(findActiveContent(ppt, 'ppt'), ['macros']);
+  assert.deepEqual(findActiveContent(Buffer.from('PK ppt/presentation.xml ppt/vbaProject.bin'), 'pptx'), ['macros']);
+  assert.deepEqual(findActiveContent(Buffer.from('PK ppt/presentation.xml'), 'pptx'), []);
+});
+
+test('only applies the checks of the deck\'s own type', () => {
+  // PDF names mean nothing inside slides
+  assert.deepEqual(findActiveContent(Buffer.from('PK ppt/presentation.xml /JavaScript'), 'pptx'), []);
+});
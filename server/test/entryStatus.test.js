@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getTransitionError, applyTransition } = require('../lib/entryStatus');
+
+const entry = (overrides = {}) => ({
+  status: 'submitted',
+  paymentStatus: 'succeeded',
+  statusHistory: [],
+  ...overrides
+});
+
+test('allows entries to move forward one stage at a time', () => {
+  assert.equal(getTransitionError(entry(), 'under-review'), null);
+  assert.equal(getTransitionError(entry({ status: 'under-review' }), 'finalist'), null);
+  assert.equal(getTransitionError(entry({ status: 'finalist' }), 'winner'), null);
+  assert.match(getTransitionError(entry(), 'winner'), /Cannot move from submitted to winner/);
+});
+
+test('keeps winners and rejections final', () => {
+  assert.match(getTransitionError(entry({ status: 'winner' }), 'rejected', { reason: 'Late' }), /Cannot move/);
+  assert.match(getTransitionError(entry({ status: 'rejected' }), 'submitted'), /Cannot move/);
+});
+
+test('only lets admins reject entries whose deck is still being scanned', () => {
+  assert.match(getTransitionError(entry({ status: 'scan-pending' }), 'under-review'), /Cannot move/);
+  assert.equal(getTransitionError(entry({ status: 'scan-pending' }), 'rejected', { reason: 'Macros' }), null);
+});
+
+test('requires a reason to reject', () => {
+  assert.match(getTransitionError(entry(), 'rejected'), /reason is required/);
+  assert.match(getTransitionError(entry(), 'rejected', { reason: '   ' }), /reason is required/);
+  assert.equal(getTransitionError(entry(), 'rejected', { reason: 'Off topic' }), null);
+});
+
+test('holds back unpaid entries but lets them be rejected', () => {
+  assert.match(getTransitionError(entry({ paymentStatus: 'pending' }), 'under-review'), /Payment is pending/);
+  assert.equal(getTransitionError(entry({ paymentStatus: 'waived' }), 'under-review'), null);
+  assert.equal(getTransitionError(entry({ paymentStatus: 'failed' }), 'rejected', { reason: 'Unpaid' }), null);
+});
+
+test('rejects unknown statuses', () => {
+  assert.match(getTransitionError(entry(), 'archived'), /Unknown status "archived"/);
+});
+
+test('records each transition in the history', () => {
+  const rejected = entry();
+  applyTransition(rejected, 'rejected', { changedBy: 'admin-1', reason: '  Off topic ' });
+  assert.equal(rejected.status, 'rejected');
+  assert.equal(rejected.rejectionReason, 'Off topic');
+  assert.equal(rejected.statusHistory.length, 1);
+  assert.deepEqual(
+    { ...rejected.statusHistory[0], changedAt: undefined },
+    { from: 'submitted', to: 'rejected', changedBy: 'admin-1', reason: '  Off topic ', changedAt: undefined }
+  );
+  assert.ok(rejected.statusHistory[0].changedAt instanceof Date);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateEntryInput } = require('../lib/entryValidation');
+const { countWords } = require('../lib/markdown');
+
+// The shared rules and the frontend's word counter are ES modules
+const rulesReady = import('../../shared/entryValidation.js');
+const frontendMarkdown = path.join(__dirname, '..', '..', 'frontend', 'src', 'utils', 'markdown.js');
+const hasFrontendDeps = fs.existsSync(path.join(__dirname, '..', '..', 'frontend', 'node_modules', 'marked'));
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+const textEntry = {
+  category: 'essay',
+  entryType: 'text',
+  title: 'My essay',
+  textContent: words(120)
+};
+
+const categories = [
+  { key: 'essay', entryTypes: ['text'], wordLimits: { min: 5, max: 10 } },
+  { key: 'pitch', entryTypes: ['pitch-deck', 'video'] }
+];
+
+const codesOf = errors => errors.map(({ field, code }) => `${field}:${code}`);
+
+test('a complete text entry is valid', async () => {
+  assert.deepEqual(await validateEntryInput(textEntry), []);
+});
+
+test('required fields are reported one by one', async () => {
+  assert.deepEqual(codesOf(await validateEntryInput({})), [
+    'category:required',
+    'entryType:required',
+    'title:required'
+  ]);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, textContent: '  ' })), ['textContent:required']);
+});
+
+test('titles and descriptions have length limits', async () => {
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, title: 'Hey' })), ['title:too_short']);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, title: 'x'.repeat(101) })), ['title:too_long']);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, description: 'x'.repeat(501) })), ['description:too_long']);
+});
+
+test('word limits default to DEFAULT_WORD_LIMITS and come from the category', async () => {
+  const { DEFAULT_WORD_LIMITS } = await rulesReady;
+  assert.deepEqual(DEFAULT_WORD_LIMITS, { min: 100, max: 2000 });
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, textContent: words(99) })), ['textContent:too_few_words']);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, textContent: words(2001) })), ['textContent:too_many_words']);
+
+  const errors = await validateEntryInput(textEntry, { categories });
+  assert.deepEqual(codesOf(errors), ['textContent:too_many_words']);
+  assert.equal(errors[0].message, 'Text entries must be between 5-10 words. Current: 120 words');
+});
+
+test('Markdown markup does not count towards the word limit', async () => {
+  const linked = `${words(99)} [here](https://example.com/a-long-link-with-many-words)`;
+  assert.deepEqual(await validateEntryInput({ ...textEntry, textContent: linked }), []);
+});
+
+test('category and entry type are checked against the season', async () => {
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, category: 'poetry' }, { categories })), ['category:invalid_choice']);
+  assert.deepEqual(
+    codesOf(await validateEntryInput({ ...textEntry, category: 'pitch' }, { categories })),
+    ['entryType:not_allowed']
+  );
+  assert.deepEqual(codesOf(await validateEntryInput({ ...textEntry, entryType: 'poem' })), ['entryType:invalid_choice']);
+});
+
+test('pitch decks need an allowed file unless one is stored', async () => {
+  const deckEntry = { category: 'pitch', entryType: 'pitch-deck', title: 'My pitch' };
+  const pdf = { name: 'deck.pdf', size: 1024, type: 'application/pdf' };
+
+  assert.deepEqual(codesOf(await validateEntryInput(deckEntry)), ['file:required']);
+  assert.deepEqual(await validateEntryInput(deckEntry, { hasFile: true }), []);
+  assert.deepEqual(await validateEntryInput({ ...deckEntry, file: pdf }), []);
+  // Unknown types are left to the extension (and the server's content check)
+  assert.deepEqual(await validateEntryInput({ ...deckEntry, file: { ...pdf, type: 'application/octet-stream' } }), []);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...deckEntry, file: { ...pdf, name: 'deck.exe' } })), ['file:invalid_file_type']);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...deckEntry, file: { ...pdf, type: 'text/html' } })), ['file:invalid_file_type']);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...deckEntry, file: { ...pdf, size: 26 * 1024 * 1024 } })), ['file:file_too_large']);
+});
+
+test('video entries need a link to a single video', async () => {
+  const videoEntry = { category: 'pitch', entryType: 'video', title: 'My video' };
+  assert.deepEqual(await validateEntryInput({ ...videoEntry, videoUrl: 'https://youtu.be/dQw4w9WgXcQ' }), []);
+  assert.deepEqual(codesOf(await validateEntryInput(videoEntry)), ['videoUrl:required']);
+  assert.deepEqual(codesOf(await validateEntryInput({ ...videoEntry, videoUrl: 'https://example.com/video' })), ['videoUrl:invalid_url']);
+  assert.deepEqual(
+    codesOf(await validateEntryInput({ ...videoEntry, videoUrl: 'https://www.youtube.com/playlist?list=PL123' })),
+    ['videoUrl:not_a_video']
+  );
+});
+
+test('partial checks only look at the fields sent', async () => {
+  assert.deepEqual(codesOf(await validateEntryInput({ title: 'Hey' }, { partial: true })), ['title:too_short']);
+  assert.deepEqual(await validateEntryInput({ entryType: 'pitch-deck' }, { partial: true }), []);
+});
+
+test('toFieldErrors keeps the first message of each field', async () => {
+  const { toFieldErrors } = await rulesReady;
+  assert.deepEqual(toFieldErrors([
+    { field: 'title', code: 'required', message: 'Title is required' },
+    { field: 'file', code: 'required', message: 'Please upload a pitch deck file' },
+    { field: 'title', code: 'too_short', message: 'Too short' }
+  ]), { title: 'Title is required', file: 'Please upload a pitch deck file' });
+});
+
+// The forms run the shared rules with their own Markdown word counter; both
+// sides have to reach the same verdict
+test('the entry forms and the API agree', { skip: !hasFrontendDeps && 'frontend dependencies not installed' }, async () => {
+  const { validateEntry } = await rulesReady;
+  const frontend = await import(frontendMarkdown);
+
+  const texts = [
+    '# Heading\n\nSome **bold** and _em_ text, don\'t stop well-known',
+    '- one\n- two\n  - nested three\n\n1. four',
+    '[link text](https://example.com/not-counted) ![alt words](https://example.com/a.png)',
+    '| a | b |\n| - | - |\n| c d | e |',
+    '<b>raw</b> html `code span`\n\n```\nfenced code block\n```',
+    `${words(99)} [here](https://example.com/a-long-link-with-many-words)`
+  ];
+  for (const text of texts) {
+    assert.equal(frontend.countWords(text), countWords(text), text);
+  }
+
+  const entries = [
+    textEntry,
+    { ...textEntry, textContent: texts[5] },
+    { ...textEntry, textContent: words(99) },
+    { ...textEntry, title: 'Hey', category: 'pitch' },
+    { category: 'pitch', entryType: 'video', title: 'My video', videoUrl: 'vimeo.com/channels/staff' },
+    {}
+  ];
+  for (const entry of entries) {
+    for (const options of [{}, { categories }, { partial: true }]) {
+      assert.deepEqual(
+        validateEntry(entry, { ...options, countWords: frontend.countWords }),
+        await validateEntryInput(entry, options)
+      );
+    }
+  }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectPitchDeckType, isAllowedPitchDeckName } = require('../lib/fileType');
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+test('detects a PDF by its header, also after leading junk', () => {
+  assert.equal(detectPitchDeckType(Buffer.from('%PDF-1.7\n%...')), 'pdf');
+  assert.equal(detectPitchDeckType(Buffer.concat([Buffer.alloc(100), Buffer.from('%PDF-1.4')])), 'pdf');
+});
+
+test('ignores a PDF header past the first 1KB', () => {
+  assert.equal(detectPitchDeckType(Buffer.concat([Buffer.alloc(2048), Buffer.from('%PDF-1.4')])), null);
+});
+
+test('detects a legacy PPT only with a PowerPoint stream', () => {
+  const stream = Buffer.from('PowerPoint Document', 'utf16le');
+  assert.equal(detectPitchDeckType(Buffer.concat([OLE_SIGNATURE, Buffer.alloc(64), stream])), 'ppt');
+  // A Word or Excel file is an OLE2 compound file too
+  assert.equal(detectPitchDeckType(Buffer.concat([OLE_SIGNATURE, Buffer.alloc(64)])), null);
+});
+
+test('detects a PPTX only when the ZIP holds a presentation', () => {
+  const pptx = Buffer.concat([ZIP_SIGNATURE, Buffer.from('[Content_Types].xml ppt/presentation.xml')]);
+  const docx = Buffer.concat([ZIP_SIGNATURE, Buffer.from('[Content_Types].xml word/document.xml')]);
+  assert.equal(detectPitchDeckType(pptx), 'pptx');
+  assert.equal(detectPitchDeckType(docx), null);
+});
+
+test('rejects empty input and non-buffers', () => {
+  assert.equal(detectPitchDeckType(Buffer.alloc(0)), null);
+  assert.equal(detectPitchDeckType('%PDF-1.7'), null);
+  assert.equal(detectPitchDeckType(undefined), null);
+});
+
+test('allows pitch deck file names case-insensitively', () => {
+  assert.equal(isAllowedPitchDeckName('Deck.PDF'), true);
+  assert.equal(isAllowedPitchDeckName('deck.pptx'), true);
+  assert.equal(isAllowedPitchDeckName('deck.ppt'), true);
+  assert.equal(isAllowedPitchDeckName('deck.pdf.exe'), false);
+  assert.equal(isAllowedPitchDeckName(undefined), false);
+});
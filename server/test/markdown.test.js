@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, markdownToText, countWords } = require('../lib/markdown');
+
+test('renders Markdown formatting', () => {
+  assert.equal(renderMarkdown('**bold** _em_'), '<p><strong>bold</strong> <em>em</em></p>\n');
+  assert.equal(renderMarkdown(''), '');
+  assert.equal(renderMarkdown(undefined), '');
+});
+
+test('script tags and their content are removed', () => {
+  assert.equal(renderMarkdown('<script>alert(1)</script>Hello'), 'Hello');
+  assert.doesNotMatch(renderMarkdown('Text\n\n<script src="https://evil.example/x.js"></script>'), /script/i);
+});
+
+test('raw HTML is reduced to its text', () => {
+  assert.equal(renderMarkdown('<div onclick="steal()">hi</div>'), 'hi');
+  assert.equal(renderMarkdown('<iframe src="https://evil.example"></iframe>'), '');
+  assert.doesNotMatch(renderMarkdown('<a href="https://example.com" onclick="steal()">link</a>'), /onclick/);
+});
+
+test('images are dropped, including their event handlers', () => {
+  assert.equal(renderMarkdown('![chart](https://example.com/chart.png)'), '<p></p>\n');
+  assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '');
+});
+
+test('links keep only safe targets and open in a new tab', () => {
+  assert.equal(
+    renderMarkdown('[site](https://example.com "Title")'),
+    '<p><a href="https://example.com" title="Title" target="_blank" rel="noopener noreferrer nofollow">site</a></p>\n'
+  );
+  assert.match(renderMarkdown('[mail](mailto:jo@example.com)'), /href="mailto:jo@example.com"/);
+  for (const href of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'data:text/html,hi', '//evil.example']) {
+    assert.doesNotMatch(renderMarkdown(`[x](${href})`), /href=/, href);
+  }
+});
+
+test('only the words readers see are counted', () => {
+  const source = '# Title\n\nSome **bold** [link](https://example.com/a-b) text, don\'t stop well-known\n\n- one\n- two';
+  assert.equal(markdownToText('**Hello** [world](https://example.com)'), 'Hello world');
+  assert.equal(countWords(source), 10);
+  assert.equal(countWords('<b>raw</b> html'), 2);
+  assert.equal(countWords(''), 0);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Competition = require('../models/Competition');
+const { calculateFees, getPricingTier, getPromoCodeError, quoteEntry, quoteCart } = require('../lib/pricing');
+
+const competitionId = new mongoose.Types.ObjectId();
+
+// Documents are only built, never saved, so no database is needed
+const competition = new Competition({
+  _id: competitionId,
+  name: 'Season 2026',
+  slug: 'season-2026',
+  opensAt: new Date('2026-01-01'),
+  closesAt: new Date('2026-12-31'),
+  currencies: ['usd', 'jpy'],
+  categories: [
+    {
+      key: 'pitch',
+      label: 'Pitch',
+      prices: [
+        { currency: 'usd', amount: 4900 },
+        { currency: 'usd', tier: 'early-bird', amount: 3900 },
+        { currency: 'jpy', amount: 7000 }
+      ]
+    },
+    { key: 'essay', label: 'Essay', prices: [{ currency: 'usd', amount: 2900 }, { currency: 'jpy', amount: 4000 }] }
+  ],
+  pricingTiers: [
+    { key: 'early-bird', label: 'Early bird', startsAt: new Date('2026-01-01'), endsAt: new Date('2026-02-28') }
+  ],
+  bundleDiscounts: [{ minEntries: 2, percent: 10 }, { minEntries: 3, percent: 20 }]
+});
+
+const REGULAR = new Date('2026-06-01');
+const EARLY = new Date('2026-02-01');
+
+const promo = (overrides = {}) => ({
+  code: 'SAVE25',
+  active: true,
+  discountType: 'percent',
+  amount: 25,
+  categories: [],
+  uses: 0,
+  ...overrides
+});
+
+test('passes the processing fee on, rounded up to a whole major unit', () => {
+  assert.deepEqual(calculateFees(4900, 'usd'), { stripeFee: 200, totalAmount: 5100 });
+  assert.deepEqual(calculateFees(2500, 'usd'), { stripeFee: 100, totalAmount: 2600 });
+  // No minor unit: already whole yen
+  assert.deepEqual(calculateFees(7000, 'jpy'), { stripeFee: 280, totalAmount: 7280 });
+  assert.deepEqual(calculateFees(0, 'usd'), { stripeFee: 0, totalAmount: 0 });
+});
+
+test('prices by the tier whose window contains the date', () => {
+  assert.equal(getPricingTier(competition, EARLY).key, 'early-bird');
+  assert.equal(getPricingTier(competition, REGULAR), null);
+
+  const early = quoteEntry({ competition, category: 'pitch', currency: 'usd', now: EARLY });
+  assert.equal(early.tier, 'early-bird');
+  assert.equal(early.baseFee, 3900);
+  assert.equal(early.totalAmount, 4100);
+
+  // Categories without a tier price fall back to the regular one
+  assert.equal(quoteEntry({ competition, category: 'essay', currency: 'usd', now: EARLY }).baseFee, 2900);
+});
+
+test('quotes in the chosen currency', () => {
+  const quote = quoteEntry({ competition, category: 'pitch', currency: 'jpy', now: REGULAR });
+  assert.equal(quote.baseFee, 7000);
+  assert.equal(quote.totalAmount, 7280);
+});
+
+test('takes promo code discounts off the entry fee before the processing fee', () => {
+  const quote = quoteEntry({ competition, category: 'pitch', currency: 'usd', promo: promo(), now: REGULAR });
+  assert.deepEqual(
+    { discount: quote.discount, entryFee: quote.entryFee, stripeFee: quote.stripeFee, totalAmount: quote.totalAmount, promoCode: quote.promoCode },
+    { discount: 1225, entryFee: 3675, stripeFee: 200, totalAmount: 3875, promoCode: 'SAVE25' }
+  );
+});
+
+test('never discounts more than the fee', () => {
+  const quote = quoteEntry({
+    competition,
+    category: 'pitch',
+    currency: 'usd',
+    promo: promo({ discountType: 'fixed', amount: 10000, currency: 'usd' }),
+    now: REGULAR
+  });
+  assert.equal(quote.discount, 4900);
+  assert.equal(quote.totalAmount, 0);
+});
+
+test('lets a sponsor waiver win over a promo code', () => {
+  const quote = quoteEntry({
+    competition,
+    category: 'pitch',
+    currency: 'usd',
+    promo: promo(),
+    waiver: { sponsor: 'Acme' },
+    now: REGULAR
+  });
+  assert.equal(quote.totalAmount, 0);
+  assert.equal(quote.waivedBy, 'Acme');
+  assert.equal(quote.promoCode, null);
+});
+
+test('checks where and when a promo code can be used', () => {
+  const context = { competitionId, category: 'pitch', currency: 'usd', now: REGULAR };
+  assert.equal(getPromoCodeError(promo(), context), null);
+  assert.equal(getPromoCodeError(null, context), 'Promo code not found');
+  assert.equal(getPromoCodeError(promo({ active: false }), context), 'Promo code not found');
+  assert.equal(getPromoCodeError(promo({ expiresAt: new Date('2026-05-01') }), context), 'Promo code has expired');
+  assert.match(getPromoCodeError(promo({ competitionId: new mongoose.Types.ObjectId() }), context), /this competition/);
+  assert.match(getPromoCodeError(promo({ categories: ['essay'] }), context), /this category/);
+  assert.match(getPromoCodeError(promo({ discountType: 'fixed', amount: 500, currency: 'eur' }), context), /only valid for payments in EUR/);
+});
+
+test('only checks the usage limit when asked to', () => {
+  const usedUp = promo({ maxUses: 10, uses: 10 });
+  const context = { competitionId, category: 'pitch', currency: 'usd', now: REGULAR };
+  assert.match(getPromoCodeError(usedUp, context), /usage limit/);
+  assert.equal(getPromoCodeError(usedUp, { ...context, checkUsage: false }), null);
+});
+
+test('applies the biggest bundle discount the cart qualifies for to every entry', () => {
+  const cart = quoteCart({ competition, categories: ['pitch', 'essay', 'pitch'], currency: 'usd', now: REGULAR });
+  assert.equal(cart.bundlePercent, 20);
+  assert.deepEqual(cart.items.map(item => item.totalAmount), [4120, 2420, 4120]);
+  assert.equal(cart.baseFee, 12700);
+  assert.equal(cart.discount, 2540);
+  assert.equal(cart.entryFee, 10160);
+  // The payment is exactly the sum of what each entry records
+  assert.equal(cart.totalAmount, 10660);
+});
+
+test('gives single-entry carts no bundle discount', () => {
+  const cart = quoteCart({ competition, categories: ['pitch'], currency: 'usd', now: REGULAR });
+  assert.equal(cart.bundlePercent, null);
+  assert.equal(cart.totalAmount, 5100);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRefundableAmount, getWithdrawalRefund, getAdminRefundError } = require('../lib/refundPolicy');
+
+// $49 entry fee plus $1.72 processing, in cents
+const paidEntry = (overrides = {}) => ({
+  paymentIntentId: 'pi_1',
+  paymentStatus: 'succeeded',
+  entryFee: 4900,
+  stripeFee: 172,
+  totalAmount: 5072,
+  amountRefunded: 0,
+  ...overrides
+});
+
+test('only captured payments are refundable, less what was already returned', () => {
+  assert.equal(getRefundableAmount(paidEntry()), 5072);
+  assert.equal(getRefundableAmount(paidEntry({ paymentStatus: 'partially_refunded', amountRefunded: 1000 })), 4072);
+  assert.equal(getRefundableAmount(paidEntry({ paymentStatus: 'pending' })), 0);
+  assert.equal(getRefundableAmount(paidEntry({ paymentStatus: 'refunded', amountRefunded: 5072 })), 0);
+  assert.equal(getRefundableAmount(paidEntry({ paymentStatus: 'waived', totalAmount: 0 })), 0);
+});
+
+test('a withdrawal before the deadline refunds the entry fee but keeps the processing fee', () => {
+  const refund = getWithdrawalRefund(paidEntry(), {
+    deadline: new Date('2026-06-01'),
+    now: new Date('2026-05-01')
+  });
+  assert.equal(refund.amount, 4900);
+});
+
+test('a withdrawal never refunds more than is left', () => {
+  const refund = getWithdrawalRefund(paidEntry({ paymentStatus: 'partially_refunded', amountRefunded: 3000 }));
+  assert.equal(refund.amount, 2072);
+});
+
+test('nothing is refunded after the deadline or without a captured payment', () => {
+  const late = getWithdrawalRefund(paidEntry(), {
+    deadline: new Date('2026-06-01'),
+    now: new Date('2026-06-02')
+  });
+  assert.equal(late.amount, 0);
+  assert.match(late.reason, /deadline/);
+  assert.equal(getWithdrawalRefund(paidEntry({ paymentStatus: 'failed' })).amount, 0);
+});
+
+test('admin refunds must be a whole positive amount within what is left', () => {
+  assert.equal(getAdminRefundError(paidEntry(), 5072), null);
+  assert.equal(getAdminRefundError(paidEntry(), 100), null);
+  assert.match(getAdminRefundError(paidEntry(), 5073), /At most 5072/);
+  assert.match(getAdminRefundError(paidEntry(), 0), /positive whole number/);
+  assert.match(getAdminRefundError(paidEntry(), 10.5), /positive whole number/);
+  assert.match(getAdminRefundError(paidEntry(), '100'), /positive whole number/);
+  assert.match(getAdminRefundError(paidEntry({ paymentIntentId: undefined }), 100), /Nothing left/);
+});
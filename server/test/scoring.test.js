@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CRITERIA, validateScores, computeWeightedScore, buildLeaderboard } = require('../lib/scoring');
+
+const criteria = [
+  { key: 'idea', label: 'Idea', weight: 2, maxScore: 10 },
+  { key: 'delivery', label: 'Delivery', weight: 1, maxScore: 5 }
+];
+
+test('accepts a score for every criterion within its range', () => {
+  assert.equal(validateScores(criteria, { idea: 0, delivery: 5 }), null);
+  assert.equal(validateScores(DEFAULT_CRITERIA, { originality: 7, feasibility: 6.5, presentation: 10 }), null);
+});
+
+test('rejects missing, out-of-range and unknown scores', () => {
+  assert.equal(validateScores(criteria, { idea: 5 }), 'Missing score for Delivery');
+  assert.equal(validateScores(criteria, { idea: '5', delivery: 3 }), 'Missing score for Idea');
+  assert.equal(validateScores(criteria, { idea: NaN, delivery: 3 }), 'Missing score for Idea');
+  assert.equal(validateScores(criteria, { idea: 11, delivery: 3 }), 'Idea must be between 0 and 10');
+  assert.equal(validateScores(criteria, { idea: 5, delivery: -1 }), 'Delivery must be between 0 and 5');
+  assert.equal(validateScores(criteria, { idea: 5, delivery: 3, humour: 2 }), 'Unknown criteria: humour');
+});
+
+test('normalizes weighted scores to 0-100', () => {
+  assert.equal(computeWeightedScore(criteria, { idea: 10, delivery: 5 }), 100);
+  assert.equal(computeWeightedScore(criteria, { idea: 0, delivery: 0 }), 0);
+  // (2 * 0.8 + 1 * 1) / 3
+  assert.equal(computeWeightedScore(criteria, { idea: 8, delivery: 5 }), 86.67);
+});
+
+test('ranks entries by their average score', () => {
+  const { ranking } = buildLeaderboard([
+    { entryId: 'a', judgeId: 'j1', weightedScore: 60 },
+    { entryId: 'b', judgeId: 'j1', weightedScore: 90 },
+    { entryId: 'b', judgeId: 'j2', weightedScore: 70 },
+    { entryId: 'c', judgeId: 'j2', weightedScore: 80 }
+  ]);
+  assert.deepEqual(ranking.map(row => [row.rank, row.entryId]), [[1, 'b'], [2, 'c'], [3, 'a']]);
+  assert.deepEqual(
+    { averageScore: ranking[0].averageScore, reviews: ranking[0].reviews, minScore: ranking[0].minScore, maxScore: ranking[0].maxScore, spread: ranking[0].spread },
+    { averageScore: 80, reviews: 2, minScore: 70, maxScore: 90, spread: 10 }
+  );
+});
+
+test('breaks ties by the number of reviews', () => {
+  const { ranking } = buildLeaderboard([
+    { entryId: 'a', judgeId: 'j1', weightedScore: 75 },
+    { entryId: 'b', judgeId: 'j1', weightedScore: 70 },
+    { entryId: 'b', judgeId: 'j2', weightedScore: 80 }
+  ]);
+  assert.deepEqual(ranking.map(row => row.entryId), ['b', 'a']);
+});
+
+test('flags judges far from the median once an entry has three reviews', () => {
+  const { outliers, judges } = buildLeaderboard([
+    { entryId: 'a', judgeId: 'j1', weightedScore: 80 },
+    { entryId: 'a', judgeId: 'j2', weightedScore: 82 },
+    { entryId: 'a', judgeId: 'j3', weightedScore: 40 },
+    // Two reviews are too few to call either of them an outlier
+    { entryId: 'b', judgeId: 'j1', weightedScore: 95 },
+    { entryId: 'b', judgeId: 'j3', weightedScore: 20 }
+  ], { threshold: 20 });
+
+  assert.deepEqual(outliers, [{ entryId: 'a', judgeId: 'j3', weightedScore: 40, deviation: -40 }]);
+  const harsh = judges.find(judge => judge.judgeId === 'j3');
+  assert.deepEqual(harsh, { judgeId: 'j3', reviews: 1, outliers: 1, meanDeviation: -40 });
+});
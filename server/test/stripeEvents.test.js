@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canTransition, getPaymentUpdate, resolvePaymentStatus } = require('../lib/stripeEvents');
+
+const event = (type, object) => ({ type, data: { object } });
+
+test('maps payment intent events onto payment statuses', () => {
+  assert.deepEqual(getPaymentUpdate(event('payment_intent.succeeded', { id: 'pi_1' })), {
+    paymentIntentId: 'pi_1',
+    paymentStatus: 'succeeded'
+  });
+  assert.deepEqual(getPaymentUpdate(event('payment_intent.canceled', { id: 'pi_1' })), {
+    paymentIntentId: 'pi_1',
+    paymentStatus: 'canceled'
+  });
+  assert.deepEqual(
+    getPaymentUpdate(event('payment_intent.payment_failed', { id: 'pi_1', last_payment_error: { message: 'Card declined' } })),
+    { paymentIntentId: 'pi_1', paymentStatus: 'failed', failureReason: 'Card declined' }
+  );
+});
+
+test('tells full from partial refunds', () => {
+  const charge = { payment_intent: 'pi_1', amount: 5000 };
+  assert.deepEqual(getPaymentUpdate(event('charge.refunded', { ...charge, amount_refunded: 5000 })), {
+    paymentIntentId: 'pi_1',
+    paymentStatus: 'refunded',
+    amountRefunded: 5000
+  });
+  assert.equal(getPaymentUpdate(event('charge.refunded', { ...charge, amount_refunded: 1000 })).paymentStatus, 'partially_refunded');
+});
+
+test('ignores unknown events, refunds without a payment intent and empty payloads', () => {
+  assert.equal(getPaymentUpdate(event('customer.created', { id: 'cus_1' })), null);
+  assert.equal(getPaymentUpdate(event('charge.refunded', { amount: 100, amount_refunded: 100 })), null);
+  assert.equal(getPaymentUpdate({ type: 'payment_intent.succeeded' }), null);
+  assert.equal(getPaymentUpdate(null), null);
+});
+
+test('never moves a payment backwards', () => {
+  assert.equal(canTransition('pending', 'succeeded'), true);
+  assert.equal(canTransition('failed', 'succeeded'), true);
+  assert.equal(canTransition('succeeded', 'refunded'), true);
+  assert.equal(canTransition('refunded', 'succeeded'), false);
+  assert.equal(canTransition('succeeded', 'failed'), false);
+  assert.equal(canTransition('canceled', 'succeeded'), false);
+  assert.equal(canTransition('unknown', 'succeeded'), false);
+});
+
+test('replays out-of-order events to the right final status', () => {
+  const updates = [
+    { paymentStatus: 'succeeded' },
+    { paymentStatus: 'partially_refunded' },
+    // A retried delivery arriving late
+    { paymentStatus: 'succeeded' },
+    { paymentStatus: 'refunded' }
+  ];
+  assert.equal(resolvePaymentStatus('pending', updates), 'refunded');
+  assert.equal(resolvePaymentStatus('pending', [{ paymentStatus: 'failed' }, { paymentStatus: 'succeeded' }]), 'succeeded');
+  assert.equal(resolvePaymentStatus('succeeded', []), 'succeeded');
+});
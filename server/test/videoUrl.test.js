@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// shared/videoUrl.js is an ES module
+const videoUrlReady = import('../../shared/videoUrl.js');
+
+const ID = 'dQw4w9WgXcQ';
+
+test('every YouTube link shape becomes the watch URL', async () => {
+  const { parseVideoUrl } = await videoUrlReady;
+  const links = [
+    `https://www.youtube.com/watch?v=${ID}`,
+    `https://youtube.com/watch?v=${ID}&t=42s&list=PL123`,
+    `http://m.youtube.com/watch?v=${ID}`,
+    `https://music.youtube.com/watch?v=${ID}`,
+    `https://www.youtube.com/shorts/${ID}`,
+    `https://www.youtube.com/embed/${ID}?autoplay=1`,
+    `https://www.youtube.com/live/${ID}`,
+    `https://www.youtube-nocookie.com/embed/${ID}`,
+    `https://youtu.be/${ID}?si=abc`,
+    `youtu.be/${ID}`,
+    `  WWW.YOUTUBE.COM/watch?v=${ID}  `
+  ];
+  for (const link of links) {
+    assert.deepEqual(parseVideoUrl(link), {
+      provider: 'youtube',
+      videoId: ID,
+      url: `https://www.youtube.com/watch?v=${ID}`
+    }, link);
+  }
+});
+
+test('Vimeo links keep the hash of unlisted videos', async () => {
+  const { parseVideoUrl } = await videoUrlReady;
+  const plain = { provider: 'vimeo', videoId: '76979871', url: 'https://vimeo.com/76979871' };
+  const unlisted = { provider: 'vimeo', videoId: '76979871', hash: 'a1b2c3d4e5', url: 'https://vimeo.com/76979871/a1b2c3d4e5' };
+
+  assert.deepEqual(parseVideoUrl('https://vimeo.com/76979871'), plain);
+  assert.deepEqual(parseVideoUrl('vimeo.com/channels/staffpicks/76979871'), plain);
+  assert.deepEqual(parseVideoUrl('https://vimeo.com/groups/shortfilms/videos/76979871'), plain);
+  assert.deepEqual(parseVideoUrl('https://player.vimeo.com/video/76979871'), plain);
+  assert.deepEqual(parseVideoUrl('https://vimeo.com/76979871/a1b2c3d4e5'), unlisted);
+  assert.deepEqual(parseVideoUrl('https://player.vimeo.com/video/76979871?h=a1b2c3d4e5'), unlisted);
+});
+
+test('playlists, channels and profiles are not single videos', async () => {
+  const { parseVideoUrl } = await videoUrlReady;
+  const links = [
+    'https://www.youtube.com/playlist?list=PL123',
+    'https://www.youtube.com/watch?list=PL123',
+    'https://www.youtube.com/@somechannel',
+    'https://www.youtube.com/channel/UC123',
+    'https://vimeo.com/channels/staffpicks',
+    'https://vimeo.com/someuser'
+  ];
+  for (const link of links) {
+    assert.equal(parseVideoUrl(link).error, 'not_a_video', link);
+  }
+});
+
+test('anything else is an invalid URL', async () => {
+  const { parseVideoUrl } = await videoUrlReady;
+  const inputs = [
+    undefined,
+    '',
+    'not a url at all',
+    'https://example.com/watch?v=dQw4w9WgXcQ',
+    'https://www.youtube.com/watch?v=short',
+    'https://youtu.be/',
+    'https://www.youtube.com/',
+    'ftp://youtube.com/watch?v=dQw4w9WgXcQ',
+    'javascript:alert(1)',
+    'https://vimeo.com/',
+    'https://player.vimeo.com/video/abc',
+    'https://youtube.com.evil.example/watch?v=dQw4w9WgXcQ'
+  ];
+  for (const input of inputs) {
+    const result = parseVideoUrl(input);
+    assert.equal(result.error, 'invalid_url', String(input));
+    assert.equal(result.message, 'Please provide a valid YouTube or Vimeo URL');
+  }
+});
+
+test('embeds use the privacy-enhanced players', async () => {
+  const { getEmbedUrl } = await videoUrlReady;
+  assert.equal(getEmbedUrl({ provider: 'youtube', videoId: ID }), `https://www.youtube-nocookie.com/embed/${ID}?rel=0`);
+  assert.equal(getEmbedUrl({ provider: 'vimeo', videoId: '76979871' }), 'https://player.vimeo.com/video/76979871?dnt=1');
+  assert.equal(
+    getEmbedUrl({ provider: 'vimeo', videoId: '76979871', hash: 'a1b2c3d4e5' }),
+    'https://player.vimeo.com/video/76979871?dnt=1&h=a1b2c3d4e5'
+  );
+  assert.equal(getEmbedUrl({ provider: 'dailymotion', videoId: 'x7' }), null);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_ACCOUNT_AGE_HOURS, MAX_VOTES_PER_NETWORK, normalizeEmail, getVoteSignals, getVoteFlags, rankVotes } = require('../lib/voting');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const oldUser = { email: 'voter@example.com', createdAt: new Date('2026-01-01') };
+
+test('treats case, +tags and Gmail dots as the same mailbox', () => {
+  assert.equal(normalizeEmail('Jane.Doe+votes@GMail.com'), 'janedoe@gmail.com');
+  assert.equal(normalizeEmail('jane.doe@googlemail.com'), 'janedoe@gmail.com');
+  assert.equal(normalizeEmail('Jane.Doe+x@example.com'), 'jane.doe@example.com');
+});
+
+test('hashes vote signals instead of keeping addresses', () => {
+  const signals = getVoteSignals({ email: 'Jane.Doe+1@gmail.com' }, '203.0.113.7');
+  assert.equal(signals.emailKey, getVoteSignals({ email: 'janedoe@gmail.com' }, null).emailKey);
+  assert.doesNotMatch(signals.networkKey, /203\.0\.113\.7/);
+  assert.equal(getVoteSignals(oldUser, undefined).networkKey, undefined);
+});
+
+test('flags new accounts, busy networks and email aliases', () => {
+  assert.deepEqual(getVoteFlags({ user: oldUser, votesFromNetwork: 0, emailAliasVotes: 0, now: NOW }), []);
+
+  const newUser = { ...oldUser, createdAt: new Date(NOW - (MIN_ACCOUNT_AGE_HOURS - 1) * 60 * 60 * 1000) };
+  assert.deepEqual(getVoteFlags({ user: newUser, votesFromNetwork: 0, emailAliasVotes: 0, now: NOW }), ['new-account']);
+  assert.deepEqual(
+    getVoteFlags({ user: oldUser, votesFromNetwork: MAX_VOTES_PER_NETWORK, emailAliasVotes: 1, now: NOW }),
+    ['shared-network', 'email-alias']
+  );
+  assert.deepEqual(getVoteFlags({ user: oldUser, votesFromNetwork: MAX_VOTES_PER_NETWORK - 1, emailAliasVotes: 0, now: NOW }), []);
+});
+
+test('ranks by votes with shared ranks for ties', () => {
+  const ranking = rankVotes([
+    { _id: 'a', votes: 3, flagged: 0 },
+    { _id: 'b', votes: 7, flagged: 1 },
+    { _id: 'c', votes: 3, flagged: 0 }
+  ]);
+  assert.deepEqual(ranking.map(row => [row.rank, row.entryId, row.votes]), [[1, 'b', 7], [2, 'a', 3], [2, 'c', 3]]);
+});
+
+// Runs the middleware like Express would; returns the status it answered with,
+// or null when it let the request through
+const hit = (limiter, req) => {
+  let status = null;
+  const res = {
+    set() {},
+    status(code) { status = code; return this; },
+    json() { return this; }
+  };
+  limiter(req, res, () => {});
+  return status;
+};
+
+test('limits requests per key within a window', (t) => {
+  // mock.timers needs Node 20; engines still allows 18
+  let now = NOW.getTime();
+  t.mock.method(Date, 'now', () => now);
+  const limiter = rateLimit({ windowMs: 60 * 1000, max: 2, key: req => req.user.id });
+  const alice = { user: { id: 'alice' } };
+
+  assert.equal(hit(limiter, alice), null);
+  assert.equal(hit(limiter, alice), null);
+  assert.equal(hit(limiter, alice), 429);
+  // Counted per key
+  assert.equal(hit(limiter, { user: { id: 'bob' } }), null);
+
+  now += 60 * 1000;
+  assert.equal(hit(limiter, alice), null);
+});
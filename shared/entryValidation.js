@@ -0,0 +1,129 @@
+// Entry validation shared by the API (server/lib/entryValidation.js) and the
+// entry forms (frontend/src/utils/entryValidation.js), so the forms check
+// exactly what the server enforces. Every problem is reported as
+// { field, code, message } so forms can show it next to the input.
+//
+// Plain ES module without dependencies: Markdown-aware word counting is
+// passed in as options.countWords by each side.
+
+import { parseVideoUrl } from './videoUrl.js';
+
+export const ENTRY_TYPES = ['text', 'pitch-deck', 'video'];
+
+export const TITLE_LENGTH = { min: 5, max: 100 };
+export const DESCRIPTION_MAX_LENGTH = 500;
+
+// Word limits come from the competition category; these are the fallbacks
+export const DEFAULT_WORD_LIMITS = { min: 100, max: 2000 };
+
+export const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+export const PITCH_DECK_EXTENSIONS = ['.pdf', '.ppt', '.pptx'];
+
+export const ALLOWED_FILE_TYPES = [
+  'application/pdf',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// What API clients and some browsers send when they don't know the type; the
+// extension (and on the server, the file contents) decide then
+const GENERIC_FILE_TYPE = 'application/octet-stream';
+
+const isBlank = value => typeof value !== 'string' || value.trim() === '';
+
+const getExtension = name => (name && name.includes('.') ? name.slice(name.lastIndexOf('.')).toLowerCase() : '');
+
+// entry:   { category, entryType, title, description, textContent, videoUrl,
+//            file: { name, size, type } }
+// options: countWords   Markdown-aware word counter (required for text entries)
+//          categories   the season's categories ({ key, entryTypes, wordLimits });
+//                       category and entry type are only checked when given
+//          wordLimits   used when categories aren't given
+//          hasFile      a deck is already stored (draft or entry), so none is required
+//          partial      only check the fields present, for edits
+// Returns an array of { field, code, message }, empty when the entry is valid.
+export const validateEntry = (entry, options = {}) => {
+  const { countWords, categories = null, hasFile = false, partial = false } = options;
+  const errors = [];
+  const add = (field, code, message) => errors.push({ field, code, message });
+  const checks = field => !partial || entry[field] !== undefined;
+
+  const { category, entryType, title, description, textContent, videoUrl, file } = entry;
+
+  let settings = null;
+  if (checks('category')) {
+    if (isBlank(category)) {
+      add('category', 'required', 'Please choose a category');
+    } else if (categories) {
+      settings = categories.find(c => c.key === category);
+      if (!settings) add('category', 'invalid_choice', 'This category is not part of the competition');
+    }
+  }
+
+  if (checks('entryType')) {
+    if (isBlank(entryType)) {
+      add('entryType', 'required', 'Please choose an entry type');
+    } else if (!ENTRY_TYPES.includes(entryType)) {
+      add('entryType', 'invalid_choice', 'Entry type must be text, pitch deck or video');
+    } else if (settings && !settings.entryTypes.includes(entryType)) {
+      add('entryType', 'not_allowed', 'This category does not accept this entry type');
+    }
+  }
+
+  if (checks('title')) {
+    const length = typeof title === 'string' ? title.trim().length : 0;
+    if (length === 0) {
+      add('title', 'required', 'Title is required');
+    } else if (length < TITLE_LENGTH.min || length > TITLE_LENGTH.max) {
+      add('title', length < TITLE_LENGTH.min ? 'too_short' : 'too_long',
+        `Title must be between ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} characters`);
+    }
+  }
+
+  if (typeof description === 'string' && description.length > DESCRIPTION_MAX_LENGTH) {
+    add('description', 'too_long', `Description must be at most ${DESCRIPTION_MAX_LENGTH} characters`);
+  }
+
+  if (entryType === 'text' && checks('textContent')) {
+    if (isBlank(textContent)) {
+      add('textContent', 'required', 'Text content is required for text entries');
+    } else {
+      const wordLimits = (settings && settings.wordLimits) || options.wordLimits || DEFAULT_WORD_LIMITS;
+      const words = countWords(textContent);
+      if (words < wordLimits.min || words > wordLimits.max) {
+        add('textContent', words < wordLimits.min ? 'too_few_words' : 'too_many_words',
+          `Text entries must be between ${wordLimits.min}-${wordLimits.max} words. Current: ${words} words`);
+      }
+    }
+  }
+
+  if (entryType === 'pitch-deck') {
+    if (file) {
+      if (file.size > MAX_FILE_SIZE) {
+        add('file', 'file_too_large', 'File size must be less than 25MB');
+      } else if (!PITCH_DECK_EXTENSIONS.includes(getExtension(file.name)) ||
+          (file.type && file.type !== GENERIC_FILE_TYPE && !ALLOWED_FILE_TYPES.includes(file.type))) {
+        add('file', 'invalid_file_type', 'Only PDF, PPT, and PPTX files are allowed');
+      }
+    } else if (!hasFile && !partial) {
+      add('file', 'required', 'Please upload a pitch deck file');
+    }
+  }
+
+  if (entryType === 'video' && checks('videoUrl')) {
+    if (isBlank(videoUrl)) {
+      add('videoUrl', 'required', 'Video URL is required for video entries');
+    } else {
+      const video = parseVideoUrl(videoUrl);
+      if (video.error) add('videoUrl', video.error, video.message);
+    }
+  }
+
+  return errors;
+};
+
+// { field: message } with the first problem of each field, for forms
+export const toFieldErrors = errors => errors.reduce((fields, { field, message }) => (
+  fields[field] ? fields : { ...fields, [field]: message }
+), {});
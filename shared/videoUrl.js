@@ -0,0 +1,103 @@
+// YouTube and Vimeo links of video entries, shared by the API (which stores
+// the parsed result on the entry) and the frontend (which embeds it).
+//
+// parseVideoUrl accepts every shape participants paste for a single video:
+//   youtube.com/watch?v=ID, m.youtube.com/..., youtube.com/shorts/ID,
+//   youtube.com/embed/ID, youtube.com/live/ID, youtube-nocookie.com/embed/ID,
+//   youtu.be/ID, vimeo.com/ID, vimeo.com/ID/HASH (unlisted),
+//   vimeo.com/channels/NAME/ID, vimeo.com/groups/NAME/videos/ID,
+//   player.vimeo.com/video/ID?h=HASH
+// and returns { provider, videoId, hash?, url } with url in canonical form.
+// Playlists, channels, profiles and anything else come back as
+// { error, message }, error being a validation code.
+
+export const VIDEO_PROVIDERS = ['youtube', 'vimeo'];
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const VIMEO_ID = /^\d{1,12}$/;
+const VIMEO_HASH = /^[0-9a-f]{6,20}$/i;
+
+const YOUTUBE_HOSTS = ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com'];
+// Paths whose next segment is the video ID
+const YOUTUBE_ID_PATHS = ['embed', 'shorts', 'live', 'v', 'e'];
+
+const invalid = () => ({ error: 'invalid_url', message: 'Please provide a valid YouTube or Vimeo URL' });
+const notAVideo = () => ({ error: 'not_a_video', message: 'Please link to a single video, not a playlist, channel or profile' });
+
+const youtube = videoId => ({ provider: 'youtube', videoId, url: `https://www.youtube.com/watch?v=${videoId}` });
+
+const vimeo = (videoId, hash) => ({
+  provider: 'vimeo',
+  videoId,
+  ...(hash && { hash }),
+  url: `https://vimeo.com/${videoId}${hash ? `/${hash}` : ''}`
+});
+
+const parseYoutube = (host, segments, params) => {
+  if (host === 'youtu.be') {
+    return YOUTUBE_ID.test(segments[0] || '') ? youtube(segments[0]) : invalid();
+  }
+  if (segments[0] === 'watch') {
+    const videoId = params.get('v');
+    if (videoId) return YOUTUBE_ID.test(videoId) ? youtube(videoId) : invalid();
+    return params.get('list') ? notAVideo() : invalid();
+  }
+  if (YOUTUBE_ID_PATHS.includes(segments[0])) {
+    return YOUTUBE_ID.test(segments[1] || '') ? youtube(segments[1]) : invalid();
+  }
+  return segments.length > 0 ? notAVideo() : invalid();
+};
+
+const parseVimeo = (host, segments, params) => {
+  if (host === 'player.vimeo.com') {
+    if (segments[0] !== 'video' || !VIMEO_ID.test(segments[1] || '')) return invalid();
+    const hash = params.get('h');
+    return vimeo(segments[1], hash && VIMEO_HASH.test(hash) ? hash : undefined);
+  }
+  if (VIMEO_ID.test(segments[0] || '')) {
+    return vimeo(segments[0], VIMEO_HASH.test(segments[1] || '') ? segments[1] : undefined);
+  }
+  // A video seen inside a channel or group is still a single video
+  const last = segments[segments.length - 1] || '';
+  if ((segments[0] === 'channels' && segments.length === 3) ||
+      (segments[0] === 'groups' && segments[2] === 'videos' && segments.length === 4)) {
+    return VIMEO_ID.test(last) ? vimeo(last) : invalid();
+  }
+  return segments.length > 0 ? notAVideo() : invalid();
+};
+
+export const parseVideoUrl = (input) => {
+  if (typeof input !== 'string' || input.trim() === '') return invalid();
+  const trimmed = input.trim();
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  } catch {
+    return invalid();
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return invalid();
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  if (host === 'youtu.be' || YOUTUBE_HOSTS.includes(host)) {
+    return parseYoutube(host, segments, url.searchParams);
+  }
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+    return parseVimeo(host, segments, url.searchParams);
+  }
+  return invalid();
+};
+
+// Privacy-enhanced players: no YouTube cookies until the video is played,
+// and no Vimeo tracking
+export const getEmbedUrl = ({ provider, videoId, hash }) => {
+  if (provider === 'youtube') {
+    return `https://www.youtube-nocookie.com/embed/${videoId}?rel=0`;
+  }
+  if (provider === 'vimeo') {
+    return `https://player.vimeo.com/video/${videoId}?dnt=1${hash ? `&h=${hash}` : ''}`;
+  }
+  return null;
+};